@@ -3,6 +3,44 @@ const path = require('path');
 const { RuleEngine } = require(path.join(__dirname, '../modules/ruleEngine'));
 const response = require(path.join(__dirname, '../modules/response'));
 const { setContext } = require('../modules/context');
+const { compileValue, evaluate } = require('../modules/ruleExpression');
+
+// Longest X-Rule-Trace header sent; longer traces are reduced to a summary.
+const RULE_TRACE_HEADER_LIMIT = 8192;
+
+/**
+ * Trace array for a request asking for one with the X-Rule-Trace header, in development only.
+ */
+function requestTrace(req) {
+    return process.env.NODE_ENV === 'development' && req.headers['x-rule-trace'] ? [] : undefined;
+}
+
+/**
+ * Sets the X-Rule-Trace response header from the trace entries of the rule engine.
+ */
+function setTraceHeader(res, trace) {
+    if (!trace || res.headersSent) return;
+    const toHeader = (value) => JSON.stringify(value).replace(/[^\x20-\x7e]/g,
+        (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    let header = toHeader(trace);
+    if (header.length > RULE_TRACE_HEADER_LIMIT) {
+        // Keep which rules matched and what they ran, without the values
+        const rules = trace.map((entry) => ({
+            rule: entry.rule,
+            record: entry.record,
+            matched: entry.matched,
+            branch: entry.branch,
+            actions: entry.actions.map((action) => action.action),
+            durationMs: entry.durationMs
+        }));
+        header = toHeader({ truncated: true, rules });
+        while (header.length > RULE_TRACE_HEADER_LIMIT && rules.length > 0) {
+            rules.pop();
+            header = toHeader({ truncated: true, omitted: trace.length - rules.length, rules });
+        }
+    }
+    res.setHeader('X-Rule-Trace', header);
+}
 
 class RuleEngineMiddleware {
     constructor(rules, dependencyManager) {
@@ -32,6 +70,11 @@ class RuleEngineMiddleware {
             let pathSegments = req.path.split('/').filter(Boolean);
             let entityName = pathSegments.includes('api') ? pathSegments[pathSegments.indexOf('api') + 1] : pathSegments[0];
 
+            // Bulk routes fire the rules once per record through processRecord().
+            if (pathSegments[pathSegments.length - 1] === '_bulk') {
+                return next();
+            }
+
             const hasRules = this.ruleEngine.hasRulesForEntity(entityName);
             if (!hasRules) {
                 return next();
@@ -60,13 +103,16 @@ class RuleEngineMiddleware {
                         path: req.path
                     };
 
+                    const trace = requestTrace(req);
                     await this.ruleEngine.processEvent(eventType, entityName, data, {
                         ...globalContext,
                         actions: {
                             ...(globalContext.actions || {}),
                             update: (ctx, entity, field, value) => { req.body[field] = value; },
                         },
+                        trace
                     });
+                    setTraceHeader(res, trace);
 
                     // CRITICAL: Check if a plugin has populated the response bus to send a custom response.
                     if (
@@ -115,6 +161,7 @@ class RuleEngineMiddleware {
                             path: req.path
                         };
 
+                        const trace = requestTrace(req);
                         await this.ruleEngine.processEvent(eventType, entityName, data, {
                             ...globalContext,
                             req, res,
@@ -122,8 +169,10 @@ class RuleEngineMiddleware {
                                 ...(globalContext.actions || {}),
                                 update: (ctx, entity, field, value) => { req.query[field] = value; },
                             },
-                            direction: 'in'
+                            direction: 'in',
+                            trace
                         });
+                        setTraceHeader(res, trace);
 
                         if (
                             (response.data !== null && response.module) ||
@@ -179,15 +228,7 @@ class RuleEngineMiddleware {
                                     try {
                                         let computedValue;
                                         if (typeof action.expression === 'string') {
-                                            computedValue = action.expression.replace(/\${([^}]+)}/g, (match, inner) => {
-                                                try {
-                                                    const fn = new Function('data', `with(data) { return ${inner}; }`);
-                                                    const value = fn(ctx.data);
-                                                    return value !== undefined && value !== null ? value : match;
-                                                } catch (e) {
-                                                    return match;
-                                                }
-                                            });
+                                            computedValue = evaluate(compileValue(action.expression), [ctx.data, { data: ctx.data }]);
                                         } else {
                                             computedValue = action.expression;
                                         }
@@ -205,14 +246,17 @@ class RuleEngineMiddleware {
                                 }
                             };
 
+                            const trace = requestTrace(req);
                             await this.ruleEngine.processEvent(eventType, entityName, ruleData, {
                                 ...globalContext,
                                 actions: {
                                     ...(globalContext.actions || {}),
                                     update: customUpdateAction
                                 },
-                                direction: 'out'
+                                direction: 'out',
+                                trace
                             });
+                            setTraceHeader(res, trace);
 
                             const cleanUserData = (obj) => {
                                 if (!obj || typeof obj !== 'object') return;
@@ -242,6 +286,59 @@ class RuleEngineMiddleware {
             return next();
         };
     }
+
+    /**
+     * Runs the inbound rules of a write event against a single record, as the middleware
+     * does for a single-record request. Rule `update` actions are applied to the record.
+     *
+     * @param {string} eventType - POST, PUT, PATCH or DELETE.
+     * @param {string} entityName - Entity the rules are registered for.
+     * @param {Object} record - Record being written; mutated by update actions.
+     * @param {Object} req - Express request, used for request metadata.
+     * @returns {Promise<Object|null>} `{ status, error }` when a rule rejected the record, otherwise null.
+     */
+    async processRecord(eventType, entityName, record, req) {
+        if (!this.ruleEngine || !this.ruleEngine.hasRulesForEntity(entityName)) {
+            return null;
+        }
+
+        const globalContext = this.dependencyManager.context;
+        const data = {
+            ...record,
+            user_agent: req.headers['user-agent'],
+            user_ip: req.ip || req.connection.remoteAddress,
+            method: eventType,
+            path: req.path
+        };
+
+        try {
+            await this.ruleEngine.processEvent(eventType, entityName, data, {
+                ...globalContext,
+                actions: {
+                    ...(globalContext.actions || {}),
+                    update: (ctx, entity, field, value) => { record[field] = value; },
+                },
+            });
+
+            if (
+                (response.data && Object.keys(response.data).length > 0 && response.module) ||
+                (response.error && response.error !== '') ||
+                response.status !== 200
+            ) {
+                const rejection = {
+                    status: response.status,
+                    error: response.error || response.message || `${eventType} rejected by business rules`
+                };
+                response.Reset();
+                return rejection;
+            }
+            return null;
+        } catch (err) {
+            response.Reset();
+            console.error(`Error processing inbound ${eventType} rules:`, err.message);
+            return { status: 500, error: `${eventType} rules processing failed` };
+        }
+    }
 }
 
 module.exports = RuleEngineMiddleware;
@@ -1,9 +1,10 @@
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'IhaveaVeryStrongSecret';
 const consolelog = require('../modules/logger');
 const { setContext } = require('../modules/context');
+const { verifyAccessToken, getRefreshTokenStore } = require('../modules/tokenService');
+const { getApiKeyService, authMethods } = require('../modules/apiKeys');
 const defaultUnauthorized = { httpCode: 403, message: 'Access Denied', code: null };
 const redis = require('redis');
+const API_KEY_HEADER = (process.env.API_KEY_HEADER || 'x-api-key').toLowerCase();
 
 let redisClient;
 async function getRedisClient() {
@@ -41,6 +42,46 @@ const aclMiddleware = (allowedRoles, customMessage = defaultUnauthorized) => {
   };
 };
 
+/**
+ * Checks the token blacklist, when enabled.
+ */
+const isTokenBlacklisted = async (token) => {
+  if (
+    !process.env.TOKEN_BLACKLIST_ENABLED ||
+    process.env.TOKEN_BLACKLIST_ENABLED.toLowerCase() !== 'true' ||
+    !process.env.REDIS_URL
+  ) {
+    return false;
+  }
+  const client = await getRedisClient();
+  return Boolean(client && (await client.get(`blacklist:${token}`)) !== null);
+};
+
+/**
+ * Checks whether the user revoked their tokens (logout from all devices) after this one was issued.
+ */
+const isTokenRevoked = async (payload) => {
+  const store = getRefreshTokenStore();
+  return Boolean(store && (await store.isRevoked(payload)));
+};
+
+/**
+ * Verifies a token outside of an HTTP request (e.g. WebSocket connections).
+ * Resolves to the token payload, or null when the token is invalid, blacklisted or revoked.
+ */
+const verifyToken = async (token) => {
+  if (!token) return null;
+  try {
+    if (await isTokenBlacklisted(token)) return null;
+    const payload = verifyAccessToken(token);
+    if (await isTokenRevoked(payload)) return null;
+    return payload;
+  } catch (error) {
+    consolelog.log('Token verification failed:', error.message);
+    return null;
+  }
+};
+
 /**
  * Token Authentication Middleware: Verifies JWT tokens and checks blacklist.
  */
@@ -53,46 +94,111 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  if (
-    process.env.TOKEN_BLACKLIST_ENABLED &&
-    process.env.TOKEN_BLACKLIST_ENABLED.toLowerCase() === 'true' &&
-    process.env.REDIS_URL
-  ) {
-    try {
-      const client = await getRedisClient();
-      if (client) {
-        const result = await client.get(`blacklist:${token}`);
-        if (result !== null) {
-          consolelog.log('Token is blacklisted', req.ip);
-          return res.status(401).json({ error: 'Invalid Token. Please log in again.' });
-        }
-      }
-    } catch (error) {
-      consolelog.log('Error checking token blacklist:', error);
-      return res.status(500).json({ error: 'Internal server error' });
+  try {
+    if (await isTokenBlacklisted(token)) {
+      consolelog.log('Token is blacklisted', req.ip);
+      return res.status(401).json({ error: 'Invalid Token. Please log in again.' });
     }
+  } catch (error) {
+    consolelog.log('Error checking token blacklist:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (err) {
+    consolelog.log('User Denied access, Invalid token', req.ip);
+    return res.status(403).json({ error: 'Forbidden' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      consolelog.log('User Denied access, Invalid token', req.ip);
-      return res.status(403).json({ error: 'Forbidden' });
+  try {
+    if (await isTokenRevoked(user)) {
+      consolelog.log('Token was revoked', req.ip);
+      return res.status(401).json({ error: 'Invalid Token. Please log in again.' });
     }
-    req.user = user;
-    consolelog.log('Setting User in Context:', user);
-    setContext('user', user);
-    next();
-  });
+  } catch (error) {
+    consolelog.log('Error checking token revocation:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  req.user = user;
+  consolelog.log('Setting User in Context:', user);
+  setContext('user', user);
+  next();
 };
 
 /**
- * Authentication Middleware: Optionally applies token authentication.
+ * Resolves the principal of an API key, or null when the key is unknown, revoked or expired.
+ */
+const verifyApiKey = async (key) => {
+  if (!key) return null;
+  try {
+    return await getApiKeyService().verify(key);
+  } catch (error) {
+    consolelog.log('API key verification failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * API Key Authentication Middleware: Verifies the X-API-Key header (API_KEY_HEADER).
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const key = req.headers[API_KEY_HEADER];
+  if (!key) {
+    consolelog.log('API key header missing', req.ip);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  let user;
+  try {
+    user = await getApiKeyService().verify(key);
+  } catch (error) {
+    consolelog.log('Error verifying API key:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if (!user) {
+    consolelog.log('User Denied access, Invalid API key', req.ip);
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+  req.user = user;
+  setContext('user', user);
+  next();
+};
+
+/**
+ * Authentication Middleware: Applies the authentication an endpoint asks for.
+ * `auth` may be "apikey", a token setting ("token", true...) or a list such as ["token", "apikey"],
+ * in which case requests carrying an API key are authenticated with it and the others with a token.
  */
 const authenticateMiddleware = (auth) => {
-  if (auth) {
+  const methods = authMethods(auth);
+  if (methods.apiKey && methods.token) {
+    return (req, res, next) => (req.headers[API_KEY_HEADER] ? authenticateApiKey : authenticateToken)(req, res, next);
+  }
+  if (methods.apiKey) {
+    return authenticateApiKey;
+  }
+  if (methods.token) {
     return authenticateToken;
   }
   return (req, res, next) => next();
 };
 
-module.exports = { authenticateMiddleware, aclMiddleware };
+/**
+ * Optional Authentication Middleware: authenticates requests that carry a token or an API key
+ * and lets anonymous ones through, for routes (like /graphql) that check access per operation.
+ */
+const optionalAuthentication = (req, res, next) => {
+  if (req.headers[API_KEY_HEADER]) {
+    return authenticateApiKey(req, res, next);
+  }
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+module.exports = { authenticateMiddleware, aclMiddleware, optionalAuthentication, verifyToken, verifyApiKey, API_KEY_HEADER };
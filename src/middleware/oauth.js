@@ -1,14 +1,12 @@
 const passport = require('passport');
 const OAuth2Strategy = require('passport-oauth2');
-const jwt = require('jsonwebtoken');
+const { signAccessToken } = require('../modules/tokenService');
 
 const oauthCallbackURL = process.env.OAUTH_CALLBACK_URL || 'http://localhost:3000/auth/callback';
 const clientID = process.env.OAUTH_CLIENT_ID || 'your-client-id';
 const clientSecret = process.env.OAUTH_CLIENT_SECRET || 'your-client-secret';
 const authorizationURL = process.env.OAUTH_AUTH_URL || 'https://provider.com/oauth/authorize';
 const tokenURL = process.env.OAUTH_TOKEN_URL || 'https://provider.com/oauth/token';
-const JWT_SECRET = process.env.JWT_SECRET || 'IhaveaVeryStrongSecret';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '1h';
 
 // Configure OAuth strategy
 passport.use(
@@ -43,7 +41,7 @@ const authenticateOAuth = (req, res, next) => {
 
     // Generate JWT token for the user
     const tokenPayload = { id: user.id, username: user.username };
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
+    const token = signAccessToken(tokenPayload);
 
     req.user = user; // Attach user details to request object
     req.token = token; // Attach JWT for further usage
@@ -0,0 +1,574 @@
+const { getDbConnection, getTransactionConnection, TransactionError, affectedRowCount } = require('./db');
+const consolelog = require('./logger');
+const responseBus = require('./response');
+const { aarMiddleware } = require('../middleware/aarMiddleware');
+const { getContext } = require('./context');
+const { buildFilterClause, QueryBuilderError } = require('./queryBuilder');
+const { readableFields, writableFields, permittedWriteFields } = require('./fieldAcl');
+const { currentTenant, tenantScope, applyTenant } = require('./tenancy');
+const { getSoftDeleteColumn } = require('./softDelete');
+const { versionIncrement, loadRecordVersion } = require('./etag');
+
+const unauthorizedResponse = responseBus.unauthorized();
+const DEFAULT_MAX_ITEMS = 1000;
+
+/**
+ * Error raised for a request that cannot be processed as a whole.
+ */
+class BulkOperationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'BulkOperationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Error raised for a single item; it is reported per item and aborts the batch.
+ */
+class BulkItemError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'BulkItemError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Objects (but not null and not Dates) are stored as JSON strings, like the single-record routes.
+function serializeValue(value) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Bulk create/update/delete routes for database endpoints.
+ *
+ * Every bulk request is all-or-nothing: items are validated and run through the rule
+ * engine first, then written inside one transaction. The response always carries a
+ * per-item report so callers can tell which records failed and why.
+ */
+class BulkRouteHandler {
+    /**
+     * Bulk options for an endpoint, or null when bulk routes are disabled.
+     * Enabled with `"bulk": true` or `"bulk": { "maxItems": 500 }`.
+     * @param {Object} endpoint - Endpoint configuration.
+     * @returns {{maxItems: number}|null}
+     */
+    static getBulkOptions(endpoint) {
+        if (!endpoint.bulk) return null;
+        const maxItems = parseInt(endpoint.bulk.maxItems, 10);
+        return { maxItems: maxItems > 0 ? maxItems : DEFAULT_MAX_ITEMS };
+    }
+
+    /**
+     * Extracts the items of a bulk create request, sent as an array or as `{ items: [...] }`.
+     * @param {any} body - Request body.
+     * @param {number} maxItems - Maximum number of items per request.
+     * @returns {Array<Object>}
+     */
+    static parseItems(body, maxItems) {
+        const items = Array.isArray(body) ? body : body && body.items;
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new BulkOperationError('Request body must be a non-empty array of records');
+        }
+        if (items.length > maxItems) {
+            throw new BulkOperationError(`A bulk request accepts at most ${maxItems} records`, 413);
+        }
+        return items;
+    }
+
+    /**
+     * Checks that a record does not claim another user's ownership, and stamps the
+     * owner column on records that do not set it.
+     * @param {Object} fields - Writable fields of the record; mutated.
+     * @param {Object} owner - Endpoint owner configuration ({ column, tokenField }).
+     * @param {Object} user - Authenticated user.
+     * @param {boolean} stamp - Whether to set the owner column when missing.
+     */
+    static applyOwner(fields, owner, user, stamp) {
+        if (!owner) return;
+        const ownerValue = user[owner.tokenField];
+        if (fields[owner.column] !== undefined && String(fields[owner.column]) !== String(ownerValue)) {
+            throw new BulkItemError('Cannot write records owned by another user', 403);
+        }
+        if (stamp) {
+            fields[owner.column] = ownerValue;
+        }
+    }
+
+    /**
+     * Builds the INSERT statement for one record.
+     * @param {Object} item - Record from the request.
+     * @param {Object} options - { dbTable, allowWrite, owner, user, tenant }; `tenant` is the scope from tenancy.tenantScope().
+     * @returns {{query: string, values: Array}}
+     */
+    static buildInsert(item, { dbTable, allowWrite, owner, user, tenant }) {
+        if (!isPlainObject(item)) {
+            throw new BulkItemError('Record must be an object');
+        }
+        const fields = {};
+        Object.keys(item)
+            .filter((key) => allowWrite.includes(key))
+            .forEach((key) => { fields[key] = item[key]; });
+        if (Object.keys(fields).length === 0) {
+            throw new BulkItemError('No writable fields provided');
+        }
+        BulkRouteHandler.applyOwner(fields, owner, user, true);
+        applyTenant(fields, tenant, true);
+
+        const columns = Object.keys(fields);
+        const placeholders = columns.map(() => '?').join(', ');
+        return {
+            query: `INSERT INTO ${dbTable} (${columns.join(', ')}) VALUES (${placeholders})`,
+            values: columns.map((column) => serializeValue(fields[column])),
+        };
+    }
+
+    /**
+     * Builds the UPDATE statement for one record.
+     * @param {string|number} recordId - Primary key value.
+     * @param {Object} data - Fields to update.
+     * @param {Object} options - { dbTable, primaryKey, allowWrite, owner, user, tenant, softDeleteColumn, versionColumn }.
+     * @returns {{query: string, values: Array}}
+     */
+    static buildUpdate(recordId, data, { dbTable, primaryKey, allowWrite, owner, user, tenant, softDeleteColumn, versionColumn }) {
+        const fields = {};
+        Object.keys(data)
+            .filter((key) => allowWrite.includes(key) && key !== versionColumn)
+            .forEach((key) => { fields[key] = data[key]; });
+        if (Object.keys(fields).length === 0) {
+            throw new BulkItemError('No writable fields provided');
+        }
+        BulkRouteHandler.applyOwner(fields, owner, user, false);
+        applyTenant(fields, tenant, false);
+
+        const columns = Object.keys(fields);
+        const assignments = [...columns.map((column) => `${column} = ?`), ...versionIncrement({ versionColumn })];
+        let query = `UPDATE ${dbTable} SET ${assignments.join(', ')} WHERE ${primaryKey} = ?`;
+        const values = [...columns.map((column) => serializeValue(fields[column])), recordId];
+        if (softDeleteColumn) {
+            query += ` AND ${dbTable}.${softDeleteColumn} IS NULL`;
+        }
+        if (owner) {
+            query += ` AND ${dbTable}.${owner.column} = ?`;
+            values.push(user[owner.tokenField]);
+        }
+        if (tenant && tenant.id !== null) {
+            query += ` AND ${dbTable}.${tenant.column} = ?`;
+            values.push(tenant.id);
+        }
+        return { query, values };
+    }
+
+    /**
+     * Builds the DELETE statement for one record, or the UPDATE stamping the
+     * deletion column on soft delete endpoints.
+     * @param {string|number} recordId - Primary key value.
+     * @param {Object} options - { dbTable, primaryKey, owner, user, tenant, softDeleteColumn }.
+     * @returns {{query: string, values: Array}}
+     */
+    static buildDelete(recordId, { dbTable, primaryKey, owner, user, tenant, softDeleteColumn }) {
+        let query = `DELETE FROM ${dbTable} WHERE ${primaryKey} = ?`;
+        const values = [recordId];
+        if (softDeleteColumn) {
+            query = `UPDATE ${dbTable} SET ${softDeleteColumn} = ? WHERE ${primaryKey} = ? AND ${dbTable}.${softDeleteColumn} IS NULL`;
+            values.unshift(new Date());
+        }
+        if (owner) {
+            query += ` AND ${dbTable}.${owner.column} = ?`;
+            values.push(user[owner.tokenField]);
+        }
+        if (tenant && tenant.id !== null) {
+            query += ` AND ${dbTable}.${tenant.column} = ?`;
+            values.push(tenant.id);
+        }
+        return { query, values };
+    }
+
+    /**
+     * Builds the query selecting the primary keys targeted by a bulk update or delete,
+     * from either an id list or a filter object (same syntax as `filter` on GET).
+     * Owner endpoints only match the caller's own records, tenant-scoped endpoints the records
+     * of the request's tenant, soft delete endpoints only live ones.
+     * @param {Object} selection - { ids, filter } from the request body.
+     * @param {Object} options - { dbTable, primaryKey, allowRead, owner, user, tenant, maxItems, softDeleteColumn }.
+     * @returns {{query: string, values: Array}}
+     */
+    static buildSelection({ ids, filter }, { dbTable, primaryKey, allowRead, owner, user, tenant, maxItems, softDeleteColumn }) {
+        const conditions = [];
+        const values = [];
+
+        if (Array.isArray(ids) && ids.length > 0) {
+            if (ids.length > maxItems) {
+                throw new BulkOperationError(`A bulk request accepts at most ${maxItems} records`, 413);
+            }
+            conditions.push(`${dbTable}.${primaryKey} IN (${ids.map(() => '?').join(', ')})`);
+            values.push(...ids);
+        } else if (isPlainObject(filter) && Object.keys(filter).length > 0) {
+            const filterClause = buildFilterClause(filter, dbTable, allowRead);
+            conditions.push(filterClause.clause);
+            values.push(...filterClause.values);
+        } else {
+            // Refuse to touch the whole table by accident.
+            throw new BulkOperationError('Provide a non-empty "ids" array or "filter" object');
+        }
+
+        if (owner) {
+            conditions.push(`${dbTable}.${owner.column} = ?`);
+            values.push(user[owner.tokenField]);
+        }
+        if (tenant && tenant.id !== null) {
+            conditions.push(`${dbTable}.${tenant.column} = ?`);
+            values.push(tenant.id);
+        }
+        if (softDeleteColumn) {
+            conditions.push(`${dbTable}.${softDeleteColumn} IS NULL`);
+        }
+
+        return {
+            // One extra row tells us the selection is over the limit.
+            query: `SELECT ${dbTable}.${primaryKey} FROM ${dbTable} WHERE ${conditions.join(' AND ')} LIMIT ${maxItems + 1}`,
+            values,
+        };
+    }
+
+    /**
+     * Summarizes per-item results into the response payload.
+     * @param {Array<Object>} results - Per-item results.
+     * @param {boolean} committed - Whether the transaction was committed.
+     * @returns {Object}
+     */
+    static buildReport(results, committed) {
+        const failed = results.filter((result) => result.status === 'failed').length;
+        return {
+            success: committed,
+            committed,
+            summary: {
+                total: results.length,
+                succeeded: committed ? results.length : 0,
+                failed,
+            },
+            results,
+        };
+    }
+
+    /**
+     * Register the bulk routes of a database endpoint when `bulk` is enabled.
+     * Must be called before the `/:primaryKey` routes so `_bulk` is not taken for a key.
+     * @param {Object} app - Express application instance.
+     * @param {Object} endpoint - Endpoint configuration from apiConfig.json.
+     * @param {Object} services - { responseCache, changeFeed, uuidTools }.
+     */
+    static registerBulkRoutes(app, endpoint, { responseCache, changeFeed, uuidTools }) {
+        const options = BulkRouteHandler.getBulkOptions(endpoint);
+        if (!options) return;
+
+        const { route, dbTable, allowRead = [], allowWrite = [], keys, acl, auth, owner } = endpoint;
+        const allowedMethods = (endpoint.allowMethods || ['GET', 'POST', 'PUT', 'DELETE', 'PATCH']).map((m) => m.toUpperCase());
+        const primaryKey = keys && keys.length > 0 ? keys[0] : null;
+        const softDeleteColumn = getSoftDeleteColumn(endpoint);
+        const bulkRoute = `${route}/_bulk`;
+        const unauthorized = (endpoint.errorCodes && endpoint.errorCodes.unauthorized) ? endpoint.errorCodes.unauthorized : unauthorizedResponse;
+        const middlewares = aarMiddleware(auth, { acl, unauthorized }, app.locals.ruleEngineMiddleware);
+        const pathSegments = route.split('/').filter(Boolean);
+        const entityName = pathSegments.includes('api') ? pathSegments[pathSegments.indexOf('api') + 1] : pathSegments[0];
+
+        const usesUuid = primaryKey && endpoint.uuidMapping && (
+            endpoint.uuidMapping === true ||
+            (Array.isArray(endpoint.uuidMapping) && endpoint.uuidMapping.includes(primaryKey))
+        );
+
+        const runRules = async (eventType, record, req) => {
+            const ruleEngine = app.locals.ruleEngineMiddleware;
+            if (!ruleEngine || typeof ruleEngine.processRecord !== 'function') return null;
+            return ruleEngine.processRecord(eventType, entityName, record, req);
+        };
+
+        const getUser = () => {
+            const user = getContext('user');
+            if (owner && !user) {
+                throw new BulkOperationError('Unauthorized', 401);
+            }
+            return user;
+        };
+
+        // Tenant scope of the current request; throws a 403 QueryBuilderError when unresolved.
+        const getTenant = () => tenantScope(endpoint, currentTenant());
+
+        // allowWrite narrowed by fieldAcl. In "deny" mode a restricted field in the data fails the whole request.
+        const writableFor = (user, data) => {
+            if (isPlainObject(data)) {
+                permittedWriteFields(endpoint, user, Object.keys(data).filter((key) => allowWrite.includes(key)));
+            }
+            return writableFields(endpoint, user, allowWrite);
+        };
+
+        /**
+         * Fails an update/delete that matched no row: the record was deleted, moved out of the scope
+         * of the request or, with a versionColumn, changed since the targets were selected.
+         * Without a versionColumn, MySQL reports 0 rows for an update that changed nothing.
+         */
+        const checkAffected = async (transaction, statement, result) => {
+            if (statement.recordId === undefined || affectedRowCount(result) !== 0) return;
+            const current = await loadRecordVersion(transaction, endpoint, primaryKey, statement.recordId, getContext('user'), currentTenant());
+            if (!current) {
+                throw new BulkItemError('Record not found', 404);
+            }
+            if (endpoint.versionColumn) {
+                throw new BulkItemError('Precondition Failed: the record has been modified', 412);
+            }
+        };
+
+        /**
+         * Writes the prepared statements in one transaction, on a dedicated connection. On failure
+         * the transaction is rolled back and the failing item is reported; the others are reported
+         * as rolled back. Statements may carry the `recordId` they write, used for the change events;
+         * updates and deletes of a record that match no row fail the batch.
+         * Databases without transactions refuse bulk writes with a 501.
+         */
+        const executeBatch = async (res, method, statements, results, successStatus, successCode) => {
+            let transaction;
+            try {
+                transaction = await getTransactionConnection(endpoint);
+            } catch (error) {
+                return handleError(res, method, error);
+            }
+
+            let current = -1;
+            try {
+                for (current = 0; current < statements.length; current++) {
+                    const [result] = await transaction.execute(statements[current].query, statements[current].values);
+                    if (method !== 'POST') {
+                        await checkAffected(transaction, statements[current], result);
+                    }
+                    results[current].status = successStatus;
+                    if (method === 'POST' && result && result.insertId !== undefined) {
+                        results[current].id = result.insertId;
+                    }
+                    if (statements[current].recordId === undefined) {
+                        statements[current].recordId = results[current].id;
+                    }
+                }
+                await transaction.commit();
+            } catch (error) {
+                await transaction.rollback().catch(console.error);
+                console.error(`Error in ${method} ${bulkRoute}:`, error);
+                results.forEach((result, index) => {
+                    if (index === current) {
+                        result.status = 'failed';
+                        result.error = error.message;
+                    } else {
+                        result.status = 'rolled_back';
+                    }
+                });
+                return res.status(error instanceof BulkItemError ? error.statusCode : 400).json(BulkRouteHandler.buildReport(results, false));
+            } finally {
+                transaction.release();
+            }
+
+            if (responseCache) {
+                await responseCache.invalidateTags([dbTable], `${method} ${bulkRoute}`);
+            }
+            if (changeFeed) {
+                const operation = { POST: 'create', PATCH: 'update', DELETE: 'delete' }[method];
+                const connection = await getDbConnection(endpoint);
+                await changeFeed.publishRecords(connection, endpoint, operation, statements.map((statement) => statement.recordId), getContext('user'), currentTenant());
+            }
+            consolelog.log(`${method} ${bulkRoute}: ${statements.length} records ${successStatus}`);
+            return res.status(successCode).json(BulkRouteHandler.buildReport(results, true));
+        };
+
+        // Items that failed validation or rules abort the batch before anything is written.
+        const rejectIfFailed = (res, results) => {
+            if (!results.some((result) => result.status === 'failed')) return false;
+            results.forEach((result) => {
+                if (result.status === 'pending') result.status = 'skipped';
+            });
+            res.status(422).json(BulkRouteHandler.buildReport(results, false));
+            return true;
+        };
+
+        /**
+         * Resolves the targets of a bulk update/delete to primary keys, reporting
+         * requested ids that do not exist, are not owned by the caller or are invalid UUIDs.
+         */
+        const resolveTargets = async (body, user) => {
+            const requestedIds = Array.isArray(body.ids) ? body.ids : null;
+            const targets = [];
+            let ids = null;
+
+            if (requestedIds) {
+                ids = [];
+                for (const requestedId of requestedIds) {
+                    let recordId = requestedId;
+                    if (usesUuid) {
+                        recordId = await uuidTools.getOriginalIdFromUUID(dbTable, primaryKey, requestedId);
+                        if (!recordId) {
+                            targets.push({ id: requestedId, recordId: null, error: 'Invalid UUID provided' });
+                            continue;
+                        }
+                    }
+                    ids.push(recordId);
+                    targets.push({ id: requestedId, recordId });
+                }
+                if (ids.length === 0) {
+                    return targets;
+                }
+            }
+
+            const selection = BulkRouteHandler.buildSelection(
+                { ids, filter: requestedIds ? null : body.filter },
+                { dbTable, primaryKey, allowRead: readableFields(endpoint, user, allowRead), owner, user, tenant: getTenant(), maxItems: options.maxItems, softDeleteColumn }
+            );
+            const connection = await getDbConnection(endpoint);
+            const [rows] = await connection.execute(selection.query, selection.values);
+            if (rows.length > options.maxItems) {
+                throw new BulkOperationError(`The selection matches more than ${options.maxItems} records`, 413);
+            }
+            const found = new Set(rows.map((row) => String(row[primaryKey])));
+
+            if (!requestedIds) {
+                return rows.map((row) => ({ id: row[primaryKey], recordId: row[primaryKey] }));
+            }
+            targets.forEach((target) => {
+                if (!target.error && !found.has(String(target.recordId))) {
+                    target.error = 'Record not found';
+                }
+            });
+            return targets;
+        };
+
+        const handleError = (res, method, error) => {
+            if (error instanceof BulkOperationError || error instanceof QueryBuilderError || error instanceof TransactionError) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            console.error(`Error in ${method} ${bulkRoute}:`, error);
+            return res.status(500).json({ error: 'Internal Server Error' });
+        };
+
+        if (allowedMethods.includes('POST')) {
+            app.post(bulkRoute, middlewares, async (req, res) => {
+                try {
+                    const items = BulkRouteHandler.parseItems(req.body, options.maxItems);
+                    const user = getUser();
+                    const tenant = getTenant();
+                    const results = items.map((item, index) => ({ index, status: 'pending' }));
+                    const statements = [];
+
+                    for (let index = 0; index < items.length; index++) {
+                        const record = isPlainObject(items[index]) ? { ...items[index] } : items[index];
+                        try {
+                            if (isPlainObject(record)) {
+                                const rejection = await runRules('POST', record, req);
+                                if (rejection) throw new BulkItemError(rejection.error, rejection.status);
+                            }
+                            const writable = writableFor(user, record);
+                            statements.push({
+                                ...BulkRouteHandler.buildInsert(record, { dbTable, allowWrite: writable, owner, user, tenant }),
+                                recordId: primaryKey && writable.includes(primaryKey) ? record[primaryKey] : undefined,
+                            });
+                        } catch (error) {
+                            if (!(error instanceof BulkItemError)) throw error;
+                            Object.assign(results[index], { status: 'failed', error: error.message });
+                        }
+                    }
+
+                    if (rejectIfFailed(res, results)) return;
+                    return executeBatch(res, 'POST', statements, results, 'created', 201);
+                } catch (error) {
+                    return handleError(res, 'POST', error);
+                }
+            });
+        }
+
+        if (!primaryKey) {
+            console.log(`Skipping bulk PATCH, DELETE for ${route} as no keys are defined.`);
+            return;
+        }
+
+        if (allowedMethods.includes('PATCH')) {
+            app.patch(bulkRoute, middlewares, async (req, res) => {
+                try {
+                    const body = req.body || {};
+                    const user = getUser();
+                    const tenant = getTenant();
+                    const writable = writableFor(user, body.data);
+                    if (!isPlainObject(body.data) || !Object.keys(body.data).some((key) => writable.includes(key))) {
+                        throw new BulkOperationError('No writable fields provided');
+                    }
+                    const targets = await resolveTargets(body, user);
+                    const results = targets.map((target, index) => ({ index, id: target.id, status: 'pending' }));
+                    const statements = [];
+
+                    for (let index = 0; index < targets.length; index++) {
+                        const target = targets[index];
+                        try {
+                            if (target.error) throw new BulkItemError(target.error, 404);
+                            const record = { [primaryKey]: target.recordId, ...body.data };
+                            const rejection = await runRules('PATCH', record, req);
+                            if (rejection) throw new BulkItemError(rejection.error, rejection.status);
+                            delete record[primaryKey];
+                            statements.push({
+                                ...BulkRouteHandler.buildUpdate(target.recordId, record, { dbTable, primaryKey, allowWrite: writable, owner, user, tenant, softDeleteColumn, versionColumn: endpoint.versionColumn }),
+                                recordId: target.recordId,
+                            });
+                        } catch (error) {
+                            if (!(error instanceof BulkItemError)) throw error;
+                            Object.assign(results[index], { status: 'failed', error: error.message });
+                        }
+                    }
+
+                    if (rejectIfFailed(res, results)) return;
+                    return executeBatch(res, 'PATCH', statements, results, 'updated', 200);
+                } catch (error) {
+                    return handleError(res, 'PATCH', error);
+                }
+            });
+        }
+
+        if (allowedMethods.includes('DELETE')) {
+            app.delete(bulkRoute, middlewares, async (req, res) => {
+                try {
+                    const body = req.body || {};
+                    const user = getUser();
+                    const tenant = getTenant();
+                    const targets = await resolveTargets(body, user);
+                    const results = targets.map((target, index) => ({ index, id: target.id, status: 'pending' }));
+                    const statements = [];
+
+                    for (let index = 0; index < targets.length; index++) {
+                        const target = targets[index];
+                        try {
+                            if (target.error) throw new BulkItemError(target.error, 404);
+                            const rejection = await runRules('DELETE', { [primaryKey]: target.recordId }, req);
+                            if (rejection) throw new BulkItemError(rejection.error, rejection.status);
+                            statements.push({
+                                ...BulkRouteHandler.buildDelete(target.recordId, { dbTable, primaryKey, owner, user, tenant, softDeleteColumn }),
+                                recordId: target.recordId,
+                            });
+                        } catch (error) {
+                            if (!(error instanceof BulkItemError)) throw error;
+                            Object.assign(results[index], { status: 'failed', error: error.message });
+                        }
+                    }
+
+                    if (rejectIfFailed(res, results)) return;
+                    return executeBatch(res, 'DELETE', statements, results, 'deleted', 200);
+                } catch (error) {
+                    return handleError(res, 'DELETE', error);
+                }
+            });
+        }
+    }
+}
+
+BulkRouteHandler.BulkOperationError = BulkOperationError;
+BulkRouteHandler.BulkItemError = BulkItemError;
+
+module.exports = BulkRouteHandler;
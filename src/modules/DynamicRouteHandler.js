@@ -7,6 +7,8 @@ const consolelog = require('./logger');
 const { aarMiddleware } = require('../middleware/aarMiddleware');
 const responseBus = require('./response');
 const { getContext } = require('./context');         // Import the shared globalContext and getContext
+const { buildCursorQuery, buildCursorPage, QueryBuilderError } = require('./queryBuilder');
+const { currentTenant, tenantCondition } = require('./tenancy');
         // Import the RateLimit class
 const unauthorizedResponse = responseBus.unauthorized(); // Import the unauthorized response from the response module
 /**
@@ -215,6 +217,15 @@ class DynamicRouteHandler {
             let finalSql = ensureWhereClause(sqlQuery);
             const queryParams = [];
 
+            // With tenancy enabled the query is limited to the request's tenant. The column is not
+            // qualified: set `tenantColumn` (e.g. "o.tenant_id") when the query joins tables, or
+            // `"tenant": false` for queries on shared tables.
+            const tenantScoped = tenantCondition(endpoint, currentTenant(), null);
+            if (tenantScoped) {
+              finalSql += " AND " + tenantScoped.clause;
+              queryParams.push(...tenantScoped.values);
+            }
+
             // Process each searchable key specified in the keys array.
             // For each key present in the request data, add a filter.
             if (Array.isArray(keys) && keys.length > 0) {
@@ -238,7 +249,42 @@ class DynamicRouteHandler {
             }
 
             const dbConnection = await getDbConnection(endpoint);
-            const [queryResult] = await dbConnection.execute(finalSql, queryParams);
+
+            // Cursor pagination: the configured SQL is narrowed with a keyset predicate on
+            // `cursorKey` (defaults to keys[0]) and any client sort column, then ordered and limited.
+            let cursorQuery = null;
+            let totalRecords;
+            if (endpoint.pagination === 'cursor') {
+              const primaryKey = endpoint.cursorKey || (Array.isArray(keys) && keys[0]) || 'id';
+              cursorQuery = buildCursorQuery({
+                sortParam: data.sort,
+                cursor: data.cursor,
+                primaryKey,
+                dbTable: null,
+                allowedFields: endpoint.allowRead || (Array.isArray(keys) && keys.length ? keys : [primaryKey]),
+                limit: data.limit,
+                // The cursor carries the raw keys, which must not leak past the UUID mapping
+                sealed: Array.isArray(uuidMapping) && uuidMapping.length > 0,
+              });
+              if (String(data.includeTotal) === 'true') {
+                const [countResult] = await dbConnection.execute(`SELECT COUNT(*) AS totalCount FROM (${finalSql}) AS cursor_total`, queryParams);
+                totalRecords = countResult[0]?.totalCount || 0;
+              }
+              if (cursorQuery.clause) {
+                finalSql += " AND " + cursorQuery.clause;
+                queryParams.push(...cursorQuery.values);
+              }
+              finalSql += ` ${cursorQuery.orderByClause} ${cursorQuery.limitClause}`;
+            }
+
+            let [queryResult] = await dbConnection.execute(finalSql, queryParams);
+
+            // Cursors must be built from the raw values, before any UUID substitution below.
+            let cursorPage = null;
+            if (cursorQuery) {
+              cursorPage = buildCursorPage(queryResult, cursorQuery);
+              queryResult = cursorPage.rows;
+            }
 
             // For response encryption, iterate over the keys in uuidMapping only.
             if (Array.isArray(uuidMapping) && queryResult.length > 0) {
@@ -263,6 +309,19 @@ class DynamicRouteHandler {
               }
             }
 
+            if (cursorPage) {
+              return res.json({
+                message: 'SQL query executed successfully',
+                result: queryResult,
+                metadata: {
+                  limit: cursorQuery.limit,
+                  nextCursor: cursorPage.nextCursor,
+                  prevCursor: cursorPage.prevCursor,
+                  hasMore: cursorPage.hasMore,
+                  ...(totalRecords !== undefined ? { totalRecords } : {})
+                }
+              });
+            }
             return res.json({ message: 'SQL query executed successfully', result: queryResult });
           }
 
@@ -279,6 +338,9 @@ class DynamicRouteHandler {
           });
 
         } catch (error) {
+          if (error instanceof QueryBuilderError) {
+            return res.status(error.statusCode).json({ error: error.message });
+          }
           console.error(`Error processing route ${route}:`, error.message);
           return res.status(500).json({ error: 'Internal Server Error', details: error.message });
         }
@@ -54,24 +54,26 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'events',
       allowWrite: [
-        'id', 'event_type', 'user_id', 'page_url', 'user_agent',
-        'ip_address', 'event_data'
+        'id', 'event_id', 'event_type', 'user_id', 'page_url', 'user_agent',
+        'ip_address', 'event_data', 'consent'
       ],
       allowRead: [
-        'id', 'event_type', 'user_id', 'page_url', 'user_agent',
-        'ip_address', 'event_data', 'created_at'
+        'id', 'event_id', 'event_type', 'user_id', 'page_url', 'user_agent',
+        'ip_address', 'event_data', 'consent', 'created_at'
       ],
       keys: ['id'],
       acl: ['adminAccess'],
       cache: 0,
       columnDefinitions: {
         id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        event_id: 'VARCHAR(36)',
         event_type: 'VARCHAR(255) NOT NULL',
         user_id: 'VARCHAR(255) NOT NULL',
         page_url: 'TEXT NOT NULL',
         user_agent: 'TEXT',
         ip_address: 'VARCHAR(255)',
         event_data: 'JSON',
+        consent: 'VARCHAR(100)',
         created_at: 'DATETIME DEFAULT CURRENT_TIMESTAMP'
       }
     },
@@ -82,11 +84,11 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'pageviews',
       allowWrite: [
-        'pageview_id', 'event_id', 'url', 'path', 'title',
+        'pageview_id', 'event_id', 'user_id', 'url', 'path', 'title',
         'referrer', 'time_on_page', 'is_bounce', 'is_exit'
       ],
       allowRead: [
-        'pageview_id', 'event_id', 'url', 'path', 'title',
+        'pageview_id', 'event_id', 'user_id', 'url', 'path', 'title',
         'referrer', 'time_on_page', 'is_bounce', 'is_exit'
       ],
       keys: ['pageview_id'],
@@ -94,7 +96,8 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       cache: 0,
       columnDefinitions: {
         pageview_id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
-        event_id: 'BIGINT NOT NULL',
+        event_id: 'VARCHAR(36) NOT NULL',
+        user_id: 'VARCHAR(255)',
         url: 'TEXT NOT NULL',
         path: 'TEXT NOT NULL',
         title: 'TEXT',
@@ -111,11 +114,11 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'clicks',
       allowWrite: [
-        'click_id', 'event_id', 'element_type', 'element_text',
+        'click_id', 'event_id', 'user_id', 'element_type', 'element_text',
         'element_id', 'element_class', 'element_path', 'href'
       ],
       allowRead: [
-        'click_id', 'event_id', 'element_type', 'element_text',
+        'click_id', 'event_id', 'user_id', 'element_type', 'element_text',
         'element_id', 'element_class', 'element_path', 'href'
       ],
       keys: ['click_id'],
@@ -123,7 +126,8 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       cache: 0,
       columnDefinitions: {
         click_id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
-        event_id: 'BIGINT NOT NULL',
+        event_id: 'VARCHAR(36) NOT NULL',
+        user_id: 'VARCHAR(255)',
         element_type: 'VARCHAR(50)',
         element_text: 'TEXT',
         element_id: 'VARCHAR(100)',
@@ -138,14 +142,15 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbType: process.env.DEFAULT_DBTYPE || 'mysql',
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'form_submissions',
-      allowWrite: ['form_id', 'event_id', 'form_name', 'form_action', 'form_fields'],
-      allowRead: ['form_id', 'event_id', 'form_name', 'form_action', 'form_fields'],
+      allowWrite: ['form_id', 'event_id', 'user_id', 'form_name', 'form_action', 'form_fields'],
+      allowRead: ['form_id', 'event_id', 'user_id', 'form_name', 'form_action', 'form_fields'],
       keys: ['form_id'],
       acl: ['adminAccess'],
       cache: 0,
       columnDefinitions: {
         form_id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
-        event_id: 'BIGINT NOT NULL',
+        event_id: 'VARCHAR(36) NOT NULL',
+        user_id: 'VARCHAR(255)',
         form_name: 'VARCHAR(100)',
         form_action: 'TEXT',
         form_fields: 'JSON'
@@ -158,11 +163,11 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'product_views',
       allowWrite: [
-        'product_view_id', 'event_id', 'product_id', 'product_name',
+        'product_view_id', 'event_id', 'user_id', 'product_id', 'product_name',
         'product_price', 'product_category', 'product_brand', 'product_variant'
       ],
       allowRead: [
-        'product_view_id', 'event_id', 'product_id', 'product_name',
+        'product_view_id', 'event_id', 'user_id', 'product_id', 'product_name',
         'product_price', 'product_category', 'product_brand', 'product_variant'
       ],
       keys: ['product_view_id'],
@@ -170,7 +175,8 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       cache: 0,
       columnDefinitions: {
         product_view_id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
-        event_id: 'BIGINT NOT NULL',
+        event_id: 'VARCHAR(36) NOT NULL',
+        user_id: 'VARCHAR(255)',
         product_id: 'VARCHAR(100) NOT NULL',
         product_name: 'TEXT',
         product_price: 'DECIMAL(10,2)',
@@ -186,11 +192,11 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'cart_actions',
       allowWrite: [
-        'cart_action_id', 'event_id', 'action_type', 'product_id',
+        'cart_action_id', 'event_id', 'user_id', 'action_type', 'product_id',
         'product_name', 'product_price', 'quantity', 'total_value'
       ],
       allowRead: [
-        'cart_action_id', 'event_id', 'action_type', 'product_id',
+        'cart_action_id', 'event_id', 'user_id', 'action_type', 'product_id',
         'product_name', 'product_price', 'quantity', 'total_value'
       ],
       keys: ['cart_action_id'],
@@ -198,7 +204,8 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       cache: 0,
       columnDefinitions: {
         cart_action_id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
-        event_id: 'BIGINT NOT NULL',
+        event_id: 'VARCHAR(36) NOT NULL',
+        user_id: 'VARCHAR(255)',
         action_type: 'VARCHAR(20) NOT NULL',
         product_id: 'VARCHAR(100) NOT NULL',
         product_name: 'TEXT',
@@ -214,11 +221,11 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
       dbTable: 'purchases',
       allowWrite: [
-        'purchase_id', 'event_id', 'transaction_id', 'revenue',
+        'purchase_id', 'event_id', 'user_id', 'transaction_id', 'revenue',
         'tax', 'shipping', 'currency', 'coupon_code', 'items'
       ],
       allowRead: [
-        'purchase_id', 'event_id', 'transaction_id', 'revenue',
+        'purchase_id', 'event_id', 'user_id', 'transaction_id', 'revenue',
         'tax', 'shipping', 'currency', 'coupon_code', 'items'
       ],
       keys: ['purchase_id'],
@@ -226,7 +233,8 @@ const ECOMMTRACKER_TABLE_SCHEMAS = {
       cache: 0,
       columnDefinitions: {
         purchase_id: 'BIGINT AUTO_INCREMENT PRIMARY KEY',
-        event_id: 'BIGINT NOT NULL',
+        event_id: 'VARCHAR(36) NOT NULL',
+        user_id: 'VARCHAR(255)',
         transaction_id: 'VARCHAR(100) NOT NULL',
         revenue: 'DECIMAL(10,2) NOT NULL',
         tax: 'DECIMAL(10,2)',
@@ -8,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 const UAParser = require('ua-parser-js');
 const eventLogger  = require('./EventLogger');
+const { applyConsent, EVENT_TABLES } = require('./trackingPrivacy');
 
 class EcommerceTracker {
     constructor(globalContext, dbConfig) {
@@ -34,9 +35,8 @@ class EcommerceTracker {
     async trackEvent(ctx, params) {
 
         try {
-            console.log("Batch Single Events:", params);
             const result = await this._processEvent(this.dbConfig, params);
-            return { success: true, id: result.eventId };
+            return { success: true, id: result.eventId, dropped: result.dropped };
         } catch (error) {
 
             console.error("Error in trackEvent:", error.message);
@@ -52,10 +52,6 @@ class EcommerceTracker {
             return { success: false, error: "No events provided" };
         }
 
-      console.log("Batch events:", params);
-      
-
-      
         try {
       
             
@@ -71,7 +67,10 @@ class EcommerceTracker {
                     url: params.url || eventData.url,
                     referrer: params.referrer,
                     userAgent: params.userAgent,
-                    viewport: params.viewport
+                    viewport: params.viewport,
+                    ipAddress: params.ipAddress,
+                    // Consent when the event was tracked, else of the batch
+                    consent: eventData.consent !== undefined ? eventData.consent : params.consent
                 };
                 
                 const result = await this._processEvent(this.dbConfig, fullEventData);
@@ -97,17 +96,24 @@ class EcommerceTracker {
                 dbConfig = this.dbConfig;
             }
 
-            // 1. Get user ID from data or generate one
-            const userId = eventData.userId || eventData.user_id || uuidv4();
-
             // Check if event has a name/type - required field
             if (!eventData.name ) {
                 throw new Error("Event type is required in the form of name",eventData);
             }
 
+            // Drop or anonymize the event according to the consent of the visitor
+            const consented = applyConsent(eventData);
+            if (!consented) {
+                return { eventId: null, userId: null, dropped: true };
+            }
+            eventData = consented;
+
+            // 1. Get user ID from data or generate one
+            const userId = eventData.userId || eventData.user_id || uuidv4();
+
             // 2. Store the main event - we don't need session tracking in this version
             const eventId = await this._storeEvent(dbConfig, { ...eventData, userId });
-            await this._processEventSpecificData(dbConfig, { ...eventData, eventId });
+            await this._processEventSpecificData(dbConfig, { ...eventData, userId, eventId });
 
             // 3. Process event-specific data based on event name if needed
             // Skip session/user management for now since the schema is different
@@ -274,6 +280,7 @@ class EcommerceTracker {
           user_agent: data.userAgent || null,
           ip_address: data.ipAddress || null,
           event_data: eventData,
+          consent:    (data.consent || []).join(','),
           created_at: timestamp
         };
 
@@ -336,7 +343,7 @@ class EcommerceTracker {
      * @private
      */
     async _processPageview(_, data) {
-        const { eventId, data: eventData = {}, url } = data;
+        const { eventId, userId, data: eventData = {}, url } = data;
         if (!url) return;
       
         const urlObj = new URL(url);
@@ -344,6 +351,7 @@ class EcommerceTracker {
       
         const payload = {
           event_id: eventId           || null,
+          user_id:  userId            || null,
           url:      url               || null,
           path:     path              || null,
           title:    eventData.title   || null,
@@ -358,10 +366,11 @@ class EcommerceTracker {
       }
       
       async _processClick(_, data) {
-        const { eventId, data: eventData = {} } = data;
+        const { eventId, userId, data: eventData = {} } = data;
       
         const payload = {
           event_id:     eventId                      || null,
+          user_id:      userId                       || null,
           element_type: eventData.element            || null,
           element_text: eventData.text               || null,
           element_id:   eventData.id                 || null,
@@ -383,10 +392,11 @@ class EcommerceTracker {
      * @private
      */
     async _processFormSubmission(_, data) {
-        const { eventId, data: eventData = {} } = data;
+        const { eventId, userId, data: eventData = {} } = data;
       
         const payload = {
           event_id:    eventId                   || null,
+          user_id:     userId                    || null,
           form_name:   eventData.formName        || null,
           form_action: eventData.formAction      || null,
           form_fields: JSON.stringify(eventData.formFields || [])
@@ -405,11 +415,12 @@ class EcommerceTracker {
      * @private
      */
     async _processProductView(_, data) {
-        const { eventId, data: eventData = {} } = data;
+        const { eventId, userId, data: eventData = {} } = data;
         if (!eventData.id) return;
       
         const payload = {
           event_id:        eventId || null,
+          user_id:         userId  || null,
           product_id:      eventData.id,
           product_name:    eventData.name || null,
           product_price:   eventData.price || null,
@@ -431,7 +442,7 @@ class EcommerceTracker {
      * @private
      */
     async _processCartAction(_, data) {
-        const { eventId, name: eventName, data: eventData = {} } = data;
+        const { eventId, userId, name: eventName, data: eventData = {} } = data;
         if (!eventData.id) return;
       
         // Determine action type
@@ -445,6 +456,7 @@ class EcommerceTracker {
         // Build payload matching cart_actions table
         const payload = {
           event_id:     eventId   || null,
+          user_id:      userId    || null,
           action_type:  actionType,
           product_id:   eventData.id,
           product_name: eventData.name    || null,
@@ -466,11 +478,12 @@ class EcommerceTracker {
      * @private
      */
     async _processPurchase(_, data) {
-        const { eventId, data: eventData = {} } = data;
+        const { eventId, userId, data: eventData = {} } = data;
         if (!eventData.transaction_id) return;
       
         const payload = {
           event_id:        eventId || null,
+          user_id:         userId  || null,
           transaction_id:  eventData.transaction_id || null,
           revenue:         eventData.value        || 0,
           tax:             eventData.tax          || null,
@@ -552,14 +565,13 @@ class EcommerceTracker {
             try {
                 // Validate required fields
                 if (!req.body.name ) {
-                    console.log(JSON.stringify(req.body));
                     return res.status(400).json({ 
                         success: false, 
                         error: "Event name is required" 
                     });
                 }
                 
-                const result = await this.trackEvent({ config: { db: this.dbConfig } }, req.body);
+                const result = await this.trackEvent({ config: { db: this.dbConfig } }, { ...req.body, ipAddress: req.ip });
                 res.status(200).json(result);
             } catch (error) {
                 console.error("API Error:", error);
@@ -574,7 +586,6 @@ class EcommerceTracker {
           // Endpoint for single event tracking
           app.post('/api/trackevent', eventLimiter, async (req, res) => {
             try {
-                console.log(req.body);
                 if (Array.isArray(req.body.events) || req.body.events.length > 0) {
                     
                     
@@ -589,7 +600,7 @@ class EcommerceTracker {
                         }
                     }
                     
-                    const result = await this.trackBatchEvents({ config: { db: this.dbConfig } }, req.body);
+                    const result = await this.trackBatchEvents({ config: { db: this.dbConfig } }, { ...req.body, ipAddress: req.ip });
                     res.status(200).json(result);
                 }
                 // Validate required fields
@@ -600,7 +611,7 @@ class EcommerceTracker {
                     });
                 }
                 
-                const result = await this.trackEvent({ config: { db: this.dbConfig } }, req.body);
+                const result = await this.trackEvent({ config: { db: this.dbConfig } }, { ...req.body, ipAddress: req.ip });
                 res.status(200).json(result);
             } catch (error) {
                 console.error("API Error:", error);
@@ -634,7 +645,7 @@ class EcommerceTracker {
                     }
                 }
                 
-                const result = await this.trackBatchEvents({ config: { db: this.dbConfig } }, req.body);
+                const result = await this.trackBatchEvents({ config: { db: this.dbConfig } }, { ...req.body, ipAddress: req.ip });
                 res.status(200).json(result);
             } catch (error) {
                 console.error("API Batch Error:", error);
@@ -701,7 +712,9 @@ class EcommerceTracker {
             sessionId, 
             timestamp, 
             url, 
-            queryParams 
+            queryParams,
+            consent,
+            ipAddress
         } = payload;
         
         // Use the first available event type field
@@ -719,7 +732,10 @@ class EcommerceTracker {
             url,
             data,
             queryParams,
-            source
+            source,
+            // The relaying service gives the consent and IP of the visitor, if any
+            consent,
+            ipAddress
         };
     }
 
@@ -741,7 +757,7 @@ class EcommerceTracker {
             `);
 
             // Handle the result based on the adaptus2-orm return structure
-            const tables = tablesResult.data || [];
+            const tables = Array.isArray(tablesResult) ? tablesResult : (tablesResult.data || []);
 
             // Handle null or undefined tables safely
             const existingTables = Array.isArray(tables)
@@ -759,6 +775,7 @@ class EcommerceTracker {
             );
 
             if (missingTables.length === 0) {
+                await this._migrateEventsTable(query);
                 console.log("All tracking tables verified.");
                 this.tablesVerified = true;
                 return { success: true, message: "All tracking tables exist." };
@@ -778,6 +795,8 @@ class EcommerceTracker {
                         await query(this.dbConfig, 'CREATE INDEX idx_events_user_id ON events(user_id)');
                         await query(this.dbConfig, 'CREATE INDEX idx_events_event_type ON events(event_type)');
                         await query(this.dbConfig, 'CREATE INDEX idx_events_created_at ON events(created_at)');
+                        await query(this.dbConfig, 'CREATE INDEX idx_events_event_id ON events(event_id)');
+                        await this._migrateEventsTable(query);
                     } else {
                         console.error(`No creation SQL found for events table`);
                         throw new Error(`Unable to create events table`);
@@ -800,6 +819,83 @@ class EcommerceTracker {
         }
     }
 
+    /**
+     * Add the columns introduced after the events table was created: event_id (links the
+     * pageviews, purchases, ... of an event) and consent. Events stored before event_id
+     * existed get one, and the linked tables are migrated too.
+     * @private
+     */
+    async _migrateEventsTable(query) {
+        const columns = await this._tableColumns(query, ['events']);
+        const events = columns.events || {};
+
+        if (!events.event_id) {
+            await query(this.dbConfig, 'ALTER TABLE events ADD COLUMN event_id VARCHAR(36) AFTER id');
+            await query(this.dbConfig, 'CREATE INDEX idx_events_event_id ON events(event_id)');
+            console.log("Added column events.event_id");
+        }
+        if (!events.consent) {
+            await query(this.dbConfig, 'ALTER TABLE events ADD COLUMN consent VARCHAR(100) AFTER event_data');
+            console.log("Added column events.consent");
+        }
+        await query(this.dbConfig, 'UPDATE events SET event_id = UUID() WHERE event_id IS NULL');
+
+        await this._migrateLinkedTables(query);
+    }
+
+    /**
+     * Link the pageviews, purchases, ... tables to the visitor, for export and erasure:
+     * - event_id was a BIGINT holding events.id, which cannot hold the event_id of events. It
+     *   becomes a VARCHAR(36) and the rows stored before get the event_id of their event.
+     * - user_id is added and filled from the linked event. Rows without an event stay NULL.
+     * @private
+     */
+    async _migrateLinkedTables(query) {
+        const columns = await this._tableColumns(query, EVENT_TABLES);
+
+        for (const table of Object.keys(columns)) {
+            if (columns[table].event_id && columns[table].event_id !== 'varchar') {
+                await query(this.dbConfig, `ALTER TABLE ${table} MODIFY event_id VARCHAR(36) NOT NULL`);
+                await query(this.dbConfig, `
+                    UPDATE ${table} JOIN events ON CAST(events.id AS CHAR) = ${table}.event_id
+                    SET ${table}.event_id = events.event_id
+                `);
+                console.log(`Changed column ${table}.event_id to VARCHAR(36)`);
+            }
+            if (!columns[table].user_id) {
+                await query(this.dbConfig, `ALTER TABLE ${table} ADD COLUMN user_id VARCHAR(255) AFTER event_id`);
+                await query(this.dbConfig, `CREATE INDEX idx_${table}_user_id ON ${table}(user_id)`);
+                console.log(`Added column ${table}.user_id`);
+            }
+            await query(this.dbConfig, `
+                UPDATE ${table} JOIN events ON events.event_id = ${table}.event_id
+                SET ${table}.user_id = events.user_id
+                WHERE ${table}.user_id IS NULL
+            `);
+        }
+    }
+
+    /**
+     * Columns of existing tables, with their data type: { table: { column: type } }
+     * @private
+     */
+    async _tableColumns(query, tables) {
+        const result = await query(this.dbConfig, `
+            SELECT table_name, column_name, data_type
+            FROM information_schema.columns
+            WHERE table_schema = DATABASE() AND table_name IN (${tables.map(() => '?').join(', ')})
+        `, tables);
+        const rows = Array.isArray(result) ? result : (result.data || []);
+        const columns = {};
+        rows.forEach((row) => {
+            const table = (row.table_name || row.TABLE_NAME || '').toLowerCase();
+            const column = (row.column_name || row.COLUMN_NAME || '').toLowerCase();
+            columns[table] = columns[table] || {};
+            columns[table][column] = (row.data_type || row.DATA_TYPE || '').toLowerCase();
+        });
+        return columns;
+    }
+
     /**
      * Get SQL to create a specific table
      * @private
@@ -854,12 +950,14 @@ class EcommerceTracker {
             events: `
                 CREATE TABLE events (
                     id INT AUTO_INCREMENT PRIMARY KEY,
+                    event_id VARCHAR(36),
                     event_type VARCHAR(255) NOT NULL,
                     user_id VARCHAR(255) NOT NULL,
                     page_url TEXT NOT NULL,
                     user_agent TEXT,
                     ip_address VARCHAR(255),
                     event_data JSON,
+                    consent VARCHAR(100),
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `,
@@ -867,7 +965,8 @@ class EcommerceTracker {
             pageviews: `
                 CREATE TABLE pageviews (
                     pageview_id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                    event_id BIGINT NOT NULL,
+                    event_id VARCHAR(36) NOT NULL,
+                    user_id VARCHAR(255),
                     url TEXT NOT NULL,
                     path TEXT NOT NULL,
                     title TEXT,
@@ -882,7 +981,8 @@ class EcommerceTracker {
             clicks: `
                 CREATE TABLE clicks (
                     click_id BIGINT AUTO_INCREMENT PRIMARY KEY, 
-                    event_id BIGINT NOT NULL,
+                    event_id VARCHAR(36) NOT NULL,
+                    user_id VARCHAR(255),
                     element_type VARCHAR(50),
                     element_text TEXT,
                     element_id VARCHAR(100),
@@ -896,7 +996,8 @@ class EcommerceTracker {
             form_submissions: `
                 CREATE TABLE form_submissions (
                     form_id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                    event_id BIGINT NOT NULL,
+                    event_id VARCHAR(36) NOT NULL,
+                    user_id VARCHAR(255),
                     form_name VARCHAR(100),
                     form_action TEXT,
                     form_fields JSON
@@ -907,7 +1008,8 @@ class EcommerceTracker {
             product_views: `
                 CREATE TABLE product_views (
                     product_view_id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                    event_id BIGINT NOT NULL,
+                    event_id VARCHAR(36) NOT NULL,
+                    user_id VARCHAR(255),
                     product_id VARCHAR(100) NOT NULL,
                     product_name TEXT,
                     product_price DECIMAL(10,2),
@@ -921,7 +1023,8 @@ class EcommerceTracker {
             cart_actions: `
                 CREATE TABLE cart_actions (
                     cart_action_id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                    event_id BIGINT NOT NULL,
+                    event_id VARCHAR(36) NOT NULL,
+                    user_id VARCHAR(255),
                     action_type VARCHAR(20) NOT NULL,
                     product_id VARCHAR(100) NOT NULL,
                     product_name TEXT,
@@ -935,7 +1038,8 @@ class EcommerceTracker {
             purchases: `
                 CREATE TABLE purchases (
                     purchase_id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                    event_id BIGINT NOT NULL,
+                    event_id VARCHAR(36) NOT NULL,
+                    user_id VARCHAR(255),
                     transaction_id VARCHAR(100) NOT NULL,
                     revenue DECIMAL(10,2) NOT NULL,
                     tax DECIMAL(10,2),
@@ -3,7 +3,7 @@
 // Maintains compatibility with the existing client interface
 
 const { Server } = require("socket.io");
-const jwt = require("jsonwebtoken");
+const { verifyToken } = require("../middleware/authenticationMiddleware");
 const { query } = require("./db"); // Import both getDbConnection and query functions
 const llmModule = require("./llmModule");
 const { preloadCustomerContext } = require("./customerSupportModule.js");
@@ -576,11 +576,11 @@ YOU ARE BOUND BY THE FOLLOWING RULES:
                 const token = socket.handshake.auth?.token;
                 if (!token) return next(new Error("Authentication error"));
                 
-                jwt.verify(token, this.jwtSecret, (err, user) => {
-                    if (err) return next(new Error("Invalid token"));
+                verifyToken(token).then((user) => {
+                    if (!user) return next(new Error("Invalid token"));
                     
                     // Ensure user object has required fields
-                    if (!user || !user.username) {
+                    if (!user.username) {
                         return next(new Error("Invalid user data in token"));
                     }
                     
@@ -6,8 +6,9 @@ const crypto = require('crypto');
 const fetch = require('node-fetch');
 const logger = require('./logger');
 const notificationService = require('../services/notification');
-const { getDbConnection, query } = require('./db');
-const UniversalApiClient = require('./UniversalApiClient');
+const { getDbConnection } = require('./db');
+const UniversalApiClient = require('./universalAPIClient');
+const { compile, evaluate } = require('./ruleExpression');
 
 // DB helpers (if applicable)
 const {
@@ -19,7 +20,7 @@ const {
 } = require('./db'); // Adjust path to your db module
 
 // If you have a shared globalContext or logger, import it here:
-const { globalContext } = require('../path/to/context') || {};
+const { globalContext } = require('./context');
 
 /**
  * NotificationAndUtilityActions
@@ -238,14 +239,21 @@ class NotificationAndUtilityActions {
    * ------------------------------------------------
    */
 
-  calculate(ctx, params) {
+  /**
+   * Rule expressions run in the ruleExpression interpreter, never as JavaScript.
+   * DSL Example:
+   *   calculate expression:"price * quantity" resultKey:"total"
+   * Fields of ctx.data are in scope directly and as `data.<field>`.
+   */
+  async calculate(ctx, params) {
     const { expression, resultKey } = params;
     if (!expression || !resultKey) {
       this._logError('calculate', 'Missing expression or resultKey');
       return;
     }
     try {
-      const result = new Function('data', `with(data) { return ${expression}; }`)(ctx.data || {});
+      const data = ctx.data || {};
+      const result = await evaluate(compile(String(expression)), [data, { data }]);
       ctx.data[resultKey] = result;
       this._logInfo(`Calculated ${resultKey} = ${result}`);
     } catch (err) {
@@ -253,14 +261,19 @@ class NotificationAndUtilityActions {
     }
   }
 
-  transformData(ctx, params) {
+  /**
+   * DSL Example:
+   *   transform_data input:{...} transformation:"{ name: upper(data.name), tags: data.tags.join(\", \") }" outputKey:"summary"
+   * The input is `data` in the expression.
+   */
+  async transformData(ctx, params) {
     const { input, transformation, outputKey } = params;
     if (!input || !transformation || !outputKey) {
       this._logError('transform_data', 'Missing input, transformation, or outputKey');
       return;
     }
     try {
-      const result = new Function('data', `return ${transformation};`)(input);
+      const result = await evaluate(compile(String(transformation)), { data: input });
       ctx.data[outputKey] = result;
       this._logInfo(`Transformed data stored in ctx.data["${outputKey}"]`);
     } catch (err) {
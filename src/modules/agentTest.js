@@ -2,7 +2,7 @@
 
 require('dotenv').config();
 const redis = require('redis');
-const AgentWorkflowManager = require('./AgentWorkflowManager');
+const AgentWorkflowManager = require('./agentWorkflowManager');
 const config = { dbType: 'mysql', dbConnection: 'MYSQL_1' }
 const { createClient } = redis;
 
@@ -28,9 +28,13 @@ const { createClient } = redis;
     const context = { actions: {} };
     const manager = new AgentWorkflowManager(config, redisClient, context);
 
-    manager.on('workflow-step', ({ from, to, response }) => {
-        console.log(`Step completed: ${from} ➝ ${to}`);
-        console.log(`Response: ${response}\n`);
+    manager.on('workflow-step', ({ type, from, to, response, error }) => {
+        if (type === 'node-completed') {
+            console.log(`Step completed: ${from} ➝ ${to.join(', ') || 'end'}`);
+            console.log(`Response: ${typeof response === 'string' ? response : JSON.stringify(response)}\n`);
+        } else if (type === 'node-failed') {
+            console.log(`Step failed: ${error}\n`);
+        }
     });
 
     try {
@@ -3,19 +3,103 @@
 const llmModule = require('./llmModule');
 const EventEmitter = require('events');
 const logger = require('./logger');
-const { read } = require('./db');
-const moment = require('moment');
+const { read, getDbConnection } = require('./db');
+const toolRegistry = require('./GlobalToolRegistry');
+const DSLParser = require('./dslparser');
+const RuleEngine = require('./ruleEngine');
+const { RUN_STATUS, WorkflowError, WorkflowRunStore } = require('./workflowRuns');
 
 const AGENTS_TABLE = 'agents';
 
+// Redis channel the `workflow-step` events are published on, for the WebSocket server
+const WORKFLOW_STEP_CHANNEL = 'agent:workflow-steps';
+
+// Fields of `workflow-step` events with run data: inputs, model responses, tool results and
+// errors. Published events go without them; the stored run has them.
+const STEP_PAYLOAD_FIELDS = ['input', 'output', 'response', 'error'];
+
+// Delay before the first retry of a node, doubled on every retry up to the maximum
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const NODE_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+};
+
+function parseJsonColumn(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Validates the graph of a workflow and orders its nodes topologically.
+ * @param {Object} workflow - Workflow with `elements` and `connections`.
+ * @returns {{nodes: Map, incoming: Map, outgoing: Map, order: Array<string>}}
+ * @throws {WorkflowError} When a connection references an unknown element or the graph has a cycle.
+ */
+function buildGraph(workflow) {
+    const nodes = new Map(workflow.elements.map((element) => [element.id, element]));
+    const incoming = new Map(workflow.elements.map((element) => [element.id, []]));
+    const outgoing = new Map(workflow.elements.map((element) => [element.id, []]));
+
+    for (const connection of workflow.connections) {
+        if (!nodes.has(connection.from) || !nodes.has(connection.to)) {
+            throw new WorkflowError(`Connection ${connection.from} -> ${connection.to} references an unknown element`);
+        }
+        outgoing.get(connection.from).push(connection);
+        incoming.get(connection.to).push(connection);
+    }
+
+    // Kahn's algorithm; nodes left over are part of a cycle
+    const remaining = new Map([...incoming].map(([id, edges]) => [id, edges.length]));
+    const queue = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+    const order = [];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        order.push(id);
+        for (const edge of outgoing.get(id)) {
+            remaining.set(edge.to, remaining.get(edge.to) - 1);
+            if (remaining.get(edge.to) === 0) queue.push(edge.to);
+        }
+    }
+    if (order.length !== nodes.size) {
+        const cyclic = [...remaining].filter(([, count]) => count > 0).map(([id]) => id);
+        throw new WorkflowError(`Workflow ${workflow.name || workflow.id} has a cycle through ${cyclic.join(', ')}`);
+    }
+    return { nodes, incoming, outgoing, order };
+}
+
 class AgentWorkflowManager extends EventEmitter {
-    constructor(config, redisClient, context) {
+    /**
+     * @param {Object} config - Database config of the workflows and agents tables.
+     * @param {Object} redisClient - Cache of workflows and agents; `workflow-step` events are published through it.
+     * @param {Object} context - Global context; the triggerAgentWorkflow action is registered on it.
+     * @param {Object} [options]
+     * @param {WorkflowRunStore} [options.runStore] - Persistence of runs and node states.
+     */
+    constructor(config, redisClient, context, options = {}) {
         super();
         this.config = config;
         this.redis = redisClient;
         this.context = context;
         this.cacheTTL = 300; // seconds
         this.WORKFLOWS_TABLE = 'agent_workflows';
+        this.runStore = options.runStore || new WorkflowRunStore({
+            getConnection: () => getDbConnection(this.config),
+            dbType: this.config && this.config.dbType,
+            runsTable: process.env.AGENT_WORKFLOW_RUNS_TABLE || 'agent_workflow_runs',
+            stepsTable: process.env.AGENT_WORKFLOW_RUN_STEPS_TABLE || 'agent_workflow_run_steps',
+        });
+        this.conditionParser = new DSLParser(context);
 
         this.registerActions();
     }
@@ -52,56 +136,313 @@ class AgentWorkflowManager extends EventEmitter {
         return agent;
     }
 
+    /**
+     * Emits a `workflow-step` event, and publishes it without its run data for WebSocket clients.
+     */
+    emitStep(run, type, details = {}) {
+        const event = {
+            type,
+            runId: run.id,
+            workflowId: run.workflowId,
+            seq: ++run.seq,
+            timestamp: new Date().toISOString(),
+            ...details,
+        };
+        this.emit('workflow-step', event);
+        if (this.redis && typeof this.redis.publish === 'function') {
+            const published = { ...event };
+            STEP_PAYLOAD_FIELDS.forEach((field) => delete published[field]);
+            Promise.resolve(this.redis.publish(WORKFLOW_STEP_CHANNEL, JSON.stringify(published))).catch((error) =>
+                logger.error(`Publishing workflow-step event of run ${run.id} failed: ${error.message}`)
+            );
+        }
+        return event;
+    }
+
+    /**
+     * Runs a workflow and waits for it. See startWorkflow().
+     * @returns {Promise<{runId: string, status: string, output: Object, nodes: Object}>}
+     */
     async executeWorkflow(workflowId, inputData) {
-        const workflow = await this.loadWorkflow(workflowId);
-        if (!workflow) {
-            logger.error(`Workflow ${workflowId} not found`);
-            return;
+        const { done } = await this._start(workflowId, inputData);
+        return done;
+    }
+
+    /**
+     * Starts a run of a workflow as a graph: nodes without incoming connections receive
+     * `inputData`, every node runs once all its incoming connections are resolved, and
+     * independent branches run concurrently. Resolves with the run once it is recorded.
+     * @param {string} workflowId
+     * @param {*} inputData
+     */
+    async startWorkflow(workflowId, inputData) {
+        const { run, done } = await this._start(workflowId, inputData);
+        done.catch((error) => logger.error(`Agent workflow ${workflowId} run ${run.id} failed: ${error.message}`));
+        return run;
+    }
+
+    async _start(workflowId, inputData) {
+        const stored = await this.loadWorkflow(workflowId);
+        if (!stored) {
+            throw new WorkflowError(`Workflow ${workflowId} not found`, 404);
         }
+        const workflow = {
+            ...stored,
+            elements: parseJsonColumn(stored.elements, []),
+            connections: parseJsonColumn(stored.connections, []),
+            mcpAttachments: parseJsonColumn(stored.mcpAttachments, {}),
+            settings: parseJsonColumn(stored.settings, {}),
+        };
+        const graph = buildGraph(workflow);
+        this._compileConditions(workflow);
 
-        logger.info(`Executing workflow: ${workflow.name}`);
-        const elementMap = new Map(workflow.elements.map(e => [e.id, e]));
+        const run = await this.runStore.createRun({ workflow: workflow.id, input: inputData });
+        return { run, done: this._runGraph({ ...run, workflowId: workflow.id, seq: 0 }, workflow, graph, inputData) };
+    }
 
+    /**
+     * Parses the `condition` of connections once, with the condition grammar of the rules DSL.
+     */
+    _compileConditions(workflow) {
         for (const connection of workflow.connections) {
-            const fromElement = elementMap.get(connection.from);
-            const toElement = elementMap.get(connection.to);
+            if (connection.condition && !connection.conditions) {
+                try {
+                    connection.conditions = this.conditionParser._parseConditionString(connection.condition);
+                } catch (error) {
+                    throw new WorkflowError(`Invalid condition on ${connection.from} -> ${connection.to}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    async _runGraph(run, workflow, graph, inputData) {
+        const settings = workflow.settings || {};
+        const concurrency = Math.max(parseInt(settings.maxConcurrentRequests, 10) || 10, 1);
+        const state = new Map(graph.order.map((id) => [id, { status: NODE_STATUS.PENDING, output: undefined }]));
+        // Resolved connections: true when the source completed and the condition held
+        const edges = new Map();
+        const running = new Map();
+        let failure = null;
+
+        logger.info(`Executing workflow: ${workflow.name}`);
+        this.emitStep(run, 'run-started', { input: inputData });
 
-            const fromPersonaId = fromElement.agentId;
-            const agentConfig = await this.loadAgent(fromPersonaId);
-            const personaPrompt = llmModule.buildPersonaPrompt(agentConfig);
-            const mcpAttachment = workflow.mcpAttachments[fromElement.id];
+        const isResolved = (id) => graph.incoming.get(id).every((edge) => edges.has(edge));
 
-            if (!mcpAttachment || !mcpAttachment.parameters) {
-                logger.error(`Missing MCP attachment for element ${fromElement.id}`);
-                continue;
+        const resolveNode = async (id) => {
+            const node = graph.nodes.get(id);
+            const incoming = graph.incoming.get(id);
+            const active = incoming.filter((edge) => edges.get(edge));
+            if (incoming.length > 0 && active.length === 0) {
+                // Every branch leading here was skipped or its condition did not hold
+                state.get(id).status = NODE_STATUS.SKIPPED;
+                await this.runStore.saveStep(run.id, { key: id, action: this._nodeKind(node), status: NODE_STATUS.SKIPPED });
+                this.emitStep(run, 'node-skipped', { nodeId: id });
+                settle(id);
+                return;
             }
+            const input = incoming.length === 0
+                ? inputData
+                : active.length === 1 && this._nodeKind(node) !== 'merge'
+                    ? state.get(active[0].from).output
+                    : Object.fromEntries(active.map((edge) => [edge.from, state.get(edge.from).output]));
+            state.get(id).status = NODE_STATUS.RUNNING;
+            running.set(id, this._runNode(run, workflow, node, input).then(
+                (output) => {
+                    state.get(id).status = NODE_STATUS.COMPLETED;
+                    state.get(id).output = output;
+                    running.delete(id);
+                    settle(id);
+                },
+                (error) => {
+                    state.get(id).status = NODE_STATUS.FAILED;
+                    running.delete(id);
+                    failure = failure || error;
+                }
+            ));
+        };
 
-            const commandPayload = {
-                prompt: personaPrompt,
-                parameters: mcpAttachment.parameters,
-                inputData: inputData
-            };
+        // Resolves the outgoing connections of a finished node
+        const settle = (id) => {
+            const { status, output } = state.get(id);
+            for (const edge of graph.outgoing.get(id)) {
+                edges.set(edge, status === NODE_STATUS.COMPLETED && this._edgeHolds(edge, output));
+            }
+        };
 
-            logger.info(`Processing step: ${connection.label}`);
-            const llmResponse = await llmModule.processMessage({
-                senderId: workflow.id,
-                message: JSON.stringify(commandPayload)
-            });
+        try {
+            for (;;) {
+                if (!failure) {
+                    const ready = graph.order.filter((id) => state.get(id).status === NODE_STATUS.PENDING && isResolved(id));
+                    for (const id of ready) {
+                        if (running.size >= concurrency) break;
+                        await resolveNode(id);
+                    }
+                    // Skipped nodes may make more nodes ready without anything running
+                    if (ready.some((id) => state.get(id).status === NODE_STATUS.SKIPPED)) continue;
+                }
+                if (running.size === 0) break;
+                await Promise.race(running.values());
+            }
+        } catch (error) {
+            failure = failure || error;
+        }
 
-            this.emit('workflow-step', {
-                from: fromElement.id,
-                to: toElement.id,
-                response: llmResponse.message
+        const nodes = Object.fromEntries([...state].map(([id, node]) => [id, node.status]));
+        if (failure) {
+            await this.runStore.updateRun(run.id, { status: RUN_STATUS.FAILED, error: failure.message, finishedAt: new Date() });
+            this.emitStep(run, 'run-failed', { error: failure.message, nodes });
+            logger.error(`Workflow ${workflow.name} failed: ${failure.message}`);
+            failure.runId = run.id;
+            throw failure;
+        }
+
+        // The output of the run is the output of its completed end nodes
+        const output = Object.fromEntries(
+            graph.order
+                .filter((id) => graph.outgoing.get(id).length === 0 && state.get(id).status === NODE_STATUS.COMPLETED)
+                .map((id) => [id, state.get(id).output])
+        );
+        await this.runStore.updateRun(run.id, { status: RUN_STATUS.COMPLETED, output, finishedAt: new Date() });
+        this.emitStep(run, 'run-completed', { output, nodes });
+        logger.info(`Workflow ${workflow.name} completed.`);
+        return { runId: run.id, status: RUN_STATUS.COMPLETED, output, nodes };
+    }
+
+    /**
+     * merge: combines its inputs; tool: calls a GlobalToolRegistry tool; agent: prompts the
+     * LLM with the persona of `agentId` (after its tool, if it has one); anything else passes
+     * its input through.
+     */
+    _nodeKind(node) {
+        if (node.type === 'merge') return 'merge';
+        if (node.agentId) return 'agent';
+        if (node.tool || node.type === 'tool') return 'tool';
+        return 'passthrough';
+    }
+
+    _edgeHolds(edge, output) {
+        if (!edge.conditions) return true;
+        const record = output && typeof output === 'object' && !Array.isArray(output) ? { ...output, output } : { output };
+        return RuleEngine.evaluateConditions(edge.conditions, record);
+    }
+
+    /**
+     * Runs one node with the retries and timeout of the workflow settings, recording its state.
+     * Retries wait `retryDelay` ms (default 1 s), doubled on every retry up to 30 s.
+     */
+    async _runNode(run, workflow, node, input) {
+        const settings = workflow.settings || {};
+        const attempts = Math.max(parseInt(settings.retryCount, 10) || 0, 0) + 1;
+        const timeout = parseInt(settings.timeout, 10) || 0;
+        const retryDelay = Math.max(parseInt(settings.retryDelay, 10) || DEFAULT_RETRY_DELAY_MS, 0);
+        const step = { key: node.id, action: this._nodeKind(node), input, attempts: 0, startedAt: new Date() };
+
+        this.emitStep(run, 'node-started', { nodeId: node.id, kind: step.action });
+        for (;;) {
+            step.attempts += 1;
+            step.status = NODE_STATUS.RUNNING;
+            await this.runStore.saveStep(run.id, step);
+            try {
+                step.output = timeout > 0
+                    ? await this._withTimeout((signal) => this._executeNode(run, workflow, node, input, signal), timeout, node.id)
+                    : await this._executeNode(run, workflow, node, input);
+                step.status = NODE_STATUS.COMPLETED;
+                step.error = null;
+                step.finishedAt = new Date();
+                await this.runStore.saveStep(run.id, step);
+                const to = (workflow.connections || []).filter((edge) => edge.from === node.id && this._edgeHolds(edge, step.output)).map((edge) => edge.to);
+                this.emitStep(run, 'node-completed', { nodeId: node.id, from: node.id, to, response: step.output, attempts: step.attempts });
+                return step.output;
+            } catch (error) {
+                step.error = error.message;
+                if (step.attempts < attempts) {
+                    const delay = Math.min(retryDelay * 2 ** (step.attempts - 1), MAX_RETRY_DELAY_MS);
+                    logger.warn(`Node ${node.id} of run ${run.id} failed, retrying in ${delay} ms: ${error.message}`);
+                    await new Promise((resolve) => setTimeout(resolve, delay));
+                    continue;
+                }
+                step.status = NODE_STATUS.FAILED;
+                step.finishedAt = new Date();
+                await this.runStore.saveStep(run.id, step);
+                this.emitStep(run, 'node-failed', { nodeId: node.id, error: error.message, attempts: step.attempts });
+                throw new Error(`Node ${node.id} failed after ${step.attempts} attempt(s): ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Runs `execute(signal)` for at most `ms` ms. On timeout the signal is aborted, so the
+     * attempt stops instead of running on next to its retry.
+     */
+    _withTimeout(execute, ms, nodeId) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Node ${nodeId} timed out after ${ms} ms`);
+                controller.abort(error);
+                reject(error);
+            }, ms);
+        });
+        return Promise.race([execute(controller.signal), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Runs a node. `signal` is handed to the tool and the LLM call, and checked between them.
+     */
+    async _executeNode(run, workflow, node, input, signal) {
+        const kind = this._nodeKind(node);
+        if (kind === 'merge' || kind === 'passthrough') {
+            return input;
+        }
+
+        const attachment = (workflow.mcpAttachments || {})[node.id] || {};
+        const parameters = attachment.parameters || {};
+        const toolName = node.tool || attachment.tool;
+        let toolResult;
+        if (toolName) {
+            toolResult = await toolRegistry.executeTool(toolName, { ...parameters, input }, {
+                workflowId: workflow.id,
+                runId: run.id,
+                nodeId: node.id,
+                signal,
             });
+            if (kind === 'tool') return toolResult;
+        } else if (kind === 'tool') {
+            throw new Error(`Tool node ${node.id} names no tool`);
+        }
 
-            inputData = llmResponse.message;
+        if (signal) signal.throwIfAborted();
+        const agentConfig = await this.loadAgent(node.agentId);
+        if (!agentConfig) {
+            throw new Error(`Agent ${node.agentId} not found`);
         }
+        const commandPayload = {
+            prompt: llmModule.buildPersonaPrompt(agentConfig),
+            parameters,
+            inputData: input,
+        };
+        if (toolName) commandPayload.toolResult = toolResult;
 
-        logger.info(`Workflow ${workflow.name} completed.`);
+        if (signal) signal.throwIfAborted();
+        const llmResponse = await llmModule.processMessage({
+            senderId: workflow.id,
+            message: JSON.stringify(commandPayload),
+            signal
+        });
+        return llmResponse.message;
+    }
+
+    /**
+     * A run with the state of its nodes, or null.
+     */
+    getRun(runId) {
+        return this.runStore.getRun(runId);
     }
 
     async triggerWorkflow(workflowId, inputData) {
-        await this.executeWorkflow(workflowId, inputData);
+        return this.executeWorkflow(workflowId, inputData);
     }
 
     registerActions() {
@@ -125,3 +466,6 @@ class AgentWorkflowManager extends EventEmitter {
 }
 
 module.exports = AgentWorkflowManager;
+module.exports.WORKFLOW_STEP_CHANNEL = WORKFLOW_STEP_CHANNEL;
+module.exports.STEP_PAYLOAD_FIELDS = STEP_PAYLOAD_FIELDS;
+module.exports.buildGraph = buildGraph;
@@ -5,6 +5,9 @@ const { aarMiddleware } = require('../middleware/aarMiddleware');
 const { v4: uuidv4 } = require('uuid');
 const bodyParser = require('body-parser');
 const moment = require('moment');
+const AgentWorkflowManager = require('./agentWorkflowManager');
+const { globalContext } = require('./context');
+const { WorkflowError } = require('./workflowRuns');
 
 // Define table names
 const WORKFLOWS_TABLE = 'agent_workflows';
@@ -54,6 +57,7 @@ class AgentWorkflowModule {
     this.cacheTTL = 300; // seconds
     this.app = app;
     this.router = express.Router();
+    this.manager = new AgentWorkflowManager(config, redisClient, globalContext);
     this.initSchemas();
     this.setupRoutes();
     this.app.use('/mcp', this.router);
@@ -410,6 +414,28 @@ class AgentWorkflowModule {
         });
     });
 
+    // Run a workflow graph; progress is streamed as workflow-step events
+    this.router.post('/workflows/:id/run', (req, res) => {
+      this.manager.startWorkflow(req.params.id, req.body || {})
+        .then(run => {
+          res.status(202).json({ success: true, runId: run.id });
+        })
+        .catch(err => {
+          res.status(err instanceof WorkflowError ? err.statusCode : 500).json({ success: false, error: err.message });
+        });
+    });
+
+    this.router.get('/workflows/runs/:runId', (req, res) => {
+      this.manager.getRun(req.params.runId)
+        .then(run => {
+          if (!run) return res.status(404).json({ error: 'Workflow run not found' });
+          res.json(run);
+        })
+        .catch(err => {
+          res.status(500).json({ error: err.message });
+        });
+    });
+
     this.router.post('/workflows', (req, res) => {
       this.createWorkflow(req.body)
         .then(result => {
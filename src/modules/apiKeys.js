@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const consolelog = require('./logger');
+const { tenantClaim } = require('./tenancy');
+
+// Verified keys are cached per node; a revocation reaches the other nodes within this delay.
+const CACHE_TTL = 30 * 1000;
+const MAX_CACHE_SIZE = 10000;
+// last_used_at is written at most once per key and interval.
+const LAST_USED_INTERVAL = 60 * 1000;
+
+class ApiKeyError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Authentication methods of an endpoint `auth` setting. "apikey" selects API keys; any
+ * other truthy value ("token", true, ...) selects Bearer tokens.
+ * @param {string|Array<string>|boolean} auth
+ * @returns {{token: boolean, apiKey: boolean}}
+ */
+function authMethods(auth) {
+    if (!auth) return { token: false, apiKey: false };
+    const methods = [].concat(auth).map((method) => String(method).toLowerCase());
+    const apiKey = methods.includes('apikey');
+    return { apiKey, token: !apiKey || methods.some((method) => method !== 'apikey') };
+}
+
+/**
+ * Whether an authenticated principal used a method the endpoint accepts.
+ */
+function acceptsPrincipal(auth, user) {
+    if (!auth || !user) return true;
+    const methods = authMethods(auth);
+    return user.authType === 'apikey' ? methods.apiKey : methods.token;
+}
+
+function splitList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * API keys for server-to-server clients, stored in the `api_keys` table (API_KEYS_TABLE).
+ *
+ * Keys look like `ak_<prefix>_<secret>`. Only their SHA-256 hash is stored, the prefix
+ * identifies them in listings. A key's scopes become the `acl` of the request, so they
+ * are checked against the endpoint `acl` entries like user roles, and its tenant becomes
+ * the tenant claim (TENANT_CLAIM) of the request.
+ */
+class ApiKeyService {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getConnection - Resolves to a connection with execute(sql, params).
+     * @param {string} [options.table='api_keys'] - Table of the keys.
+     */
+    constructor({ getConnection, table = 'api_keys' }) {
+        this.getConnection = getConnection;
+        this.table = table;
+        this.cache = new Map();
+        this.lastUsedWrites = new Map();
+        this.tableReady = null;
+    }
+
+    static hash(key) {
+        return crypto.createHash('sha256').update(String(key)).digest('hex');
+    }
+
+    static generate() {
+        const prefix = crypto.randomBytes(4).toString('hex');
+        return { prefix, key: `ak_${prefix}_${crypto.randomBytes(24).toString('base64url')}` };
+    }
+
+    /**
+     * Request principal of a key row, used as `req.user`.
+     */
+    static toPrincipal(row) {
+        const principal = {
+            sub: `apikey:${row.id}`,
+            username: row.name,
+            acl: splitList(row.scopes),
+            apiKeyId: row.id,
+            rateLimitTier: row.rate_limit_tier || null,
+            authType: 'apikey',
+        };
+        if (row.tenant_id) {
+            principal[tenantClaim()] = row.tenant_id;
+        }
+        return principal;
+    }
+
+    static toSummary(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            prefix: row.key_prefix,
+            scopes: splitList(row.scopes),
+            rateLimitTier: row.rate_limit_tier || null,
+            tenant: row.tenant_id || null,
+            createdBy: row.created_by || null,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at || null,
+            lastUsedAt: row.last_used_at || null,
+            revokedAt: row.revoked_at || null,
+        };
+    }
+
+    async connection() {
+        const connection = await this.getConnection();
+        if (!connection) {
+            throw new ApiKeyError('Database connection for API keys could not be established', 500);
+        }
+        return connection;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = this.connection().then(async (connection) => {
+                await connection.execute(
+                    `CREATE TABLE IF NOT EXISTS ${this.table} (
+                        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+                        name VARCHAR(255) NOT NULL,
+                        key_prefix VARCHAR(16) NOT NULL,
+                        key_hash CHAR(64) NOT NULL UNIQUE,
+                        scopes TEXT,
+                        rate_limit_tier VARCHAR(64),
+                        tenant_id VARCHAR(255) NULL,
+                        created_by VARCHAR(255),
+                        created_at DATETIME NOT NULL,
+                        expires_at DATETIME NULL,
+                        last_used_at DATETIME NULL,
+                        revoked_at DATETIME NULL
+                    )`
+                );
+                // Tables created before keys had a tenant
+                const [columns] = await connection.execute(`SHOW COLUMNS FROM ${this.table} LIKE 'tenant_id'`, []);
+                if (!columns || columns.length === 0) {
+                    await connection.execute(`ALTER TABLE ${this.table} ADD COLUMN tenant_id VARCHAR(255) NULL`, []);
+                }
+            }).catch((error) => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    /**
+     * Issues a key. The returned `key` is the only copy of the secret.
+     * @param {Object} options
+     * @param {string} options.name - Client the key is for.
+     * @param {string|Array<string>} [options.scopes] - ACL roles granted to the key.
+     * @param {number} [options.expiresInDays] - Lifetime; keys without one never expire.
+     * @param {string} [options.rateLimitTier] - Name of the `rateLimit.tiers` entry applied to the key.
+     * @param {string} [options.tenant] - Tenant the key is restricted to, with tenancy enabled.
+     * @param {string} [options.createdBy] - Who issued the key.
+     */
+    async create({ name, scopes, expiresInDays, rateLimitTier, tenant, createdBy } = {}) {
+        if (!name) throw new ApiKeyError('API key name is required');
+        if (expiresInDays !== undefined && expiresInDays !== null && !(Number(expiresInDays) > 0)) {
+            throw new ApiKeyError('expiresInDays must be a positive number');
+        }
+        await this.ensureTable();
+
+        const { key, prefix } = ApiKeyService.generate();
+        const scopeList = splitList(scopes);
+        const createdAt = new Date();
+        const expiresAt = expiresInDays ? new Date(createdAt.getTime() + Number(expiresInDays) * 86400000) : null;
+
+        const connection = await this.connection();
+        const [result] = await connection.execute(
+            `INSERT INTO ${this.table} (name, key_prefix, key_hash, scopes, rate_limit_tier, tenant_id, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, prefix, ApiKeyService.hash(key), scopeList.join(','), rateLimitTier || null, tenant || null, createdBy || null, createdAt, expiresAt]
+        );
+
+        // The wrapper of getDbConnection wraps the write result in an array, see affectedRowCount
+        const meta = Array.isArray(result) ? result[0] : result;
+        return {
+            id: meta && meta.insertId,
+            key,
+            name,
+            prefix,
+            scopes: scopeList,
+            rateLimitTier: rateLimitTier || null,
+            tenant: tenant || null,
+            createdAt,
+            expiresAt,
+        };
+    }
+
+    async list({ includeRevoked = false } = {}) {
+        await this.ensureTable();
+        const connection = await this.connection();
+        const [rows] = await connection.execute(
+            `SELECT id, name, key_prefix, scopes, rate_limit_tier, tenant_id, created_by, created_at, expires_at, last_used_at, revoked_at FROM ${this.table}${includeRevoked ? '' : ' WHERE revoked_at IS NULL'} ORDER BY id`,
+            []
+        );
+        return (rows || []).map(ApiKeyService.toSummary);
+    }
+
+    /**
+     * Revokes a key. Returns false when no active key has this id.
+     */
+    async revoke(id) {
+        await this.ensureTable();
+        const connection = await this.connection();
+        const [result] = await connection.execute(
+            `UPDATE ${this.table} SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`,
+            [new Date(), id]
+        );
+        this.cache.clear();
+        const { affectedRowCount } = require('./db');
+        return Boolean(affectedRowCount(result));
+    }
+
+    /**
+     * Resolves the principal of a raw key, or null when the key is unknown, revoked or expired.
+     */
+    async verify(key, now = Date.now()) {
+        if (!key || typeof key !== 'string') return null;
+        const hash = ApiKeyService.hash(key);
+
+        let cached = this.cache.get(hash);
+        if (!cached || cached.expires <= now) {
+            await this.ensureTable();
+            const connection = await this.connection();
+            const [rows] = await connection.execute(
+                `SELECT id, name, scopes, rate_limit_tier, tenant_id, expires_at, revoked_at FROM ${this.table} WHERE key_hash = ?`,
+                [hash]
+            );
+            if (this.cache.size >= MAX_CACHE_SIZE) this.cache.clear();
+            cached = { row: (rows && rows[0]) || null, expires: now + CACHE_TTL };
+            this.cache.set(hash, cached);
+        }
+
+        const { row } = cached;
+        if (!row || row.revoked_at) return null;
+        if (row.expires_at && new Date(row.expires_at).getTime() <= now) return null;
+
+        this.touch(row.id, now);
+        return ApiKeyService.toPrincipal(row);
+    }
+
+    // Records the last use of a key without delaying the request.
+    touch(id, now) {
+        const lastWrite = this.lastUsedWrites.get(id);
+        if (lastWrite && now - lastWrite < LAST_USED_INTERVAL) return;
+        this.lastUsedWrites.set(id, now);
+
+        this.connection()
+            .then((connection) => connection.execute(`UPDATE ${this.table} SET last_used_at = ? WHERE id = ?`, [new Date(now), id]))
+            .catch((error) => consolelog.log(`Failed to record the use of API key ${id}:`, error.message));
+    }
+}
+
+let apiKeyService;
+
+/**
+ * API key service of the process, on the default database connection.
+ */
+function getApiKeyService() {
+    if (!apiKeyService) {
+        const { getDbConnection } = require('./db');
+        const dbConfig = {
+            dbType: process.env.DEFAULT_DBTYPE,
+            dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
+        };
+        apiKeyService = new ApiKeyService({
+            getConnection: () => getDbConnection(dbConfig),
+            table: process.env.API_KEYS_TABLE || 'api_keys',
+        });
+    }
+    return apiKeyService;
+}
+
+module.exports = {
+    ApiKeyError,
+    ApiKeyService,
+    authMethods,
+    acceptsPrincipal,
+    getApiKeyService,
+};
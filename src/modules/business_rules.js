@@ -1,8 +1,59 @@
 const fs = require('fs');
 const path = require('path');
 const { getDbConnection } = require('./db');
+const { compile, compileTemplate, evaluate, parameterize } = require('./ruleExpression');
 //const { sendToQueue } = require('./queue'); // Assumed queue module for async jobs
 
+const QUERY_RULE = /^(.+?)\s*=\s*QUERY:(\w+):(\w+):(\w+):WHERE\s+(.+?)\s*:SELECT\s+(.+)$/;
+const CONDITIONAL_RULE = /^IF (.+) THEN (.+)$/;
+const STATEMENT_RULE = /^(INSERT INTO .+ VALUES \(.+\)|UPDATE .+ SET .+ WHERE .+|TRIGGER .+)$/i;
+const VIRTUAL_COLUMN_RULE = /^(.+?)\s*=\s*(.+)$/;
+
+/**
+ * Compiles the action of a conditional rule.
+ * @throws {Error} When the action is not an assignment, an SQL statement or a trigger.
+ */
+function compileAction(action) {
+    const assignment = action.match(/^([\w_]+)\s*=\s*(.+)$/);
+    if (assignment) {
+        return { type: 'assign', field: assignment[1], value: compile(assignment[2]) };
+    }
+    if (action.startsWith('INSERT INTO') || action.startsWith('UPDATE')) {
+        return { type: 'sql', sql: action };
+    }
+    if (/^TRIGGER .+$/i.test(action)) {
+        return { type: 'trigger', job: compile(action.replace(/^TRIGGER /i, '')) };
+    }
+    throw new Error(`Unsupported action: ${action}`);
+}
+
+/**
+ * Compiles a business rule; expressions run in the sandbox of ruleExpression.js.
+ * @param {String} rule - The business rule in natural language syntax
+ * @returns {Object} The compiled rule
+ * @throws {Error} On syntax errors in the expressions of the rule
+ */
+function compileRule(rule) {
+    const queryMatch = rule.match(QUERY_RULE);
+    if (queryMatch) {
+        const [, field, dbType, dbConnection, table, condition, selectColumn] = queryMatch;
+        return { type: 'query', field, dbType, dbConnection, table, condition: compileTemplate(condition), selectColumn };
+    }
+    const conditionalMatch = rule.match(CONDITIONAL_RULE);
+    if (conditionalMatch) {
+        return { type: 'conditional', condition: compile(conditionalMatch[1]), action: compileAction(conditionalMatch[2]) };
+    }
+    // Standalone INSERT/UPDATE/TRIGGER rules only run as the action of an IF rule
+    if (STATEMENT_RULE.test(rule)) {
+        return { type: 'statement' };
+    }
+    const virtualColumnMatch = rule.match(VIRTUAL_COLUMN_RULE);
+    if (virtualColumnMatch) {
+        return { type: 'virtual', field: virtualColumnMatch[1], value: compile(virtualColumnMatch[2]) };
+    }
+    return { type: 'statement' };
+}
+
 class BusinessRules {
     constructor(configFilePath = path.join(process.cwd(), 'config/businessRules.json')) {
         this.rules = {};
@@ -37,7 +88,7 @@ class BusinessRules {
     }
 
     /**
-     * Validate the structure of the business rules.
+     * Validate the structure of the business rules and compile their expressions.
      * @param {Array} rules - Array of rules loaded from configuration
      */
     validateRules(rules) {
@@ -64,6 +115,13 @@ class BusinessRules {
                         `Invalid rule syntax at endpoint ${rule.endpoint}, rule index ${ruleIndex}`
                     );
                 }
+                try {
+                    compileRule(r);
+                } catch (error) {
+                    throw new Error(
+                        `Invalid rule at endpoint ${rule.endpoint}, rule index ${ruleIndex}: ${error.message}`
+                    );
+                }
             });
         });
     }
@@ -77,18 +135,22 @@ class BusinessRules {
      * @returns {Promise<Object>} - Updated context after applying the rule
      */
     async executeRule(rule, context, req, ruleSet) {
-        // Database query rule (e.g., "distance = QUERY:mysql:db_connection:distances:WHERE zipcode = req.customer.zipcode")
-        const queryMatch = rule.match(/^(.+?)\s*=\s*QUERY:(\w+):(\w+):(\w+):WHERE\s+(.+?)\s*:SELECT\s+(.+)$/);
-        if (queryMatch) {
-            const [_, field, dbType, dbConnection, table, condition, selectColumn] = queryMatch;
+        const compiled = compileRule(rule);
+        // Row fields first, then the request as `req`
+        const scope = [context, { req }];
+
+        // Database query rule (e.g., "distance = QUERY:mysql:db_connection:distances:WHERE zipcode = ${req.customer.zipcode}:SELECT distance")
+        if (compiled.type === 'query') {
+            const { field, dbType, dbConnection, table, condition, selectColumn } = compiled;
             try {
                 const connection = await getDbConnection({ dbType, dbConnection });
                 if (!connection) {
                     throw new Error(`Database connection failed for ${dbConnection}`);
                 }
-                const conditionResolved = new Function('req', `with(req) { return \`${condition}\`; }`)(req);
-                const query = `SELECT ${selectColumn} FROM ${table} WHERE ${conditionResolved} LIMIT 1`;
-                const [rows] = await connection.execute(query);
+                // Placeholders are bound as parameters, never spliced into the SQL
+                const where = parameterize(condition, [req, { req }]);
+                const query = `SELECT ${selectColumn} FROM ${table} WHERE ${where.text} LIMIT 1`;
+                const [rows] = await connection.execute(query, where.values);
                 context[field] = rows.length > 0 ? rows[0][selectColumn] : null;
             } catch (error) {
                 console.error(`Error executing database query rule: ${rule}`, error.message);
@@ -97,75 +159,54 @@ class BusinessRules {
         }
 
         // Conditional rule (e.g., "IF price > 20 THEN discount = price - (price * 0.1)")
-        const conditionalMatch = rule.match(/^IF (.+) THEN (.+)$/);
-        if (conditionalMatch) {
-            const [_, condition, action] = conditionalMatch;
-    
+        if (compiled.type === 'conditional') {
+            const { condition, action } = compiled;
+
             try {
-                console.log('Condition:', condition);
+                console.log('Condition:', condition.source);
                 console.log('Context before evaluation:', context);
 
-                 // Normalize condition to use strict equality
-                const normalizedCondition = condition.replace(/\s=\s/g, ' === ');
-                console.log('Normalized Condition:', normalizedCondition);
+                // Evaluate the condition for this specific row ("=" is strict equality)
+                const conditionResult = evaluate(condition, scope);
 
-                // Evaluate the condition for this specific row
-                const conditionResult = new Function('context', `
-                    with(context) {
-                        return (${normalizedCondition});
-                    }
-                `)(context);
-            
                 console.log('Condition Result:', conditionResult);
 
                 // Apply the action only if the condition is true
                 if (conditionResult === true) {
-                    const actionMatch = action.match(/^([\w_]+)\s*=\s*(.+)$/);
-                    console.log('Action Match:', actionMatch);
-
-                    if (actionMatch) {
-                        const [, field, value] = actionMatch;
+                    if (action.type === 'assign') {
+                        const { field, value } = action;
 
                         // Ensure field exists in the context
                         if (field in context) {
-                            console.log(`Applying action: Setting ${field} to ${value}`);
+                            console.log(`Applying action: Setting ${field} to ${value.source}`);
                             // Compute the value to assign
-                            const computedValue = new Function('context', `with(context) { return ${value}; }`)(context);
-
-                            context[field] = computedValue; // Apply the computed value to the row
+                            context[field] = await evaluate(value, scope); // Apply the computed value to the row
                             console.log('Context after action:', context);
                         } else {
                             console.warn(`Field "${field}" does not exist in context. Skipping action.`);
                         }
-                    } else if (action.startsWith('INSERT INTO') || action.startsWith('UPDATE')) {
+                    } else if (action.type === 'sql') {
                         // Handle SQL actions (INSERT or UPDATE)
                         const dbType = ruleSet.dbType;
                         const dbConnection = ruleSet.dbConnection;
-    
+
                         if (!dbType || !dbConnection) {
                             console.error('Database type and connection must be specified for Insert or Update actions');
                         } else {
                             try {
                                 const connection = await getDbConnection({ dbType, dbConnection });
-                                await connection.execute(action); // Execute SQL action
+                                await connection.execute(action.sql); // Execute SQL action
                             } catch (error) {
-                                console.error(`Error executing database action: ${action}`, error.message);
+                                console.error(`Error executing database action: ${action.sql}`, error.message);
                             }
                         }
-                    } else if (action.match(/^TRIGGER .+$/i)) {
+                    } else if (action.type === 'trigger') {
                         // Handle async job trigger
                         try {
-                            const jobData = new Function('context', 'req', `with(context) { return ${action.replace(/^TRIGGER /i, '')}; }`)(context, req);
+                            const jobData = await evaluate(action.job, scope);
                             await sendToQueue(jobData); // Send async job to the queue
                         } catch (error) {
-                            console.error(`Error triggering async job: ${action}`, error.message);
-                        }
-                    } else {
-                        // Handle any other type of action (direct execution)
-                        try {
-                            new Function('context', 'req', `with(context) { ${action}; }`)(context, req);
-                        } catch (error) {
-                            console.error(`Error executing action: ${action}`, error.message);
+                            console.error(`Error triggering async job: ${action.job.source}`, error.message);
                         }
                     }
                 }
@@ -176,12 +217,9 @@ class BusinessRules {
         }
 
         // Virtual column rule (e.g., "tax = price * 0.067")
-        const virtualColumnMatch = rule.match(/^(.+?)\s*=\s*(.+)$/);
-        if (virtualColumnMatch) {
-            const [_, field, formula] = virtualColumnMatch;
+        if (compiled.type === 'virtual') {
             try {
-                const computedValue = new Function('context', 'req', `with(context) { return ${formula}; }`)(context, req);
-                context[field] = computedValue;
+                context[compiled.field] = await evaluate(compiled.value, scope);
             } catch (error) {
                 console.error(`Error computing virtual column: ${rule}`, error.message);
             }
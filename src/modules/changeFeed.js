@@ -0,0 +1,192 @@
+const consolelog = require('./logger');
+const { getSoftDeleteColumn } = require('./softDelete');
+const { tenantColumn } = require('./tenancy');
+
+// Upper bound on the number of values bound in one IN (...) list.
+const BATCH_SIZE = 1000;
+// Events buffered for a subscriber that does not keep up; the oldest are dropped first.
+const MAX_QUEUE_SIZE = 1000;
+
+/**
+ * Record change events of the database endpoints, shared by every node through Redis.
+ *
+ * Write routes publish one event per created, updated or deleted record on the
+ * `db:records` channel; each node hands the events it receives to its local subscribers
+ * (the GraphQL subscriptions). Events carry the record as stored, so unlike `db:changes`
+ * they are never relayed as-is to WebSocket clients: subscribers apply the endpoint's
+ * ACL, owner, tenant and filters first.
+ *
+ * Event: { table, operation: 'create'|'update'|'delete', data, owner, tenant, timestamp }
+ */
+class ChangeFeed {
+    /**
+     * @param {Object} publisher - ioredis client used to publish events.
+     * @param {Object} [options]
+     * @param {string} [options.channel='db:records'] - Pub/sub channel of the events.
+     */
+    constructor(publisher, { channel = 'db:records' } = {}) {
+        this.publisher = publisher;
+        this.channel = channel;
+        this.listeners = new Map();
+    }
+
+    static primaryKeyOf(endpoint) {
+        return endpoint.keys && endpoint.keys.length > 0 ? endpoint.keys[0] : 'id';
+    }
+
+    /**
+     * Publishes one change event. Errors are logged, a failed publish never fails the write.
+     * @param {string} table - Table of the record.
+     * @param {string} operation - create, update or delete.
+     * @param {Object} data - The record.
+     * @param {any} [owner] - Owner of the record, for endpoints with `owner`.
+     * @param {any} [tenant] - Tenant of the record, for tenant-scoped endpoints.
+     */
+    async publish(table, operation, data, owner, tenant) {
+        try {
+            await this.publisher.publish(this.channel, JSON.stringify({
+                table,
+                operation,
+                data,
+                owner,
+                tenant,
+                timestamp: new Date().toISOString(),
+            }));
+        } catch (error) {
+            console.error('Error publishing record change:', error.message);
+        }
+    }
+
+    /**
+     * Reads the written records back and publishes one event per record. Hard deletes only
+     * carry the primary key, since the row is gone.
+     * @param {Object} connection - Database connection used for the write.
+     * @param {Object} endpoint - Endpoint configuration.
+     * @param {string} operation - create, update or delete.
+     * @param {Array} recordIds - Primary keys of the written records.
+     * @param {Object} [user] - User who made the write.
+     * @param {Object} [tenant] - Tenant of the request (tenancy.resolveTenant()).
+     */
+    async publishRecords(connection, endpoint, operation, recordIds, user, tenant) {
+        const ids = (recordIds || []).filter((id) => id !== null && id !== undefined);
+        if (!ids.length) return;
+
+        try {
+            const { dbTable, owner } = endpoint;
+            const primaryKey = ChangeFeed.primaryKeyOf(endpoint);
+            const userOwner = owner && user ? user[owner.tokenField] : undefined;
+            const tenantKey = tenantColumn(endpoint);
+            const requestTenant = tenantKey && tenant ? tenant.id || undefined : undefined;
+
+            if (operation === 'delete' && !getSoftDeleteColumn(endpoint)) {
+                await Promise.all(ids.map((id) => this.publish(dbTable, operation, { [primaryKey]: id }, userOwner, requestTenant)));
+                return;
+            }
+
+            const exposed = [
+                primaryKey,
+                ...(endpoint.allowRead || []),
+                ...(endpoint.relationships || []).map((rel) => rel.foreignKey),
+            ];
+            const columns = [...new Set([...exposed, ...(owner ? [owner.column] : []), ...(tenantKey ? [tenantKey] : [])])];
+            for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+                const batch = ids.slice(start, start + BATCH_SIZE);
+                const query = `SELECT ${columns.map((column) => `${dbTable}.${column}`).join(', ')} FROM ${dbTable} WHERE ${dbTable}.${primaryKey} IN (${batch.map(() => '?').join(', ')})`;
+                const [rows] = await connection.execute(query, batch);
+
+                await Promise.all(rows.map((row) => {
+                    const recordOwner = owner ? (row[owner.column] !== undefined ? row[owner.column] : userOwner) : undefined;
+                    const recordTenant = tenantKey ? (row[tenantKey] !== undefined ? row[tenantKey] : requestTenant) : undefined;
+                    if (owner && !exposed.includes(owner.column)) {
+                        delete row[owner.column];
+                    }
+                    if (tenantKey && !exposed.includes(tenantKey)) {
+                        delete row[tenantKey];
+                    }
+                    return this.publish(dbTable, operation, row, recordOwner, recordTenant);
+                }));
+            }
+        } catch (error) {
+            console.error(`Error publishing ${operation} of ${endpoint.dbTable} records:`, error.message);
+        }
+    }
+
+    /**
+     * Dispatches an event received from Redis to the local subscribers of its table.
+     * @param {Object} event - Parsed message.
+     */
+    handleMessage(event) {
+        if (!event || !event.table) return;
+        const listeners = this.listeners.get(event.table);
+        if (!listeners) return;
+        listeners.forEach((listener) => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in record change subscriber:', error.message);
+            }
+        });
+    }
+
+    /**
+     * Subscribes to the changes of a table.
+     * @param {string} table - Table to follow.
+     * @param {string} operation - create, update or delete.
+     * @param {Function} [filter] - Receives each event, returns whether to deliver it.
+     * @returns {AsyncIterableIterator<Object>} Events, until return() is called.
+     */
+    subscribe(table, operation, filter = () => true) {
+        const queue = [];
+        const waiting = [];
+        let done = false;
+
+        const listener = (event) => {
+            if (done || event.operation !== operation || !filter(event)) return;
+            if (waiting.length) {
+                waiting.shift()({ value: event, done: false });
+                return;
+            }
+            if (queue.length >= MAX_QUEUE_SIZE) {
+                queue.shift();
+                consolelog.log(`Record change queue full for ${table}, dropping the oldest event`);
+            }
+            queue.push(event);
+        };
+
+        const stop = () => {
+            if (done) return;
+            done = true;
+            const listeners = this.listeners.get(table);
+            if (listeners) {
+                listeners.delete(listener);
+                if (!listeners.size) this.listeners.delete(table);
+            }
+            queue.length = 0;
+            waiting.splice(0).forEach((resolve) => resolve({ value: undefined, done: true }));
+        };
+
+        if (!this.listeners.has(table)) this.listeners.set(table, new Set());
+        this.listeners.get(table).add(listener);
+
+        return {
+            next() {
+                if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+                if (done) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve) => waiting.push(resolve));
+            },
+            return() {
+                stop();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            throw(error) {
+                stop();
+                return Promise.reject(error);
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+        };
+    }
+}
+
+module.exports = ChangeFeed;
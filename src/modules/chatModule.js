@@ -1,5 +1,5 @@
 const { Server } = require("socket.io");
-const jwt = require("jsonwebtoken");
+const { verifyToken } = require("../middleware/authenticationMiddleware");
 const mysql = require("mysql2/promise");
 const { getDbConnection } = require("./db");
 const llmModule = require("./llmModule");
@@ -61,8 +61,8 @@ class ChatModule {
             const token = socket.handshake.auth?.token;
             if (!token) return next(new Error("Authentication error"));
 
-            jwt.verify(token, this.jwtSecret, (err, user) => {
-                if (err) return next(new Error("Invalid token"));
+            verifyToken(token).then((user) => {
+                if (!user) return next(new Error("Invalid token"));
                 socket.user = user; // Attach user data to the socket
                 next();
             });
@@ -4,8 +4,11 @@ const { globalContext, getContext } = require('./context');
 const { getApiConfig } = require('./apiConfig');
 const response = require('./response');
 const process = require('process');
+const { currentTenant, tenantScope, applyTenant, scopeRawQuery } = require('./tenancy');
 
 const dbConnections = {};
+// Connections (pools) returned by adaptus2-orm, used to take dedicated connections for transactions
+const ormConnections = {};
 let isContextExtended = false;
 
 /**
@@ -414,6 +417,7 @@ async function getDbConnection(config) {
 
         // Store the wrapped connection for reuse
         dbConnections[normalizedDbConnection] = connectionWrapper;
+        ormConnections[normalizedDbConnection] = ormConnection;
 
         // Extend globalContext after the first successful connection
         if (!isContextExtended) {
@@ -428,6 +432,101 @@ async function getDbConnection(config) {
     }
 }
 
+/**
+ * Error raised when a transaction cannot be run on a database connection.
+ */
+class TransactionError extends Error {
+    constructor(message, statusCode = 501) {
+        super(message);
+        this.name = 'TransactionError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Rewrites `?` placeholders to PostgreSQL's `$1, $2, ...`, leaving quoted strings alone.
+function toPositionalParams(sql) {
+    let index = 0;
+    return sql.replace(/'(?:[^']|'')*'|"[^"]*"|\?/g, (match) => (match === '?' ? `$${++index}` : match));
+}
+
+/**
+ * Take a dedicated connection from the pool of a database and begin a transaction on it.
+ *
+ * TRANSACTION NOTE: the wrapper returned by getDbConnection runs every statement through
+ * ORM.query on the pool and swallows errors, so it cannot hold a transaction (see note 3).
+ * The connection returned here runs its statements, commit and rollback on one pooled
+ * connection, and statement errors are thrown. It must be released when done.
+ *
+ * @param {Object} config - Endpoint or connection configuration ({ dbType, dbConnection }).
+ * @returns {Promise<{execute: Function, commit: Function, rollback: Function, release: Function}>}
+ *   execute(sql, params) resolves to [rows, fields]; for writes rows is { affectedRows, insertId }.
+ * @throws {TransactionError} 501 when the driver does not hand out dedicated connections.
+ */
+async function getTransactionConnection(config) {
+    const db = await getDbConnection(config);
+    if (!db) {
+        throw new TransactionError(`Database connection for ${config.dbConnection} could not be established.`, 500);
+    }
+    const pool = ormConnections[config.dbConnection.replace(/-/g, '_')];
+    const dbType = (config.dbType || '').toLowerCase();
+
+    // mysql2 pool (callback pools expose their promise API through promise())
+    if (pool && typeof pool.getConnection === 'function') {
+        const promisePool = typeof pool.promise === 'function' ? pool.promise() : pool;
+        const connection = await promisePool.getConnection();
+        try {
+            await connection.beginTransaction();
+        } catch (error) {
+            connection.release();
+            throw error;
+        }
+        return {
+            execute: (sql, params = []) => connection.execute(sql, params),
+            commit: () => connection.commit(),
+            rollback: () => connection.rollback(),
+            release: () => connection.release(),
+        };
+    }
+
+    // pg pool
+    if (pool && typeof pool.connect === 'function' && ['postgres', 'postgresql'].includes(dbType)) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+        } catch (error) {
+            client.release();
+            throw error;
+        }
+        return {
+            execute: async (sql, params = []) => {
+                const result = await client.query(toPositionalParams(sql), params);
+                if (result.command === 'SELECT') return [result.rows, result.fields];
+                return [{ affectedRows: result.rowCount }, result.fields];
+            },
+            commit: () => client.query('COMMIT'),
+            rollback: () => client.query('ROLLBACK'),
+            release: () => client.release(),
+        };
+    }
+
+    throw new TransactionError(`Transactions are not supported by ${config.dbConnection}`);
+}
+
+/**
+ * Number of rows changed by a write, from the first element of what execute() resolved to.
+ *
+ * The wrapper of getDbConnection wraps the driver's result in an array (`[[{ affectedRows }]]`),
+ * while dedicated connections return it directly (`[{ affectedRows }]`).
+ * @param {Array|Object} rows - `rows` of `const [rows] = await connection.execute(...)`.
+ * @returns {number|null} null when the driver does not report a count.
+ */
+function affectedRowCount(rows) {
+    const meta = Array.isArray(rows) ? rows[0] : rows;
+    if (!meta || typeof meta !== 'object') return null;
+    const count = meta.affectedRows !== undefined ? meta.affectedRows : meta.rowCount;
+    return typeof count === 'number' ? count : null;
+}
+
 /**
  * Create adaptus2-orm configuration from legacy config
  *
@@ -548,6 +647,26 @@ function findDefUsersRoute(table) {
     );
 }
 
+/**
+ * Tenant scope of a model for the current request (see tenancy.js). Calls made outside a
+ * request (startup, scheduled jobs) are not scoped.
+ * @throws {QueryBuilderError} 403 when the request's tenant could not be resolved.
+ */
+function modelTenantScope(modelConfig) {
+    if (!getContext('req')) return null;
+    return tenantScope(modelConfig, currentTenant());
+}
+
+// Adds the tenant of the request to the where conditions of a model query.
+function applyTenantToQuery(modelConfig, query) {
+    const scope = modelTenantScope(modelConfig);
+    if (scope && scope.id !== null) {
+        query = query || {};
+        query[scope.column] = scope.id;
+    }
+    return query;
+}
+
 /**
  * Create a record using adaptus2-orm
  *
@@ -601,6 +720,9 @@ async function create(config, entity, data, options = {}) {
         throw new Error(`No valid fields to create for ${entity}.`);
     }
 
+    // Records of tenant-scoped models belong to the request's tenant
+    applyTenant(validData, modelTenantScope(modelConfig), true);
+
     try {
         const ormConfig = await createOrmConfig(config);
         const dbTable = modelConfig.dbTable || entity;
@@ -701,6 +823,10 @@ async function update(config, entity, query, data, options = {}) {
         }
     }
 
+    // Apply tenant scope; records cannot be moved to another tenant
+    applyTenant(validData, modelTenantScope(modelConfig), false);
+    query = applyTenantToQuery(modelConfig, query);
+
     try {
         const ormConfig = await createOrmConfig(config);
         const dbTable = modelConfig.dbTable || entity;
@@ -787,6 +913,9 @@ async function read(config, entity, query, options = {}) {
         }
     }
 
+    // Apply tenant scope
+    query = applyTenantToQuery(modelConfig, query);
+
     try {
         const ormConfig = await createOrmConfig(config);
 
@@ -860,6 +989,9 @@ async function deleteRecord(config, entity, query, options = {}) {
         }
     }
 
+    // Apply tenant scope
+    query = applyTenantToQuery(modelConfig, query);
+
     try {
         const ormConfig = await createOrmConfig(config);
 
@@ -983,6 +1115,9 @@ async function exists(config, entity, params) {
         throw new Error(`Entity ${entity} not defined in apiConfig.`);
     }
 
+    // Apply tenant scope
+    params = applyTenantToQuery(modelConfig, params);
+
     try {
         const ormConfig = await createOrmConfig(config);
         const dbTable = modelConfig.dbTable || entity;
@@ -1158,7 +1293,9 @@ function extendContext() {
             throw new Error("A raw SQL query string is required.");
         }
 
-        const result = await query(ctx.config, myQuery, values || []);
+        // With tenancy enabled, queries on tenant tables must filter by :tenantId
+        const scoped = scopeRawQuery(myQuery, values || [], getContext('req') ? currentTenant() : null, getApiConfig());
+        const result = await query(ctx.config, scoped.query, scoped.values);
 
         // Return single record if only one result
         if (result.length === 1) {
@@ -1191,6 +1328,9 @@ async function closeAllMysqlPools() {
 // Export all functions with the same interface as the original
 module.exports = {
     getDbConnection,
+    getTransactionConnection,
+    TransactionError,
+    affectedRowCount,
     create,
     read,
     update,
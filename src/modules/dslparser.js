@@ -23,7 +23,11 @@ class DSLParser {
         ELSE_IF: 'ELSE IF',
         UPDATE: 'UPDATE',
         WITH: 'WITH',
-        DO: 'DO'
+        DO: 'DO',
+        PRIORITY: 'PRIORITY',
+        STOP: 'STOP',
+        GROUP: 'GROUP',
+        END_GROUP: 'END GROUP'
       };
   
       // Allowed condition operators
@@ -71,19 +75,43 @@ class DSLParser {
     _containsWithClause(lines) {
       return lines.some((line) => line.toUpperCase().startsWith(this.keywords.WITH));
     }
+    /**
+     * "GROUP <name> [DISABLED]" and "END GROUP" lines delimit a named rule group.
+     * Returns { name, enabled } for a GROUP line, { name: null } for END GROUP, null otherwise.
+     */
+    _parseGroupLine(line) {
+      if (/^END\s+GROUP$/i.test(line)) {
+        return { name: null, enabled: true };
+      }
+      const match = line.match(/^GROUP\s+([\w-]+)(?:\s+(ENABLED|DISABLED))?$/i);
+      if (!match) {
+        return null;
+      }
+      return { name: match[1], enabled: !match[2] || match[2].toUpperCase() === 'ENABLED' };
+    }
+
     /**
      * Parse multiple rules in a DSL script. 
      * Supports "WITH <DB> <CONNECTION> DO" blocks, 
+     * "GROUP <name> [DISABLED] ... END GROUP" blocks,
      * and "IF ... THEN ... ELSE IF ... ELSE ..." blocks.
      */
     _parseRules(lines) {
       const rules = [];
       let currentDbConfig = null;
+      let currentGroup = null;
   
       let i = 0;
       while (i < lines.length) {
         const line = lines[i];
         consolelog.log(`Parsing line: ${line}`);
+
+        const group = this._parseGroupLine(line);
+        if (group) {
+          currentGroup = group.name ? group : null;
+          i++;
+          continue;
+        }
   
         // Check for "WITH <something> DO" block
         if (line.toUpperCase().startsWith(this.keywords.WITH)) {
@@ -106,10 +134,11 @@ class DSLParser {
           // Accumulate lines until we hit next IF/WITH or end of file
           while (j < lines.length) {
             const nextLine = lines[j];
-            // Stop collecting if next line is a new IF or WITH
+            // Stop collecting if next line is a new IF, WITH or GROUP
             if (
               nextLine.toUpperCase().startsWith(this.keywords.IF) ||
-              nextLine.toUpperCase().startsWith(this.keywords.WITH)
+              nextLine.toUpperCase().startsWith(this.keywords.WITH) ||
+              this._parseGroupLine(nextLine)
             ) {
               break;
             }
@@ -120,6 +149,10 @@ class DSLParser {
           const rule = this._parseSingleRule(ruleLines, currentDbConfig);
           consolelog.log('Parsed rule:', rule);
           if (rule) {
+                if (currentGroup) {
+                  rule.group = currentGroup.name;
+                  rule.groupEnabled = currentGroup.enabled;
+                }
                 rules.push(rule);
           }
   
@@ -146,7 +179,7 @@ class DSLParser {
     _parseSingleRule(ruleLines, currentDbConfig) {
       // The first line is "IF ..."
       const firstLine = ruleLines[0];
-      const { event, resource, conditions, direction = null } = this._parseIfLine(firstLine);
+      const { event, resource, conditions, direction = null, priority = 0 } = this._parseIfLine(firstLine);
   
       // Validate resource vs. global context
       if (!this.globalContext.resources[resource]) {
@@ -166,6 +199,9 @@ class DSLParser {
       //   elseIfs: [ { conditions: [...], actions: [...] }, ... ]
       //   elseActions: [ actionAST, ... ]
       //   dbConfig: { dbType, dbConnection }
+      //   source: the IF line, to name the rule in traces
+      //   priority: PRIORITY n of the IF line, higher runs first (default 0)
+      //   group / groupEnabled: set by _parseRules inside a GROUP block
       // }
       const rule = {
         event,
@@ -175,7 +211,9 @@ class DSLParser {
         elseIfs: [],
         elseActions: [],
         dbConfig: currentDbConfig,
-        direction
+        direction,
+        priority,
+        source: firstLine.trim()
       };
   
       // Find the THEN line
@@ -312,18 +350,19 @@ class DSLParser {
   
     /**
      * Parse the first IF line:
-     * e.g. IF NEW order WHEN order.status = "paid" AND order.total > 500 THEN
+     * e.g. IF NEW order WHEN order.status = "paid" AND order.total > 500 PRIORITY 10 THEN
      */
     _parseIfLine(line) {
       const regex = new RegExp(
-          `^IF\\s+(\\w+)\\s+([\\w/:]+)(?:\\s+${this.keywords.WHEN}\\s+(.*))?\\s+${this.keywords.THEN}$`,
+          `^IF\\s+(\\w+)\\s+([\\w/:]+)(?:\\s+${this.keywords.WHEN}\\s+(.*?))?(?:\\s+${this.keywords.PRIORITY}\\s+(-?\\d+))?\\s+${this.keywords.THEN}$`,
           'i'
       );
       const match = line.match(regex);
       if (!match) {
           throw new Error(`Invalid IF syntax: ${line}`);
       }
-      let [, event, resource, rawConditions] = match;
+      let [, event, resource, rawConditions, rawPriority] = match;
+      const priority = rawPriority ? parseInt(rawPriority, 10) : 0;
   
       // Normalize dynamic routes (e.g., videos/:id -> videos)
       // resource = resource.replace(/\/[^/]+$/, ''); // Remove last segment if it's an ID
@@ -343,7 +382,7 @@ class DSLParser {
           conditions = this._parseConditionString(rawConditions);
       }
   
-      return { event, resource, conditions, direction };
+      return { event, resource, conditions, direction, priority };
   }
   
   
@@ -584,6 +623,11 @@ class DSLParser {
      */
     _parseActionLine(line) {
       try {
+        // STOP: no further rules run for the event once this line is reached
+        if (line.trim().toUpperCase() === this.keywords.STOP) {
+          return { action: 'stop' };
+        }
+
         // Split the line into tokens: action type and arguments
         const tokens = line.split(/\s+/);
         if (tokens.length < 2) {
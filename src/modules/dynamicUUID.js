@@ -1,5 +1,12 @@
 const crypto = require('crypto');
 
+// Columns of an endpoint exposed as UUIDs: the uuidMapping list, or the primary key for `uuidMapping: true`.
+function uuidColumns(endpoint) {
+  if (!endpoint || !endpoint.uuidMapping) return [];
+  if (Array.isArray(endpoint.uuidMapping)) return endpoint.uuidMapping;
+  return Array.isArray(endpoint.keys) && endpoint.keys.length > 0 ? [endpoint.keys[0]] : [];
+}
+
 module.exports = (redis) => {
   // Function to store mapping in Redis using a column-specific key.
   async function storeUUIDMapping(tableName, column, recordId, uuid) {
@@ -32,5 +39,25 @@ module.exports = (redis) => {
     ].join("-");
   }
 
-  return { storeUUIDMapping, getOriginalIdFromUUID, generateDeterministicUUID };
-};
\ No newline at end of file
+  // Function to expose an ID as its UUID, storing the mapping so the UUID can be resolved back.
+  async function encodeId(tableName, column, recordId, secretSalt) {
+    const uuid = generateDeterministicUUID(tableName, column, recordId, secretSalt);
+    await storeUUIDMapping(tableName, column, recordId, uuid);
+    return uuid;
+  }
+
+  // Function to replace the uuidMapping columns of records of an endpoint with their UUIDs, in place.
+  async function encodeRecords(endpoint, records, secretSalt) {
+    const columns = uuidColumns(endpoint);
+    await Promise.all(records.map((record) => Promise.all(columns.map(async (column) => {
+      if (record[column]) {
+        record[column] = await encodeId(endpoint.dbTable, column, record[column], secretSalt);
+      }
+    }))));
+    return records;
+  }
+
+  return { storeUUIDMapping, getOriginalIdFromUUID, generateDeterministicUUID, encodeId, encodeRecords };
+};
+
+module.exports.uuidColumns = uuidColumns;
\ No newline at end of file
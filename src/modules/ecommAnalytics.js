@@ -0,0 +1,759 @@
+const os = require('os');
+const { affectedRowCount } = require('./db');
+const { ANONYMOUS_USER } = require('./trackingPrivacy');
+
+/**
+ * Funnel, cohort, attribution and product affinity analytics on the events stored by
+ * EcommTrackerModule.
+ *
+ * The raw `events` table is rolled up incrementally (by event id, ECOMM_ROLLUP_BATCH_SIZE
+ * events at a time; a gap in the ids is waited on for ECOMM_ROLLUP_LAG_MS, as the event may
+ * not be committed yet) into small tables, prefixed by ECOMM_ANALYTICS_TABLE_PREFIX:
+ *   - <prefix>users:          first and last day each user was seen (cohorts)
+ *   - <prefix>user_days:      events per user, day and event type, with the first and last
+ *                             time of the day (funnels, retention)
+ *   - <prefix>touches:        UTM source / medium / campaign a user arrived with, per day
+ *   - <prefix>conversions:    one row per purchase transaction (attribution)
+ *   - <prefix>product_orders: orders per product and day
+ *   - <prefix>product_pairs:  orders containing both products, per day (affinity)
+ *   - <prefix>rollup_state:   the last event rolled up, and a lock so one server rolls up
+ *
+ * Days are UTC. The analysis queries only read the rollups, so they stay fast on months of
+ * events.
+ */
+class AnalyticsError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AnalyticsError';
+        this.statusCode = statusCode;
+    }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ATTRIBUTION_MODELS = ['first', 'last', 'linear'];
+const ATTRIBUTION_DIMENSIONS = ['source', 'medium', 'campaign'];
+const DIRECT = '(direct)';
+const ROLLUP = 'events';
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function dayOf(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function parseJson(value) {
+    if (!value) return {};
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return {};
+    }
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+// UTM parameters of an event: from its page URL, else from `utm_*` fields of its data
+function touchOf(event, data) {
+    let params = null;
+    try {
+        params = event.page_url ? new URL(event.page_url).searchParams : null;
+    } catch (error) {
+        params = null;
+    }
+    const field = (name) => (params && params.get(`utm_${name}`)) || data[`utm_${name}`] || null;
+    const source = field('source');
+    if (!source) return null;
+    const clip = (value) => (value ? String(value).slice(0, 100) : '');
+    return { source: clip(source), medium: clip(field('medium')), campaign: clip(field('campaign')) };
+}
+
+function productIds(items, limit) {
+    const ids = new Set();
+    (Array.isArray(items) ? items : []).forEach((item) => {
+        const id = item && (item.id || item.item_id || item.product_id || item.sku);
+        if (id !== undefined && id !== null && id !== '') ids.add(String(id).slice(0, 100));
+    });
+    return [...ids].sort().slice(0, limit);
+}
+
+/**
+ * Aggregates a batch of `events` rows into rollup rows.
+ * @param {Array<Object>} events - Rows with id, event_type, user_id, page_url, event_data, created_at.
+ * @param {Object} [options]
+ * @param {number} [options.maxItems=50] - Products per order used for affinity pairs.
+ */
+function aggregateEvents(events, { maxItems = 50 } = {}) {
+    const users = new Map();
+    const userDays = new Map();
+    const touches = new Map();
+    const conversions = new Map();
+
+    events.forEach((event) => {
+        const at = toDate(event.created_at);
+        // Anonymized events (no analytics consent) are not linked to a user
+        if (!event.user_id || event.user_id === ANONYMOUS_USER || !event.event_type || !at) return;
+        const userId = String(event.user_id).slice(0, 191);
+        const day = dayOf(at);
+        const data = parseJson(event.event_data);
+
+        const user = users.get(userId);
+        if (!user) users.set(userId, { userId, firstSeen: day, lastSeen: day });
+        else {
+            if (day < user.firstSeen) user.firstSeen = day;
+            if (day > user.lastSeen) user.lastSeen = day;
+        }
+
+        const type = String(event.event_type).slice(0, 100);
+        const dayKey = `${userId}\u0000${day}\u0000${type}`;
+        const entry = userDays.get(dayKey);
+        if (!entry) userDays.set(dayKey, { userId, day, eventType: type, events: 1, firstAt: at, lastAt: at });
+        else {
+            entry.events += 1;
+            if (at < entry.firstAt) entry.firstAt = at;
+            if (at > entry.lastAt) entry.lastAt = at;
+        }
+
+        const touch = touchOf(event, data);
+        if (touch) {
+            const touchKey = `${userId}\u0000${day}\u0000${touch.source}\u0000${touch.medium}\u0000${touch.campaign}`;
+            const existing = touches.get(touchKey);
+            if (!existing) touches.set(touchKey, { userId, day, ...touch, firstAt: at });
+            else if (at < existing.firstAt) existing.firstAt = at;
+        }
+
+        if (type === 'purchase' && data.transaction_id && !conversions.has(String(data.transaction_id))) {
+            const transactionId = String(data.transaction_id).slice(0, 191);
+            conversions.set(transactionId, {
+                transactionId,
+                userId,
+                convertedAt: at,
+                revenue: Number(data.value) || 0,
+                products: productIds(data.items, maxItems),
+            });
+        }
+    });
+
+    return {
+        users: [...users.values()],
+        userDays: [...userDays.values()],
+        touches: [...touches.values()],
+        conversions: [...conversions.values()],
+    };
+}
+
+/**
+ * Users through the ordered steps of a funnel. A user enters with the first occurrence of
+ * step 1 in the range, and reaches a step when it occurs after the previous one and within
+ * `windowMs` of entering. Occurrences are known per day (first and last time), so a step
+ * repeated on the day of the previous step counts once it happens after it.
+ * @param {Array<Object>} rows - user_days rows: user_id, event_type, first_at, last_at.
+ * @param {Array<string>} steps - Event types.
+ * @param {{from: Date, to: Date, windowMs: number}} range - Entry range [from, to).
+ */
+function computeFunnel(rows, steps, { from, to, windowMs }) {
+    const byUser = new Map();
+    rows.forEach((row) => {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+        byUser.get(row.user_id).push({ type: row.event_type, firstAt: toDate(row.first_at), lastAt: toDate(row.last_at) });
+    });
+
+    const reached = steps.map(() => 0);
+    byUser.forEach((entries) => {
+        entries.sort((a, b) => a.firstAt - b.firstAt);
+        const entry = entries.find((candidate) => candidate.type === steps[0] && candidate.firstAt >= from && candidate.firstAt < to);
+        if (!entry) return;
+        const deadline = new Date(entry.firstAt.getTime() + windowMs);
+        let at = entry.firstAt;
+        reached[0] += 1;
+        for (let index = 1; index < steps.length; index++) {
+            const next = entries.find((candidate) => candidate.type === steps[index] && candidate.lastAt >= at && candidate.firstAt <= deadline);
+            if (!next) break;
+            at = next.firstAt > at ? next.firstAt : at;
+            reached[index] += 1;
+        }
+    });
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+    return steps.map((step, index) => ({
+        step,
+        users: reached[index],
+        conversionRate: rate(reached[index], reached[0]),
+        stepConversionRate: index === 0 ? 100 : rate(reached[index], reached[index - 1]),
+        dropOff: index === 0 ? 0 : reached[index - 1] - reached[index],
+    }));
+}
+
+/**
+ * Retention matrix of weekly cohorts.
+ * @param {Array<Object>} rows - cohort (week start of the first day), week (week start), users.
+ * @param {number} weeks - Weeks after the first one to report.
+ */
+function computeCohorts(rows, weeks) {
+    const cohorts = new Map();
+    rows.forEach((row) => {
+        const cohort = dayOf(toDate(row.cohort));
+        const offset = Math.round((toDate(row.week) - toDate(row.cohort)) / (7 * DAY_MS));
+        if (offset < 0 || offset > weeks) return;
+        if (!cohorts.has(cohort)) cohorts.set(cohort, new Array(weeks + 1).fill(0));
+        cohorts.get(cohort)[offset] = Number(row.users) || 0;
+    });
+    return [...cohorts.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([cohort, active]) => ({
+        cohort,
+        users: active[0],
+        retention: active.map((users) => (active[0] > 0 ? Math.round((users / active[0]) * 10000) / 100 : 0)),
+        active,
+    }));
+}
+
+/**
+ * Credits conversions to the touches that preceded them.
+ * @param {Array<Object>} conversions - transaction_id, user_id, converted_at, revenue.
+ * @param {Array<Object>} touches - user_id, first_at, source, medium, campaign.
+ * @param {Object} options
+ * @param {string} options.model - first, last or linear.
+ * @param {string} options.dimension - source, medium or campaign.
+ * @param {number} options.lookbackMs - How long before a conversion touches count.
+ */
+function attribute(conversions, touches, { model, dimension, lookbackMs }) {
+    const byUser = new Map();
+    touches.forEach((touch) => {
+        if (!byUser.has(touch.user_id)) byUser.set(touch.user_id, []);
+        byUser.get(touch.user_id).push({ ...touch, at: toDate(touch.first_at) });
+    });
+    byUser.forEach((list) => list.sort((a, b) => a.at - b.at));
+
+    const totals = new Map();
+    const credit = (key, conversions, revenue) => {
+        const total = totals.get(key) || { [dimension]: key, conversions: 0, revenue: 0 };
+        total.conversions += conversions;
+        total.revenue += revenue;
+        totals.set(key, total);
+    };
+
+    conversions.forEach((conversion) => {
+        const at = toDate(conversion.converted_at);
+        const revenue = Number(conversion.revenue) || 0;
+        const eligible = (byUser.get(conversion.user_id) || [])
+            .filter((touch) => touch.at <= at && at - touch.at <= lookbackMs);
+        if (!eligible.length) return credit(DIRECT, 1, revenue);
+        if (model === 'first') return credit(eligible[0][dimension] || DIRECT, 1, revenue);
+        if (model === 'last') return credit(eligible[eligible.length - 1][dimension] || DIRECT, 1, revenue);
+        eligible.forEach((touch) => credit(touch[dimension] || DIRECT, 1 / eligible.length, revenue / eligible.length));
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return [...totals.values()]
+        .map((total) => ({ ...total, conversions: round(total.conversions), revenue: round(total.revenue) }))
+        .sort((a, b) => b.revenue - a.revenue || b.conversions - a.conversions);
+}
+
+/**
+ * Support, confidence and lift of product pairs.
+ * @param {Array<Object>} pairs - product_a, product_b, orders.
+ * @param {Map<string, number>} productOrders - Orders per product.
+ * @param {number} totalOrders
+ */
+function computeAffinity(pairs, productOrders, totalOrders) {
+    const round = (value) => Math.round(value * 10000) / 10000;
+    return pairs.map((pair) => {
+        const orders = Number(pair.orders) || 0;
+        const ordersA = productOrders.get(pair.product_a) || 0;
+        const ordersB = productOrders.get(pair.product_b) || 0;
+        return {
+            productA: pair.product_a,
+            productB: pair.product_b,
+            orders,
+            support: totalOrders ? round(orders / totalOrders) : 0,
+            confidenceAtoB: ordersA ? round(orders / ordersA) : 0,
+            confidenceBtoA: ordersB ? round(orders / ordersB) : 0,
+            lift: ordersA && ordersB && totalOrders ? round((orders * totalOrders) / (ordersA * ordersB)) : 0,
+        };
+    });
+}
+
+class EcommAnalytics {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getConnection - Resolves to a connection with execute(sql, params).
+     * @param {Function} options.getTransaction - Resolves to a connection in a transaction, with
+     *   execute, commit, rollback and release (db.getTransactionConnection). A batch of the
+     *   rollup and the watermark are written in one.
+     * @param {string} [options.eventsTable='events']
+     * @param {string} [options.prefix='analytics_']
+     */
+    constructor({ getConnection, getTransaction, eventsTable = 'events', prefix = process.env.ECOMM_ANALYTICS_TABLE_PREFIX || 'analytics_' }) {
+        this.getConnection = getConnection;
+        this.getTransaction = getTransaction;
+        this.eventsTable = eventsTable;
+        this.tables = ['users', 'user_days', 'touches', 'conversions', 'product_orders', 'product_pairs', 'rollup_state']
+            .reduce((tables, name) => ({ ...tables, [name]: `${prefix}${name}` }), {});
+        this.tablesReady = null;
+        this.timer = null;
+        this.rolling = false;
+        // First event id missing after the watermark -> when it was first seen missing
+        this.gaps = new Map();
+    }
+
+    settings() {
+        return {
+            batchSize: Math.max(parseInt(process.env.ECOMM_ROLLUP_BATCH_SIZE, 10) || 5000, 1),
+            intervalMs: parseInt(process.env.ECOMM_ROLLUP_INTERVAL_MS, 10) || 60000,
+            maxItems: Math.max(parseInt(process.env.ECOMM_AFFINITY_MAX_ITEMS, 10) || 50, 2),
+            lagMs: Math.max(parseInt(process.env.ECOMM_ROLLUP_LAG_MS, 10) || 60000, 0),
+            lockMs: 10 * 60 * 1000,
+        };
+    }
+
+    async connection() {
+        const connection = await this.getConnection();
+        if (!connection) {
+            throw new AnalyticsError('Database connection for analytics could not be established', 500);
+        }
+        return connection;
+    }
+
+    async ensureTables() {
+        if (!this.tablesReady) {
+            const { tables } = this;
+            const statements = [
+                `CREATE TABLE IF NOT EXISTS ${tables.users} (
+                    user_id VARCHAR(191) PRIMARY KEY,
+                    first_seen DATE NOT NULL,
+                    last_seen DATE NOT NULL,
+                    INDEX idx_${tables.users}_first_seen (first_seen)
+                )`,
+                `CREATE TABLE IF NOT EXISTS ${tables.user_days} (
+                    user_id VARCHAR(191) NOT NULL,
+                    day DATE NOT NULL,
+                    event_type VARCHAR(100) NOT NULL,
+                    events INT NOT NULL DEFAULT 0,
+                    first_at DATETIME NOT NULL,
+                    last_at DATETIME NOT NULL,
+                    PRIMARY KEY (user_id, day, event_type),
+                    INDEX idx_${tables.user_days}_day (day, event_type)
+                )`,
+                `CREATE TABLE IF NOT EXISTS ${tables.touches} (
+                    user_id VARCHAR(191) NOT NULL,
+                    day DATE NOT NULL,
+                    source VARCHAR(100) NOT NULL,
+                    medium VARCHAR(100) NOT NULL DEFAULT '',
+                    campaign VARCHAR(100) NOT NULL DEFAULT '',
+                    first_at DATETIME NOT NULL,
+                    PRIMARY KEY (user_id, day, source, medium, campaign)
+                )`,
+                `CREATE TABLE IF NOT EXISTS ${tables.conversions} (
+                    transaction_id VARCHAR(191) PRIMARY KEY,
+                    user_id VARCHAR(191) NOT NULL,
+                    converted_at DATETIME NOT NULL,
+                    revenue DECIMAL(12,2) NOT NULL DEFAULT 0,
+                    INDEX idx_${tables.conversions}_converted_at (converted_at)
+                )`,
+                `CREATE TABLE IF NOT EXISTS ${tables.product_orders} (
+                    day DATE NOT NULL,
+                    product_id VARCHAR(100) NOT NULL,
+                    orders INT NOT NULL DEFAULT 0,
+                    PRIMARY KEY (day, product_id)
+                )`,
+                `CREATE TABLE IF NOT EXISTS ${tables.product_pairs} (
+                    day DATE NOT NULL,
+                    product_a VARCHAR(100) NOT NULL,
+                    product_b VARCHAR(100) NOT NULL,
+                    orders INT NOT NULL DEFAULT 0,
+                    PRIMARY KEY (day, product_a, product_b)
+                )`,
+                `CREATE TABLE IF NOT EXISTS ${tables.rollup_state} (
+                    name VARCHAR(64) PRIMARY KEY,
+                    last_event_id BIGINT NOT NULL DEFAULT 0,
+                    locked_by VARCHAR(255) NULL,
+                    locked_until DATETIME NULL,
+                    updated_at DATETIME NULL
+                )`,
+            ];
+            this.tablesReady = this.connection().then(async (connection) => {
+                for (const statement of statements) {
+                    await connection.execute(statement);
+                }
+            }).catch((error) => {
+                this.tablesReady = null;
+                throw error;
+            });
+        }
+        return this.tablesReady;
+    }
+
+    async execute(sql, params = []) {
+        await this.ensureTables();
+        const connection = await this.connection();
+        const [result] = await connection.execute(sql, params);
+        return result;
+    }
+
+    // Multi-row INSERT ... ON DUPLICATE KEY UPDATE, in chunks
+    async upsert(connection, table, columns, rows, update) {
+        for (const part of chunk(rows, 500)) {
+            await connection.execute(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${part.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ')}
+                 ON DUPLICATE KEY UPDATE ${update}`,
+                part.flat()
+            );
+        }
+    }
+
+    // ------------------------------------------------------------ rollup
+
+    /**
+     * Takes the rollup lock; a lock older than lockMs is considered abandoned.
+     */
+    async claimRollup(owner) {
+        const now = new Date();
+        await this.execute(`INSERT IGNORE INTO ${this.tables.rollup_state} (name, last_event_id) VALUES (?, 0)`, [ROLLUP]);
+        const result = await this.execute(
+            `UPDATE ${this.tables.rollup_state} SET locked_by = ?, locked_until = ? WHERE name = ? AND (locked_until IS NULL OR locked_until < ?)`,
+            [owner, new Date(now.getTime() + this.settings().lockMs), ROLLUP, now]
+        );
+        if (!affectedRowCount(result)) return null;
+        const rows = await this.execute(`SELECT last_event_id FROM ${this.tables.rollup_state} WHERE name = ?`, [ROLLUP]);
+        return Number(rows[0] && rows[0].last_event_id) || 0;
+    }
+
+    /**
+     * Events of a batch that can be rolled up: those up to the first gap in the ids. A gap is an
+     * event not committed yet, or never (a rolled back insert); it is skipped once it has been
+     * missing for lagMs.
+     */
+    rollableEvents(events, lastEventId, lagMs, now = Date.now()) {
+        const rollable = [];
+        let expected = lastEventId + 1;
+        for (const event of events) {
+            const id = Number(event.id);
+            // Nothing was rolled up yet: the table may start at any id
+            const first = lastEventId === 0 && rollable.length === 0;
+            if (id !== expected && !first) {
+                if (!this.gaps.has(expected)) this.gaps.set(expected, now);
+                if (now - this.gaps.get(expected) < lagMs) break;
+            }
+            rollable.push(event);
+            expected = id + 1;
+        }
+        [...this.gaps.keys()].filter((id) => id < expected).forEach((id) => this.gaps.delete(id));
+        return rollable;
+    }
+
+    /**
+     * Rolls up the events recorded since the last run.
+     * @returns {Promise<{events: number, lastEventId: number}|null>} null when another server is rolling up.
+     */
+    async rollup() {
+        if (this.rolling) return null;
+        this.rolling = true;
+        const owner = process.env.SERVER_ID || `${os.hostname()}:${process.pid}`;
+        const { batchSize, maxItems, lagMs, lockMs } = this.settings();
+        try {
+            let lastEventId = await this.claimRollup(owner);
+            if (lastEventId === null) return null;
+            let processed = 0;
+            try {
+                for (;;) {
+                    const read = await this.execute(
+                        `SELECT id, event_type, user_id, page_url, event_data, created_at FROM ${this.eventsTable} WHERE id > ? ORDER BY id LIMIT ${batchSize}`,
+                        [lastEventId]
+                    );
+                    const events = this.rollableEvents(read || [], lastEventId, lagMs);
+                    if (!events.length) break;
+                    const batchLastId = Number(events[events.length - 1].id);
+                    await this.inTransaction(async (connection) => {
+                        await this.applyBatch(connection, aggregateEvents(events, { maxItems }));
+                        const [result] = await connection.execute(
+                            `UPDATE ${this.tables.rollup_state} SET last_event_id = ?, locked_until = ?, updated_at = ? WHERE name = ? AND locked_by = ?`,
+                            [batchLastId, new Date(Date.now() + lockMs), new Date(), ROLLUP, owner]
+                        );
+                        // Another server took the lock over: its rollup counts these events
+                        if (affectedRowCount(result) === 0) {
+                            throw new AnalyticsError('The rollup lock was taken over by another server', 409);
+                        }
+                    });
+                    lastEventId = batchLastId;
+                    processed += events.length;
+                    if (events.length < read.length || read.length < batchSize) break;
+                }
+            } finally {
+                await this.execute(
+                    `UPDATE ${this.tables.rollup_state} SET locked_until = NULL WHERE name = ? AND locked_by = ?`,
+                    [ROLLUP, owner]
+                );
+            }
+            return { events: processed, lastEventId };
+        } finally {
+            this.rolling = false;
+        }
+    }
+
+    // Runs work(connection) in a transaction, committed when it resolves
+    async inTransaction(work) {
+        if (!this.getTransaction) {
+            throw new AnalyticsError('The rollup needs a database connection with transactions', 501);
+        }
+        await this.ensureTables();
+        const connection = await this.getTransaction();
+        try {
+            await work(connection);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback().catch(() => {});
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async applyBatch(connection, { users, userDays, touches, conversions }) {
+        const { tables } = this;
+        await this.upsert(connection, tables.users, ['user_id', 'first_seen', 'last_seen'],
+            users.map((user) => [user.userId, user.firstSeen, user.lastSeen]),
+            'first_seen = LEAST(first_seen, VALUES(first_seen)), last_seen = GREATEST(last_seen, VALUES(last_seen))');
+        await this.upsert(connection, tables.user_days, ['user_id', 'day', 'event_type', 'events', 'first_at', 'last_at'],
+            userDays.map((row) => [row.userId, row.day, row.eventType, row.events, row.firstAt, row.lastAt]),
+            'events = events + VALUES(events), first_at = LEAST(first_at, VALUES(first_at)), last_at = GREATEST(last_at, VALUES(last_at))');
+        await this.upsert(connection, tables.touches, ['user_id', 'day', 'source', 'medium', 'campaign', 'first_at'],
+            touches.map((touch) => [touch.userId, touch.day, touch.source, touch.medium, touch.campaign, touch.firstAt]),
+            'first_at = LEAST(first_at, VALUES(first_at))');
+
+        // A transaction tracked twice is counted once
+        const known = new Set();
+        for (const part of chunk(conversions.map((conversion) => conversion.transactionId), 500)) {
+            const [rows] = await connection.execute(
+                `SELECT transaction_id FROM ${tables.conversions} WHERE transaction_id IN (${part.map(() => '?').join(', ')})`,
+                part
+            );
+            (rows || []).forEach((row) => known.add(row.transaction_id));
+        }
+        const fresh = conversions.filter((conversion) => !known.has(conversion.transactionId));
+        if (!fresh.length) return;
+
+        await this.upsert(connection, tables.conversions, ['transaction_id', 'user_id', 'converted_at', 'revenue'],
+            fresh.map((conversion) => [conversion.transactionId, conversion.userId, conversion.convertedAt, conversion.revenue]),
+            'transaction_id = transaction_id');
+
+        const productOrders = new Map();
+        const pairs = new Map();
+        fresh.forEach(({ convertedAt, products }) => {
+            const day = dayOf(convertedAt);
+            products.forEach((product, index) => {
+                const key = `${day}\u0000${product}`;
+                productOrders.set(key, (productOrders.get(key) || 0) + 1);
+                products.slice(index + 1).forEach((other) => {
+                    const pairKey = `${day}\u0000${product}\u0000${other}`;
+                    pairs.set(pairKey, (pairs.get(pairKey) || 0) + 1);
+                });
+            });
+        });
+        await this.upsert(connection, tables.product_orders, ['day', 'product_id', 'orders'],
+            [...productOrders.entries()].map(([key, orders]) => [...key.split('\u0000'), orders]),
+            'orders = orders + VALUES(orders)');
+        await this.upsert(connection, tables.product_pairs, ['day', 'product_a', 'product_b', 'orders'],
+            [...pairs.entries()].map(([key, orders]) => [...key.split('\u0000'), orders]),
+            'orders = orders + VALUES(orders)');
+    }
+
+    /**
+     * Rolls up every ECOMM_ROLLUP_INTERVAL_MS.
+     */
+    start() {
+        if (this.timer) return;
+        const run = () => this.rollup().catch((error) => {
+            console.error('Analytics rollup failed:', error.message);
+        });
+        run();
+        this.timer = setInterval(run, this.settings().intervalMs);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Deletes the rollups of a user (erasure of their tracked data). Product counts are not
+     * linked to users and stay.
+     * @returns {Promise<Object>} Deleted rows by table.
+     */
+    async eraseUser(userId) {
+        const deleted = {};
+        for (const name of ['users', 'user_days', 'touches', 'conversions']) {
+            const result = await this.execute(`DELETE FROM ${this.tables[name]} WHERE user_id = ?`, [userId]);
+            deleted[this.tables[name]] = affectedRowCount(result) || 0;
+        }
+        return deleted;
+    }
+
+    /**
+     * Deletes the rollups of the days before a date (retention).
+     * @returns {Promise<Object>} Deleted rows by table.
+     */
+    async purge(before) {
+        const { tables } = this;
+        const day = dayOf(before);
+        const statements = [
+            [tables.user_days, `DELETE FROM ${tables.user_days} WHERE day < ?`, day],
+            [tables.touches, `DELETE FROM ${tables.touches} WHERE day < ?`, day],
+            [tables.product_orders, `DELETE FROM ${tables.product_orders} WHERE day < ?`, day],
+            [tables.product_pairs, `DELETE FROM ${tables.product_pairs} WHERE day < ?`, day],
+            [tables.conversions, `DELETE FROM ${tables.conversions} WHERE converted_at < ?`, before],
+            [tables.users, `DELETE FROM ${tables.users} WHERE last_seen < ?`, day],
+        ];
+        const deleted = {};
+        for (const [table, sql, value] of statements) {
+            const result = await this.execute(sql, [value]);
+            deleted[table] = affectedRowCount(result) || 0;
+        }
+        return deleted;
+    }
+
+    // ------------------------------------------------------------ analyses
+
+    /**
+     * Conversion through ordered steps, with the drop-off at each step.
+     * @param {Object} params
+     * @param {Array<string>} params.steps - Event types, at least two.
+     * @param {Date} params.from - Start of the entry range.
+     * @param {Date} params.to - End of the entry range (exclusive).
+     * @param {number} [params.windowDays=7] - Time to complete the funnel after entering it.
+     */
+    async funnel({ steps, from, to, windowDays = 7 }) {
+        if (!Array.isArray(steps) || steps.length < 2) throw new AnalyticsError('A funnel needs at least two steps');
+        const windowMs = windowDays * DAY_MS;
+        const types = [...new Set(steps)];
+        const rows = await this.execute(
+            `SELECT user_id, event_type, first_at, last_at FROM ${this.tables.user_days}
+             WHERE day >= ? AND day < ? AND event_type IN (${types.map(() => '?').join(', ')})`,
+            [dayOf(from), dayOf(new Date(to.getTime() + windowMs + DAY_MS)), ...types]
+        );
+        return { from: dayOf(from), to: dayOf(to), windowDays, steps: computeFunnel(rows || [], steps, { from, to, windowMs }) };
+    }
+
+    /**
+     * Weekly retention of the users first seen in a range: the share of each cohort active
+     * in each following week. Weeks start on Monday.
+     * @param {Object} params
+     * @param {Date} params.from
+     * @param {Date} params.to - Exclusive.
+     * @param {number} [params.weeks=8] - Weeks after the first one.
+     */
+    async cohorts({ from, to, weeks = 8 }) {
+        const { tables } = this;
+        const rows = await this.execute(
+            `SELECT DATE_SUB(u.first_seen, INTERVAL WEEKDAY(u.first_seen) DAY) AS cohort,
+                    DATE_SUB(d.day, INTERVAL WEEKDAY(d.day) DAY) AS week,
+                    COUNT(DISTINCT d.user_id) AS users
+             FROM ${tables.users} u
+             JOIN ${tables.user_days} d ON d.user_id = u.user_id
+             WHERE u.first_seen >= ? AND u.first_seen < ? AND d.day >= u.first_seen
+             GROUP BY cohort, week`,
+            [dayOf(from), dayOf(to)]
+        );
+        return { from: dayOf(from), to: dayOf(to), weeks, cohorts: computeCohorts(rows || [], weeks) };
+    }
+
+    /**
+     * Revenue and conversions of a range credited to UTM sources, mediums or campaigns.
+     * @param {Object} params
+     * @param {Date} params.from
+     * @param {Date} params.to - Exclusive.
+     * @param {string} [params.model='last'] - first, last or linear touch.
+     * @param {string} [params.dimension='source'] - source, medium or campaign.
+     * @param {number} [params.lookbackDays=30] - Touches older than this before a conversion are ignored.
+     */
+    async attribution({ from, to, model = 'last', dimension = 'source', lookbackDays = 30 }) {
+        if (!ATTRIBUTION_MODELS.includes(model)) throw new AnalyticsError(`model must be one of ${ATTRIBUTION_MODELS.join(', ')}`);
+        if (!ATTRIBUTION_DIMENSIONS.includes(dimension)) throw new AnalyticsError(`groupBy must be one of ${ATTRIBUTION_DIMENSIONS.join(', ')}`);
+        const lookbackMs = lookbackDays * DAY_MS;
+        const conversions = await this.execute(
+            `SELECT transaction_id, user_id, converted_at, revenue FROM ${this.tables.conversions} WHERE converted_at >= ? AND converted_at < ?`,
+            [from, to]
+        ) || [];
+
+        const touches = [];
+        const userIds = [...new Set(conversions.map((conversion) => conversion.user_id))];
+        for (const part of chunk(userIds, 500)) {
+            const rows = await this.execute(
+                `SELECT user_id, first_at, source, medium, campaign FROM ${this.tables.touches}
+                 WHERE user_id IN (${part.map(() => '?').join(', ')}) AND day >= ? AND day <= ?`,
+                [...part, dayOf(new Date(from.getTime() - lookbackMs)), dayOf(to)]
+            );
+            touches.push(...(rows || []));
+        }
+
+        const channels = attribute(conversions, touches, { model, dimension, lookbackMs });
+        return {
+            from: dayOf(from),
+            to: dayOf(to),
+            model,
+            groupBy: dimension,
+            lookbackDays,
+            conversions: conversions.length,
+            revenue: Math.round(conversions.reduce((sum, conversion) => sum + (Number(conversion.revenue) || 0), 0) * 100) / 100,
+            channels,
+        };
+    }
+
+    /**
+     * Products bought together, with support, confidence and lift.
+     * @param {Object} params
+     * @param {Date} params.from
+     * @param {Date} params.to - Exclusive.
+     * @param {string} [params.productId] - Only the pairs of this product.
+     * @param {number} [params.minOrders=2] - Pairs in fewer orders are left out.
+     * @param {number} [params.limit=50]
+     */
+    async productAffinity({ from, to, productId = null, minOrders = 2, limit = 50 }) {
+        const { tables } = this;
+        const range = [dayOf(from), dayOf(to)];
+        const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const pairs = await this.execute(
+            `SELECT product_a, product_b, SUM(orders) AS orders FROM ${tables.product_pairs}
+             WHERE day >= ? AND day < ?${productId ? ' AND (product_a = ? OR product_b = ?)' : ''}
+             GROUP BY product_a, product_b HAVING SUM(orders) >= ?
+             ORDER BY orders DESC LIMIT ${max}`,
+            [...range, ...(productId ? [productId, productId] : []), minOrders]
+        ) || [];
+
+        const productOrders = new Map();
+        const products = [...new Set(pairs.flatMap((pair) => [pair.product_a, pair.product_b]))];
+        for (const part of chunk(products, 500)) {
+            const rows = await this.execute(
+                `SELECT product_id, SUM(orders) AS orders FROM ${tables.product_orders}
+                 WHERE day >= ? AND day < ? AND product_id IN (${part.map(() => '?').join(', ')}) GROUP BY product_id`,
+                [...range, ...part]
+            );
+            (rows || []).forEach((row) => productOrders.set(row.product_id, Number(row.orders) || 0));
+        }
+        const [total] = await this.execute(
+            `SELECT COUNT(*) AS orders FROM ${tables.conversions} WHERE converted_at >= ? AND converted_at < ?`,
+            [from, to]
+        ) || [];
+        const totalOrders = Number(total && total.orders) || 0;
+
+        return { from: range[0], to: range[1], productId, orders: totalOrders, pairs: computeAffinity(pairs, productOrders, totalOrders) };
+    }
+}
+
+module.exports = {
+    AnalyticsError,
+    EcommAnalytics,
+    ATTRIBUTION_MODELS,
+    ATTRIBUTION_DIMENSIONS,
+    aggregateEvents,
+    computeFunnel,
+    computeCohorts,
+    attribute,
+    computeAffinity,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { activeRowsCondition } = require('./softDelete');
+const { tenantCondition } = require('./tenancy');
+
+/**
+ * Record versions for optimistic concurrency on database endpoints.
+ *
+ * Endpoints opt in with `versionColumn` (an integer column incremented on every update)
+ * or `etag: true` (a hash of the record's readable columns). The ETag always describes
+ * the stored record, whatever `fields`/`include` the client asked for, so a tag read
+ * with GET can be sent back with If-Match on PUT, PATCH or DELETE. Only `versionColumn`
+ * can guard the write itself, so `etag: true` endpoints refuse If-Match writes.
+ */
+
+/**
+ * Whether ETags are enabled for an endpoint.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @returns {boolean}
+ */
+function isETagEnabled(endpoint) {
+    return Boolean(endpoint.versionColumn || endpoint.etag);
+}
+
+/**
+ * Computes the ETag of a stored record.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object} record - Row selected by buildVersionQuery().
+ * @returns {string} Quoted entity tag.
+ */
+function computeETag(endpoint, record) {
+    if (endpoint.versionColumn) {
+        return `"v${record[endpoint.versionColumn]}"`;
+    }
+    const values = endpoint.allowRead.map((field) => record[field]);
+    const hash = crypto.createHash('sha1').update(JSON.stringify(values)).digest('base64url');
+    return `"${hash}"`;
+}
+
+/**
+ * Builds the query reading what the ETag of one record is computed from, scoped like the
+ * record routes (owner, tenant and soft delete).
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {string} primaryKey - Primary key column.
+ * @param {string|number} recordId - Primary key value.
+ * @param {Object} [user] - Authenticated user, required for owner endpoints.
+ * @param {Object} [tenant] - Tenant of the request (tenancy.resolveTenant()).
+ * @returns {{query: string, values: Array}}
+ */
+function buildVersionQuery(endpoint, primaryKey, recordId, user, tenant) {
+    const { dbTable } = endpoint;
+    const columns = endpoint.versionColumn ? [endpoint.versionColumn] : endpoint.allowRead;
+    let query = `SELECT ${columns.map((column) => `${dbTable}.${column}`).join(', ')} FROM ${dbTable} WHERE ${dbTable}.${primaryKey} = ?`;
+    const values = [recordId];
+
+    const activeCondition = activeRowsCondition(endpoint);
+    if (activeCondition) {
+        query += ` AND ${activeCondition}`;
+    }
+    if (endpoint.owner && user) {
+        query += ` AND ${dbTable}.${endpoint.owner.column} = ?`;
+        values.push(user[endpoint.owner.tokenField]);
+    }
+    const tenantScope = tenantCondition(endpoint, tenant);
+    if (tenantScope) {
+        query += ` AND ${tenantScope.clause}`;
+        values.push(...tenantScope.values);
+    }
+    return { query, values };
+}
+
+/**
+ * Loads the current version of a record, or null when the record does not exist.
+ * @param {Object} connection - Database connection.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {string} primaryKey - Primary key column.
+ * @param {string|number} recordId - Primary key value.
+ * @param {Object} [user] - Authenticated user.
+ * @param {Object} [tenant] - Tenant of the request.
+ * @returns {Promise<{etag: string, version: any}|null>} `version` is the versionColumn value, if configured.
+ */
+async function loadRecordVersion(connection, endpoint, primaryKey, recordId, user, tenant) {
+    const { query, values } = buildVersionQuery(endpoint, primaryKey, recordId, user, tenant);
+    const [rows] = await connection.execute(query, values);
+    if (!rows.length) return null;
+    return {
+        etag: computeETag(endpoint, rows[0]),
+        version: endpoint.versionColumn ? rows[0][endpoint.versionColumn] : undefined,
+    };
+}
+
+/**
+ * Checks an If-Match / If-None-Match header value against the current ETag.
+ * Supports lists and `*`. Weak tags are compared by their opaque value.
+ * @param {string} header - Header value.
+ * @param {string|null} etag - Current ETag, null when the record does not exist.
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+    if (!header || !etag) return false;
+    if (header.trim() === '*') return true;
+    const strip = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').map(strip).includes(strip(etag));
+}
+
+/**
+ * Evaluates the If-Match precondition of a PUT, PATCH or DELETE. Requests without If-Match
+ * (or on endpoints without ETags) always pass. The returned guard must be added to the write
+ * so a concurrent update between the check and the write still fails. Without a versionColumn
+ * nothing can guard the write, so If-Match is refused with a 501.
+ * @param {Object} req - Express request.
+ * @param {Object} connection - Database connection.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {string} primaryKey - Primary key column.
+ * @param {string|number} recordId - Primary key value.
+ * @param {Object} [user] - Authenticated user.
+ * @param {Object} [tenant] - Tenant of the request.
+ * @returns {Promise<{ok: boolean, guard: ({condition: string, values: Array}|null), status: (number|undefined), error: (string|undefined)}>}
+ *   `status` and `error` are set when the request is refused for another reason than a stale ETag.
+ */
+async function checkWritePrecondition(req, connection, endpoint, primaryKey, recordId, user, tenant) {
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch || !isETagEnabled(endpoint)) {
+        return { ok: true, guard: null };
+    }
+    if (!endpoint.versionColumn) {
+        return { ok: false, guard: null, status: 501, error: 'If-Match requires a versionColumn on this endpoint' };
+    }
+    const current = await loadRecordVersion(connection, endpoint, primaryKey, recordId, user, tenant);
+    if (!current || !etagMatches(ifMatch, current.etag)) {
+        return { ok: false, guard: null };
+    }
+    return {
+        ok: true,
+        guard: { condition: `${endpoint.dbTable}.${endpoint.versionColumn} = ?`, values: [current.version] },
+    };
+}
+
+/**
+ * Checks the outcome of a write guarded by checkWritePrecondition(). A guarded write that
+ * changed no row lost a race with a concurrent change: it fails with 412 when the record
+ * still exists, and with 404 when it is gone.
+ * @param {Object} connection - Database connection.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {string} primaryKey - Primary key column.
+ * @param {string|number} recordId - Primary key value.
+ * @param {Object} precondition - Result of checkWritePrecondition().
+ * @param {number|null} affected - Rows changed by the write (db.affectedRowCount()); null when unknown.
+ * @param {Object} [user] - Authenticated user.
+ * @param {Object} [tenant] - Tenant of the request.
+ * @returns {Promise<{status: number, error: string}|null>} null when the write went through.
+ */
+async function checkGuardedWrite(connection, endpoint, primaryKey, recordId, precondition, affected, user, tenant) {
+    if (!precondition.guard || affected !== 0) {
+        return null;
+    }
+    const current = await loadRecordVersion(connection, endpoint, primaryKey, recordId, user, tenant);
+    return current
+        ? { status: 412, error: 'Precondition Failed: the record has been modified' }
+        : { status: 404, error: 'Record not found' };
+}
+
+/**
+ * SET assignments bumping the version column on update; empty without a versionColumn.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @returns {Array<string>}
+ */
+function versionIncrement(endpoint) {
+    const column = endpoint.versionColumn;
+    return column ? [`${column} = COALESCE(${column}, 0) + 1`] : [];
+}
+
+module.exports = {
+    isETagEnabled,
+    computeETag,
+    buildVersionQuery,
+    loadRecordVersion,
+    etagMatches,
+    checkWritePrecondition,
+    checkGuardedWrite,
+    versionIncrement,
+};
@@ -0,0 +1,150 @@
+/**
+ * Field-level read/write permissions of database endpoints.
+ *
+ *   "fieldAcl": {
+ *     "salary": { "read": ["hr"], "write": ["hr_admin"] },
+ *     "ssn": { "read": ["hr_admin"] }
+ *   },
+ *   "fieldAclMode": "drop"   // or "deny"
+ *
+ * A field listed here is only readable (writable) by users holding one of the roles of its
+ * `read` (`write`) list; `write` defaults to `read`. Fields not listed follow `allowRead` /
+ * `allowWrite` only. Restrictions never grant anything: a field must still be in
+ * `allowRead` / `allowWrite`.
+ *
+ * With "drop" (default) restricted fields are silently left out of responses and inputs.
+ * With "deny" a request that explicitly asks for a restricted field (`fields=`/`include=`,
+ * a GraphQL selection, a write or a report column) fails with 403. Fields returned by
+ * default are always dropped, in both modes.
+ */
+const { QueryBuilderError } = require('./queryBuilder');
+
+function userRoles(user) {
+    return user ? [].concat(user.acl || []) : [];
+}
+
+function hasFieldAcl(endpoint) {
+    return Boolean(endpoint && endpoint.fieldAcl && Object.keys(endpoint.fieldAcl).length);
+}
+
+function isDenyMode(endpoint) {
+    return Boolean(endpoint && endpoint.fieldAclMode === 'deny');
+}
+
+// Roles allowed to read or write a field, or null when the field is not restricted.
+function allowedRoles(endpoint, field, access) {
+    const rule = hasFieldAcl(endpoint) ? endpoint.fieldAcl[field] : null;
+    if (!rule) return null;
+    const roles = access === 'write' && rule.write === undefined ? rule.read : rule[access];
+    return roles === undefined ? null : [].concat(roles);
+}
+
+function canAccessField(endpoint, field, user, access) {
+    const roles = allowedRoles(endpoint, field, access);
+    if (!roles) return true;
+    const held = userRoles(user);
+    return roles.some((role) => held.includes(role));
+}
+
+function canReadField(endpoint, field, user) {
+    return canAccessField(endpoint, field, user, 'read');
+}
+
+function canWriteField(endpoint, field, user) {
+    return canAccessField(endpoint, field, user, 'write');
+}
+
+/**
+ * Fields of the list the user may read.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object} user - Authenticated user, may be undefined.
+ * @param {Array<string>} [fields] - Candidate fields (default: allowRead).
+ * @returns {Array<string>}
+ */
+function readableFields(endpoint, user, fields = endpoint.allowRead || []) {
+    return fields.filter((field) => canReadField(endpoint, field, user));
+}
+
+/**
+ * Fields of the list the user may write.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object} user - Authenticated user, may be undefined.
+ * @param {Array<string>} [fields] - Candidate fields (default: allowWrite).
+ * @returns {Array<string>}
+ */
+function writableFields(endpoint, user, fields = endpoint.allowWrite || []) {
+    return fields.filter((field) => canWriteField(endpoint, field, user));
+}
+
+/**
+ * Filters fields the client explicitly asked to read.
+ * @throws {QueryBuilderError} 403 in "deny" mode when one of them is restricted.
+ */
+function permittedReadFields(endpoint, user, fields) {
+    const refused = fields.filter((field) => !canReadField(endpoint, field, user));
+    if (refused.length && isDenyMode(endpoint)) {
+        throw new QueryBuilderError(`Not allowed to read field: ${refused[0]}`, 403);
+    }
+    return fields.filter((field) => !refused.includes(field));
+}
+
+/**
+ * Filters the fields of a write.
+ * @throws {QueryBuilderError} 403 in "deny" mode when one of them is restricted.
+ */
+function permittedWriteFields(endpoint, user, fields) {
+    const refused = fields.filter((field) => !canWriteField(endpoint, field, user));
+    if (refused.length && isDenyMode(endpoint)) {
+        throw new QueryBuilderError(`Not allowed to write field: ${refused[0]}`, 403);
+    }
+    return fields.filter((field) => !refused.includes(field));
+}
+
+/**
+ * Removes the fields the user may not read from records, in place.
+ * @param {Object} endpoint - Endpoint the records belong to.
+ * @param {Array<Object>} records - Records to redact.
+ * @param {Object} user - Authenticated user, may be undefined.
+ * @returns {Array<Object>} The records.
+ */
+function redactRecords(endpoint, records, user) {
+    if (!hasFieldAcl(endpoint)) return records;
+    const hidden = Object.keys(endpoint.fieldAcl).filter((field) => !canReadField(endpoint, field, user));
+    if (hidden.length) {
+        records.forEach((record) => {
+            if (record && typeof record === 'object') {
+                hidden.forEach((field) => delete record[field]);
+            }
+        });
+    }
+    return records;
+}
+
+/**
+ * Part of a cache key that separates users who see different fields of the endpoints.
+ * Empty when none of the endpoints restricts fields.
+ * @param {Array<Object>} endpoints - Endpoints contributing fields to the response.
+ * @param {Object} user - Authenticated user, may be undefined.
+ * @returns {string}
+ */
+function fieldAclCacheKey(endpoints, user) {
+    const hidden = endpoints
+        .filter(hasFieldAcl)
+        .flatMap((endpoint) => Object.keys(endpoint.fieldAcl)
+            .filter((field) => !canReadField(endpoint, field, user))
+            .map((field) => `${endpoint.dbTable}.${field}`));
+    return hidden.length ? `:hidden=${hidden.sort().join(',')}` : '';
+}
+
+module.exports = {
+    hasFieldAcl,
+    isDenyMode,
+    canReadField,
+    canWriteField,
+    readableFields,
+    writableFields,
+    permittedReadFields,
+    permittedWriteFields,
+    redactRecords,
+    fieldAclCacheKey,
+};
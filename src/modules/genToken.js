@@ -1,10 +1,8 @@
 
-const jwt = require('jsonwebtoken');
 // get .env variables two levels up
 require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRY = process.env.JWT_EXPIRY;
+const { signAccessToken } = require('./tokenService');
 
 async function genToken(user, allowRead,authentication) {
     // Generate JWT token
@@ -19,7 +17,7 @@ async function genToken(user, allowRead,authentication) {
         }
     });
 
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
+    const token = signAccessToken(tokenPayload);
     return token;
 }
 
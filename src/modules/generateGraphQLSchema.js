@@ -1,191 +1,738 @@
+/**
+ * Generates the GraphQL schema of the database endpoints.
+ *
+ * Every database endpoint with `allowRead` becomes an object type named after its table
+ * (`products` -> `Products`). Field types come from `columnDefinitions` (Int, Float, Boolean,
+ * JSON, DateTime, String otherwise), and relationships to tables that have an endpoint
+ * become nested fields loaded in batches, one query per relationship and level.
+ *
+ * Queries per type:
+ *   getAll<Type>(where, orderBy, first, after): [Type]   all rows, or one page when first/after is given
+ *   list<Type>(where, orderBy, first, after): <Type>Connection   one page with its pageInfo
+ *   get<Type>(<primary key>: ID!): Type
+ * and, for endpoints with `allowWrite` accepting POST, `create<Type>(input: <Type>Input)`.
+ *
+ * Subscriptions per type, fed by the record change events of the ChangeFeed:
+ *   <table>Created(where), <table>Updated(where), <table>Deleted(where): Type
+ *
+ * Every operation applies the endpoint's `auth`, `acl`, `owner`, `softDelete` and `fieldAcl`
+ * settings the way the REST routes do; the user comes from the Authorization header of the
+ * request. Fields restricted by `fieldAcl` resolve to null, or fail with FORBIDDEN when the
+ * endpoint uses `"fieldAclMode": "deny"`. With tenancy enabled, rows and change events are
+ * limited to the tenant of the request like on the REST routes. Columns of `uuidMapping`
+ * are IDs exposed as their UUIDs, taken as UUIDs by get<Type>, not filterable, and their
+ * endpoints seal their cursors.
+ */
+
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLInputObjectType,
+    GraphQLEnumType,
+    GraphQLScalarType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLID,
+    GraphQLInt,
+    GraphQLFloat,
+    GraphQLString,
+    GraphQLBoolean,
+    GraphQLError,
+    Kind,
+    valueFromASTUntyped,
+} = require('graphql');
 const consolelog = require('./logger');
+const { activeRowsCondition } = require('./softDelete');
+const { getDbConnection } = require('./db');
+const {
+    QueryBuilderError,
+    buildWhereInput,
+    matchesWhereInput,
+    buildSortClause,
+    buildCursorQuery,
+    buildCursorPage,
+} = require('./queryBuilder');
+const {
+    DEFAULT_MAX_DEPTH,
+    relationshipName,
+    isToMany,
+    canReadEndpoint,
+    createRelationshipLoader,
+} = require('./relationshipExpander');
+const BulkRouteHandler = require('./BulkRouteHandler');
+const { isDenyMode, canReadField, readableFields, permittedWriteFields } = require('./fieldAcl');
+const { tenantScope, tenantCondition } = require('./tenancy');
+const { uuidColumns } = require('./dynamicUUID');
 
-var { buildSchema } = require('graphql');
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
-function printResolvers(resolvers) {
-    Object.entries(resolvers).forEach(([type, resolverGroup]) => {
-        consolelog.log(`Resolvers for ${type}:`);
-        Object.entries(resolverGroup).forEach(([resolverName, resolverFn]) => {
-            consolelog.log(`- ${resolverName}:`);
-            consolelog.log(resolverFn.toString()); // Print the function definition
-        });
-    });
-}
-// Utility to generate GraphQL schema and root resolvers from config
-function generateGraphQLSchema(config) {
-    let schemaString = '';
-    const rootResolvers = { Query: {}, Mutation: {} };
-    var selectFields = "";
-    var getAllQuery = "";
-    var getByIdQuery = "";
-    const tables = [];
-
-    // Collect Query and Mutation fields
-    const queryFields = [];
-    const mutationFields = [];
-
-    try{
-    config.forEach((endpoint) => {
-        if  (endpoint.routeType !== 'database')  {
-            return; // Skip this iteration
-        }
+// Depth and limit of the relationship chain a row was loaded through.
+const EXPANSION = Symbol('expansion');
 
-        const { dbTable, allowRead, allowWrite } = endpoint;
-        if(tables.includes(dbTable)) {
-            return;
+const DateTimeScalar = new GraphQLScalarType({
+    name: 'DateTime',
+    description: 'ISO-8601 date and time.',
+    serialize(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+    },
+    parseValue(value) {
+        const date = new Date(value);
+        if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+            throw new TypeError(`DateTime cannot represent an invalid date: ${value}`);
         }
-        // test if table has allowRead if not skip
-        if (!allowRead) {
-            return;
+        return date;
+    },
+    parseLiteral(ast) {
+        if (ast.kind !== Kind.STRING && ast.kind !== Kind.INT) {
+            throw new TypeError('DateTime must be an ISO-8601 string or a timestamp');
         }
+        return DateTimeScalar.parseValue(ast.kind === Kind.INT ? Number(ast.value) : ast.value);
+    },
+});
 
-        tables.push(dbTable);
-    
-        // Generate type definition for the database table
-        const typeName = dbTable.charAt(0).toUpperCase() + dbTable.slice(1);
-        const fields = allowRead.map((field) => `${field}: String`).join('\n');
-        schemaString += `
-            type ${typeName} {
-                ${fields}
+const JSONScalar = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Arbitrary JSON value.',
+    serialize(value) {
+        // Some drivers hand JSON columns back as text.
+        if (typeof value === 'string') {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
             }
-        `;
-    
-        if (allowRead && allowRead.length > 0) {
-            queryFields.push(`
-                getAll${typeName}: [${typeName}]
-                get${typeName}(id: String): ${typeName}
-            `);
-            // Construct the query strings
-            selectFields = allowRead.join(', ');
-            getAllQuery = `SELECT ${selectFields} FROM ${dbTable}`;
-            getByIdQuery = `SELECT ${selectFields} FROM ${dbTable} WHERE id = ?`;
-        
-            consolelog.log(`Allow read: ${allowRead}`);
-            consolelog.log(`GetAll Query: ${getAllQuery}`);
-            consolelog.log(`GetById Query: ${getByIdQuery}`);
-        
-            // Bind resolvers with queries and ensure dynamic parameters are passed correctly
-            rootResolvers.Query[`getAll${typeName}`] = createGetAllResolver(typeName, getAllQuery);
-            rootResolvers.Query[`get${typeName}`] = createGetResolver(typeName, getByIdQuery);
         }
-    
-        // Add Mutation definitions
-        if (allowWrite && allowWrite.length > 0) {
-            schemaString += `
-                input ${typeName}Input {
-                    ${allowWrite.map((field) => `${field}: String`).join('\n')}
-                }
-            `;
-    
-            mutationFields.push(`
-                create${typeName}(input: ${typeName}Input): ${typeName}
-            `);
-    
-            // Use factory function to bind the correct values for the mutation resolver
-            rootResolvers.Mutation[`create${typeName}`] = createMutationResolver(typeName, dbTable);
+        return value;
+    },
+    parseValue: (value) => value,
+    parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables),
+});
+
+const SCALARS = {
+    Int: GraphQLInt,
+    Float: GraphQLFloat,
+    Boolean: GraphQLBoolean,
+    String: GraphQLString,
+    JSON: JSONScalar,
+    DateTime: DateTimeScalar,
+};
+
+/**
+ * Maps a column definition (a SQL type string or `{ type }`) to a scalar name.
+ * BIGINT stays a String: GraphQL Int is 32-bit.
+ * @param {string|Object} definition - Entry of `columnDefinitions`.
+ * @returns {string}
+ */
+function scalarNameForColumn(definition) {
+    const sqlType = String((definition && typeof definition === 'object' ? definition.type : definition) || '')
+        .trim()
+        .toUpperCase();
+
+    if (/^(BOOL|BOOLEAN|TINYINT\s*\(\s*1\s*\)|BIT\s*\(\s*1\s*\))/.test(sqlType)) return 'Boolean';
+    if (/^BIGINT\b/.test(sqlType)) return 'String';
+    if (/^(TINYINT|SMALLINT|MEDIUMINT|INT|INTEGER|SERIAL|SMALLSERIAL)\b/.test(sqlType)) return 'Int';
+    if (/^(DECIMAL|NUMERIC|FLOAT|DOUBLE|REAL)\b/.test(sqlType)) return 'Float';
+    if (/^JSONB?\b/.test(sqlType)) return 'JSON';
+    if (/^(DATE|DATETIME|TIMESTAMP|TIMESTAMPTZ)\b/.test(sqlType)) return 'DateTime';
+    return 'String';
+}
+
+function buildFilterInput(scalarName, { ordered = true, pattern = false, lists = true } = {}) {
+    const scalar = SCALARS[scalarName];
+    const fields = {
+        eq: { type: scalar },
+        ne: { type: scalar },
+        isNull: { type: GraphQLBoolean },
+    };
+    if (ordered) {
+        ['gt', 'gte', 'lt', 'lte'].forEach((operator) => { fields[operator] = { type: scalar }; });
+    }
+    if (pattern) {
+        fields.like = { type: scalar };
+    }
+    if (lists) {
+        fields.in = { type: new GraphQLList(new GraphQLNonNull(scalar)) };
+        fields.nin = { type: new GraphQLList(new GraphQLNonNull(scalar)) };
+    }
+    return new GraphQLInputObjectType({ name: `${scalarName}Filter`, fields });
+}
+
+// JSON columns cannot be filtered on.
+const FILTER_INPUTS = {
+    Int: buildFilterInput('Int'),
+    Float: buildFilterInput('Float'),
+    String: buildFilterInput('String', { pattern: true }),
+    DateTime: buildFilterInput('DateTime'),
+    Boolean: buildFilterInput('Boolean', { ordered: false, lists: false }),
+};
+
+const SortDirectionEnum = new GraphQLEnumType({
+    name: 'SortDirection',
+    values: { ASC: { value: 'ASC' }, DESC: { value: 'DESC' } },
+});
+
+const PageInfoType = new GraphQLObjectType({
+    name: 'PageInfo',
+    fields: {
+        hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+        endCursor: { type: GraphQLString, description: 'Pass as `after` to read the next page.' },
+    },
+});
+
+function typeNameFor(table) {
+    return table.charAt(0).toUpperCase() + table.slice(1);
+}
+
+function primaryKeyOf(endpoint) {
+    return endpoint.keys && endpoint.keys.length > 0 ? endpoint.keys[0] : 'id';
+}
+
+/**
+ * Converts errors raised while resolving into GraphQL errors. Client errors (bad filters,
+ * denied access, owner mismatches) keep their message and status; anything else is logged.
+ */
+function toGraphQLError(error, fallbackMessage) {
+    if (error instanceof GraphQLError) return error;
+    if (error.statusCode && error.statusCode < 500) {
+        const code = { 401: 'UNAUTHENTICATED', 403: 'FORBIDDEN' }[error.statusCode] || 'BAD_USER_INPUT';
+        return new GraphQLError(error.message, { extensions: { code, statusCode: error.statusCode } });
+    }
+    console.error(`${fallbackMessage}:`, error.message);
+    return new GraphQLError(fallbackMessage);
+}
+
+/**
+ * Applies the same auth/acl checks as aarMiddleware to a GraphQL operation.
+ * @throws {QueryBuilderError} 401 without a user on authenticated endpoints, 403 on ACL mismatch.
+ */
+function assertCanAccess(endpoint, user) {
+    if (canReadEndpoint(endpoint, user)) return;
+    if (!user) {
+        throw new QueryBuilderError('Unauthorized', 401);
+    }
+    throw new QueryBuilderError((endpoint.unauthorized && endpoint.unauthorized.message) || 'Access Denied', 403);
+}
+
+// Maps the ids of uuidMapping endpoints to UUIDs and back.
+function uuidToolsOf(context) {
+    if (!context.uuidTools) {
+        throw new Error('No uuidTools in the GraphQL context');
+    }
+    return context.uuidTools;
+}
+
+// Conditions every read of the endpoint's rows is scoped by.
+function scopeConditions(endpoint, user, tenant) {
+    const conditions = [];
+    const values = [];
+    const activeCondition = activeRowsCondition(endpoint);
+    if (activeCondition) {
+        conditions.push(activeCondition);
+    }
+    if (endpoint.owner) {
+        conditions.push(`${endpoint.dbTable}.${endpoint.owner.column} = ?`);
+        values.push(user[endpoint.owner.tokenField]);
+    }
+    const tenantScoped = tenantCondition(endpoint, tenant);
+    if (tenantScoped) {
+        conditions.push(tenantScoped.clause);
+        values.push(...tenantScoped.values);
+    }
+    return { conditions, values };
+}
+
+function pageSize(first) {
+    if (first === undefined || first === null) return DEFAULT_PAGE_SIZE;
+    if (first < 1) {
+        throw new QueryBuilderError('"first" must be a positive integer');
+    }
+    return Math.min(first, MAX_PAGE_SIZE);
+}
+
+function markRows(rows, depth, maxDepth) {
+    rows.forEach((row) => {
+        if (row && typeof row === 'object') {
+            Object.defineProperty(row, EXPANSION, { value: { depth, maxDepth }, configurable: true });
         }
     });
-} catch (error) {   
-    console.error('Error in generateGraphQLSchema:', error.message);
-    throw new Error('Failed to generate GraphQL schema.');
+    return rows;
 }
 
-    if (queryFields.length > 0) {
-        schemaString += `
-            type Query {
-                ${queryFields.join('\n')}
+class SchemaBuilder {
+    constructor(config) {
+        this.endpoints = [];
+        this.types = new Map();
+        this.whereInputs = new Map();
+        config.forEach((endpoint) => {
+            if (endpoint.routeType !== 'database' || !Array.isArray(endpoint.allowRead) || endpoint.allowRead.length === 0) {
+                return;
             }
-        `;
-    } else {
-        // Provide a default Query root if no query fields are added
-        schemaString += `
-            type Query {
-                _empty: String
+            // The first endpoint of a table defines its type.
+            if (this.endpoints.some((candidate) => candidate.dbTable === endpoint.dbTable)) {
+                return;
             }
-        `;
+            this.endpoints.push(endpoint);
+        });
     }
-    
-    if (mutationFields.length > 0) {
-        schemaString += `
-            type Mutation {
-                ${mutationFields.join('\n')}
+
+    resolveEndpoint(table) {
+        return this.endpoints.find((endpoint) => endpoint.dbTable === table);
+    }
+
+    // Relationships to tables that have their own endpoint become nested fields.
+    exposedRelationships(endpoint) {
+        return (endpoint.relationships || []).filter((rel) => this.resolveEndpoint(rel.relatedTable));
+    }
+
+    scalarFor(endpoint, field) {
+        return scalarNameForColumn((endpoint.columnDefinitions || {})[field]);
+    }
+
+    // Readable fields plus the foreign keys the relationship fields need.
+    selectColumns(endpoint, extraColumns = []) {
+        const foreignKeys = this.exposedRelationships(endpoint).map((rel) => rel.foreignKey);
+        return [...new Set([...endpoint.allowRead, ...foreignKeys, ...extraColumns])];
+    }
+
+    objectType(endpoint) {
+        const typeName = typeNameFor(endpoint.dbTable);
+        if (this.types.has(typeName)) return this.types.get(typeName);
+
+        const type = new GraphQLObjectType({
+            name: typeName,
+            fields: () => {
+                const fields = {};
+                const uuidFields = uuidColumns(endpoint);
+                endpoint.allowRead.forEach((field) => {
+                    fields[field] = { type: SCALARS[this.scalarFor(endpoint, field)] };
+                    if (endpoint.fieldAcl && endpoint.fieldAcl[field]) {
+                        fields[field].resolve = this.restrictedFieldResolver(endpoint, field);
+                    }
+                    if (uuidFields.includes(field)) {
+                        fields[field] = { type: GraphQLID, resolve: this.uuidFieldResolver(endpoint, field, fields[field].resolve) };
+                    }
+                });
+                this.exposedRelationships(endpoint).forEach((rel) => {
+                    const relatedEndpoint = this.resolveEndpoint(rel.relatedTable);
+                    const relatedType = this.objectType(relatedEndpoint);
+                    fields[relationshipName(rel)] = {
+                        type: isToMany(rel) ? new GraphQLList(relatedType) : relatedType,
+                        resolve: this.relationshipResolver(rel, relatedEndpoint),
+                    };
+                });
+                return fields;
+            },
+        });
+        this.types.set(typeName, type);
+        return type;
+    }
+
+    restrictedFieldResolver(endpoint, field) {
+        return (row, args, context) => {
+            if (canReadField(endpoint, field, context.user)) {
+                return row[field];
+            }
+            if (isDenyMode(endpoint)) {
+                throw toGraphQLError(new QueryBuilderError(`Not allowed to read field: ${field}`, 403));
             }
-        `;
+            return null;
+        };
+    }
+
+    // Rows keep their raw ids, which relationships and cursors are computed from; the field resolves to the UUID.
+    uuidFieldResolver(endpoint, field, resolveValue) {
+        return async (row, args, context) => {
+            const value = resolveValue ? resolveValue(row, args, context) : row[field];
+            if (!value) return value;
+            return uuidToolsOf(context).encodeId(endpoint.dbTable, field, value, context.secretSalt);
+        };
     }
 
-    // Build the schema
-    const schema = buildSchema(schemaString);
+    whereInput(endpoint) {
+        const typeName = typeNameFor(endpoint.dbTable);
+        if (this.whereInputs.has(typeName)) return this.whereInputs.get(typeName);
 
-    return { schema, rootResolvers };
-}
+        const input = new GraphQLInputObjectType({
+            name: `${typeName}Where`,
+            fields: () => {
+                const fields = {
+                    AND: { type: new GraphQLList(new GraphQLNonNull(input)) },
+                    OR: { type: new GraphQLList(new GraphQLNonNull(input)) },
+                };
+                const uuidFields = uuidColumns(endpoint);
+                endpoint.allowRead.forEach((field) => {
+                    const filter = !uuidFields.includes(field) && FILTER_INPUTS[this.scalarFor(endpoint, field)];
+                    if (filter) {
+                        fields[field] = { type: filter };
+                    }
+                });
+                return fields;
+            },
+        });
+        this.whereInputs.set(typeName, input);
+        return input;
+    }
 
-// Helper function to create "getAll<Type>" resolver
-function createGetAllResolver(typeName, query) {
-    return async (req, res) => {
-        try {            
-            const { dbConnection } = res;
-            if (!dbConnection) {
-                throw new Error('dbConnection is not defined in the context');
-            }            
-            const [results] = await dbConnection.execute(query);
-            
-            return results;
-        } catch (error) {
-            console.error(`Error in getAll${typeName} resolver:`, error.message);
-            throw new Error('Failed to fetch data.');
-        }
-    };
-}
+    orderByInput(endpoint) {
+        const typeName = typeNameFor(endpoint.dbTable);
+        const values = {};
+        endpoint.allowRead.forEach((field) => { values[field] = { value: field }; });
+        return new GraphQLInputObjectType({
+            name: `${typeName}OrderBy`,
+            fields: {
+                field: { type: new GraphQLNonNull(new GraphQLEnumType({ name: `${typeName}SortField`, values })) },
+                direction: { type: SortDirectionEnum, defaultValue: 'ASC' },
+            },
+        });
+    }
+
+    /**
+     * Reads the rows of an endpoint for getAll/list. Pages with keyset cursors when
+     * `paginate` is set or the client sent first/after.
+     * @returns {Promise<{rows: Array<Object>, nextCursor: (string|null), hasMore: boolean}>}
+     */
+    async fetchRows(endpoint, args, context, paginate) {
+        const { dbTable } = endpoint;
+        const { conditions, values } = scopeConditions(endpoint, context.user, context.tenant);
+        const readFields = readableFields(endpoint, context.user);
 
+        const where = buildWhereInput(args.where, dbTable, readFields);
+        if (where.clause) {
+            conditions.unshift(`(${where.clause})`);
+            values.unshift(...where.values);
+        }
 
-function createGetResolver(typeName, query) {
-    return async (req, res) => {
-        try {
-             
+        const sortParam = (args.orderBy || [])
+            .map(({ field, direction }) => `${direction === 'DESC' ? '-' : ''}${field}`)
+            .join(',');
 
-            const { dbConnection } = res;
-            if (!dbConnection) {
-                throw new Error('dbConnection is not defined in the context');
+        let cursorQuery = null;
+        let orderByClause;
+        if (paginate || args.first != null || args.after) {
+            cursorQuery = buildCursorQuery({
+                sortParam,
+                cursor: args.after,
+                primaryKey: primaryKeyOf(endpoint),
+                dbTable,
+                allowedFields: readFields,
+                limit: pageSize(args.first),
+                sealed: uuidColumns(endpoint).length > 0,
+            });
+            if (cursorQuery.clause) {
+                conditions.push(cursorQuery.clause);
+                values.push(...cursorQuery.values);
             }
+            orderByClause = `${cursorQuery.orderByClause} ${cursorQuery.limitClause}`;
+        } else {
+            orderByClause = buildSortClause(sortParam, dbTable, readFields);
+        }
 
-            consolelog.log(`Database connection for get${typeName} acquired`);
+        // The cursor is computed from the ordering columns, which may not be readable.
+        const orderColumns = cursorQuery ? cursorQuery.order.map(({ field }) => field) : [];
+        const columns = this.selectColumns(endpoint, orderColumns).map((column) => `${dbTable}.${column}`);
+        let query = `SELECT ${columns.join(', ')} FROM ${dbTable}`;
+        if (conditions.length) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        if (orderByClause) {
+            query += ` ${orderByClause}`;
+        }
 
-            // Assuming `id` is passed in the GraphQL query as an argument
-            const { id } = req;
-            if (!id) {
-                throw new Error('ID is required to fetch the record.');
+        consolelog.log(`GraphQL query on ${dbTable}: ${query}`);
+        const connection = await context.getConnection(endpoint);
+        const [rows] = await connection.execute(query, values);
+        const maxDepth = endpoint.maxExpandDepth || DEFAULT_MAX_DEPTH;
+        if (!cursorQuery) {
+            return { rows: markRows(rows, 0, maxDepth), nextCursor: null, hasMore: false };
+        }
+        const page = buildCursorPage(rows, cursorQuery);
+        return { ...page, rows: markRows(page.rows, 0, maxDepth) };
+    }
+
+    async fetchOne(endpoint, id, context) {
+        const { dbTable } = endpoint;
+        const { conditions, values } = scopeConditions(endpoint, context.user, context.tenant);
+        conditions.unshift(`${dbTable}.${primaryKeyOf(endpoint)} = ?`);
+        values.unshift(id);
+
+        const columns = this.selectColumns(endpoint).map((column) => `${dbTable}.${column}`);
+        const query = `SELECT ${columns.join(', ')} FROM ${dbTable} WHERE ${conditions.join(' AND ')}`;
+        const connection = await context.getConnection(endpoint);
+        const [rows] = await connection.execute(query, values);
+        return markRows(rows, 0, endpoint.maxExpandDepth || DEFAULT_MAX_DEPTH)[0] || null;
+    }
+
+    relationshipResolver(rel, relatedEndpoint) {
+        const name = relationshipName(rel);
+        const many = isToMany(rel);
+        const node = {
+            name,
+            relationship: rel,
+            endpoint: relatedEndpoint,
+            connectionConfig: relatedEndpoint,
+            fields: relatedEndpoint.allowRead,
+            many,
+            // Only used for the foreign keys the nested relationship fields need.
+            children: this.exposedRelationships(relatedEndpoint).map((relatedRel) => ({ relationship: relatedRel })),
+        };
+
+        return async (parent, args, context) => {
+            try {
+                const { depth, maxDepth } = parent[EXPANSION] || { depth: 0, maxDepth: DEFAULT_MAX_DEPTH };
+                if (depth + 1 > maxDepth) {
+                    throw new QueryBuilderError(`Cannot load "${name}": the maximum relationship depth is ${maxDepth}`);
+                }
+                if (!canReadEndpoint(relatedEndpoint, context.user)) {
+                    throw new QueryBuilderError(`Not allowed to read "${name}"`, 403);
+                }
+
+                const value = parent[rel.foreignKey];
+                if (value === null || value === undefined) {
+                    return many ? [] : null;
+                }
+
+                // One loader per request and relationship batches the lookups of all parent rows.
+                const loaderKey = `${typeNameFor(rel.relatedTable)}:${name}:${rel.relatedKey}`;
+                if (!context.loaders.has(loaderKey)) {
+                    context.loaders.set(loaderKey, createRelationshipLoader(node, {
+                        getConnection: context.getConnection,
+                        user: context.user,
+                        tenant: context.tenant,
+                    }));
+                }
+                const rows = markRows(await context.loaders.get(loaderKey).load(value), depth + 1, maxDepth);
+                return many ? rows : (rows[0] || null);
+            } catch (error) {
+                throw toGraphQLError(error, 'Failed to fetch data.');
             }
+        };
+    }
+
+    listArgs(endpoint) {
+        return {
+            where: { type: this.whereInput(endpoint) },
+            orderBy: { type: new GraphQLList(new GraphQLNonNull(this.orderByInput(endpoint))) },
+            first: { type: GraphQLInt },
+            after: { type: GraphQLString },
+        };
+    }
+
+    queryFields(endpoint) {
+        const typeName = typeNameFor(endpoint.dbTable);
+        const type = this.objectType(endpoint);
+        const primaryKey = primaryKeyOf(endpoint);
+        const args = this.listArgs(endpoint);
+
+        const connectionType = new GraphQLObjectType({
+            name: `${typeName}Connection`,
+            fields: {
+                nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type))) },
+                pageInfo: { type: new GraphQLNonNull(PageInfoType) },
+            },
+        });
 
-            
-            const [results] = await dbConnection.execute(query, [id]);
-            
+        return {
+            [`getAll${typeName}`]: {
+                type: new GraphQLList(type),
+                args,
+                resolve: async (_, queryArgs, context) => {
+                    try {
+                        assertCanAccess(endpoint, context.user);
+                        const { rows } = await this.fetchRows(endpoint, queryArgs, context, false);
+                        return rows;
+                    } catch (error) {
+                        throw toGraphQLError(error, 'Failed to fetch data.');
+                    }
+                },
+            },
+            [`list${typeName}`]: {
+                type: new GraphQLNonNull(connectionType),
+                args,
+                resolve: async (_, queryArgs, context) => {
+                    try {
+                        assertCanAccess(endpoint, context.user);
+                        const page = await this.fetchRows(endpoint, queryArgs, context, true);
+                        return {
+                            nodes: page.rows,
+                            pageInfo: { hasNextPage: page.hasMore, endCursor: page.nextCursor },
+                        };
+                    } catch (error) {
+                        throw toGraphQLError(error, 'Failed to fetch data.');
+                    }
+                },
+            },
+            [`get${typeName}`]: {
+                type,
+                args: { [primaryKey]: { type: new GraphQLNonNull(GraphQLID) } },
+                resolve: async (_, queryArgs, context) => {
+                    try {
+                        assertCanAccess(endpoint, context.user);
+                        let id = queryArgs[primaryKey];
+                        if (uuidColumns(endpoint).includes(primaryKey)) {
+                            id = await uuidToolsOf(context).getOriginalIdFromUUID(endpoint.dbTable, primaryKey, id);
+                            if (!id) {
+                                throw new QueryBuilderError('Invalid UUID provided', 400);
+                            }
+                        }
+                        return await this.fetchOne(endpoint, id, context);
+                    } catch (error) {
+                        throw toGraphQLError(error, 'Failed to fetch data.');
+                    }
+                },
+            },
+        };
+    }
 
-            return results[0] || null; // Return the first record or null if not found
-        } catch (error) {
-            console.error(`Error in get${typeName} resolver:`, error.message);
-            throw new Error('Failed to fetch data.');
+    mutationFields(endpoint) {
+        const { dbTable, allowWrite } = endpoint;
+        const allowMethods = endpoint.allowMethods || ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+        if (!Array.isArray(allowWrite) || allowWrite.length === 0 || !allowMethods.includes('POST')) {
+            return {};
         }
-    };
+
+        const typeName = typeNameFor(dbTable);
+        const primaryKey = primaryKeyOf(endpoint);
+        const inputFields = {};
+        allowWrite.forEach((field) => {
+            inputFields[field] = { type: SCALARS[this.scalarFor(endpoint, field)] };
+        });
+
+        return {
+            [`create${typeName}`]: {
+                type: this.objectType(endpoint),
+                args: { input: { type: new GraphQLNonNull(new GraphQLInputObjectType({ name: `${typeName}Input`, fields: inputFields })) } },
+                resolve: async (_, { input }, context) => {
+                    try {
+                        assertCanAccess(endpoint, context.user);
+                        const { query, values } = BulkRouteHandler.buildInsert(input, {
+                            dbTable,
+                            allowWrite: permittedWriteFields(endpoint, context.user, allowWrite.filter((field) => field in input)),
+                            owner: endpoint.owner,
+                            user: context.user,
+                            tenant: tenantScope(endpoint, context.tenant),
+                        });
+                        consolelog.log(`GraphQL create${typeName}: ${query}`);
+                        const connection = await context.getConnection(endpoint);
+                        const [result] = await connection.execute(query, values);
+                        if (context.responseCache) {
+                            await context.responseCache.invalidateTags([dbTable], `GraphQL create${typeName}`);
+                        }
+
+                        const id = input[primaryKey] !== undefined ? input[primaryKey] : result.insertId;
+                        if (context.changeFeed) {
+                            await context.changeFeed.publishRecords(connection, endpoint, 'create', [id], context.user, context.tenant);
+                        }
+                        const created = id !== undefined ? await this.fetchOne(endpoint, id, context) : null;
+                        return created || { [primaryKey]: id, ...input };
+                    } catch (error) {
+                        throw toGraphQLError(error, 'Failed to create entry.');
+                    }
+                },
+            },
+        };
+    }
+
+    subscriptionFields(endpoint) {
+        const { dbTable } = endpoint;
+        const type = this.objectType(endpoint);
+        const maxDepth = endpoint.maxExpandDepth || DEFAULT_MAX_DEPTH;
+
+        const field = (operation) => ({
+            type,
+            args: { where: { type: this.whereInput(endpoint) } },
+            subscribe: (_, { where }, context) => {
+                try {
+                    assertCanAccess(endpoint, context.user);
+                    if (!context.changeFeed) {
+                        throw new Error('No change feed in the GraphQL context');
+                    }
+                    // Rejects unknown fields when subscribing rather than on every event.
+                    buildWhereInput(where, dbTable, readableFields(endpoint, context.user));
+
+                    const ownerValue = endpoint.owner ? String(context.user[endpoint.owner.tokenField]) : null;
+                    // Null when the endpoint is not tenant-scoped or a super-tenant bypasses the scoping.
+                    const scope = tenantScope(endpoint, context.tenant);
+                    const tenantValue = scope && scope.id !== null ? String(scope.id) : null;
+                    return context.changeFeed.subscribe(dbTable, operation, (event) =>
+                        (!endpoint.owner || String(event.owner) === ownerValue) &&
+                        (tenantValue === null || String(event.tenant) === tenantValue) &&
+                        matchesWhereInput(event.data, where));
+                } catch (error) {
+                    throw toGraphQLError(error, 'Failed to subscribe.');
+                }
+            },
+            resolve: (event, args, context) => {
+                // Relationship fields must not be answered from the previous event's loaders.
+                context.loaders = new Map();
+                return markRows([event.data], 0, maxDepth)[0];
+            },
+        });
+
+        return {
+            [`${dbTable}Created`]: field('create'),
+            [`${dbTable}Updated`]: field('update'),
+            [`${dbTable}Deleted`]: field('delete'),
+        };
+    }
+
+    build() {
+        const queryFields = {};
+        const mutationFields = {};
+        const subscriptionFields = {};
+        this.endpoints.forEach((endpoint) => {
+            Object.assign(queryFields, this.queryFields(endpoint));
+            Object.assign(mutationFields, this.mutationFields(endpoint));
+            Object.assign(subscriptionFields, this.subscriptionFields(endpoint));
+        });
+
+        return new GraphQLSchema({
+            query: new GraphQLObjectType({
+                name: 'Query',
+                // A schema needs at least one query field.
+                fields: Object.keys(queryFields).length ? queryFields : { _empty: { type: GraphQLString } },
+            }),
+            mutation: Object.keys(mutationFields).length
+                ? new GraphQLObjectType({ name: 'Mutation', fields: mutationFields })
+                : undefined,
+            subscription: Object.keys(subscriptionFields).length
+                ? new GraphQLObjectType({ name: 'Subscription', fields: subscriptionFields })
+                : undefined,
+        });
+    }
 }
 
-// Helper function to create "create<Type>" resolver
-function createMutationResolver(typeName, dbTable) {
-    return async (_, { input }, { dbConnection }) => {
-        try {
-            consolelog.log(`Resolver called: create${typeName}`);
-            const connection = await dbConnection();
-            const fields = Object.keys(input).join(', ');
-            const placeholders = Object.keys(input).map(() => '?').join(', ');
-            const query = `INSERT INTO ${dbTable} (${fields}) VALUES (${placeholders})`;
-            consolelog.log(`SQL Query: ${query}`);
-            const [result] = await connection.execute(query, Object.values(input));
-            consolelog.log(`Insert Results:`, result);
-            return { id: result.insertId, ...input };
-        } catch (error) {
-            console.error(`Error in create${typeName} resolver:`, error);
-            throw new Error('Failed to create entry.');
-        }
-    };
+/**
+ * Builds the GraphQL schema of the database endpoints. Resolvers are attached to the schema.
+ * @param {Array<Object>} config - Database endpoint configurations.
+ * @returns {{schema: GraphQLSchema}}
+ */
+function generateGraphQLSchema(config) {
+    try {
+        return { schema: new SchemaBuilder(config).build() };
+    } catch (error) {
+        console.error('Error in generateGraphQLSchema:', error.message);
+        throw new Error('Failed to generate GraphQL schema.');
+    }
+}
+
+/**
+ * Builds the per-request context the resolvers expect.
+ * @param {Object} options
+ * @param {Object} [options.user] - Authenticated user (req.user).
+ * @param {Object} [options.tenant] - Tenant of the request (tenancy.resolveTenant()), null without tenancy.
+ * @param {Object} [options.responseCache] - Cache invalidated by mutations.
+ * @param {Object} [options.changeFeed] - Record change events, for mutations and subscriptions.
+ * @param {Function} [options.getConnection] - Returns the database connection of an endpoint.
+ * @param {Object} [options.uuidTools] - dynamicUUID tools, for endpoints with uuidMapping.
+ * @param {string} [options.secretSalt] - Salt of the UUIDs (SECRET_SALT).
+ * @returns {Object}
+ */
+function createGraphQLContext({ user, tenant = null, responseCache, changeFeed, getConnection = getDbConnection, uuidTools = null, secretSalt = '' } = {}) {
+    return { user, tenant, responseCache, changeFeed, getConnection, uuidTools, secretSalt, loaders: new Map() };
 }
 
 module.exports = generateGraphQLSchema;
+module.exports.createGraphQLContext = createGraphQLContext;
+module.exports.scalarNameForColumn = scalarNameForColumn;
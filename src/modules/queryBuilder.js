@@ -0,0 +1,614 @@
+/**
+ * Query builder helpers shared by the generated database routes.
+ *
+ * Translates the `filter` and `sort` query parameters of a GET request into
+ * parameterized SQL fragments. Column names are always validated against the
+ * endpoint's readable fields before being interpolated, values are always bound.
+ *
+ * Supported filter syntax (as parsed by Express' query parser):
+ *   filter[price]=gte:100
+ *   filter[status]=in:paid,refunded
+ *   filter[created_at]=between:2024-01-01,2024-12-31
+ *   filter[deleted_at]=isnull
+ *   filter[or][0][status]=eq:paid&filter[or][1][total]=gt:500
+ *
+ * Supported sort syntax:
+ *   sort=-created_at,name   (leading "-" = DESC, default ASC)
+ *
+ * Endpoints configured with `pagination: "cursor"` page with opaque keyset
+ * cursors (`cursor=<nextCursor|prevCursor>`) instead of LIMIT/OFFSET, see
+ * buildCursorQuery/buildCursorPage. NULLs sort after every value, and cursors of
+ * endpoints that hide their ids (uuidMapping) are encrypted.
+ *
+ * GraphQL `where` arguments arrive already typed, see buildWhereInput:
+ *   { status: { in: ["paid", "refunded"] }, OR: [{ total: { gt: 500 } }] }
+ */
+
+const crypto = require('crypto');
+
+const COLUMN_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Page size of cursor pagination.
+const DEFAULT_CURSOR_LIMIT = 20;
+const MAX_CURSOR_LIMIT = 100;
+
+// Operators that compare the column against a single bound value.
+const COMPARISON_OPERATORS = {
+    eq: '=',
+    ne: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    like: 'LIKE',
+};
+
+// Operators that take a comma separated list of values.
+const LIST_OPERATORS = {
+    in: 'IN',
+    nin: 'NOT IN',
+};
+
+// Operators that do not take a value at all.
+const NULL_OPERATORS = {
+    isnull: 'IS NULL',
+    notnull: 'IS NOT NULL',
+};
+
+// Keys inside a filter object that introduce a nested group of conditions.
+const GROUP_OPERATORS = {
+    or: ' OR ',
+    and: ' AND ',
+};
+
+class QueryBuilderError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'QueryBuilderError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Strips the surrounding quotes clients sometimes send around query values,
+ * mirroring the sanitization applied to the rest of the query string.
+ * @param {any} value
+ * @returns {string}
+ */
+function cleanValue(value) {
+    return String(value).replace(/^['"]|['"]$/g, '');
+}
+
+/**
+ * Ensures a column may be referenced by the client.
+ * @param {string} field - Column requested by the client.
+ * @param {Array<string>} [allowedFields] - Columns the endpoint exposes.
+ * @throws {QueryBuilderError} If the column is unknown or malformed.
+ */
+function assertAllowedField(field, allowedFields) {
+    if (!COLUMN_NAME_PATTERN.test(field)) {
+        throw new QueryBuilderError(`Invalid field name: ${field}`);
+    }
+    if (Array.isArray(allowedFields) && !allowedFields.includes(field)) {
+        throw new QueryBuilderError(`Field not allowed: ${field}`);
+    }
+}
+
+/**
+ * Builds a single "column operator value" condition.
+ * @param {string} column - Fully qualified column (table.field).
+ * @param {string} filterValue - Raw "operator:value" string, e.g. "gte:100".
+ * @returns {{clause: string, values: Array}}
+ */
+function buildCondition(column, filterValue) {
+    const raw = cleanValue(filterValue);
+    const separator = raw.indexOf(':');
+    const operator = (separator === -1 ? raw : raw.slice(0, separator)).toLowerCase();
+    // The value itself may contain colons (timestamps, urls...), keep everything after the first one.
+    const value = separator === -1 ? '' : raw.slice(separator + 1);
+
+    if (NULL_OPERATORS[operator]) {
+        return { clause: `${column} ${NULL_OPERATORS[operator]}`, values: [] };
+    }
+
+    if (LIST_OPERATORS[operator]) {
+        const list = value.split(',').map((item) => item.trim()).filter((item) => item !== '');
+        if (!list.length) {
+            throw new QueryBuilderError(`Operator "${operator}" requires at least one value`);
+        }
+        const placeholders = list.map(() => '?').join(', ');
+        return { clause: `${column} ${LIST_OPERATORS[operator]} (${placeholders})`, values: list };
+    }
+
+    if (operator === 'between') {
+        const range = value.split(',').map((item) => item.trim());
+        if (range.length !== 2 || range.some((item) => item === '')) {
+            throw new QueryBuilderError('Operator "between" requires exactly two values, e.g. between:10,20');
+        }
+        return { clause: `${column} BETWEEN ? AND ?`, values: range };
+    }
+
+    if (COMPARISON_OPERATORS[operator]) {
+        return { clause: `${column} ${COMPARISON_OPERATORS[operator]} ?`, values: [value] };
+    }
+
+    // No recognised operator prefix: keep the historical behaviour and treat
+    // the whole string as an equality value.
+    return { clause: `${column} = ?`, values: [raw] };
+}
+
+/**
+ * Parses a filter object into a WHERE fragment (without the WHERE keyword).
+ * Conditions at the same level are AND-ed; `or`/`and` keys hold a list of
+ * nested filter objects that are combined with the matching operator and
+ * wrapped in parentheses.
+ *
+ * @param {Object} filterObj - Parsed `filter` query parameter.
+ * @param {string} dbTable - Table used to qualify column names.
+ * @param {Array<string>} [allowedFields] - Columns the client may filter on.
+ * @param {string} [joiner=' AND '] - Operator used between conditions at this level.
+ * @returns {{clause: string, values: Array}}
+ * @throws {QueryBuilderError} On unknown fields or malformed operators.
+ */
+function buildFilterClause(filterObj, dbTable, allowedFields, joiner = ' AND ') {
+    const whereParts = [];
+    const values = [];
+
+    if (!filterObj || typeof filterObj !== 'object') {
+        return { clause: '', values };
+    }
+
+    for (const [field, filterValue] of Object.entries(filterObj)) {
+        const groupJoiner = GROUP_OPERATORS[field.toLowerCase()];
+        if (groupJoiner) {
+            if (!filterValue || typeof filterValue !== 'object') {
+                throw new QueryBuilderError(`Filter group "${field}" must contain a list of conditions`);
+            }
+            // Express turns large/sparse indexes into objects instead of arrays, accept both.
+            const members = Array.isArray(filterValue) ? filterValue : Object.values(filterValue);
+            const memberParts = [];
+            for (const member of members) {
+                const nested = buildFilterClause(member, dbTable, allowedFields, ' AND ');
+                if (nested.clause) {
+                    memberParts.push(`(${nested.clause})`);
+                    values.push(...nested.values);
+                }
+            }
+            if (memberParts.length) {
+                whereParts.push(`(${memberParts.join(groupJoiner)})`);
+            }
+            continue;
+        }
+
+        assertAllowedField(field, allowedFields);
+        const column = `${dbTable}.${field}`;
+        // The same field can be repeated (filter[price]=gt:1&filter[price]=lt:9).
+        const conditions = Array.isArray(filterValue) ? filterValue : [filterValue];
+        for (const condition of conditions) {
+            if (condition !== null && typeof condition === 'object') {
+                throw new QueryBuilderError(`Invalid filter value for field: ${field}`);
+            }
+            const { clause, values: conditionValues } = buildCondition(column, condition);
+            whereParts.push(clause);
+            values.push(...conditionValues);
+        }
+    }
+
+    return {
+        clause: whereParts.join(joiner),
+        values,
+    };
+}
+
+/**
+ * Builds a WHERE fragment (without the WHERE keyword) from a structured filter, as sent
+ * in GraphQL `where` arguments. Each field maps to an object of operator/value pairs
+ * (eq, ne, gt, gte, lt, lte, like, in, nin, isNull); `AND`/`OR` hold lists of nested filters.
+ * Values keep their type, so lists and values containing commas need no escaping.
+ *
+ * @param {Object} where - e.g. { total: { gte: 100 }, OR: [{ status: { eq: "paid" } }] }.
+ * @param {string} dbTable - Table used to qualify column names.
+ * @param {Array<string>} [allowedFields] - Columns the client may filter on.
+ * @param {string} [joiner=' AND '] - Operator used between conditions at this level.
+ * @returns {{clause: string, values: Array}}
+ * @throws {QueryBuilderError} On unknown fields or operators.
+ */
+function buildWhereInput(where, dbTable, allowedFields, joiner = ' AND ') {
+    const whereParts = [];
+    const values = [];
+
+    if (!where || typeof where !== 'object') {
+        return { clause: '', values };
+    }
+
+    for (const [field, conditions] of Object.entries(where)) {
+        if (conditions === null || conditions === undefined) continue;
+
+        const groupJoiner = GROUP_OPERATORS[field.toLowerCase()];
+        if (groupJoiner) {
+            const memberParts = [];
+            for (const member of [].concat(conditions)) {
+                const nested = buildWhereInput(member, dbTable, allowedFields, ' AND ');
+                if (nested.clause) {
+                    memberParts.push(`(${nested.clause})`);
+                    values.push(...nested.values);
+                }
+            }
+            if (memberParts.length) {
+                whereParts.push(`(${memberParts.join(groupJoiner)})`);
+            }
+            continue;
+        }
+
+        assertAllowedField(field, allowedFields);
+        const column = `${dbTable}.${field}`;
+        for (const [operator, operand] of Object.entries(conditions)) {
+            if (operand === undefined) continue;
+
+            if (operator === 'isNull') {
+                whereParts.push(`${column} ${operand ? NULL_OPERATORS.isnull : NULL_OPERATORS.notnull}`);
+            } else if (LIST_OPERATORS[operator]) {
+                const list = [].concat(operand);
+                if (!list.length) {
+                    throw new QueryBuilderError(`Operator "${operator}" requires at least one value`);
+                }
+                whereParts.push(`${column} ${LIST_OPERATORS[operator]} (${list.map(() => '?').join(', ')})`);
+                values.push(...list);
+            } else if (COMPARISON_OPERATORS[operator]) {
+                if (operand === null) {
+                    throw new QueryBuilderError(`Operator "${operator}" does not accept null, use isNull for field: ${field}`);
+                }
+                whereParts.push(`${column} ${COMPARISON_OPERATORS[operator]} ?`);
+                values.push(operand);
+            } else {
+                throw new QueryBuilderError(`Unknown operator "${operator}" for field: ${field}`);
+            }
+        }
+    }
+
+    return {
+        clause: whereParts.join(joiner),
+        values,
+    };
+}
+
+// Brings a stored value to the type of the operand it is compared with.
+function toComparable(value, operand) {
+    if (operand instanceof Date) return new Date(value).getTime();
+    if (typeof operand === 'number') return Number(value);
+    if (typeof operand === 'boolean') return value === true || value === 1 || value === '1' || value === 'true';
+    return String(value);
+}
+
+function operandComparable(operand) {
+    return operand instanceof Date ? operand.getTime() : operand;
+}
+
+function likeToRegExp(pattern) {
+    const source = String(pattern)
+        .split('')
+        .map((char) => {
+            if (char === '%') return '.*';
+            if (char === '_') return '.';
+            return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    // Like MySQL's default collations, LIKE is case-insensitive.
+    return new RegExp(`^${source}$`, 'is');
+}
+
+function matchesCondition(value, operator, operand) {
+    if (operator === 'isNull') {
+        return (value === null || value === undefined) === Boolean(operand);
+    }
+    // As in SQL, no comparison holds against NULL.
+    if (value === null || value === undefined) return false;
+
+    const equals = (candidate) => toComparable(value, candidate) === operandComparable(candidate);
+    switch (operator) {
+        case 'eq': return equals(operand);
+        case 'ne': return !equals(operand);
+        case 'gt': return toComparable(value, operand) > operandComparable(operand);
+        case 'gte': return toComparable(value, operand) >= operandComparable(operand);
+        case 'lt': return toComparable(value, operand) < operandComparable(operand);
+        case 'lte': return toComparable(value, operand) <= operandComparable(operand);
+        case 'like': return likeToRegExp(operand).test(String(value));
+        case 'in': return [].concat(operand).some(equals);
+        case 'nin': return ![].concat(operand).some(equals);
+        default:
+            throw new QueryBuilderError(`Unknown operator "${operator}"`);
+    }
+}
+
+/**
+ * Evaluates a structured filter (see buildWhereInput) against a record in memory, with the
+ * same semantics as the SQL it would produce. Used where rows never reach the database
+ * query, like GraphQL subscription events.
+ * @param {Object} record - Row to test.
+ * @param {Object} [where] - Structured filter.
+ * @returns {boolean}
+ */
+function matchesWhereInput(record, where) {
+    if (!where || typeof where !== 'object') return true;
+
+    return Object.entries(where).every(([field, conditions]) => {
+        if (conditions === null || conditions === undefined) return true;
+
+        const group = field.toLowerCase();
+        if (GROUP_OPERATORS[group]) {
+            const members = [].concat(conditions);
+            if (group === 'and' || members.length === 0) {
+                return members.every((member) => matchesWhereInput(record, member));
+            }
+            return members.some((member) => matchesWhereInput(record, member));
+        }
+
+        return Object.entries(conditions)
+            .filter(([, operand]) => operand !== undefined)
+            .every(([operator, operand]) => matchesCondition(record[field], operator, operand));
+    });
+}
+
+/**
+ * Parses the `sort` query parameter into a list of column/direction pairs.
+ * @param {string|Array<string>} sortParam - e.g. "-created_at,name".
+ * @param {Array<string>} [allowedFields] - Columns the client may sort on.
+ * @returns {Array<{field: string, direction: string}>}
+ * @throws {QueryBuilderError} On unknown fields.
+ */
+function parseSort(sortParam, allowedFields) {
+    if (!sortParam) return [];
+    const entries = (Array.isArray(sortParam) ? sortParam.join(',') : cleanValue(sortParam))
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    return entries.map((entry) => {
+        let direction = 'ASC';
+        let field = entry;
+        if (entry.startsWith('-')) {
+            direction = 'DESC';
+            field = entry.slice(1);
+        } else if (entry.startsWith('+')) {
+            field = entry.slice(1);
+        }
+        assertAllowedField(field, allowedFields);
+        return { field, direction };
+    });
+}
+
+/**
+ * Builds an ORDER BY clause from the `sort` query parameter.
+ * @param {string|Array<string>} sortParam - e.g. "-created_at,name".
+ * @param {string} dbTable - Table used to qualify column names.
+ * @param {Array<string>} [allowedFields] - Columns the client may sort on.
+ * @returns {string} The ORDER BY clause, or an empty string when no sort was requested.
+ */
+function buildSortClause(sortParam, dbTable, allowedFields) {
+    const sort = parseSort(sortParam, allowedFields);
+    if (!sort.length) return '';
+    return `ORDER BY ${sort.map(({ field, direction }) => `${dbTable}.${field} ${direction}`).join(', ')}`;
+}
+
+/**
+ * Qualifies a column with its table when one is known. Dynamic routes run
+ * free-form SQL, so their columns are left as written in the config.
+ */
+function qualify(dbTable, field) {
+    return dbTable ? `${dbTable}.${field}` : field;
+}
+
+/**
+ * Key sealing the cursors of endpoints with uuidMapping, from CURSOR_SECRET (or JWT_SECRET).
+ * @throws {QueryBuilderError} When no secret is configured.
+ */
+function cursorKey() {
+    const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new QueryBuilderError('CURSOR_SECRET is required for cursor pagination with uuidMapping', 500);
+    }
+    return crypto.createHash('sha256').update(`cursor:${secret}`).digest();
+}
+
+/**
+ * Serializes the keyset of a row into an opaque, url-safe cursor.
+ * Dates are tagged so they are handed back to the driver as Date objects.
+ * @param {Array} values - Values of the ordering columns, in order.
+ * @param {string} direction - "next" or "prev".
+ * @param {string} signature - Identifies the ordering the cursor belongs to.
+ * @param {boolean} [sealed=false] - Encrypts the cursor (AES-256-GCM), so it does not reveal
+ *   ids that the endpoint maps to UUIDs.
+ * @returns {string}
+ */
+function encodeCursor(values, direction, signature, sealed = false) {
+    const payload = Buffer.from(JSON.stringify({
+        v: values.map((value) => (value instanceof Date ? { $date: value.toISOString() } : value)),
+        d: direction,
+        s: signature,
+    }));
+    if (!sealed) {
+        return payload.toString('base64url');
+    }
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', cursorKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ * @param {string} cursor
+ * @param {boolean} [sealed=false] - The cursor was encrypted by encodeCursor.
+ * @returns {{values: Array, direction: string, signature: string}}
+ * @throws {QueryBuilderError} If the cursor is malformed.
+ */
+function decodeCursor(cursor, sealed = false) {
+    const key = sealed ? cursorKey() : null;
+    try {
+        let data = Buffer.from(cleanValue(cursor), 'base64url');
+        if (key) {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+            decipher.setAuthTag(data.subarray(12, 28));
+            data = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+        }
+        const payload = JSON.parse(data.toString('utf8'));
+        if (!Array.isArray(payload.v) || !['next', 'prev'].includes(payload.d)) {
+            throw new Error('Malformed cursor payload');
+        }
+        return {
+            values: payload.v.map((value) => (value && typeof value === 'object' && value.$date ? new Date(value.$date) : value)),
+            direction: payload.d,
+            signature: payload.s,
+        };
+    } catch (error) {
+        throw new QueryBuilderError('Invalid cursor');
+    }
+}
+
+/**
+ * Builds the keyset predicate "rows after (or before) these values" for a
+ * multi column ordering with mixed directions:
+ *   (c1 > v1) OR (c1 = v1 AND c2 > v2) OR ...
+ * NULL sorts after every value, so on nullable columns "after v" also takes
+ * the NULLs, and "after NULL" takes nothing.
+ */
+function buildKeysetCondition(order, values, dbTable, backwards) {
+    const branches = [];
+    const params = [];
+    order.forEach(({ field, direction, nullable }, index) => {
+        const column = qualify(dbTable, field);
+        const ascending = (direction === 'ASC') !== backwards;
+        const value = values[index];
+        let after;
+        if (value === null) {
+            if (ascending) return;
+            after = `${column} IS NOT NULL`;
+        } else {
+            after = ascending && nullable ? `(${column} > ? OR ${column} IS NULL)` : `${column} ${ascending ? '>' : '<'} ?`;
+        }
+
+        const parts = [];
+        const partParams = [];
+        for (let i = 0; i < index; i++) {
+            const previous = qualify(dbTable, order[i].field);
+            if (values[i] === null) {
+                parts.push(`${previous} IS NULL`);
+            } else {
+                parts.push(`${previous} = ?`);
+                partParams.push(values[i]);
+            }
+        }
+        parts.push(after);
+        if (value !== null) partParams.push(value);
+        branches.push(parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]);
+        params.push(...partParams);
+    });
+    return { clause: `(${branches.join(' OR ')})`, values: params };
+}
+
+/**
+ * Prepares the SQL fragments for one page of keyset (cursor) pagination.
+ * The primary key is always appended to the ordering as a tie-breaker so
+ * that every row has a unique position. The other columns may be NULL, and are
+ * ordered with their NULLs last (first when descending) on every database.
+ *
+ * @param {Object} options
+ * @param {string|Array<string>} [options.sortParam] - The `sort` query parameter.
+ * @param {string} [options.cursor] - Cursor returned by a previous page.
+ * @param {string} options.primaryKey - Unique column used as tie-breaker.
+ * @param {string|null} options.dbTable - Table used to qualify columns (null for free-form SQL).
+ * @param {Array<string>} [options.allowedFields] - Columns the client may sort on.
+ * @param {number|string} [options.limit] - Page size, clamped to 1..100 (default 20).
+ * @param {boolean} [options.sealed=false] - Encrypts the cursors, for endpoints with uuidMapping.
+ * @returns {{order: Array, clause: string, values: Array, orderByClause: string, limitClause: string, backwards: boolean, hasCursor: boolean, signature: string, limit: number, sealed: boolean}}
+ * @throws {QueryBuilderError} On invalid sort fields or cursors.
+ */
+function buildCursorQuery({ sortParam, cursor, primaryKey, dbTable, allowedFields, limit, sealed = false }) {
+    const pageLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_CURSOR_LIMIT, 1), MAX_CURSOR_LIMIT);
+    const order = parseSort(sortParam, allowedFields)
+        .map((sort) => ({ ...sort, nullable: sort.field !== primaryKey }));
+    if (!order.some(({ field }) => field === primaryKey)) {
+        order.push({ field: primaryKey, direction: 'ASC', nullable: false });
+    }
+    const signature = order.map(({ field, direction }) => `${field}:${direction}`).join(',');
+
+    let clause = '';
+    let values = [];
+    let backwards = false;
+    if (cursor) {
+        const decoded = decodeCursor(cursor, sealed);
+        if (decoded.signature !== signature || decoded.values.length !== order.length) {
+            throw new QueryBuilderError('Cursor does not match the requested sort');
+        }
+        backwards = decoded.direction === 'prev';
+        ({ clause, values } = buildKeysetCondition(order, decoded.values, dbTable, backwards));
+    }
+
+    // Walking backwards we read the rows in reverse order and flip them afterwards.
+    const orderByClause = `ORDER BY ${order.map(({ field, direction, nullable }) => {
+        const effective = backwards ? (direction === 'ASC' ? 'DESC' : 'ASC') : direction;
+        const column = qualify(dbTable, field);
+        return nullable ? `${column} IS NULL ${effective}, ${column} ${effective}` : `${column} ${effective}`;
+    }).join(', ')}`;
+
+    return {
+        order,
+        clause,
+        values,
+        orderByClause,
+        // One extra row tells us whether another page exists without a COUNT(*).
+        limitClause: `LIMIT ${pageLimit + 1}`,
+        backwards,
+        hasCursor: Boolean(cursor),
+        signature,
+        limit: pageLimit,
+        sealed,
+    };
+}
+
+/**
+ * Trims the extra look-ahead row and computes the cursors for the page.
+ * Must run on the raw database rows, before ids are obfuscated or fields dropped.
+ *
+ * @param {Array<Object>} rows - Rows returned by the query built with buildCursorQuery.
+ * @param {Object} cursorQuery - Result of buildCursorQuery.
+ * @returns {{rows: Array<Object>, nextCursor: string|null, prevCursor: string|null, hasMore: boolean}}
+ *          `hasMore` tells whether a next page exists.
+ */
+function buildCursorPage(rows, cursorQuery) {
+    const { order, limit, backwards, hasCursor, signature, sealed } = cursorQuery;
+    const hasMore = rows.length > limit;
+    let page = hasMore ? rows.slice(0, limit) : rows.slice();
+    if (backwards) {
+        page = page.reverse();
+    }
+
+    const keyOf = (row) => order.map(({ field }) => row[field]);
+    const first = page[0];
+    const last = page[page.length - 1];
+
+    // Going forward there is a next page when we over-fetched, and a previous one
+    // whenever we started from a cursor. Going backwards it is the other way around.
+    const hasNext = backwards ? true : hasMore;
+    const hasPrev = backwards ? hasMore : hasCursor;
+
+    return {
+        rows: page,
+        nextCursor: last && hasNext ? encodeCursor(keyOf(last), 'next', signature, sealed) : null,
+        prevCursor: first && hasPrev ? encodeCursor(keyOf(first), 'prev', signature, sealed) : null,
+        hasMore: hasNext,
+    };
+}
+
+module.exports = {
+    QueryBuilderError,
+    buildFilterClause,
+    buildWhereInput,
+    matchesWhereInput,
+    parseSort,
+    buildSortClause,
+    encodeCursor,
+    decodeCursor,
+    buildCursorQuery,
+    buildCursorPage,
+};
@@ -1,13 +1,157 @@
-// rate_limit.js - Updated implementation
+// rate_limit.js - Pluggable rate limiting and quotas for configured routes
 const Redis = require('ioredis');
+const consolelog = require('./logger');
+const { verifyToken, verifyApiKey, API_KEY_HEADER } = require('../middleware/authenticationMiddleware');
+
+/**
+ * Endpoint configuration (`rateLimit` on any route of apiConfig.json):
+ *
+ *   "rateLimit": {
+ *     "strategy": "sliding-window",        // fixed-window (default), sliding-window or token-bucket
+ *     "limit": 100, "window": 60,          // requests per window (seconds)
+ *     "refillRate": 2,                     // token-bucket only: tokens per second (default limit / window)
+ *     "key": ["apiKey", "user", "ip"],     // identity, first one available wins (default "ip")
+ *     "quota": { "daily": 10000, "monthly": 250000 },
+ *     "tiers": { "partnerAccess": { "limit": 1000, "quota": { "daily": 100000 } } },
+ *     "bucket": "partner-api"              // share counters between endpoints (default: the route)
+ *   }
+ *
+ * Keys: "ip", "user" (JWT sub, id or username), "apiKey" (the id of a verified API key; unknown
+ * or revoked keys fall through to the next key), "header:<name>" and "claim:<name>" (a JWT
+ * claim, e.g. the tenant). Tiers override the settings for API keys issued with that tier name,
+ * then for users holding the ACL role; the first tier in declaration order wins.
+ *
+ * The legacy `requestsPerMinute` / `requestsPerHour` settings are fixed windows of 60 and 3600 seconds.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * for the most restrictive limit, and Retry-After on 429.
+ */
+
+const FIXED_WINDOW_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return {count, redis.call('PTTL', KEYS[1])}
+`;
+
+// Approximates a sliding window from the current and previous fixed windows.
+const SLIDING_WINDOW_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local elapsed = tonumber(ARGV[3])
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+local estimated = math.floor(previous * (window - elapsed) / window + current)
+if estimated >= limit then return {0, estimated} end
+redis.call('INCR', KEYS[1])
+redis.call('PEXPIRE', KEYS[1], window * 2)
+return {1, estimated + 1}
+`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= 1 then
+    tokens = tokens - 1
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return {allowed, tostring(tokens)}
+`;
+
+/**
+ * Strategies consume one request for a key and report the state of the limit.
+ * consume(redis, key, limiter, now) resolves to { allowed, limit, remaining, reset } (reset in seconds).
+ */
+const strategies = {
+    'fixed-window': {
+        async consume(redis, key, { limit, window }) {
+            const [count, ttl] = await redis.eval(FIXED_WINDOW_SCRIPT, 1, key, window * 1000);
+            return {
+                allowed: count <= limit,
+                limit,
+                remaining: Math.max(0, limit - count),
+                reset: Math.max(1, Math.ceil((ttl > 0 ? ttl : window * 1000) / 1000)),
+            };
+        },
+    },
+
+    'sliding-window': {
+        async consume(redis, key, { limit, window }, now) {
+            const windowMs = window * 1000;
+            const slot = Math.floor(now / windowMs);
+            const elapsed = now - slot * windowMs;
+            const [allowed, estimated] = await redis.eval(
+                SLIDING_WINDOW_SCRIPT, 2, `${key}:${slot}`, `${key}:${slot - 1}`, limit, windowMs, elapsed
+            );
+            return {
+                allowed: allowed === 1,
+                limit,
+                remaining: Math.max(0, limit - estimated),
+                reset: Math.max(1, Math.ceil((windowMs - elapsed) / 1000)),
+            };
+        },
+    },
+
+    'token-bucket': {
+        async consume(redis, key, { limit, window, refillRate }, now) {
+            const perSecond = refillRate || limit / window;
+            const perMs = perSecond / 1000;
+            const ttl = Math.ceil((limit / perSecond) * 1000) + 1000;
+            const [allowed, rawTokens] = await redis.eval(TOKEN_BUCKET_SCRIPT, 1, key, limit, perMs, now, ttl);
+            const tokens = Number(rawTokens);
+            // Denied: time until the next token. Allowed: time until the bucket is full again.
+            const missing = allowed === 1 ? limit - tokens : 1 - tokens;
+            return {
+                allowed: allowed === 1,
+                limit,
+                remaining: Math.floor(tokens),
+                reset: Math.max(1, Math.ceil(missing / perSecond)),
+            };
+        },
+    },
+};
+
+// Quota periods, in UTC.
+const QUOTA_PERIODS = {
+    daily: (now) => {
+        const date = new Date(now);
+        return {
+            id: date.toISOString().slice(0, 10),
+            start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+            end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1),
+        };
+    },
+    monthly: (now) => {
+        const date = new Date(now);
+        return {
+            id: date.toISOString().slice(0, 7),
+            start: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+            end: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1),
+        };
+    },
+};
 
 class RateLimit {
     /**
      * @param {Array} apiConfig - The API configuration array
-     * @param {Object} redis - The Redis client instance
+     * @param {string} [redisUrl] - Redis connection string
+     * @param {Object} [options]
+     * @param {Object} [options.redis] - Redis client to use instead of a dedicated connection
      */
-    constructor(apiConfig, redisUrl) {
+    constructor(apiConfig, redisUrl, { redis } = {}) {
         this.apiConfig = apiConfig;
+        this.routePatterns = new Map();
+        if (redis) {
+            this.redis = redis;
+            return;
+        }
         // Create a dedicated Redis client for rate limiting
         this.redis = new Redis(redisUrl || process.env.REDIS_URL || 'redis://localhost:6379', {
             retryStrategy: (times) => Math.min(times * 50, 2000),
@@ -15,43 +159,216 @@ class RateLimit {
             enableReadyCheck: true,
             connectTimeout: 10000
         });
-        
+
         this.redis.on('error', (err) => {
             console.error('Rate Limit Redis Error:', err.message);
         });
     }
 
+    /**
+     * Registers a custom strategy, usable as `rateLimit.strategy`.
+     * @param {string} name - Strategy name.
+     * @param {{consume: Function}} strategy - See the built-in strategies.
+     */
+    static registerStrategy(name, strategy) {
+        if (!strategy || typeof strategy.consume !== 'function') {
+            throw new Error(`Rate limit strategy "${name}" must implement consume()`);
+        }
+        strategies[name] = strategy;
+    }
+
+    /**
+     * Finds the rate limited endpoint serving a request path. The middleware runs before the
+     * routes, so the path is matched against the configured routes, including their
+     * `/:id`, `/_bulk` and other sub-paths. The most specific route wins.
+     * @param {string} path - Request path, without query string.
+     * @returns {Object|undefined} Endpoint configuration.
+     */
+    findEndpoint(path) {
+        let match;
+        for (const endpoint of this.apiConfig) {
+            if (!endpoint.rateLimit || !endpoint.route) continue;
+            if (!this.routePatterns.has(endpoint.route)) {
+                const source = endpoint.route
+                    .replace(/\/+$/, '')
+                    .split('/')
+                    .map((segment) => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+                    .join('/');
+                this.routePatterns.set(endpoint.route, new RegExp(`^${source}(?:/.*)?$`));
+            }
+            if (this.routePatterns.get(endpoint.route).test(path) && (!match || endpoint.route.length > match.route.length)) {
+                match = endpoint;
+            }
+        }
+        return match;
+    }
+
+    /**
+     * Resolves the settings that apply to a user: the endpoint's `rateLimit`, overridden by
+     * the tier assigned to the user's API key or else the first tier matching one of the user's roles.
+     * @param {Object} config - The endpoint's `rateLimit`.
+     * @param {Object} [user] - Token payload.
+     * @returns {{key: Array<string>, bucket: string, tier: (string|null), limiters: Array<Object>, quotas: Array<Object>}}
+     */
+    static resolvePolicy(config, user) {
+        const roles = user ? [].concat(user.acl || []) : [];
+        const tiers = config.tiers || {};
+        const tier = (user && user.rateLimitTier && tiers[user.rateLimitTier] ? user.rateLimitTier : null)
+            || Object.keys(tiers).find((role) => roles.includes(role)) || null;
+        const settings = tier
+            ? { ...config, ...config.tiers[tier], quota: { ...(config.quota || {}), ...(config.tiers[tier].quota || {}) } }
+            : config;
+
+        const limiters = [];
+        if (settings.limit) {
+            const strategy = settings.strategy || 'fixed-window';
+            if (!strategies[strategy]) {
+                throw new Error(`Unknown rate limit strategy: ${strategy}`);
+            }
+            limiters.push({
+                id: strategy,
+                strategy,
+                limit: settings.limit,
+                window: settings.window || 60,
+                refillRate: settings.refillRate,
+            });
+        }
+        if (settings.requestsPerMinute) {
+            limiters.push({ id: 'minute', strategy: 'fixed-window', limit: settings.requestsPerMinute, window: 60 });
+        }
+        if (settings.requestsPerHour) {
+            limiters.push({ id: 'hour', strategy: 'fixed-window', limit: settings.requestsPerHour, window: 3600 });
+        }
+
+        const quotas = Object.keys(QUOTA_PERIODS)
+            .filter((period) => settings.quota && settings.quota[period])
+            .map((period) => ({ period, limit: settings.quota[period] }));
+
+        return {
+            key: [].concat(settings.key || 'ip'),
+            bucket: settings.bucket,
+            tier,
+            limiters,
+            quotas,
+        };
+    }
+
+    /**
+     * Computes the identity requests are counted under, from the first available key.
+     * Falls back to the client IP.
+     * @param {Object} req - Express request.
+     * @param {Object} policy - Result of resolvePolicy().
+     * @param {Object} [user] - Token payload, or the principal of a verified API key.
+     * @returns {string}
+     */
+    static resolveIdentity(req, policy, user) {
+        for (const key of policy.key) {
+            let value;
+            if (key === 'ip') {
+                value = req.ip;
+            } else if (key === 'user') {
+                value = user && (user.sub || user.id || user.username);
+            } else if (key === 'apiKey') {
+                // Only keys that authenticated count: a random key per request must not get a fresh bucket.
+                value = user && user.apiKeyId;
+            } else if (key.startsWith('header:')) {
+                value = req.headers[key.slice('header:'.length).toLowerCase()];
+            } else if (key.startsWith('claim:')) {
+                value = user && user[key.slice('claim:'.length)];
+            }
+            if (value !== undefined && value !== null && value !== '') {
+                return `${key}:${value}`;
+            }
+        }
+        return `ip:${req.ip}`;
+    }
+
+    static async userFromRequest(req) {
+        if (req.user) return req.user;
+        if (req.headers[API_KEY_HEADER]) return verifyApiKey(req.headers[API_KEY_HEADER]);
+        const authHeader = req.headers['authorization'];
+        if (!authHeader) return null;
+        return verifyToken(authHeader.split(' ')[1]);
+    }
+
+    /**
+     * Consumes one request against every limit of a policy. Quotas are only counted for
+     * requests the rate limits let through.
+     * @returns {Promise<{allowed: boolean, reason: (string|null), states: Array<Object>}>}
+     */
+    async consume(policy, bucket, identity, now = Date.now()) {
+        const states = [];
+        for (const limiter of policy.limiters) {
+            const key = `rate-limit:${bucket}:${limiter.id}:${identity}`;
+            const state = await strategies[limiter.strategy].consume(this.redis, key, limiter, now);
+            states.push({ ...state, window: limiter.window });
+            if (!state.allowed) {
+                return { allowed: false, reason: 'Too Many Requests', states };
+            }
+        }
+
+        for (const quota of policy.quotas) {
+            const period = QUOTA_PERIODS[quota.period](now);
+            const key = `rate-quota:${bucket}:${quota.period}:${period.id}:${identity}`;
+            const [count] = await this.redis.eval(FIXED_WINDOW_SCRIPT, 1, key, period.end - now);
+            const state = {
+                allowed: count <= quota.limit,
+                limit: quota.limit,
+                remaining: Math.max(0, quota.limit - count),
+                reset: Math.max(1, Math.ceil((period.end - now) / 1000)),
+                window: (period.end - period.start) / 1000,
+            };
+            states.push(state);
+            if (!state.allowed) {
+                return { allowed: false, reason: `${quota.period === 'daily' ? 'Daily' : 'Monthly'} quota exceeded`, states };
+            }
+        }
+        return { allowed: true, reason: null, states };
+    }
+
+    /**
+     * Sets the RateLimit-* headers from the most restrictive limit, and Retry-After when denied.
+     * @param {Object} res - Express response.
+     * @param {Object} result - Result of consume().
+     */
+    static setHeaders(res, { allowed, states }) {
+        if (!states.length) return;
+        const binding = allowed
+            ? states.reduce((lowest, state) => (state.remaining < lowest.remaining ? state : lowest))
+            : states[states.length - 1];
+
+        res.set('RateLimit-Limit', String(binding.limit));
+        res.set('RateLimit-Remaining', String(binding.remaining));
+        res.set('RateLimit-Reset', String(binding.reset));
+        res.set('RateLimit-Policy', states
+            .map((state) => (state.window ? `${state.limit};w=${state.window}` : String(state.limit)))
+            .join(', '));
+        if (!allowed) {
+            res.set('Retry-After', String(binding.reset));
+        }
+    }
+
     /**
      * Middleware function for rate limiting.
      */
     middleware() {
         return async (req, res, next) => {
             try {
-                // Safely access the route path
-                const routePath = req.route && req.route.path ? req.route.path : req.originalUrl;
-    
-                const endpointConfig = this.apiConfig.find((endpoint) => endpoint.route === routePath);
-    
-                if (!endpointConfig || !endpointConfig.rateLimit) {
+                const endpointConfig = this.findEndpoint(req.path);
+                if (!endpointConfig) {
                     return next(); // Skip rate limiting if not configured
                 }
-    
-                const { requestsPerMinute } = endpointConfig.rateLimit;
-                const clientIP = req.ip;
-    
-                const rateLimitKey = `rate-limit:${routePath}:${clientIP}`;
-                const requestCount = await this.redis.incr(rateLimitKey);
-    
-                if (requestCount === 1) {
-                    // Set expiration to 1 minute
-                    await this.redis.expire(rateLimitKey, 60);
-                }
-    
-                if (requestCount > requestsPerMinute) {
-                    console.log(`Rate limit exceeded for ${clientIP} on route ${routePath}`);
-                    return res.status(429).json({ error: 'Too Many Requests' });
+
+                const user = await RateLimit.userFromRequest(req);
+                const policy = RateLimit.resolvePolicy(endpointConfig.rateLimit, user);
+                const identity = RateLimit.resolveIdentity(req, policy, user);
+                const result = await this.consume(policy, policy.bucket || endpointConfig.route, identity);
+                RateLimit.setHeaders(res, result);
+
+                if (!result.allowed) {
+                    consolelog.log(`Rate limit exceeded for ${identity} on route ${endpointConfig.route}: ${result.reason}`);
+                    return res.status(429).json({ error: result.reason });
                 }
-    
                 next();
             } catch (error) {
                 console.error('Rate limit middleware error:', error.message);
@@ -59,7 +376,7 @@ class RateLimit {
             }
         };
     }
-    
+
     /**
      * Close the Redis connection when shutting down
      */
@@ -68,5 +385,8 @@ class RateLimit {
             await this.redis.quit();
         }
     }
-}    
-module.exports = RateLimit;
\ No newline at end of file
+}
+
+RateLimit.strategies = strategies;
+
+module.exports = RateLimit;
@@ -0,0 +1,328 @@
+/**
+ * Nested relationship expansion for database endpoints.
+ *
+ * `expand=orders,orders.items` loads the declared relationships of an endpoint as nested
+ * objects (one-to-one, many-to-one) or arrays (one-to-many) instead of joining them flat
+ * into the parent row. Each relationship level is loaded with one batched
+ * `WHERE relatedKey IN (...)` query, whatever the number of parent rows.
+ *
+ * A relationship is named by its `name` (default: its `relatedTable`) and follows
+ * `parent.foreignKey = related.relatedKey`. When the related table has its own endpoint,
+ * that endpoint's `allowRead`, `fieldAcl`, `auth`/`acl`, `owner`, tenant, `softDelete` and
+ * `uuidMapping` apply to the expanded rows; otherwise the relationship's `fields` are used.
+ *
+ * GraphQL relationship fields go through createRelationshipLoader(), which batches the
+ * lookups made while resolving one level of a query into the same kind of query.
+ */
+
+const { QueryBuilderError } = require('./queryBuilder');
+const { activeRowsCondition } = require('./softDelete');
+const { acceptsPrincipal } = require('./apiKeys');
+const { readableFields } = require('./fieldAcl');
+const { tenantCondition } = require('./tenancy');
+const { uuidColumns } = require('./dynamicUUID');
+
+const DEFAULT_MAX_DEPTH = 3;
+// Upper bound on the number of values bound in one IN (...) list.
+const BATCH_SIZE = 1000;
+
+function relationshipName(rel) {
+    return rel.name || rel.relatedTable;
+}
+
+function isToMany(rel) {
+    return ['one-to-many', 'many-to-many', 'hasMany'].includes(rel.type);
+}
+
+/**
+ * Same check as the authentication and ACL middlewares: authenticated endpoints need a user
+ * signed in with a method they accept (token or API key), who holds one of their roles.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object} user - Authenticated user, may be undefined.
+ * @returns {boolean}
+ */
+function canReadEndpoint(endpoint, user) {
+    if ((endpoint.auth || endpoint.owner) && !user) {
+        return false;
+    }
+    if (!acceptsPrincipal(endpoint.auth, user)) {
+        return false;
+    }
+    const allowedRoles = [].concat(endpoint.acl || []);
+    if (allowedRoles.length === 0) {
+        return true;
+    }
+    const userRoles = user ? [].concat(user.acl || []) : [];
+    return allowedRoles.some((role) => userRoles.includes(role));
+}
+
+/**
+ * Parses an `expand` parameter into a tree of relationships to load.
+ * @param {string} expandParam - Comma separated relationship paths, e.g. "orders,orders.items".
+ * @param {Object} endpoint - Endpoint the request targets.
+ * @param {Function} resolveEndpoint - Returns the endpoint configuration of a table, or undefined.
+ * @param {number} [maxDepth] - Maximum number of segments in a path.
+ * @returns {Array<Object>} Nodes { name, relationship, endpoint, connectionConfig, fields, many, children }.
+ */
+function parseExpand(expandParam, endpoint, resolveEndpoint, maxDepth = DEFAULT_MAX_DEPTH) {
+    const tree = [];
+    if (!expandParam) return tree;
+
+    const paths = String(expandParam).split(',').map((path) => path.trim()).filter(Boolean);
+    for (const path of paths) {
+        const segments = path.split('.');
+        if (segments.length > maxDepth) {
+            throw new QueryBuilderError(`Cannot expand "${path}": the maximum depth is ${maxDepth}`);
+        }
+
+        let parentEndpoint = endpoint;
+        let level = tree;
+        for (const segment of segments) {
+            if (!parentEndpoint) {
+                throw new QueryBuilderError(`Cannot expand "${path}": "${segment}" has no endpoint configuration`);
+            }
+            const rel = (parentEndpoint.relationships || []).find((candidate) => relationshipName(candidate) === segment);
+            if (!rel) {
+                throw new QueryBuilderError(`Unknown relationship "${segment}" in expand`);
+            }
+
+            let node = level.find((candidate) => candidate.name === segment);
+            if (!node) {
+                const relatedEndpoint = resolveEndpoint(rel.relatedTable) || null;
+                node = {
+                    name: segment,
+                    relationship: rel,
+                    endpoint: relatedEndpoint,
+                    // Tables without an endpoint are read through the parent's connection.
+                    connectionConfig: relatedEndpoint || parentEndpoint,
+                    fields: relatedEndpoint ? relatedEndpoint.allowRead : (rel.fields || []),
+                    many: isToMany(rel),
+                    children: [],
+                };
+                level.push(node);
+            }
+            parentEndpoint = node.endpoint;
+            level = node.children;
+        }
+    }
+    return tree;
+}
+
+/**
+ * Converts a GraphQL selection set into expand paths, keeping only the fields that
+ * name relationships of the endpoint.
+ * @param {Object} selectionSet - GraphQL AST selection set.
+ * @param {Object} endpoint - Endpoint of the selected type.
+ * @param {Function} resolveEndpoint - Returns the endpoint configuration of a table.
+ * @returns {Array<string>}
+ */
+function expandPathsFromSelection(selectionSet, endpoint, resolveEndpoint) {
+    const paths = [];
+    if (!selectionSet || !endpoint) return paths;
+
+    for (const selection of selectionSet.selections) {
+        if (selection.kind === 'InlineFragment') {
+            paths.push(...expandPathsFromSelection(selection.selectionSet, endpoint, resolveEndpoint));
+            continue;
+        }
+        if (selection.kind !== 'Field') continue;
+        const rel = (endpoint.relationships || []).find((candidate) => relationshipName(candidate) === selection.name.value);
+        if (!rel) continue;
+
+        const name = relationshipName(rel);
+        paths.push(name);
+        const nested = expandPathsFromSelection(selection.selectionSet, resolveEndpoint(rel.relatedTable), resolveEndpoint);
+        paths.push(...nested.map((path) => `${name}.${path}`));
+    }
+    return paths;
+}
+
+/**
+ * Throws a 403 QueryBuilderError when the user may not read one of the expanded endpoints.
+ * @param {Array<Object>} tree - Tree from parseExpand().
+ * @param {Object} user - Authenticated user, may be undefined.
+ */
+function assertCanExpand(tree, user) {
+    for (const node of tree) {
+        if (node.endpoint && !canReadEndpoint(node.endpoint, user)) {
+            throw new QueryBuilderError(`Not allowed to expand "${node.name}"`, 403);
+        }
+        assertCanExpand(node.children, user);
+    }
+}
+
+/**
+ * Parent columns the expansion needs (the relationships' foreign keys).
+ * @param {Array<Object>} tree - Tree from parseExpand().
+ * @returns {Array<string>}
+ */
+function requiredParentFields(tree) {
+    return [...new Set(tree.map((node) => node.relationship.foreignKey))];
+}
+
+/**
+ * Endpoints of every node of the tree.
+ * @param {Array<Object>} tree - Tree from parseExpand().
+ * @returns {Array<Object>}
+ */
+function expandedEndpoints(tree) {
+    return tree.flatMap((node) => [...(node.endpoint ? [node.endpoint] : []), ...expandedEndpoints(node.children)]);
+}
+
+/**
+ * Tables read by the tree, including related tables that have no endpoint.
+ * @param {Array<Object>} tree - Tree from parseExpand().
+ * @returns {Array<string>}
+ */
+function expandedTables(tree) {
+    return [...new Set(tree.flatMap((node) => [node.relationship.relatedTable, ...expandedTables(node.children)]))];
+}
+
+async function loadRelated(node, values, { getConnection, user, tenant }) {
+    const rel = node.relationship;
+    const table = rel.relatedTable;
+    // Related endpoints apply their fieldAcl: restricted fields are left out.
+    const fields = node.endpoint ? readableFields(node.endpoint, user, node.fields) : node.fields;
+    const columns = [...new Set([...fields, rel.relatedKey, ...requiredParentFields(node.children)])];
+
+    const connection = await getConnection(node.connectionConfig);
+    const rows = [];
+    for (let start = 0; start < values.length; start += BATCH_SIZE) {
+        const batch = values.slice(start, start + BATCH_SIZE);
+        let query = `SELECT ${columns.map((column) => `${table}.${column}`).join(', ')} FROM ${table} WHERE ${table}.${rel.relatedKey} IN (${batch.map(() => '?').join(', ')})`;
+        const params = [...batch];
+
+        if (node.endpoint) {
+            const activeCondition = activeRowsCondition(node.endpoint, table);
+            if (activeCondition) {
+                query += ` AND ${activeCondition}`;
+            }
+            if (node.endpoint.owner) {
+                query += ` AND ${table}.${node.endpoint.owner.column} = ?`;
+                params.push(user[node.endpoint.owner.tokenField]);
+            }
+            const tenantScope = tenantCondition(node.endpoint, tenant, table);
+            if (tenantScope) {
+                query += ` AND ${tenantScope.clause}`;
+                params.push(...tenantScope.values);
+            }
+        }
+
+        const [batchRows] = await connection.execute(query, params);
+        rows.push(...batchRows);
+    }
+    return { rows, helperColumns: columns.filter((column) => !fields.includes(column)) };
+}
+
+/**
+ * Loads the relationships of the tree into the given rows, in place.
+ * Rows must contain the foreign keys listed by requiredParentFields().
+ * @param {Array<Object>} rows - Parent rows.
+ * @param {Array<Object>} tree - Tree from parseExpand().
+ * @param {Object} options
+ * @param {Function} options.getConnection - Returns a database connection for an endpoint.
+ * @param {Object} [options.user] - Authenticated user, for owner endpoints.
+ * @param {Object} [options.tenant] - Tenant of the request (tenancy.resolveTenant()), for tenant-scoped endpoints.
+ * @param {Object} [options.uuidTools] - dynamicUUID tools, for related endpoints with uuidMapping.
+ * @param {string} [options.secretSalt] - Salt of the UUIDs (SECRET_SALT).
+ * @returns {Promise<Array<Object>>} The same rows. Their own keys are left raw for the caller to map.
+ */
+async function expandRecords(rows, tree, options) {
+    for (const node of tree) {
+        const rel = node.relationship;
+        const values = [...new Set(rows
+            .map((row) => row[rel.foreignKey])
+            .filter((value) => value !== null && value !== undefined))];
+
+        const groups = new Map();
+        if (values.length > 0) {
+            const { rows: relatedRows, helperColumns } = await loadRelated(node, values, options);
+            await expandRecords(relatedRows, node.children, options);
+
+            relatedRows.forEach((relatedRow) => {
+                const key = String(relatedRow[rel.relatedKey]);
+                helperColumns.forEach((column) => delete relatedRow[column]);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(relatedRow);
+            });
+
+            // Keys are mapped to UUIDs once the rows are matched to their parents and children.
+            if (node.endpoint && uuidColumns(node.endpoint).length > 0) {
+                if (!options.uuidTools) {
+                    throw new Error(`No uuidTools to map the ids of "${node.name}"`);
+                }
+                await options.uuidTools.encodeRecords(node.endpoint, relatedRows, options.secretSalt);
+            }
+        }
+
+        rows.forEach((row) => {
+            const group = groups.get(String(row[rel.foreignKey])) || [];
+            row[node.name] = node.many ? group : (group[0] || null);
+        });
+    }
+    return rows;
+}
+
+/**
+ * Creates a DataLoader-style loader for one relationship: every load() issued during the
+ * same tick is answered by a single loadRelated() query, and each value is only loaded once.
+ * Create one loader per request, results are cached for its lifetime. Rows keep their raw keys,
+ * which nested loaders need; the GraphQL types map uuidMapping columns when resolving the fields.
+ * @param {Object} node - Relationship node, shaped like the nodes of parseExpand().
+ * @param {Object} options - { getConnection, user, tenant }, as for expandRecords().
+ * @returns {{load: Function}} load(value) resolves to the related rows whose relatedKey equals value.
+ */
+function createRelationshipLoader(node, options) {
+    const cache = new Map();
+    let pending = null;
+
+    const dispatch = async (batch) => {
+        try {
+            const { rows } = await loadRelated(node, [...batch.values()].map((entry) => entry.value), options);
+            const groups = new Map();
+            rows.forEach((row) => {
+                const key = String(row[node.relationship.relatedKey]);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+            batch.forEach((entry, key) => entry.resolve(groups.get(key) || []));
+        } catch (error) {
+            batch.forEach((entry) => entry.reject(error));
+        }
+    };
+
+    return {
+        load(value) {
+            const key = String(value);
+            if (cache.has(key)) return cache.get(key);
+
+            if (!pending) {
+                const batch = new Map();
+                pending = batch;
+                // Wait for the resolvers of the current level to queue their keys, like DataLoader.
+                Promise.resolve().then(() => process.nextTick(() => {
+                    pending = null;
+                    dispatch(batch);
+                }));
+            }
+            const promise = new Promise((resolve, reject) => pending.set(key, { value, resolve, reject }));
+            cache.set(key, promise);
+            return promise;
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_DEPTH,
+    relationshipName,
+    isToMany,
+    canReadEndpoint,
+    parseExpand,
+    expandPathsFromSelection,
+    assertCanExpand,
+    requiredParentFields,
+    expandedEndpoints,
+    expandedTables,
+    expandRecords,
+    createRelationshipLoader,
+};
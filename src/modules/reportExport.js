@@ -0,0 +1,340 @@
+const zlib = require('zlib');
+
+/**
+ * Report export formats: CSV, XLSX and a simple PDF table.
+ *
+ * The encoders work on the rows returned by ReportingModule (arrays of plain objects) and
+ * need no third-party library: XLSX is a minimal SpreadsheetML package zipped with zlib and
+ * PDF a plain table in the standard Helvetica font.
+ */
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+function columnsOf(rows) {
+    const columns = [];
+    rows.forEach((row) => Object.keys(row || {}).forEach((column) => {
+        if (!columns.includes(column)) columns.push(column);
+    }));
+    return columns;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// ---------------------------------------------------------------- CSV
+
+// Text a spreadsheet would read as a formula is prefixed with ' (numbers are left alone)
+function csvCell(value) {
+    let text = cellText(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * CSV lines (header first) for rows arriving in batches, so large results can be written
+ * as they are read. The columns are those of the first non-empty batch.
+ */
+class CsvEncoder {
+    constructor() {
+        this.columns = null;
+    }
+
+    encode(rows) {
+        if (!rows.length) return '';
+        let chunk = '';
+        if (!this.columns) {
+            this.columns = columnsOf(rows);
+            chunk += csvLine(this.columns);
+        }
+        return chunk + rows.map((row) => csvLine(this.columns.map((column) => row[column]))).join('');
+    }
+}
+
+function toCsv(rows) {
+    return new CsvEncoder().encode(rows);
+}
+
+// ---------------------------------------------------------------- XLSX
+
+const CRC_TABLE = Array.from({ length: 256 }, (unused, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive of deflated entries.
+ * @param {Array<{name: string, content: (string|Buffer)}>} entries
+ * @returns {Buffer}
+ */
+function zip(entries) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    entries.forEach(({ name, content }) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt32LE(0, 10); // time and date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, fileName, compressed);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt32LE(0, 12);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(fileName.length, 28);
+        header.writeUInt32LE(offset, 42);
+        central.push(header, fileName);
+
+        offset += local.length + fileName.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function xmlEscape(text) {
+    return text
+        // Characters not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column name of a zero-based index: 0 -> A, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function xlsxCell(value, ref) {
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    const text = cellText(value);
+    if (!text) return '';
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+/**
+ * XLSX workbook with one sheet: a header row with the column names, then one row per record.
+ * Numbers and booleans keep their type; everything else is written as text.
+ * @param {Object[]} rows
+ * @param {string} [sheetName='Report']
+ * @returns {Buffer}
+ */
+function toXlsx(rows, sheetName = 'Report') {
+    const columns = columnsOf(rows);
+    const sheetRows = [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values, rowIndex) => `<row r="${rowIndex + 1}">${values
+            .map((value, columnIndex) => xlsxCell(value, `${columnName(columnIndex)}${rowIndex + 1}`))
+            .join('')}</row>`)
+        .join('');
+    const name = xmlEscape(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Report');
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+                + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: `${xml}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+        },
+    ]);
+}
+
+// ---------------------------------------------------------------- PDF
+
+const PAGE = { width: 842, height: 595, margin: 36 }; // A4 landscape, in points
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 12;
+const CHAR_WIDTH = FONT_SIZE * 0.5; // Average Helvetica glyph width
+const MAX_CELL_CHARS = 40;
+
+// PDF string literal; characters outside Latin-1 are replaced as the standard fonts lack them.
+function pdfString(text) {
+    return `(${text
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/[\\()]/g, (char) => `\\${char}`)})`;
+}
+
+function fitText(text, chars) {
+    const line = text.replace(/\s+/g, ' ');
+    if (line.length <= chars) return line;
+    return chars > 3 ? `${line.slice(0, chars - 3)}...` : line.slice(0, chars);
+}
+
+/**
+ * PDF document with the rows as a table: a title, then the header row repeated on every page.
+ * Columns share the page width in proportion to their content; long values are cut.
+ * @param {Object[]} rows
+ * @param {string} [title='Report']
+ * @returns {Buffer}
+ */
+function toPdf(rows, title = 'Report') {
+    const columns = columnsOf(rows);
+    const cells = rows.map((row) => columns.map((column) => cellText(row[column])));
+    const usable = PAGE.width - 2 * PAGE.margin;
+    const wanted = columns.map((column, index) => Math.min(MAX_CELL_CHARS, Math.max(
+        column.length,
+        ...cells.map((values) => values[index].length),
+    )) + 2);
+    const scale = Math.min(1, usable / (wanted.reduce((sum, chars) => sum + chars, 0) * CHAR_WIDTH || 1));
+    const widths = wanted.map((chars) => chars * CHAR_WIDTH * scale);
+
+    const rowsPerPage = Math.floor((PAGE.height - 2 * PAGE.margin - 2 * LINE_HEIGHT) / LINE_HEIGHT) - 1;
+    const pages = [];
+    for (let start = 0; start === 0 || start < cells.length; start += rowsPerPage) {
+        pages.push(cells.slice(start, start + rowsPerPage));
+    }
+
+    const line = (values, y, font) => {
+        let x = PAGE.margin;
+        return values.map((value, index) => {
+            const text = fitText(value, Math.floor(widths[index] / CHAR_WIDTH) - 1);
+            const command = `BT /${font} ${FONT_SIZE} Tf ${x.toFixed(2)} ${y} Td ${pdfString(text)} Tj ET`;
+            x += widths[index];
+            return command;
+        }).join('\n');
+    };
+
+    const contents = pages.map((pageRows, pageIndex) => {
+        let y = PAGE.height - PAGE.margin - FONT_SIZE;
+        const commands = [`BT /F2 11 Tf ${PAGE.margin} ${y} Td ${pdfString(`${title} (${pageIndex + 1}/${pages.length})`)} Tj ET`];
+        y -= 2 * LINE_HEIGHT;
+        commands.push(line(columns, y, 'F2'));
+        commands.push(`${PAGE.margin} ${y - 3} m ${PAGE.width - PAGE.margin} ${y - 3} l S`);
+        pageRows.forEach((values) => {
+            y -= LINE_HEIGHT;
+            commands.push(line(values, y, 'F1'));
+        });
+        return commands.join('\n');
+    });
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+    const pageIds = pages.map((unused, index) => 5 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ];
+    contents.forEach((content, index) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Encodes rows in an export format.
+ * @param {string} format - csv, xlsx or pdf.
+ * @param {Object[]} rows
+ * @param {string} [title] - Sheet name or PDF title.
+ * @returns {Buffer}
+ */
+function encode(format, rows, title) {
+    switch (format) {
+        case 'csv':
+            return Buffer.from(toCsv(rows), 'utf8');
+        case 'xlsx':
+            return toXlsx(rows, title);
+        case 'pdf':
+            return toPdf(rows, title);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    CsvEncoder,
+    toCsv,
+    toXlsx,
+    toPdf,
+    encode,
+    zip,
+    crc32,
+};
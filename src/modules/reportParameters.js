@@ -0,0 +1,291 @@
+const { ReportError } = require('./reportSubscriptions');
+
+/**
+ * Declared parameters of a report, stored in the `filters` column of `adaptus2_reports`.
+ *
+ * A parameter is either a column name (the former format: an optional `column = ?` filter)
+ * or an object:
+ *   { "name": "period", "type": "daterange", "column": "o.created_at", "required": true }
+ *
+ *   - type:     string (default), number, date, daterange, enum or multiselect
+ *   - column:   column the parameter filters on (default: its name)
+ *   - operator: =, !=, <, <=, >, >=, like (string), in / not in (multiselect); a daterange
+ *               always filters `column >= from AND column < day after to`
+ *   - required, default, label, values (enum and multiselect choices), min and max (number)
+ *
+ * A parameter named in the stored `sqlQuery` as `:name` is bound there instead of being
+ * appended as a condition (`:name_from` / `:name_to` for a daterange, a list of `?` for a
+ * multiselect, e.g. `status IN (:statuses)`). Values are always bound, never inlined.
+ */
+const PARAMETER_TYPES = ['string', 'number', 'date', 'daterange', 'enum', 'multiselect'];
+
+const COMPARISONS = ['=', '!=', '<', '<=', '>', '>='];
+const OPERATORS = {
+    string: [...COMPARISONS, 'like'],
+    number: COMPARISONS,
+    date: COMPARISONS,
+    daterange: ['between'],
+    enum: ['=', '!='],
+    multiselect: ['in', 'not in'],
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const COLUMN_PATTERN = /^[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?$/;
+// Names reserved by tenancy (scopeRawQuery binds :tenantId)
+const RESERVED = ['tenantId'];
+
+/**
+ * Normalizes the `filters` of a report into parameter declarations.
+ * @param {Array|Object|string} filters - Array of names or declarations, an object keyed by
+ *   name, or its JSON.
+ * @returns {Array<Object>}
+ * @throws {ReportError} 500 on an invalid declaration (a report configuration error).
+ */
+function normalizeParameters(filters) {
+    let declared = filters;
+    if (typeof declared === 'string') {
+        try {
+            declared = JSON.parse(declared);
+        } catch (error) {
+            throw new ReportError('Report filters are not valid JSON', 500);
+        }
+    }
+    if (!declared) return [];
+    if (!Array.isArray(declared)) {
+        declared = Object.entries(declared).map(([name, spec]) => ({ ...spec, name }));
+    }
+
+    return declared.map((entry) => {
+        const parameter = typeof entry === 'string' ? { name: entry } : { ...entry };
+        const invalid = (reason) => new ReportError(`Report parameter ${parameter.name || '?'} ${reason}`, 500);
+        if (!/^[A-Za-z]\w*$/.test(parameter.name || '') || RESERVED.includes(parameter.name)) throw invalid('has an invalid name');
+        parameter.type = parameter.type || 'string';
+        if (!PARAMETER_TYPES.includes(parameter.type)) throw invalid(`has an unknown type ${parameter.type}`);
+        parameter.column = parameter.column || parameter.name;
+        if (!COLUMN_PATTERN.test(parameter.column)) throw invalid(`has an invalid column ${parameter.column}`);
+        parameter.operator = String(parameter.operator || OPERATORS[parameter.type][0]).toLowerCase();
+        if (!OPERATORS[parameter.type].includes(parameter.operator)) throw invalid(`does not support the operator ${parameter.operator}`);
+        if (parameter.type === 'enum' && !(Array.isArray(parameter.values) && parameter.values.length)) throw invalid('needs values');
+        parameter.required = Boolean(parameter.required);
+        return parameter;
+    });
+}
+
+function checkDate(parameter, value) {
+    const text = String(value).trim();
+    if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(text).getTime())) {
+        throw new ReportError(`Parameter ${parameter.name} must be a date (YYYY-MM-DD)`);
+    }
+    return text;
+}
+
+function listOf(value) {
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map((item) => item.trim()).filter((item) => item !== '');
+}
+
+function coerce(parameter, value) {
+    const { name } = parameter;
+    switch (parameter.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isFinite(number)) throw new ReportError(`Parameter ${name} must be a number`);
+            if (parameter.min !== undefined && number < parameter.min) throw new ReportError(`Parameter ${name} must be at least ${parameter.min}`);
+            if (parameter.max !== undefined && number > parameter.max) throw new ReportError(`Parameter ${name} must be at most ${parameter.max}`);
+            return number;
+        }
+        case 'date':
+            return checkDate(parameter, value);
+        case 'daterange': {
+            const range = typeof value === 'object' && !Array.isArray(value) ? value : (() => {
+                const [from, to] = Array.isArray(value) ? value : String(value).split(',');
+                return { from, to };
+            })();
+            const from = range.from !== undefined && String(range.from).trim() !== '' ? checkDate(parameter, range.from) : null;
+            const to = range.to !== undefined && String(range.to).trim() !== '' ? checkDate(parameter, range.to) : null;
+            if (!from && !to) throw new ReportError(`Parameter ${name} must be a date range (from,to)`);
+            if (from && to && new Date(from) > new Date(to)) throw new ReportError(`Parameter ${name} ends before it starts`);
+            return { from, to };
+        }
+        case 'enum': {
+            const choice = parameter.values.find((allowed) => String(allowed) === String(value));
+            if (choice === undefined) throw new ReportError(`Parameter ${name} must be one of ${parameter.values.join(', ')}`);
+            return choice;
+        }
+        case 'multiselect': {
+            const items = listOf(value);
+            if (Array.isArray(parameter.values)) {
+                const unknown = items.find((item) => !parameter.values.some((allowed) => String(allowed) === String(item)));
+                if (unknown !== undefined) throw new ReportError(`Parameter ${name} accepts ${parameter.values.join(', ')}, not ${unknown}`);
+            }
+            return items.map(String);
+        }
+        default:
+            if (typeof value === 'object') throw new ReportError(`Parameter ${name} must be a text value`);
+            return String(value);
+    }
+}
+
+// Whether a parameter was left empty; a multiselect listing nothing (`?statuses=,`) is.
+function isEmpty(parameter, value) {
+    if (value === undefined || value === null || value === '') return true;
+    return parameter.type === 'multiselect' && listOf(value).length === 0;
+}
+
+/**
+ * Validates and converts the values given for the parameters of a report; values of
+ * undeclared names are ignored. A missing value takes the default of its parameter.
+ * @param {Array<Object>} parameters - Result of normalizeParameters().
+ * @param {Object} input - Values by name (query string or stored subscription filters).
+ * @param {Set<string>} [placeholders] - Names used as `:name` in the query; they are required.
+ * @returns {Object} Values by name, without the parameters left empty.
+ * @throws {ReportError} 400 on a missing required parameter or an invalid value.
+ */
+function resolveParameters(parameters, input = {}, placeholders = new Set()) {
+    const resolved = {};
+    parameters.forEach((parameter) => {
+        let value = input[parameter.name];
+        if (isEmpty(parameter, value)) value = parameter.default;
+        if (isEmpty(parameter, value)) {
+            if (parameter.required || placeholders.has(parameter.name)) {
+                throw new ReportError(`Parameter ${parameter.name} is required`);
+            }
+            return;
+        }
+        resolved[parameter.name] = coerce(parameter, value);
+    });
+    return resolved;
+}
+
+// Exclusive upper bound of a daterange: the day after a date-only `to`
+function rangeEnd(to) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(to)) return to;
+    const next = new Date(`${to}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+function condition(parameter, value, values) {
+    const { column, operator } = parameter;
+    switch (parameter.type) {
+        case 'daterange': {
+            const parts = [];
+            if (value.from) {
+                parts.push(`${column} >= ?`);
+                values.push(value.from);
+            }
+            if (value.to) {
+                parts.push(`${column} < ?`);
+                values.push(rangeEnd(value.to));
+            }
+            return parts.join(' AND ');
+        }
+        case 'multiselect':
+            values.push(...value);
+            return `${column} ${operator.toUpperCase()} (${value.map(() => '?').join(', ')})`;
+        default:
+            if (operator === 'like') {
+                values.push(`%${String(value).replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+                return `${column} LIKE ?`;
+            }
+            values.push(value);
+            return `${column} ${operator} ?`;
+    }
+}
+
+// Splits SQL into code and quoted literals, so placeholders are only looked for in code
+function sqlSegments(sql) {
+    return sql.split(/('(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.)*"|`[^`]*`)/);
+}
+
+/**
+ * Names of the parameters used as placeholders in a query.
+ */
+function placeholdersOf(sql, parameters) {
+    const names = new Set();
+    const pattern = /(^|[^:\w]):([A-Za-z]\w*)/g;
+    sqlSegments(sql || '').forEach((segment, index) => {
+        if (index % 2) return;
+        let match;
+        while ((match = pattern.exec(segment)) !== null) {
+            const parameter = parameters.find((candidate) => (candidate.type === 'daterange'
+                ? [`${candidate.name}_from`, `${candidate.name}_to`].includes(match[2])
+                : candidate.name === match[2]));
+            if (parameter) names.add(parameter.name);
+        }
+    });
+    return names;
+}
+
+/**
+ * Builds the query of a report: binds the placeholders of the stored query, then appends a
+ * condition for every other parameter with a value.
+ * @param {string} sql - Stored query, already ending with a WHERE clause.
+ * @param {Array<Object>} parameters - Result of normalizeParameters().
+ * @param {Object} resolved - Result of resolveParameters().
+ * @returns {{query: string, values: Array}} `?` parameters; `:tenantId` is left for scopeRawQuery.
+ */
+function buildReportQuery(sql, parameters, resolved) {
+    const values = [];
+    const byName = new Map(parameters.map((parameter) => [parameter.name, parameter]));
+    const placeholders = placeholdersOf(sql, parameters);
+
+    const query = sqlSegments(sql).map((segment, index) => {
+        if (index % 2) return segment;
+        return segment.replace(/(^|[^:\w]):([A-Za-z]\w*)/g, (token, prefix, name) => {
+            const range = /^(.+)_(from|to)$/.exec(name);
+            const parameter = byName.get(name) || (range && byName.get(range[1]));
+            if (!parameter || (parameter.type === 'daterange') !== (parameter.name !== name)) return token;
+            const value = resolved[parameter.name];
+            if (parameter.type === 'daterange') {
+                const bound = range[2] === 'from' ? value.from : value.to && rangeEnd(value.to);
+                if (!bound) throw new ReportError(`Parameter ${parameter.name} needs a ${range[2]} date`);
+                values.push(bound);
+                return `${prefix}?`;
+            }
+            if (parameter.type === 'multiselect') {
+                // An empty list matches nothing
+                const items = value.length ? value : [null];
+                values.push(...items);
+                return `${prefix}${items.map(() => '?').join(', ')}`;
+            }
+            values.push(value);
+            return `${prefix}?`;
+        });
+    }).join('');
+
+    const conditions = parameters
+        .filter((parameter) => !placeholders.has(parameter.name) && resolved[parameter.name] !== undefined)
+        .map((parameter) => condition(parameter, resolved[parameter.name], values));
+    return { query: conditions.reduce((text, clause) => `${text} AND ${clause}`, query), values };
+}
+
+/**
+ * Public description of the parameters, for clients rendering a filter form.
+ */
+function describeParameters(parameters, sql = '') {
+    const placeholders = placeholdersOf(sql, parameters);
+    return parameters.map((parameter) => {
+        const description = {
+            name: parameter.name,
+            label: parameter.label || parameter.name,
+            type: parameter.type,
+            operator: parameter.operator,
+            required: parameter.required || (placeholders.has(parameter.name) && parameter.default === undefined),
+        };
+        ['default', 'values', 'min', 'max', 'description'].forEach((key) => {
+            if (parameter[key] !== undefined) description[key] = parameter[key];
+        });
+        return description;
+    });
+}
+
+module.exports = {
+    PARAMETER_TYPES,
+    OPERATORS,
+    normalizeParameters,
+    resolveParameters,
+    placeholdersOf,
+    buildReportQuery,
+    describeParameters,
+};
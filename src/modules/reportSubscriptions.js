@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { affectedRowCount } = require('./db');
+const { EXPORT_FORMATS } = require('./reportExport');
+
+const DELIVERY_TYPES = ['email', 'file', 's3'];
+
+class ReportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ReportError';
+        this.statusCode = statusCode;
+    }
+}
+
+function htmlEscape(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toJson(value) {
+    return value === undefined ? null : JSON.stringify(value);
+}
+
+function fromJson(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Checks a cron expression of 5 or 6 fields (node-schedule syntax, seconds first when 6).
+ */
+function isCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    return (fields.length === 5 || fields.length === 6) && fields.every((field) => /^[\d*,\-/?LW#A-Za-z]+$/.test(field));
+}
+
+/**
+ * Validates the body of a new subscription and returns its normalized fields.
+ * @throws {ReportError} 400 on a missing or invalid field.
+ */
+function validateSubscription(input = {}) {
+    const { reportName, cron, format = 'csv', delivery = 'email', destination, filters = {}, subject = null } = input;
+    if (!reportName) throw new ReportError('reportName is required');
+    if (!isCron(cron)) throw new ReportError('cron must be a cron expression, e.g. "0 7 * * 1"');
+    if (!EXPORT_FORMATS[format]) throw new ReportError(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    if (!DELIVERY_TYPES.includes(delivery)) throw new ReportError(`delivery must be one of ${DELIVERY_TYPES.join(', ')}`);
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) throw new ReportError('filters must be an object');
+    if (delivery === 'email') {
+        const recipients = [].concat(destination || []);
+        if (!recipients.length || !recipients.every((email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+            throw new ReportError('destination must be one or more email addresses');
+        }
+        return { reportName, cron: cron.trim(), format, delivery, destination: recipients.join(','), filters, subject };
+    }
+    if (delivery === 's3' && !parseS3Destination(destination)) {
+        throw new ReportError('destination must be s3://bucket/prefix');
+    }
+    if (delivery === 'file') resolveExportPath(destination || '');
+    return { reportName, cron: cron.trim(), format, delivery, destination: destination || '', filters, subject };
+}
+
+function parseS3Destination(destination) {
+    const match = /^s3:\/\/([^/]+)\/?(.*)$/.exec(String(destination || ''));
+    return match ? { bucket: match[1], prefix: match[2] } : null;
+}
+
+/**
+ * Path of an exported file under REPORT_EXPORT_DIR. Subscriptions name a directory relative
+ * to it, so they cannot write elsewhere on the server.
+ * @throws {ReportError} 400 when the directory leaves REPORT_EXPORT_DIR.
+ */
+function resolveExportPath(directory, filename = '') {
+    const base = path.resolve(process.env.REPORT_EXPORT_DIR || './exports/reports');
+    const target = path.resolve(base, directory, filename);
+    if (target !== base && !target.startsWith(`${base}${path.sep}`)) {
+        throw new ReportError('destination must stay within REPORT_EXPORT_DIR');
+    }
+    return target;
+}
+
+/**
+ * Sends an exported report to the destination of a subscription.
+ * @param {Object} subscription
+ * @param {{filename: string, content: Buffer, contentType: string}} file
+ * @returns {Promise<string>} Where the file went.
+ */
+async function deliverReport(subscription, file) {
+    switch (subscription.delivery) {
+        case 'email': {
+            const emailService = require('../services/notification/emailService');
+            const subject = subscription.subject || `Report ${subscription.reportName}`;
+            const template = process.env.REPORT_EMAIL_TEMPLATE;
+            await emailService.send({
+                to: subscription.destination,
+                subject,
+                template,
+                html: template ? undefined : `<p>${htmlEscape(subject)}: see the attached ${htmlEscape(file.filename)}.</p>`,
+                data: { subject, reportName: subscription.reportName, filename: file.filename },
+                attachments: [file],
+            });
+            return subscription.destination;
+        }
+        case 'file': {
+            const target = resolveExportPath(subscription.destination, file.filename);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.writeFile(target, file.content);
+            return target;
+        }
+        case 's3': {
+            const AWS = require('aws-sdk');
+            const { bucket, prefix } = parseS3Destination(subscription.destination);
+            const key = prefix ? `${prefix.replace(/\/?$/, '/')}${file.filename}` : file.filename;
+            const s3 = new AWS.S3({ region: process.env.REPORT_S3_REGION || process.env.AWS_REGION });
+            await s3.putObject({ Bucket: bucket, Key: key, Body: file.content, ContentType: file.contentType }).promise();
+            return `s3://${bucket}/${key}`;
+        }
+        default:
+            throw new ReportError(`Unknown delivery type: ${subscription.delivery}`);
+    }
+}
+
+/**
+ * Report subscriptions in the `adaptus2_report_subscriptions` table
+ * (REPORT_SUBSCRIPTIONS_TABLE): a report run on a cron schedule with stored filter values,
+ * exported in a format and delivered by email, to a local directory or to S3.
+ *
+ * A subscription keeps the roles (`owner`) and tenant of the user who created it; scheduled
+ * runs see what that user could see.
+ */
+class ReportSubscriptionStore {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getConnection - Resolves to a connection with execute(sql, params).
+     * @param {string} [options.table='adaptus2_report_subscriptions']
+     */
+    constructor({ getConnection, table = 'adaptus2_report_subscriptions' }) {
+        this.getConnection = getConnection;
+        this.table = table;
+        this.tableReady = null;
+    }
+
+    static toSubscription(row) {
+        return {
+            id: row.id,
+            reportName: row.report_name,
+            cron: row.cron,
+            format: row.format,
+            delivery: row.delivery,
+            destination: row.destination,
+            subject: row.subject || null,
+            filters: fromJson(row.filters) || {},
+            owner: fromJson(row.owner) || {},
+            tenant: fromJson(row.tenant),
+            enabled: Boolean(Number(row.enabled)),
+            lastRunAt: row.last_run_at || null,
+            lastStatus: row.last_status || null,
+            lastError: row.last_error || null,
+            createdAt: row.created_at,
+        };
+    }
+
+    async connection() {
+        const connection = await this.getConnection();
+        if (!connection) {
+            throw new ReportError('Database connection for report subscriptions could not be established', 500);
+        }
+        return connection;
+    }
+
+    async ensureTable() {
+        if (!this.tableReady) {
+            this.tableReady = this.connection().then((connection) => connection.execute(
+                `CREATE TABLE IF NOT EXISTS ${this.table} (
+                    id CHAR(36) PRIMARY KEY,
+                    report_name VARCHAR(255) NOT NULL,
+                    cron VARCHAR(255) NOT NULL,
+                    format VARCHAR(16) NOT NULL,
+                    delivery VARCHAR(16) NOT NULL,
+                    destination TEXT NOT NULL,
+                    subject VARCHAR(255) NULL,
+                    filters JSON,
+                    owner JSON,
+                    tenant JSON,
+                    enabled TINYINT(1) NOT NULL DEFAULT 1,
+                    last_run_at DATETIME NULL,
+                    last_status VARCHAR(32) NULL,
+                    last_error TEXT NULL,
+                    created_at DATETIME NOT NULL
+                )`
+            )).catch((error) => {
+                this.tableReady = null;
+                throw error;
+            });
+        }
+        return this.tableReady;
+    }
+
+    async execute(sql, params = []) {
+        await this.ensureTable();
+        const connection = await this.connection();
+        const [result] = await connection.execute(sql, params);
+        return result;
+    }
+
+    async list() {
+        const rows = await this.execute(`SELECT * FROM ${this.table} ORDER BY created_at`);
+        return (rows || []).map(ReportSubscriptionStore.toSubscription);
+    }
+
+    async get(id) {
+        const rows = await this.execute(`SELECT * FROM ${this.table} WHERE id = ?`, [id]);
+        return rows && rows.length ? ReportSubscriptionStore.toSubscription(rows[0]) : null;
+    }
+
+    /**
+     * @param {Object} subscription - Fields returned by validateSubscription, with `owner` and `tenant`.
+     */
+    async create(subscription) {
+        const row = {
+            id: crypto.randomUUID(),
+            report_name: subscription.reportName,
+            cron: subscription.cron,
+            format: subscription.format,
+            delivery: subscription.delivery,
+            destination: subscription.destination,
+            subject: subscription.subject || null,
+            filters: toJson(subscription.filters || {}),
+            owner: toJson(subscription.owner || {}),
+            tenant: toJson(subscription.tenant || null),
+            enabled: 1,
+            created_at: new Date(),
+        };
+        const columns = Object.keys(row);
+        await this.execute(
+            `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map((column) => row[column])
+        );
+        return ReportSubscriptionStore.toSubscription(row);
+    }
+
+    async remove(id) {
+        const result = await this.execute(`DELETE FROM ${this.table} WHERE id = ?`, [id]);
+        return Boolean(affectedRowCount(result));
+    }
+
+    async recordRun(id, status, error = null) {
+        await this.execute(
+            `UPDATE ${this.table} SET last_run_at = ?, last_status = ?, last_error = ? WHERE id = ?`,
+            [new Date(), status, error, id]
+        );
+    }
+}
+
+module.exports = {
+    DELIVERY_TYPES,
+    ReportError,
+    ReportSubscriptionStore,
+    validateSubscription,
+    deliverReport,
+    resolveExportPath,
+};
@@ -1,18 +1,68 @@
-const { v7: uuidv7 } = require('uuid');
+const crypto = require('crypto');
+const schedule = require('node-schedule');
 const consolelog = require('./logger');
 const { aarMiddleware } = require('../middleware/aarMiddleware');
 const responseBus = require('./response');
+const { getApiConfig } = require('./apiConfig');
+const { getDbConnection } = require('./db');
+const { hasFieldAcl, isDenyMode, canReadField } = require('./fieldAcl');
+const { ALL_TENANTS, currentTenant, scopeRawQuery } = require('./tenancy');
+const { EXPORT_FORMATS, CsvEncoder, encode } = require('./reportExport');
+const { ReportError, ReportSubscriptionStore, validateSubscription, deliverReport } = require('./reportSubscriptions');
+const { normalizeParameters, resolveParameters, placeholdersOf, buildReportQuery, describeParameters } = require('./reportParameters');
 
+/**
+ * Reads a page of a report query. The query is wrapped as a derived table, so reports ending with
+ * their own LIMIT or ORDER BY stay valid, and ordered by all its columns (by position), so
+ * LIMIT/OFFSET pages never skip or repeat a row.
+ * @param {string} query - Report query.
+ * @param {number} columnCount - Number of columns of the report; 0 leaves the page unordered.
+ * @returns {string} Query taking the LIMIT and OFFSET as its last two parameters.
+ */
+function pagedReportQuery(query, columnCount) {
+    const positions = Array.from({ length: columnCount }, (unused, index) => index + 1).join(', ');
+    return `SELECT * FROM (${query.replace(/[\s;]+$/, '')}) AS r${positions ? ` ORDER BY ${positions}` : ''} LIMIT ? OFFSET ?`;
+}
+
+/**
+ * Waits until a response can take more data. Resolves to false when the client went away first.
+ */
+function waitForDrain(res) {
+    if (res.destroyed) return Promise.resolve(false);
+    return new Promise((resolve) => {
+        const done = (drained) => () => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            res.off('error', onClose);
+            resolve(drained);
+        };
+        const onDrain = done(true);
+        const onClose = done(false);
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+        res.once('error', onClose);
+    });
+}
 
 class ReportingModule {
-    constructor(globalContext, dbConnection, redisClient, app) {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.subscriptionStore] - Store of report subscriptions (default: ReportSubscriptionStore).
+     */
+    constructor(globalContext, dbConnection, redisClient, app, options = {}) {
         this.globalContext = globalContext;
         this.connection = dbConnection;
         this.redisClient = redisClient;
         this.app = app;
+        this.subscriptions = options.subscriptionStore || new ReportSubscriptionStore({
+            getConnection: dbConnection,
+            table: process.env.REPORT_SUBSCRIPTIONS_TABLE || 'adaptus2_report_subscriptions',
+        });
+        this.jobs = new Map();
         this.registerActions();
         this.registerRoutes();
         this.ensureReportsTable();     
+        this.startSubscriptions();
     }
 
     registerActions() {
@@ -34,14 +84,78 @@ class ReportingModule {
             }
         });
 
+        this.app.get("/reports/:reportName/schema", aarMiddleware("token", [], ruleEngineInstance), async (req, res) => {
+            try {
+                res.json(await this.getReportSchema(req, req.params.reportName));
+            } catch (error) {
+                console.error("Error describing report:", error.message);
+                res.status(error.statusCode || 500).json({ error: error.message });
+            }
+        });
+
         this.app.get("/reports/:reportName", aarMiddleware("token", [], ruleEngineInstance), async (req, res) => {
+            const { format, ...filters } = req.query;
             try {
                 responseBus.Reset();
-                const result = await this.runReport(req, { reportName: req.params.reportName, ...req.query });
-                res.json(result);
+                const params = { reportName: req.params.reportName, ...filters };
+                if (format === 'csv') {
+                    await this.streamReportCsv(req, params, res);
+                } else if (format) {
+                    const file = await this.exportReport(req, params, format);
+                    res.set('Content-Type', file.contentType);
+                    res.attachment(file.filename);
+                    res.send(file.content);
+                } else {
+                    const result = await this.runReport(req, params);
+                    res.json(result);
+                }
             } catch (error) {
                 console.error("Error running report:", error.message);
-                res.status(500).json({ error: error.message });
+                // A streamed export can fail once the headers are out
+                if (res.headersSent) return res.destroy(error);
+                res.status(error.statusCode || 500).json({ error: error.message });
+            }
+        });
+
+        const subscriptionError = (res, error) => {
+            console.error("Report subscription error:", error.message);
+            res.status(error.statusCode || 500).json({ error: error.message });
+        };
+
+        this.app.get("/report-subscriptions", aarMiddleware("token", [], ruleEngineInstance), async (req, res) => {
+            try {
+                const subscriptions = await this.subscriptions.list();
+                res.json(subscriptions.filter((subscription) => this.canManageSubscription(req.user, subscription)));
+            } catch (error) {
+                subscriptionError(res, error);
+            }
+        });
+
+        this.app.post("/report-subscriptions", aarMiddleware("token", [], ruleEngineInstance), async (req, res) => {
+            try {
+                res.status(201).json(await this.createSubscription(req, req.body));
+            } catch (error) {
+                subscriptionError(res, error);
+            }
+        });
+
+        this.app.delete("/report-subscriptions/:id", aarMiddleware("token", [], ruleEngineInstance), async (req, res) => {
+            try {
+                await this.getManagedSubscription(req.user, req.params.id);
+                await this.subscriptions.remove(req.params.id);
+                this.unscheduleSubscription(req.params.id);
+                res.json({ id: req.params.id, deleted: true });
+            } catch (error) {
+                subscriptionError(res, error);
+            }
+        });
+
+        this.app.post("/report-subscriptions/:id/run", aarMiddleware("token", [], ruleEngineInstance), async (req, res) => {
+            try {
+                await this.getManagedSubscription(req.user, req.params.id);
+                res.json(await this.runSubscription(req.params.id));
+            } catch (error) {
+                subscriptionError(res, error);
             }
         });
     }
@@ -58,56 +172,330 @@ class ReportingModule {
         }
     }
 
-    async runReport(ctx, params) {
-        const { reportName, ...filters } = params;
+    /**
+     * Loads a report and checks the ACL of the user.
+     * @throws {ReportError} 404 when the report does not exist.
+     */
+    async loadReport(ctx, reportName) {
         if (!reportName) throw new Error("Report name is required.");
 
+        // Get the actual connection by awaiting the connection function
+        const connection = await this.connection();
+
+        const [reportData] = await connection.execute('SELECT * FROM adaptus2_reports WHERE id = ?', [reportName]);
+        if (reportData.length === 0) throw new ReportError("Report not found.", 404);
+
+        const report = reportData[0];
+        this.validateACL(ctx.user.acl, report.acl);
+        return { connection, report };
+    }
+
+    /**
+     * Loads a report, checks the ACL of the user and builds its query with the parameter values.
+     * @param {Object} ctx - `{ user }`, and `tenant` to run outside of a request (default: the tenant of the request).
+     * @param {Object} params - `reportName` and parameter values.
+     */
+    async prepareReport(ctx, params) {
+        const { reportName, ...filters } = params;
+        const { connection, report } = await this.loadReport(ctx, reportName);
+
+        const parameters = normalizeParameters(report.filters);
+        const resolved = resolveParameters(parameters, filters, placeholdersOf(report.sqlQuery, parameters));
+        let finalSql = buildReportQuery(this.ensureWhereClause(report.sqlQuery), parameters, resolved);
+        // With tenancy enabled, reports on tenant tables must filter by :tenantId.
+        const tenant = ctx.tenant !== undefined ? ctx.tenant : currentTenant();
+        finalSql = scopeRawQuery(finalSql.query, finalSql.values, tenant, getApiConfig());
+        return { connection, report, reportName, tenant, parameters: resolved, query: finalSql.query, values: finalSql.values };
+    }
+
+    /**
+     * Parameters of a report, for clients rendering its filter form.
+     */
+    async getReportSchema(ctx, reportName) {
+        const { report } = await this.loadReport(ctx, reportName);
+        const parameters = normalizeParameters(report.filters);
+        return {
+            id: reportName,
+            reportName: report.reportName,
+            parameters: describeParameters(parameters, report.sqlQuery),
+            formats: Object.keys(EXPORT_FORMATS),
+            cacheTtl: this.cacheTtl(report),
+        };
+    }
+
+    async runReport(ctx, params) {
+        const { connection, report, reportName, tenant, query, values } = await this.prepareReport(ctx, params);
+        const ttl = this.cacheTtl(report);
+        const cacheKey = this.generateCacheKey(reportName, query, values, tenant);
+
+        const cachedResult = ttl > 0 ? await this.redisClient.get(cacheKey) : null;
+        if (cachedResult) return this.applyFieldAcl(report.sqlQuery, JSON.parse(cachedResult), ctx.user);
+
+        const [result] = await connection.execute(query, values);
+        if (ttl > 0) await this.redisClient.set(cacheKey, JSON.stringify(result), 'EX', ttl);
+
+        return this.applyFieldAcl(report.sqlQuery, result, ctx.user);
+    }
+
+    /**
+     * Writes a report as CSV to a response, reading REPORT_EXPORT_BATCH_SIZE rows at a time
+     * (LIMIT/OFFSET), so large results are neither cached nor held in memory. Pages are
+     * ordered by every column, so no row is skipped or repeated; the export stops when the
+     * client goes away.
+     * @returns {Promise<number>} Number of rows written.
+     */
+    async streamReportCsv(ctx, params, res) {
+        const { connection, report, reportName, query, values } = await this.prepareReport(ctx, params);
+        const batchSize = Math.max(parseInt(process.env.REPORT_EXPORT_BATCH_SIZE, 10) || 5000, 1);
+        const encoder = new CsvEncoder();
+
+        const [[first]] = await connection.execute(pagedReportQuery(query, 0), [...values, 1, 0]);
+        const paged = first ? pagedReportQuery(query, Object.keys(first).length) : null;
+
+        res.set('Content-Type', EXPORT_FORMATS.csv.contentType);
+        res.attachment(this.exportFilename(reportName, 'csv'));
+        let total = 0;
+        for (let offset = 0; paged; offset += batchSize) {
+            const [rows] = await connection.execute(paged, [...values, batchSize, offset]);
+            const chunk = encoder.encode(this.applyFieldAcl(report.sqlQuery, rows, ctx.user));
+            total += rows.length;
+            if (chunk && !res.write(chunk) && !(await waitForDrain(res))) {
+                return total;
+            }
+            if (rows.length < batchSize) break;
+        }
+        res.end();
+        return total;
+    }
+
+    /**
+     * Runs a report and encodes the result in an export format.
+     * @param {string} format - csv, xlsx or pdf.
+     * @returns {Promise<{filename: string, content: Buffer, contentType: string}>}
+     */
+    async exportReport(ctx, params, format, timestamp = null) {
+        if (!EXPORT_FORMATS[format]) {
+            throw new ReportError(`Unsupported format: ${format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        }
+        const rows = await this.runReport(ctx, params);
+        return {
+            filename: this.exportFilename(params.reportName, format, timestamp),
+            content: encode(format, rows, params.reportName),
+            contentType: EXPORT_FORMATS[format].contentType,
+        };
+    }
+
+    exportFilename(reportName, format, timestamp = null) {
+        const name = String(reportName).replace(/[^\w.-]+/g, '_');
+        const suffix = timestamp ? `-${timestamp.toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-')}` : '';
+        return `${name}${suffix}.${EXPORT_FORMATS[format].extension}`;
+    }
+
+    /**
+     * Subscribes to a report for the requesting user, after checking they may run it.
+     */
+    async createSubscription(req, body) {
+        const fields = validateSubscription(body);
+        const tenant = currentTenant();
+        if (tenant && tenant.error) throw new ReportError(tenant.error, 403);
+        const owner = { id: req.user.id || null, username: req.user.username || null, acl: req.user.acl };
+        await this.prepareReport({ user: owner, tenant }, { reportName: fields.reportName, ...fields.filters });
+
+        const subscription = await this.subscriptions.create({ ...fields, owner, tenant: tenant && { id: tenant.id, bypass: tenant.bypass } });
+        this.scheduleSubscription(subscription);
+        return subscription;
+    }
+
+    /**
+     * Subscriptions are managed by the user who created them, and by holders of
+     * REPORT_SUBSCRIPTIONS_ADMIN_ACL (default `adminAccess`).
+     */
+    canManageSubscription(user, subscription) {
+        if (!user) return false;
+        const adminRole = process.env.REPORT_SUBSCRIPTIONS_ADMIN_ACL || 'adminAccess';
+        if ([].concat(user.acl || []).includes(adminRole)) return true;
+        const owner = subscription.owner || {};
+        return Boolean((owner.id && owner.id === user.id) || (owner.username && owner.username === user.username));
+    }
+
+    async getManagedSubscription(user, id) {
+        const subscription = await this.subscriptions.get(id);
+        if (!subscription || !this.canManageSubscription(user, subscription)) {
+            throw new ReportError(`Report subscription ${id} not found`, 404);
+        }
+        return subscription;
+    }
+
+    /**
+     * Runs a subscription with its stored filters and delivers the export. A scheduled run
+     * (`fireDate`) is claimed in Redis first, so only one server delivers it.
+     * @returns {Promise<Object|null>} The delivery, or null when another server took the run.
+     */
+    async runSubscription(id, fireDate = null) {
+        const subscription = await this.subscriptions.get(id);
+        if (!subscription) throw new ReportError(`Report subscription ${id} not found`, 404);
+        if (fireDate) {
+            const claimed = await this.redisClient.set(`report-subscription:${id}:${fireDate.getTime()}`, '1', 'EX', 3600, 'NX');
+            if (!claimed) return null;
+        }
+
         try {
-            // Get the actual connection by awaiting the connection function
-            const connection = await this.connection();
-            
-            const [reportData] = await connection.execute('SELECT sqlQuery, acl, filters, mlModel FROM adaptus2_reports WHERE id = ?', [reportName]);
-            if (reportData.length === 0) throw new Error("Report not found.");
+            const owner = await this.resolveOwner(subscription.owner);
+            const file = await this.exportReport(
+                { user: owner, tenant: subscription.tenant },
+                { ...subscription.filters, reportName: subscription.reportName },
+                subscription.format,
+                fireDate || new Date()
+            );
+            const location = await deliverReport(subscription, file);
+            await this.subscriptions.recordRun(id, 'delivered');
+            consolelog.log(`Report subscription ${id} delivered ${file.filename} to ${location}`);
+            return { id, filename: file.filename, delivery: subscription.delivery, location };
+        } catch (error) {
+            await this.subscriptions.recordRun(id, 'failed', error.message).catch(() => {});
+            throw error;
+        }
+    }
 
-            const report = reportData[0];
-          //  console.log(ctx);
-            this.validateACL(ctx.user.acl, report.acl);
+    /**
+     * The owner of a subscription as they are now, read again from the user table of the login
+     * endpoint (the database endpoint with `auth` and `authentication`) at every delivery, so
+     * removed users and revoked roles stop receiving the report.
+     * @throws {ReportError} 403 when the owner no longer exists or cannot be checked.
+     */
+    async resolveOwner(owner = {}) {
+        const endpoint = getApiConfig().find((candidate) =>
+            candidate.routeType === 'database' && candidate.auth && candidate.authentication);
+        if (!endpoint) throw new ReportError('No user table to check the owner of the subscription against', 403);
+        const byId = owner.id !== null && owner.id !== undefined;
+        const column = byId ? (endpoint.keys && endpoint.keys[0]) || 'id' : endpoint.auth;
+        const value = byId ? owner.id : owner.username;
+        if (value === null || value === undefined) throw new ReportError('The subscription has no owner', 403);
 
-            let finalSql = this.ensureWhereClause(report.sqlQuery);
-            finalSql = this.buildQuery(finalSql, filters, report.filters);
-            const cacheKey = this.generateCacheKey(reportName, filters);
-            
-            const cachedResult = await this.redisClient.get(cacheKey);
-            if (cachedResult) return JSON.parse(cachedResult);
+        const connection = await getDbConnection(endpoint);
+        if (!connection) throw new ReportError(`Database connection failed for ${endpoint.dbConnection}`, 500);
+        const [rows] = await connection.execute(`SELECT * FROM ${endpoint.dbTable} WHERE ${column} = ?`, [value]);
+        const user = rows && rows[0];
+        if (!user) throw new ReportError('The owner of the subscription no longer exists', 403);
+        const acl = typeof user.acl === 'string'
+            ? user.acl.split(',').map((item) => item.trim()).filter(Boolean)
+            : [].concat(user.acl || []);
+        return { id: byId ? owner.id : null, username: owner.username || null, acl };
+    }
 
-            const [result] = await connection.execute(finalSql.query, finalSql.values);
-            await this.redisClient.set(cacheKey, JSON.stringify(result), 'EX', process.env.REPORT_CACHE_TTL || 600);
-            
-            return result;
-        } finally {
-            // connection.release();
+    scheduleSubscription(subscription) {
+        this.unscheduleSubscription(subscription.id);
+        if (!subscription.enabled) return;
+        const job = schedule.scheduleJob(subscription.cron, (fireDate) => {
+            this.runSubscription(subscription.id, fireDate || new Date()).catch((error) => {
+                console.error(`Report subscription ${subscription.id} failed:`, error.message);
+            });
+        });
+        if (job) this.jobs.set(subscription.id, { cron: subscription.cron, job });
+    }
+
+    unscheduleSubscription(id) {
+        const scheduled = this.jobs.get(id);
+        if (scheduled) {
+            scheduled.job.cancel();
+            this.jobs.delete(id);
         }
     }
 
+    /**
+     * Schedules the stored subscriptions and drops the jobs of deleted ones. Runs every
+     * REPORT_SUBSCRIPTIONS_REFRESH_MS so subscriptions created on another server are picked up.
+     */
+    async syncSubscriptions() {
+        const subscriptions = await this.subscriptions.list();
+        const ids = new Set();
+        subscriptions.filter((subscription) => subscription.enabled).forEach((subscription) => {
+            ids.add(subscription.id);
+            const scheduled = this.jobs.get(subscription.id);
+            if (!scheduled || scheduled.cron !== subscription.cron) this.scheduleSubscription(subscription);
+        });
+        [...this.jobs.keys()].filter((id) => !ids.has(id)).forEach((id) => this.unscheduleSubscription(id));
+    }
+
+    startSubscriptions() {
+        if (process.env.REPORT_SUBSCRIPTIONS_ENABLED === 'false') return;
+        const sync = () => this.syncSubscriptions().catch((error) => {
+            console.error("Error loading report subscriptions:", error.message);
+        });
+        sync();
+        this.subscriptionTimer = setInterval(sync, parseInt(process.env.REPORT_SUBSCRIPTIONS_REFRESH_MS, 10) || 60000);
+        if (this.subscriptionTimer.unref) this.subscriptionTimer.unref();
+    }
+
+    stopSubscriptions() {
+        clearInterval(this.subscriptionTimer);
+        [...this.jobs.keys()].forEach((id) => this.unscheduleSubscription(id));
+    }
+
+    /**
+     * Applies the `fieldAcl` of the endpoints whose tables the report reads (FROM/JOIN) to
+     * its result columns. Columns are matched by name, so an aliased column is not covered.
+     * The cache holds the unredacted rows; redaction happens per user.
+     * @throws {Error} 403 when an endpoint uses "deny" mode and the user may not read a column.
+     */
+    applyFieldAcl(sqlQuery, rows, user) {
+        const tables = new Set();
+        const tablePattern = /\b(?:from|join)\s+`?(\w+)`?/gi;
+        let match;
+        while ((match = tablePattern.exec(sqlQuery || '')) !== null) {
+            tables.add(match[1].toLowerCase());
+        }
+        const endpoints = getApiConfig().filter((endpoint) =>
+            endpoint.routeType === 'database' && hasFieldAcl(endpoint) && tables.has(String(endpoint.dbTable).toLowerCase()));
+        if (!endpoints.length || !Array.isArray(rows)) return rows;
+
+        const columns = new Set(rows.flatMap((row) => Object.keys(row || {})));
+        const hidden = new Set();
+        endpoints.forEach((endpoint) => {
+            Object.keys(endpoint.fieldAcl)
+                .filter((field) => columns.has(field) && !canReadField(endpoint, field, user))
+                .forEach((field) => {
+                    if (isDenyMode(endpoint)) {
+                        const error = new Error(`Not allowed to read field: ${field}`);
+                        error.statusCode = 403;
+                        throw error;
+                    }
+                    hidden.add(field);
+                });
+        });
+        if (!hidden.size) return rows;
+        return rows.map((row) => {
+            const redacted = { ...row };
+            hidden.forEach((field) => delete redacted[field]);
+            return redacted;
+        });
+    }
+
     ensureWhereClause(sqlQuery = '') {
         if (/where\s+/i.test(sqlQuery)) return sqlQuery;
         return sqlQuery + " WHERE 1=1";
     }
 
-    buildQuery(baseQuery, filters, allowedFilters) {
-        let query = baseQuery;
-        const values = [];
-        Object.entries(filters).forEach(([key, value]) => {
-            if (allowedFilters.includes(key)) {
-                query += ` AND ${key} = ?`;
-                values.push(value);
-            }
-        });
-        return { query, values };
+    /**
+     * Cache key of a report result. The query and its bound values include the parameters,
+     * so equal requests share an entry and editing a report invalidates it. The tenant is
+     * part of the key even when the query is not scoped by it, so tenants never share results.
+     * Field ACL is applied to cached rows per user and is not part of the key.
+     */
+    generateCacheKey(reportName, query, values, tenant = null) {
+        const scope = tenant ? (tenant.bypass ? ALL_TENANTS : tenant.id || '') : '';
+        const digest = crypto.createHash('sha256').update(JSON.stringify([query, values, scope])).digest('hex');
+        return `report:${reportName}:${digest}`;
     }
 
-    generateCacheKey(reportName, filters) {
-        return `report:${reportName}:${uuidv7()}`;
+    /**
+     * Seconds a report result is cached: the `cacheTtl` of the report, else REPORT_CACHE_TTL
+     * (default 600). 0 disables caching.
+     */
+    cacheTtl(report) {
+        const ttl = report.cacheTtl !== undefined && report.cacheTtl !== null ? report.cacheTtl : process.env.REPORT_CACHE_TTL;
+        const seconds = parseInt(ttl, 10);
+        return Number.isNaN(seconds) ? 600 : Math.max(seconds, 0);
     }
 
     /**
@@ -147,11 +535,17 @@ class ReportingModule {
                         sqlQuery TEXT NOT NULL,
                         acl JSON NOT NULL,
                         filters JSON NOT NULL,
+                        cacheTtl INT NULL,
                         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
                     )`;
                 await connection.execute(createTableQuery);
                 console.log("Reports table created successfully.");
+            } else {
+                const [columns] = await connection.execute("SHOW COLUMNS FROM adaptus2_reports LIKE 'cacheTtl'");
+                if (columns.length === 0) {
+                    await connection.execute("ALTER TABLE adaptus2_reports ADD COLUMN cacheTtl INT NULL");
+                }
             }
         } catch (error) {
             console.error("Error ensuring reports table:", error.message);
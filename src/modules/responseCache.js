@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const consolelog = require('./logger');
+
+const DEFAULT_TTL = 300; // seconds, the historical hard-coded TTL of cached GET responses
+const TAG_PREFIX = 'cache:tag:';
+
+// Sets the expiry of KEYS[1] to ARGV[1] seconds unless it already lives longer (TTL is -1
+// without expiry), so a short-lived entry never expires the tag of longer-lived ones.
+const EXTEND_EXPIRE_SCRIPT = `
+if redis.call('TTL', KEYS[1]) < tonumber(ARGV[1]) then
+    return redis.call('EXPIRE', KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+// Deletes the entries listed in the tag set KEYS[1] and the set itself in one step, so an entry
+// tagged while the purge runs is neither left out of the purge nor dropped from its tag set.
+// DEL takes the keys in slices to stay under Lua's unpack() limit.
+const PURGE_TAG_SCRIPT = `
+local keys = redis.call('SMEMBERS', KEYS[1])
+local purged = 0
+for i = 1, #keys, 1000 do
+    purged = purged + redis.call('DEL', unpack(keys, i, math.min(i + 999, #keys)))
+end
+redis.call('DEL', KEYS[1])
+return purged
+`;
+
+/**
+ * Redis backed cache for generated GET responses with tag based invalidation.
+ *
+ * Every cached entry is tagged with the tables it was read from (the endpoint's
+ * dbTable plus the related tables of its relationships). Writes purge the tags of
+ * the table they touched, and the purge is published on the cache updates channel
+ * so every node of the cluster drops the same entries.
+ */
+class ResponseCache {
+    /**
+     * @param {Object} redis - ioredis client used to store entries and tag sets.
+     * @param {Object} [options]
+     * @param {Object} [options.publisher] - ioredis client used to publish invalidations.
+     * @param {string} [options.channel] - Pub/sub channel for invalidations.
+     * @param {number} [options.defaultTTL] - TTL (seconds) when the endpoint does not configure one.
+     */
+    constructor(redis, { publisher = null, channel = 'cache:updates', defaultTTL = DEFAULT_TTL } = {}) {
+        this.redis = redis;
+        this.publisher = publisher;
+        this.channel = channel;
+        this.defaultTTL = defaultTTL;
+        // Identifies this process so it can ignore its own broadcasts.
+        this.nodeId = crypto.randomUUID();
+    }
+
+    /**
+     * Tags for an endpoint: its own table, every table it joins through relationships
+     * and the tables a request expanded into the response.
+     * @param {Object} endpoint - Endpoint configuration.
+     * @param {Array<string>} [tables] - Other tables read by the response, e.g. expandedTables().
+     * @returns {Array<string>}
+     */
+    static tagsForEndpoint(endpoint, tables = []) {
+        const tags = new Set([endpoint.dbTable, ...tables]);
+        if (Array.isArray(endpoint.relationships)) {
+            endpoint.relationships.forEach((rel) => {
+                if (rel.relatedTable) tags.add(rel.relatedTable);
+            });
+        }
+        return [...tags].filter(Boolean);
+    }
+
+    /**
+     * TTL for an endpoint, from `cacheTTL` (seconds) when configured.
+     * @param {Object} endpoint - Endpoint configuration.
+     * @returns {number}
+     */
+    ttlForEndpoint(endpoint) {
+        const ttl = parseInt(endpoint.cacheTTL, 10);
+        return ttl > 0 ? ttl : this.defaultTTL;
+    }
+
+    async get(key) {
+        const cached = await this.redis.get(key);
+        return cached ? JSON.parse(cached) : null;
+    }
+
+    /**
+     * Stores a response and registers its key under each tag.
+     * @param {string} key - Cache key.
+     * @param {any} value - JSON serializable payload.
+     * @param {Object} options
+     * @param {number} options.ttl - Expiry in seconds.
+     * @param {Array<string>} [options.tags] - Tables the payload was read from.
+     */
+    async set(key, value, { ttl = this.defaultTTL, tags = [] } = {}) {
+        const pipeline = this.redis.multi();
+        pipeline.set(key, JSON.stringify(value), 'EX', ttl);
+        tags.forEach((tag) => {
+            pipeline.sadd(`${TAG_PREFIX}${tag}`, key);
+            // The tag set only needs to outlive its entries; expired members are harmless.
+            pipeline.eval(EXTEND_EXPIRE_SCRIPT, 1, `${TAG_PREFIX}${tag}`, ttl);
+        });
+        await pipeline.exec();
+    }
+
+    /**
+     * Deletes every entry tagged with one of the given tags on this node.
+     * @param {Array<string>} tags
+     * @returns {Promise<number>} Number of deleted entries.
+     */
+    async purgeTags(tags) {
+        let purged = 0;
+        for (const tag of tags) {
+            purged += await this.redis.eval(PURGE_TAG_SCRIPT, 1, `${TAG_PREFIX}${tag}`);
+        }
+        return purged;
+    }
+
+    /**
+     * Purges the given tags and broadcasts the invalidation to the cluster.
+     * Errors are logged, never thrown: a failed purge must not fail the write.
+     * @param {Array<string>} tags - Tables that were written to.
+     * @param {string} reason - Human readable origin, e.g. "PUT /api/orders".
+     */
+    async invalidateTags(tags, reason) {
+        try {
+            const purged = await this.purgeTags(tags);
+            consolelog.log(`Cache invalidated for tags ${tags.join(', ')} (${purged} entries): ${reason}`);
+            if (this.publisher) {
+                await this.publisher.publish(this.channel, JSON.stringify({
+                    tags,
+                    reason,
+                    nodeId: this.nodeId,
+                    timestamp: new Date().toISOString()
+                }));
+            }
+        } catch (error) {
+            console.error('Error invalidating cache tags:', tags, error);
+        }
+    }
+
+    /**
+     * Applies an invalidation received over pub/sub from another node.
+     * @param {Object} message - Parsed message from the cache updates channel.
+     */
+    async handleInvalidationMessage(message) {
+        if (!message || !Array.isArray(message.tags) || message.nodeId === this.nodeId) {
+            return;
+        }
+        try {
+            await this.purgeTags(message.tags);
+        } catch (error) {
+            console.error('Error applying remote cache invalidation:', error);
+        }
+    }
+}
+
+module.exports = ResponseCache;
@@ -2,18 +2,15 @@
 const consolelog = require('./logger');
 const { setContext } = require('./context');
 const DSLParser = require('./dslparser');
-
-// Define sha256 function in the global scope
-const crypto = require('crypto');
 const { getApiConfig } = require('./apiConfig');
 const { getContext, globalContext  } = require('./context'); // Shared global context
-const bcrypt = require('bcrypt');
+const { compileValue, compileTemplate, evaluate } = require('./ruleExpression');
+
+// Milliseconds elapsed since a process.hrtime.bigint() reading, for rule traces.
+function elapsedMs(started) {
+  return Number(process.hrtime.bigint() - started) / 1e6;
+}
 
-global.sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
-global.bcrypt = (value) => {
-  const saltRounds = 10;
-  return bcrypt.hash(value, saltRounds);
-};
 /**
  * A single rule, representing:
  *   IF <event> <entity> WHEN <conditions> THEN <thenActions>
@@ -40,6 +37,10 @@ class Rule {
     this.dbConfig = dbConfig;
     this.direction = direction;
     this.response = { status: 200, message: 'Success', error: null };
+    this.source = null;                 // DSL line of the rule, set by RuleEngine.fromDSL()
+    this.priority = 0;                  // PRIORITY n, higher runs first
+    this.group = null;                  // Name of the GROUP block of the rule
+    this.groupEnabled = true;           // Whether the GROUP block is enabled in the DSL
 
     // Fallback action handlers if not found in context
     this.defaultActions = {
@@ -54,9 +55,7 @@ class Rule {
 
         // Evaluate the expression with "data"
         try {
-          const computedValue = new Function('data', `
-            with (data) { return ${expression}; }
-          `)(ctx.data); // data is merged in the context
+          const computedValue = this._evaluate(expression, ctx.data);
 
           // Assign the computedValue back to ctx.data at the correct field path
           this._setNestedValue(ctx.data, field, computedValue);
@@ -97,27 +96,41 @@ class Rule {
    * @param {string} eventType - "NEW", "UPDATE", "DELETE"
    * @param {string} entityName - e.g. "order"
    * @param {object} data - The data triggering the rule
+   * @param {string} [direction] - "in" / "out" for GET rules
+   * @param {object} [trace] - Trace entry of the rule; receives the mismatch reason and condition results
    * @returns {boolean} true if top-level conditions match
    */
-  match(eventType, entityName, data, direction = null) {
+  match(eventType, entityName, data, direction = null, trace = null) {
     console.log(`Matching rule: eventType=${this.eventType}, entity=${this.entity}, direction=${this.direction}`);
     console.log(`Against: eventType=${eventType}, entityName=${entityName}, direction=${direction}`);
+    const mismatch = (reason) => {
+      if (trace) trace.reason = reason;
+      return false;
+    };
+    const conditionsMatch = () => {
+      const matched = !this.conditions.length || this._evaluateConditionArray(this.conditions, data, trace && trace.conditions);
+      if (trace) {
+        trace.matched = matched;
+        if (!matched) trace.reason = 'conditions';
+      }
+      return matched;
+    };
 
     if (this.eventType !== eventType) {
         console.log(`Event type mismatch: ${this.eventType} !== ${eventType}`);
-        return false;
+        return mismatch('event');
     }
 
     if (eventType === 'GET' && this.direction && this.direction !== direction) {
         console.log(`Direction mismatch: ${this.direction} !== ${direction}`);
-        return false;
+        return mismatch('direction');
     }
 
     // Exact path match if explicitly defined in the rule (POST requests or detailed rules)
     if (this.entity.startsWith('/')) {
         const isExactMatch = this.entity.toLowerCase() === entityName.toLowerCase();
         console.log(`Explicit path matching: ${this.entity.toLowerCase()} === ${entityName.toLowerCase()} -> ${isExactMatch}`);
-        return isExactMatch && (!this.conditions.length || this._evaluateConditionArray(this.conditions, data));
+        return isExactMatch ? conditionsMatch() : mismatch('entity');
     }
 
     // Flexible match for GET or other short-defined routes
@@ -126,20 +139,54 @@ class Rule {
 
     if (entitySegments.length < ruleSegments.length) {
         console.log(`Route too short for matching: ${entitySegments.length} < ${ruleSegments.length}`);
-        return false;
+        return mismatch('entity');
     }
 
     for (let i = 0; i < ruleSegments.length; i++) {
         if (ruleSegments[i] !== entitySegments[i]) {
             console.log(`Mismatch at segment ${i}: ${ruleSegments[i]} !== ${entitySegments[i]}`);
-            return false;
+            return mismatch('entity');
         }
     }
 
     console.log('Matched with flexible segment logic.');
-    return !this.conditions.length || this._evaluateConditionArray(this.conditions, data);
+    return conditionsMatch();
 }
 
+  /**
+   * Starts the trace entry of this rule, see RuleEngine.processEvent().
+   */
+  createTraceEntry(recordIndex) {
+    return {
+      rule: this.source || `IF ${this.eventType} ${this.entity}`,
+      event: this.eventType,
+      entity: this.entity,
+      direction: this.direction,
+      record: recordIndex,
+      matched: false,
+      reason: null,
+      conditions: [],
+      branch: null,
+      actions: [],
+      stopped: false,
+      durationMs: 0
+    };
+  }
+
+  /**
+   * Fields written by update/assign actions in any branch of the rule.
+   */
+  writtenFields() {
+    const actions = [
+      ...this.thenActions,
+      ...this.elseIfs.flatMap((block) => block.actions || []),
+      ...this.elseActions
+    ];
+    return new Set(actions
+      .filter((action) => action && action.field && ['update', 'assign'].includes(action.action))
+      .map((action) => action.field));
+  }
+
 
 
 
@@ -149,27 +196,32 @@ class Rule {
    *
    * @param {object} context - e.g. { data, actions, config... }
    * @param {object} data - The entity data
+   * @param {object} [trace] - Trace entry of the rule; receives the branch taken and the actions run
+   * @returns {Promise<boolean>} true when the branch reached a STOP action
    */
-  async execute(context, data) {
+  async execute(context, data, trace = null) {
     //if data is null return
     if (data == null) {
-      return;
+      return false;
     }
 
     if (this._evaluateConditionArray(this.conditions, data.data)) {
-
-        await this._runActions(context, data.data, this.thenActions);
+        if (trace) trace.branch = 'then';
+        return this._runActions(context, data.data, this.thenActions, trace);
     } else {
-        for (const elseIfBlock of this.elseIfs) {
-            if (this._evaluateConditionArray(elseIfBlock.conditions, data.data)) {
-                await this._runActions(context, data.data, elseIfBlock.actions);
-                return; // Stop after first matching else-if
+        for (const [index, elseIfBlock] of this.elseIfs.entries()) {
+            if (this._evaluateConditionArray(elseIfBlock.conditions, data.data, trace && trace.conditions)) {
+                if (trace) trace.branch = `elseIf:${index}`;
+                // Stop after first matching else-if
+                return this._runActions(context, data.data, elseIfBlock.actions, trace);
             }
         }
         if (this.elseActions.length > 0) {
-            await this._runActions(context, data.data, this.elseActions);
+            if (trace) trace.branch = 'else';
+            return this._runActions(context, data.data, this.elseActions, trace);
         }
     }
+    return false;
   }
 
   /**
@@ -181,8 +233,9 @@ class Rule {
    *   'OR',
    *   { type: 'condition', field, op, value }
    * ]
+   * With `results`, every evaluated condition is recorded there (rule traces).
    */
-  _evaluateConditionArray(conditionArray, data) {
+  _evaluateConditionArray(conditionArray, data, results = null) {
     let result = null;
     let currentOp = null;
 
@@ -193,7 +246,7 @@ class Rule {
         currentOp = item.toUpperCase();
       } else if (Array.isArray(item)) {
         // Nested parentheses
-        const nested = this._evaluateConditionArray(item, data);
+        const nested = this._evaluateConditionArray(item, data, results);
         if (result === null) {
           result = nested;
         } else if (currentOp === 'AND') {
@@ -202,7 +255,7 @@ class Rule {
           result = result || nested;
         }
       } else if (typeof item === 'object' && item.type === 'condition') {
-        const c = this._evaluateSingleCondition(item, data);
+        const c = this._evaluateSingleCondition(item, data, results);
         if (result === null) {
           result = c;
         } else if (currentOp === 'AND') {
@@ -219,7 +272,7 @@ class Rule {
    * Evaluate a single condition object: { field, op, value }
    * e.g. order.status = "paid", op='=', field='order.status', value='"paid"'
    */
-  _evaluateSingleCondition(cond, data) {
+  _evaluateSingleCondition(cond, data, results = null) {
 
     const { field, op, value } = cond;
     const actualValue = this._getNestedValue(data, field);
@@ -229,6 +282,14 @@ class Rule {
       ? value.replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1')
       : value;
 
+    const result = this._compare(op, actualValue, expectedValue, cond);
+    if (results) {
+      results.push({ field, op, expected: expectedValue, actual: actualValue, result });
+    }
+    return result;
+  }
+
+  _compare(op, actualValue, expectedValue, cond) {
     switch (op) {
       case '=':
         return actualValue == expectedValue;
@@ -262,8 +323,10 @@ class Rule {
   /**
    * Execute an array of actions in sequence.
    * Merges rule-specific dbConfig into context.
+   * With a trace entry, records each action with its input, output and timing.
+   * A STOP action ends the block; returns true in that case so no further rules run.
    */
-  async _runActions(context, data, actions) {
+  async _runActions(context, data, actions, trace = null) {
     const actionContext = {
       ...context,
       config: this.dbConfig || context.config || {},
@@ -273,12 +336,39 @@ class Rule {
     // const actionPromises  = [];
 
     for (const action of actions) {
-      await this._executeAction(actionContext, action,data);
+      if (action.action === 'stop') {
+        if (trace) {
+          trace.stopped = true;
+          trace.actions.push({ action: 'stop', durationMs: 0 });
+        }
+        return true;
+      }
+      if (!trace) {
+        await this._executeAction(actionContext, action,data);
+        continue;
+      }
+      const step = {
+        action: action.action || action.type,
+        field: action.field,
+        expression: action.expression !== undefined ? action.expression : action.data,
+        input: action.field ? data[action.field] : undefined
+      };
+      const started = process.hrtime.bigint();
+      try {
+        const output = await this._executeAction(actionContext, action, data, step);
+        step.output = action.field ? data[action.field] : output;
+      } catch (err) {
+        step.error = err.message;
+        throw err;
+      } finally {
+        step.durationMs = elapsedMs(started);
+        trace.actions.push(step);
+      }
     }
     // parallel execution of actions;
     // await Promise.all(actionPromises);
 
-    return this.response;
+    return false;
   }
 
   parseCommandString(commandString) {
@@ -310,11 +400,11 @@ class Rule {
    *   1) actionContext.actions (global or custom)
    *   2) fallback this.defaultActions
    * Then calls it if found.
+   * In dry-run mode (actionContext.dryRun) custom actions are only recorded in the trace step.
    */
-  async _executeAction(actionContext, action, data) {
+  async _executeAction(actionContext, action, data, step = null) {
     const req = getContext('req');
-    const method = req.method.toUpperCase(); // "GET", "POST", etc.
-    if (!data.user) {
+    if (!data.user && req) {
       console.log("User missing in data, restoring from req.user", req.user);
       setContext('user', req.user);
       data.user = req.user;
@@ -337,8 +427,15 @@ class Rule {
           }
         }
         consolelog.log("JSON DATA========================>:", localData);
-        await customHandler(actionContext, { entity: action.entity, data: localData });
-        return; // Ensure only the custom action executes
+        if (actionContext.dryRun) {
+          if (step) {
+            step.input = localData;
+            step.skipped = true;
+          }
+          return;
+        }
+        // Ensure only the custom action executes
+        return customHandler(actionContext, { entity: action.entity, data: localData });
     }
 
     // Handle specific action cases
@@ -383,38 +480,8 @@ class Rule {
                   // Parse computedValue to JSON if it's a string
                   let parsedValue = typeof computedValue === 'string' ? JSON.parse(computedValue) : computedValue;
               } else {
-
-                      // Check if the expression contains any global functions
-                    const globalFunctionNames = Object.keys(global);
-                    const containsGlobalFunction = globalFunctionNames.some((fnName) =>
-                      new RegExp(`\\b${fnName}\\b`).test(action.expression)
-                    );
-
-                    let interpolatedExpression;
-                    if (containsGlobalFunction) {
-                      // Do not stringify if global function is present
-                      interpolatedExpression = this._interpolatePlaceholders(action.expression, data);
-                    } else {
-                      // Stringify the interpolated object otherwise
-                      interpolatedExpression = JSON.stringify(this._interpolatePlaceholders(action.expression, data));
-                    }
-
-                      consolelog.log("Interpolated Expression ========================>:", interpolatedExpression);
-
-                      // Dynamically evaluate the expression
-                      // computedValue = new Function(
-                      //   'data',
-                      //   'globals',
-                      //   `
-                      //     with (data) {
-                      //       with (globals) {
-                      //         return ${interpolatedExpression};
-                      //       }
-                      //     }
-                      //   `
-                      // )(data, global);
-                    computedValue = await this._safeEvaluate(interpolatedExpression, data);
-
+                    // Expressions run in the sandboxed interpreter (ruleExpression.js)
+                    computedValue = await this._evaluate(action.expression, data);
             }
               // Check if parsedValue is JSON and has a template property
             if (typeof parsedValue === 'object' && parsedValue !== null && parsedValue.hasOwnProperty(action.field)) {
@@ -441,23 +508,13 @@ class Rule {
         case 'assign':
           if (action.field && action.expression) {
             try {
-              // Same idea: interpolate locally, do not overwrite the original
-              const expression = this._interpolatePlaceholders(action.expression, data);
-              const computedValue =  new Function(
-                'data',
-                'globals',
-                `
-                  with (data) {
-                    with (globals) {
-                      return ${expression};
-                    }
-                  }
-                `
-              )(data, global);
-              try{
-                computedValue = JSON.parse(computedValue);
-              } catch (err) {
-                console.error(`Error parsing JSON:`, err.message);
+              let computedValue = await this._evaluate(action.expression, data);
+              if (typeof computedValue === 'string') {
+                try {
+                  computedValue = JSON.parse(computedValue);
+                } catch (err) {
+                  // Plain text, keep as is
+                }
               }
               // Check if computedValue is JSON and action.field is a key in it
               if (typeof computedValue === 'object' && computedValue !== null) {
@@ -482,37 +539,43 @@ class Rule {
     }
 }
 
-// Add this new safe evaluation method to the Rule class:
-async _safeEvaluate(expression, context) {
-  const safeGlobals = {
-    sha256: global.sha256,
-    bcrypt: global.bcrypt,
-  };
-
-  const vm = require('vm');
-  const script = new vm.Script(`result = ${expression}`);
-
-  const sandbox = {
-    result: null,
-    ...context,
-    ...safeGlobals,
-  };
-  const vmContext = vm.createContext(sandbox);
-
-  try {
-    await script.runInContext(vmContext);
-
-    // If result is a promise, await it
-    if (vmContext.result && typeof vmContext.result.then === 'function') {
-      vmContext.result = await vmContext.result;
-    }
+  /**
+   * Evaluates the value of an update/assign action in the expression sandbox.
+   * Fields of the record are variables, the record itself is `data`.
+   * Returns a promise only for async helpers such as bcrypt().
+   */
+  _evaluate(expression, data) {
+    return evaluate(compileValue(expression), [data, { data }]);
+  }
 
-    return vmContext.result;
-  } catch (error) {
-    console.error(`Safe evaluation error: ${error.message}`);
-    throw error;
+  /**
+   * Compiles every expression and placeholder of the rule, so syntax errors are
+   * reported when the rules are loaded.
+   * @returns {Array<string>} Error messages, empty when the rule is valid.
+   */
+  validateExpressions() {
+    const errors = [];
+    const actions = [
+      ...this.thenActions,
+      ...this.elseIfs.flatMap((block) => block.actions || []),
+      ...this.elseActions
+    ];
+    for (const action of actions) {
+      for (const [key, value] of Object.entries(action || {})) {
+        if (typeof value !== 'string' || ['type', 'action', 'field', 'entity'].includes(key)) continue;
+        try {
+          if (key === 'expression' && !/^\s*command:/i.test(value)) {
+            compileValue(value);
+          } else {
+            compileTemplate(value);
+          }
+        } catch (err) {
+          errors.push(`IF ${this.eventType} ${this.entity}: ${err.message} in "${value}"`);
+        }
+      }
+    }
+    return errors;
   }
-}
 
   /**
    * Utility to get nested values like "order.total" from data { order:{ total:123 }}
@@ -538,17 +601,13 @@ async _safeEvaluate(expression, context) {
     consolelog.log("Interpolating placeholders in:", obj, dataObj);
     // 1) If it's a string, do the placeholder replacement.
     if (typeof obj === 'string') {
-      return obj.replace(/\${([^}]+)}/g, (match, inner) => {
-        try {
-          // Safely evaluate the placeholder expression in the context of dataObj
-          const fn = new Function('data', `with(data) { return ${inner}; }`);
-          const value = fn(dataObj);
-          return value !== undefined && value !== null ? value : match;
-        } catch (e) {
-          console.warn(`Failed to resolve placeholder ${match}: ${e.message}`);
-          return match; // Fallback if there's an error
-        }
-      });
+      try {
+        // Placeholders are evaluated in the expression sandbox, in the context of dataObj
+        return evaluate(compileTemplate(obj), [dataObj, { data: dataObj }]);
+      } catch (e) {
+        console.warn(`Failed to resolve placeholders in ${obj}: ${e.message}`);
+        return obj; // Fallback if there's an error
+      }
     }
 
     // 2) If it's an array, map over its elements recursively.
@@ -579,9 +638,12 @@ class RuleEngine {
    * @param {object} globalContext
    */
   constructor(rules, globalContext) {
-    this.rules = rules || [];
+    this.rules = RuleEngine.orderByPriority(rules || []);
     this.globalContext = globalContext || {};
     this.response = { status: 200, message: 'Success', error: null };
+    // Groups enabled or disabled at runtime; kept across reloads, reset on restart
+    this.groupOverrides = new Map();
+    this.warnings = RuleEngine.analyzeConflicts(this.rules);
   }
 
   getRules() {
@@ -594,14 +656,96 @@ class RuleEngine {
    */
     reloadRules(newRules) {
       consolelog.log('Reloading rules...');
-      this.rules = newRules || [];
+      this.rules = RuleEngine.orderByPriority(newRules || []);
       this.response = { status: 200, message: 'Success', error: null };
+      this.warnings = RuleEngine.analyzeConflicts(this.rules);
       consolelog.log('Rules reloaded successfully.');
     }
 
+  /**
+   * Rules in execution order: higher PRIORITY first, file order among equal priorities.
+   */
+  static orderByPriority(rules) {
+    return rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+      .map(({ rule }) => rule);
+  }
+
+  /**
+   * Finds rules of the same event and entity that update the same field with the same
+   * priority: their order is only given by their position in the file.
+   * @param {Array<Rule>} rules
+   * @returns {Array<string>} Warnings
+   */
+  static analyzeConflicts(rules) {
+    const warnings = [];
+    const writers = new Map();
+    for (const rule of rules) {
+      for (const field of rule.writtenFields()) {
+        const key = `${rule.eventType} ${String(rule.entity).toLowerCase()} ${field}`;
+        if (!writers.has(key)) writers.set(key, []);
+        writers.get(key).push(rule);
+      }
+    }
+    for (const [key, candidates] of writers) {
+      const field = key.split(' ').pop();
+      for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+          const [a, b] = [candidates[i], candidates[j]];
+          // GETIN and GETOUT rules never run for the same event
+          const sameDirection = !a.direction || !b.direction || a.direction === b.direction;
+          if (sameDirection && (a.priority || 0) === (b.priority || 0)) {
+            const name = (rule) => rule.source || `IF ${rule.eventType} ${rule.entity}`;
+            warnings.push(`"${name(a)}" and "${name(b)}" both update ${field} without explicit ordering; give them different PRIORITY values`);
+          }
+        }
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Whether the rules of a GROUP block run: the runtime setting if any, else the DSL setting.
+   */
+  isGroupEnabled(name) {
+    if (this.groupOverrides.has(name)) {
+      return this.groupOverrides.get(name);
+    }
+    return !this.rules.some((rule) => rule.group === name && rule.groupEnabled === false);
+  }
+
+  /**
+   * Enables or disables the rules of a GROUP block at runtime.
+   * @returns {boolean} false when no rule belongs to the group
+   */
+  setGroupEnabled(name, enabled) {
+    if (!this.rules.some((rule) => rule.group === name)) {
+      return false;
+    }
+    this.groupOverrides.set(name, Boolean(enabled));
+    return true;
+  }
+
+  /**
+   * Rule groups with their state and number of rules.
+   */
+  getGroups() {
+    const counts = new Map();
+    for (const rule of this.rules) {
+      if (rule.group) counts.set(rule.group, (counts.get(rule.group) || 0) + 1);
+    }
+    return [...counts].map(([name, rules]) => ({ name, enabled: this.isGroupEnabled(name), rules }));
+  }
+
   /**
    * Process an event (e.g. "NEW order" with some data).
    * We check each rule in turn.
+   *
+   * Trace mode: with `context.trace` set to an array, one entry is pushed per rule of the
+   * event and entity, with the condition results, the branch taken and each action's
+   * input, output and duration. With `context.dryRun`, custom actions (database writes,
+   * emails, webhooks...) are recorded instead of executed; field updates still apply to the data.
    */
   async processEvent(eventType, entityName, data, context = {}) {
     // Extract direction from context if provided
@@ -624,28 +768,51 @@ class RuleEngine {
       for (let i = 0; i < data.length; i++) {
         const record = data[i];
         consolelog.log(`Record #${i + 1}:`, record);
-        await this._runMatchingRules(eventType, entityName, record, combinedContext, direction);
+        await this._runMatchingRules(eventType, entityName, record, combinedContext, direction, i);
       }
     } else {
       // Single record
-      await this._runMatchingRules(eventType, entityName, data, combinedContext, direction);
+      await this._runMatchingRules(eventType, entityName, data, combinedContext, direction, null);
     }
 
     return this.response;
   }
 
-  async _runMatchingRules(eventType, entityName, record, combinedContext, direction) {
+  async _runMatchingRules(eventType, entityName, record, combinedContext, direction, recordIndex) {
     var buffer = "";
     var message = "";
+    const trace = Array.isArray(combinedContext.trace) ? combinedContext.trace : null;
     consolelog.log(`Checking rules for entity: ${entityName} with data:`, record);
     for (const rule of this.rules) {
-      if (rule.match(eventType, entityName, record, direction)) {
+      if (rule.group && !this.isGroupEnabled(rule.group)) {
+        continue;
+      }
+      const entry = trace ? rule.createTraceEntry(recordIndex) : null;
+      const started = process.hrtime.bigint();
+      const matched = rule.match(eventType, entityName, record, direction, entry);
+      if (matched) {
         consolelog.log(`Rule MATCHED, executing THEN actions:`, rule);
-        await rule.execute(combinedContext, { rule, data : record });
+        let stopped = false;
+        try {
+          stopped = await rule.execute(combinedContext, { rule, data : record }, entry);
+        } finally {
+          if (entry) {
+            entry.durationMs = elapsedMs(started);
+            trace.push(entry);
+          }
+        }
         if (rule.response.status == 400){
           this.response = rule.response;
           break;
         }
+        if (stopped) {
+          consolelog.log(`Rule reached STOP, skipping the remaining rules`);
+          break;
+        }
+      } else if (entry && entry.reason !== 'event' && entry.reason !== 'entity') {
+        // Rules of other events or entities are left out of the trace
+        entry.durationMs = elapsedMs(started);
+        trace.push(entry);
       }
       // elseIf blocks & elseActions are handled inside rule.execute()
       // if top-level conditions fail, rule.execute() checks elseIf & else
@@ -665,6 +832,17 @@ class RuleEngine {
     return this.rules.some((r) => r.entity.toLowerCase() === normalizedEntityName);
   }
 
+  /**
+   * Evaluates conditions of the rules DSL (as parsed by DSLParser#_parseConditionString)
+   * against a record, e.g. for IF blocks of workflows.
+   * @param {Array} conditions - Condition AST.
+   * @param {object} record - Values the condition fields are read from.
+   * @returns {boolean}
+   */
+  static evaluateConditions(conditions, record) {
+    return Rule.prototype._evaluateConditionArray(conditions, record);
+  }
+
   /**
    * Create a RuleEngine from DSL text.
    * Matches the updated DSLParser which returns:
@@ -686,7 +864,7 @@ class RuleEngine {
 
     // Convert parser objects into Rule instances
     const rules = parsedRules.map(ruleData => {
-      return new Rule(
+      const rule = new Rule(
         ruleData.event,
         ruleData.resource,           // renamed 'resource' → 'entity'
         ruleData.conditions,
@@ -696,8 +874,19 @@ class RuleEngine {
         ruleData.dbConfig,
         ruleData.direction         // Pass the direction if available
       );
+      rule.source = ruleData.source;
+      rule.priority = ruleData.priority || 0;
+      rule.group = ruleData.group || null;
+      rule.groupEnabled = ruleData.groupEnabled !== false;
+      return rule;
     });
 
+    // Report invalid expressions now rather than when a request hits the rule
+    const expressionErrors = rules.flatMap((rule) => rule.validateExpressions());
+    if (expressionErrors.length > 0) {
+      throw new Error(`Invalid rule expressions:\n${expressionErrors.join('\n')}`);
+    }
+
     consolelog.log(
       'Initialized rules:',
       rules.map((rule) => ({
@@ -708,7 +897,9 @@ class RuleEngine {
       }))
     );
 
-    return new RuleEngine(rules, globalContext);
+    const engine = new RuleEngine(rules, globalContext);
+    engine.warnings.forEach((warning) => console.warn(`Rule conflict: ${warning}`));
+    return engine;
   }
 }
 
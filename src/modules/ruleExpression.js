@@ -0,0 +1,786 @@
+const crypto = require('crypto');
+
+/**
+ * Expression language of the rule engine and business rules.
+ *
+ * Rules are configuration, so their expressions must not be able to run code in the server
+ * process. They are parsed into a small AST and run by the interpreter below, which only
+ * sees the variables it is given and the functions registered here:
+ *
+ *   data.price * 0.9
+ *   data.total > 100 ? "big" : "small"
+ *   upper(data.name) + " <" + data.email.toLowerCase() + ">"
+ *   "Welcome, ${data.username}!"
+ *   addDays(data.created_at, 30)
+ *   { type: "sendEmail", to: customer.email }
+ *
+ * Supported: numbers, strings ('…' or "…", with ${…} interpolation), true/false/null,
+ * array and object literals, property access (`a.b`, `a?.b`, `a[expr]`, own properties
+ * only), arithmetic, comparisons (`=` and `===` are strict equality; `==` and `!=` compare
+ * loosely, so `"5" == 5` and `null == undefined`), `&&`, `||`, `??`, `!`, the
+ * ternary operator, the functions of FUNCTIONS and a fixed set of string, number and
+ * array methods. There are no assignments, loops or function values.
+ *
+ * Expressions are compiled when rules are loaded, so syntax errors surface then instead
+ * of at request time. Evaluation is bounded by a step budget and a time limit
+ * (RULE_EXPRESSION_MAX_STEPS, RULE_EXPRESSION_TIMEOUT_MS), and the strings and arrays it
+ * builds by RULE_EXPRESSION_MAX_SIZE (characters / elements).
+ */
+
+const MAX_SOURCE_LENGTH = 10000;
+const MAX_DEPTH = 64;
+const CACHE_SIZE = 1000;
+// Properties that would reach prototypes or constructors.
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+class ExpressionError extends Error {
+    constructor(message, source) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.source = source;
+    }
+}
+
+class ExpressionSyntaxError extends ExpressionError {
+    constructor(message, source, position) {
+        super(position === undefined ? message : `${message} at position ${position}`, source);
+        this.name = 'ExpressionSyntaxError';
+        this.position = position;
+    }
+}
+
+function limits() {
+    return {
+        timeout: parseInt(process.env.RULE_EXPRESSION_TIMEOUT_MS, 10) || 50,
+        maxSteps: parseInt(process.env.RULE_EXPRESSION_MAX_STEPS, 10) || 10000,
+        maxSize: parseInt(process.env.RULE_EXPRESSION_MAX_SIZE, 10) || 1000000,
+    };
+}
+
+/* ------------------------------------------------------------------ */
+/* Functions                                                           */
+/* ------------------------------------------------------------------ */
+
+const DAY = 86400000;
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function shiftDate(value, amount, unit) {
+    const date = toDate(value);
+    return date ? new Date(date.getTime() + Number(amount) * unit).toISOString() : null;
+}
+
+// Refuses to build strings larger than RULE_EXPRESSION_MAX_SIZE, before allocating them.
+function guardSize(size) {
+    const { maxSize } = limits();
+    if (size > maxSize) {
+        throw new ExpressionError(`Expression result exceeds ${maxSize} characters or elements`);
+    }
+}
+
+function replaceAll(s, find, replacement) {
+    const parts = String(s ?? '').split(String(find));
+    guardSize(parts.reduce((sum, part) => sum + part.length, 0) + (parts.length - 1) * String(replacement).length);
+    return parts.join(String(replacement));
+}
+
+function joinList(list, separator = ',') {
+    if (!Array.isArray(list)) return '';
+    const items = list.map((item) => (item === null || item === undefined ? '' : String(item)));
+    guardSize(items.reduce((sum, item) => sum + item.length, 0) + Math.max(items.length - 1, 0) * String(separator).length);
+    return items.join(String(separator));
+}
+
+function formatDate(value, pattern = 'YYYY-MM-DD') {
+    const date = toDate(value);
+    if (!date) return null;
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const tokens = {
+        YYYY: date.getUTCFullYear(),
+        MM: pad(date.getUTCMonth() + 1),
+        DD: pad(date.getUTCDate()),
+        HH: pad(date.getUTCHours()),
+        mm: pad(date.getUTCMinutes()),
+        ss: pad(date.getUTCSeconds()),
+    };
+    return String(pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+/**
+ * Functions callable from expressions. `async` functions return a promise and may only be
+ * the outermost call of an expression (`bcrypt(data.password)`).
+ */
+const FUNCTIONS = {
+    // Numbers
+    abs: { fn: (x) => Math.abs(x) },
+    ceil: { fn: (x) => Math.ceil(x) },
+    floor: { fn: (x) => Math.floor(x) },
+    round: { fn: (x, digits = 0) => Math.round(Number(x) * 10 ** digits) / 10 ** digits },
+    min: { fn: (...values) => Math.min(...values.flat()) },
+    max: { fn: (...values) => Math.max(...values.flat()) },
+    pow: { fn: (x, y) => Math.pow(x, y) },
+    sqrt: { fn: (x) => Math.sqrt(x) },
+    number: { fn: (x) => Number(x) },
+    int: { fn: (x) => parseInt(x, 10) },
+    string: { fn: (x) => (x === null || x === undefined ? '' : String(x)) },
+    boolean: { fn: (x) => Boolean(x) },
+
+    // Strings and lists
+    upper: { fn: (s) => String(s ?? '').toUpperCase() },
+    lower: { fn: (s) => String(s ?? '').toLowerCase() },
+    trim: { fn: (s) => String(s ?? '').trim() },
+    length: { fn: (x) => (x === null || x === undefined ? 0 : (Array.isArray(x) ? x : String(x)).length) },
+    concat: { fn: (...values) => values.map((v) => (v === null || v === undefined ? '' : String(v))).join('') },
+    substring: { fn: (s, start, end) => String(s ?? '').substring(start, end) },
+    replace: { fn: replaceAll },
+    contains: { fn: (x, value) => (Array.isArray(x) ? x.includes(value) : String(x ?? '').includes(String(value))) },
+    split: { fn: (s, separator) => String(s ?? '').split(String(separator)) },
+    join: { fn: joinList },
+
+    // Nulls
+    coalesce: { fn: (...values) => values.find((v) => v !== null && v !== undefined) ?? null },
+    isNull: { fn: (x) => x === null || x === undefined },
+
+    // Dates (ISO strings, UTC)
+    now: { fn: () => new Date().toISOString() },
+    today: { fn: () => formatDate(new Date()) },
+    date: { fn: (value) => { const d = toDate(value); return d ? d.toISOString() : null; } },
+    addDays: { fn: (value, days) => shiftDate(value, days, DAY) },
+    addHours: { fn: (value, hours) => shiftDate(value, hours, 3600000) },
+    addMinutes: { fn: (value, minutes) => shiftDate(value, minutes, 60000) },
+    diffDays: {
+        fn: (a, b) => {
+            const from = toDate(a);
+            const to = toDate(b);
+            return from && to ? Math.floor((from.getTime() - to.getTime()) / DAY) : null;
+        },
+    },
+    formatDate: { fn: formatDate },
+
+    // Encoding and hashing
+    json: { fn: (x) => JSON.stringify(x) },
+    parseJson: { fn: (s) => JSON.parse(s) },
+    sha256: { fn: (s) => crypto.createHash('sha256').update(String(s ?? '')).digest('hex') },
+    bcrypt: { fn: (s) => require('bcrypt').hash(String(s ?? ''), 10), async: true },
+};
+
+/**
+ * Makes a function available to expressions.
+ * @param {string} name - Name used in expressions.
+ * @param {Function} fn - Implementation; receives evaluated arguments only.
+ * @param {Object} [options]
+ * @param {boolean} [options.async] - The function returns a promise.
+ */
+function registerFunction(name, fn, { async = false } = {}) {
+    if (!/^[A-Za-z_]\w*$/.test(name) || FORBIDDEN_PROPERTIES.has(name)) {
+        throw new Error(`Invalid expression function name: ${name}`);
+    }
+    FUNCTIONS[name] = { fn, async };
+    cache.clear();
+}
+
+// Methods callable on values, by type.
+const METHODS = {
+    string: new Set(['toUpperCase', 'toLowerCase', 'trim', 'trimStart', 'trimEnd', 'includes', 'startsWith', 'endsWith',
+        'indexOf', 'lastIndexOf', 'slice', 'substring', 'split', 'replace', 'replaceAll', 'padStart', 'padEnd',
+        'charAt', 'toString']),
+    number: new Set(['toFixed', 'toString']),
+    array: new Set(['includes', 'indexOf', 'join', 'slice']),
+};
+const METHOD_NAMES = new Set([...METHODS.string, ...METHODS.number, ...METHODS.array]);
+
+/* ------------------------------------------------------------------ */
+/* Tokenizer                                                           */
+/* ------------------------------------------------------------------ */
+
+const PUNCTUATORS = ['===', '!==', '?.', '??', '==', '!=', '<=', '>=', '&&', '||', '${',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}'];
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Tokenizes `source` from `start`. With `closing` set, stops at the `}` closing a ${…}
+ * placeholder and returns its index as `end`.
+ */
+function tokenize(source, start = 0, closing = false) {
+    const tokens = [];
+    let depth = 0;
+    let i = start;
+
+    while (i < source.length) {
+        const c = source[i];
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+        if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+            tokens.push({ type: 'number', value: Number(match[0]), position: i });
+            i += match[0].length;
+            continue;
+        }
+        if (/[A-Za-z_$]/.test(c) && source.slice(i, i + 2) !== '${') {
+            const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+            tokens.push({ type: 'name', value: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+        if (c === '"' || c === "'") {
+            const string = scanText(source, i + 1, c);
+            tokens.push({ type: 'string', parts: string.parts, position: i });
+            i = string.end + 1;
+            continue;
+        }
+        const punctuator = PUNCTUATORS.find((p) => source.startsWith(p, i));
+        if (!punctuator) {
+            throw new ExpressionSyntaxError(`Unexpected character "${c}"`, source, i);
+        }
+        if (closing && punctuator === '}' && depth === 0) {
+            return { tokens, end: i };
+        }
+        if (punctuator === '{' || punctuator === '${') depth++;
+        if (punctuator === '}') depth--;
+        tokens.push({ type: 'punctuator', value: punctuator, position: i });
+        i += punctuator.length;
+    }
+
+    if (closing) {
+        throw new ExpressionSyntaxError('Unterminated ${ placeholder', source, start - 2);
+    }
+    return { tokens, end: i };
+}
+
+/**
+ * Scans text up to `quote` (a string literal) or to the end (a text template). The result
+ * alternates literal strings and the ASTs of ${…} placeholders.
+ */
+function scanText(source, start, quote, depth = 0) {
+    const parts = [];
+    let text = '';
+    let i = start;
+
+    while (i < source.length) {
+        const c = source[i];
+        if (quote && c === quote) {
+            if (text || !parts.length) parts.push(text);
+            return { parts, end: i };
+        }
+        if (quote && c === '\\') {
+            const next = source[i + 1];
+            if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(i + 2, i + 6))) {
+                text += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+                i += 6;
+            } else {
+                text += next in ESCAPES ? ESCAPES[next] : (next || '');
+                i += 2;
+            }
+            continue;
+        }
+        if (c === '$' && source[i + 1] === '{') {
+            const placeholder = tokenize(source, i + 2, true);
+            if (text) parts.push(text);
+            text = '';
+            parts.push(parseTokens(placeholder.tokens, source, depth + 1));
+            i = placeholder.end + 1;
+            continue;
+        }
+        text += c;
+        i++;
+    }
+
+    if (quote) {
+        throw new ExpressionSyntaxError('Unterminated string', source, start - 1);
+    }
+    if (text || !parts.length) parts.push(text);
+    return { parts, end: i };
+}
+
+/* ------------------------------------------------------------------ */
+/* Parser                                                              */
+/* ------------------------------------------------------------------ */
+
+const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '=': 4, '==': 4, '!=': 4, '===': 4, '!==': 4,
+    '<': 5, '<=': 5, '>': 5, '>=': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7,
+};
+const LITERALS = { true: true, false: false, null: null, undefined };
+
+function parseTokens(tokens, source, depth = 0) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isPunctuator = (value, token = peek()) => Boolean(token) && token.type === 'punctuator' && token.value === value;
+    const fail = (message, token = peek()) => {
+        throw new ExpressionSyntaxError(message, source, token ? token.position : source.length);
+    };
+    const expect = (value) => {
+        if (!isPunctuator(value)) fail(peek() ? `Expected "${value}"` : `Expected "${value}" before the end`);
+        index++;
+    };
+    const enter = () => {
+        if (++depth > MAX_DEPTH) fail('Expression is nested too deeply');
+    };
+    const checkProperty = (name, token) => {
+        if (FORBIDDEN_PROPERTIES.has(name)) fail(`Property "${name}" is not allowed`, token);
+    };
+
+    function parseExpression() {
+        enter();
+        const test = parseBinary(1);
+        let node = test;
+        if (isPunctuator('?')) {
+            index++;
+            const consequent = parseExpression();
+            expect(':');
+            const alternate = parseExpression();
+            node = { type: 'conditional', test, consequent, alternate };
+        }
+        depth--;
+        return node;
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const token = peek();
+            const precedence = token && token.type === 'punctuator' ? BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            index++;
+            const right = parseBinary(precedence + 1);
+            left = token.value === '&&' || token.value === '||' || token.value === '??'
+                ? { type: 'logical', operator: token.value, left, right }
+                : { type: 'binary', operator: token.value, left, right };
+        }
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token && token.type === 'punctuator' && ['!', '-', '+'].includes(token.value)) {
+            index++;
+            enter();
+            const argument = parseUnary();
+            depth--;
+            return { type: 'unary', operator: token.value, argument };
+        }
+        return parsePostfix(parsePrimary());
+    }
+
+    function parsePostfix(node) {
+        for (;;) {
+            const token = peek();
+            if (isPunctuator('.') || isPunctuator('?.')) {
+                index++;
+                const name = peek();
+                if (!name || name.type !== 'name') fail('Expected a property name');
+                checkProperty(name.value, name);
+                index++;
+                if (isPunctuator('(')) {
+                    if (!METHOD_NAMES.has(name.value)) fail(`Unknown method "${name.value}"`, name);
+                    node = { type: 'method', object: node, name: name.value, args: parseArguments() };
+                } else {
+                    node = { type: 'member', object: node, property: { type: 'literal', value: name.value } };
+                }
+            } else if (isPunctuator('[')) {
+                index++;
+                const property = parseExpression();
+                expect(']');
+                node = { type: 'member', object: node, property };
+            } else if (isPunctuator('(')) {
+                fail('Only functions and methods can be called', token);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    function parseArguments() {
+        expect('(');
+        const args = [];
+        while (!isPunctuator(')')) {
+            args.push(parseExpression());
+            if (!isPunctuator(')')) expect(',');
+        }
+        index++;
+        return args;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) fail('Unexpected end of expression');
+        index++;
+
+        if (token.type === 'number') return { type: 'literal', value: token.value };
+        if (token.type === 'string') {
+            return token.parts.length === 1 && typeof token.parts[0] === 'string'
+                ? { type: 'literal', value: token.parts[0] }
+                : { type: 'template', parts: token.parts };
+        }
+        if (token.type === 'name') {
+            if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+                return { type: 'literal', value: LITERALS[token.value] };
+            }
+            if (isPunctuator('(')) {
+                const fn = FUNCTIONS[token.value];
+                if (!fn || !Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                    fail(`Unknown function "${token.value}"`, token);
+                }
+                return { type: 'call', name: token.value, args: parseArguments(), async: Boolean(fn.async) };
+            }
+            checkProperty(token.value, token);
+            return { type: 'identifier', name: token.value };
+        }
+        if (token.value === '(' || token.value === '${') {
+            const node = parseExpression();
+            expect(token.value === '(' ? ')' : '}');
+            return node;
+        }
+        if (token.value === '[') {
+            const elements = [];
+            while (!isPunctuator(']')) {
+                elements.push(parseExpression());
+                if (!isPunctuator(']')) expect(',');
+            }
+            index++;
+            return { type: 'array', elements };
+        }
+        if (token.value === '{') {
+            const properties = [];
+            while (!isPunctuator('}')) {
+                const key = peek();
+                let name;
+                if (key && key.type === 'name') name = key.value;
+                else if (key && key.type === 'string' && key.parts.length === 1 && typeof key.parts[0] === 'string') name = key.parts[0];
+                else fail('Expected a property name');
+                checkProperty(name, key);
+                index++;
+                expect(':');
+                properties.push({ key: name, value: parseExpression() });
+                if (!isPunctuator('}')) expect(',');
+            }
+            index++;
+            return { type: 'object', properties };
+        }
+        return fail(`Unexpected "${token.value}"`, token);
+    }
+
+    const ast = parseExpression();
+    if (index < tokens.length) fail(`Unexpected "${peek().value === undefined ? 'string' : peek().value}"`);
+    return ast;
+}
+
+// Async functions may only be the outermost call, their promise is awaited by the caller.
+function checkAsyncCalls(node, source, root = true) {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'call' && node.async && !root) {
+        throw new ExpressionSyntaxError(`${node.name}() must be the whole expression`, source);
+    }
+    const children = [node.test, node.consequent, node.alternate, node.left, node.right, node.argument,
+        node.object, node.property, ...(node.args || []), ...(node.elements || []),
+        ...(node.properties || []).map((p) => p.value), ...(node.parts || [])];
+    children.forEach((child) => checkAsyncCalls(child, source, false));
+}
+
+/* ------------------------------------------------------------------ */
+/* Compilation                                                         */
+/* ------------------------------------------------------------------ */
+
+const cache = new Map();
+
+function cached(kind, source, build) {
+    const key = `${kind}\u0000${source}`;
+    if (cache.has(key)) return cache.get(key);
+    if (typeof source !== 'string') {
+        throw new ExpressionSyntaxError('Expression must be a string', String(source));
+    }
+    if (source.length > MAX_SOURCE_LENGTH) {
+        throw new ExpressionSyntaxError(`Expression is longer than ${MAX_SOURCE_LENGTH} characters`, source);
+    }
+    const compiled = build();
+    if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+    cache.set(key, compiled);
+    return compiled;
+}
+
+/**
+ * Compiles an expression.
+ * @param {string} source - Expression, e.g. `data.price * 0.9`.
+ * @returns {{kind: 'expression', source: string, ast: Object}}
+ * @throws {ExpressionSyntaxError}
+ */
+function compile(source) {
+    return cached('expression', source, () => {
+        const { tokens } = tokenize(source);
+        if (!tokens.length) throw new ExpressionSyntaxError('Empty expression', source);
+        const ast = parseTokens(tokens, source);
+        checkAsyncCalls(ast, source);
+        return { kind: 'expression', source, ast };
+    });
+}
+
+/**
+ * Compiles text with ${…} placeholders, e.g. `https://cdn.example.com/${data.id}.png`.
+ * Text is taken literally; only the placeholders are expressions.
+ * @param {string} source
+ * @returns {{kind: 'template', source: string, parts: Array<string|Object>}}
+ * @throws {ExpressionSyntaxError} When a placeholder is invalid.
+ */
+function compileTemplate(source) {
+    return cached('template', source, () => {
+        const { parts } = scanText(source, 0, null);
+        parts.filter((part) => typeof part !== 'string').forEach((part) => checkAsyncCalls(part, source, false));
+        return { kind: 'template', source, parts };
+    });
+}
+
+/**
+ * Compiles the value of an `update field = value` action:
+ *   - a single bare word (`video`) is text;
+ *   - a value that parses as an expression is an expression (`"Free"`, `data.price * 0.9`,
+ *     `${data.price} * 0.9`, `sha256(data.password)`);
+ *   - other unquoted text without parentheses is a text template (`http://host/${data.id}`).
+ * @param {string} source
+ * @returns {Object} A compiled expression or template.
+ * @throws {ExpressionSyntaxError} For values that look like expressions but do not parse.
+ */
+function compileValue(source) {
+    const value = String(source).trim();
+    if (/^[A-Za-z_][\w-]*$/.test(value) && !Object.prototype.hasOwnProperty.call(LITERALS, value)) {
+        return cached('text', value, () => ({ kind: 'template', source: value, parts: [value] }));
+    }
+    try {
+        return compile(value);
+    } catch (error) {
+        if (!(error instanceof ExpressionSyntaxError) || /["'()]/.test(value.replace(/\$\{[^}]*\}/g, ''))) throw error;
+        return compileTemplate(value);
+    }
+}
+
+/* ------------------------------------------------------------------ */
+/* Interpreter                                                         */
+/* ------------------------------------------------------------------ */
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function checkSize(value, state) {
+    if ((typeof value === 'string' || Array.isArray(value)) && value.length > state.maxSize) {
+        throw new ExpressionError(`Expression result exceeds ${state.maxSize} characters or elements`, state.source);
+    }
+    return value;
+}
+
+function step(state) {
+    state.steps++;
+    if (state.steps > state.maxSteps) {
+        throw new ExpressionError(`Expression exceeded ${state.maxSteps} evaluation steps`, state.source);
+    }
+    if (state.steps % 100 === 0 && Date.now() > state.deadline) {
+        throw new ExpressionError(`Expression exceeded ${state.timeout}ms`, state.source);
+    }
+}
+
+function lookup(scopes, name) {
+    for (const scope of scopes) {
+        if (scope !== null && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, name)) {
+            return scope[name];
+        }
+    }
+    return undefined;
+}
+
+function getProperty(object, property) {
+    if (object === null || object === undefined) return undefined;
+    if (typeof property !== 'string' && typeof property !== 'number') return undefined;
+    const key = String(property);
+    if (FORBIDDEN_PROPERTIES.has(key)) return undefined;
+    if ((typeof object === 'string' || Array.isArray(object)) && key === 'length') return object.length;
+    if (typeof object === 'string') return /^\d+$/.test(key) ? object[key] : undefined;
+    if (typeof object !== 'object') return undefined;
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+// Largest string a method call can build, checked before allocating it.
+function methodResultSize(target, name, args) {
+    if (name === 'padStart' || name === 'padEnd') return Number(args[0]) || 0;
+    if (name === 'replace' || name === 'replaceAll') return target.length + (target.length + 1) * String(args[1]).length;
+    if (name === 'join') {
+        return target.reduce((sum, item) => sum + String(item ?? '').length, 0)
+            + Math.max(target.length - 1, 0) * String(args[0] ?? ',').length;
+    }
+    return 0;
+}
+
+function callMethod(target, name, args, state) {
+    const methods = METHODS[typeOf(target)];
+    if (!methods || !methods.has(name)) {
+        throw new ExpressionError(`Method "${name}" is not available on ${target === null ? 'null' : typeOf(target)}`, state.source);
+    }
+    if (name === 'replace' || name === 'replaceAll') {
+        args = [String(args[0]), String(args[1])];
+    }
+    if (methodResultSize(target, name, args) > state.maxSize) {
+        throw new ExpressionError(`Expression result exceeds ${state.maxSize} characters or elements`, state.source);
+    }
+    return checkSize(target[name](...args), state);
+}
+
+const BINARY = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    // Loose, as in JavaScript: null == undefined, "5" == 5
+    '==': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '=': (a, b) => a === b,
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+};
+
+function stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function createState(source) {
+    const { timeout, maxSteps, maxSize } = limits();
+    return { source, steps: 0, deadline: Date.now() + timeout, timeout, maxSteps, maxSize };
+}
+
+function evaluateNode(node, scopes, state) {
+    step(state);
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'identifier':
+            return lookup(scopes, node.name);
+        case 'template':
+            return renderParts(node.parts, scopes, state, false);
+        case 'member':
+            return getProperty(evaluateNode(node.object, scopes, state), evaluateNode(node.property, scopes, state));
+        case 'unary': {
+            const value = evaluateNode(node.argument, scopes, state);
+            if (node.operator === '!') return !value;
+            return node.operator === '-' ? -value : +value;
+        }
+        case 'binary': {
+            const left = evaluateNode(node.left, scopes, state);
+            const right = evaluateNode(node.right, scopes, state);
+            if ((typeof left === 'object' && left !== null) || (typeof right === 'object' && right !== null)) {
+                if (node.operator === '+') {
+                    throw new ExpressionError('Objects and arrays cannot be added', state.source);
+                }
+            }
+            return checkSize(BINARY[node.operator](left, right), state);
+        }
+        case 'logical': {
+            const left = evaluateNode(node.left, scopes, state);
+            if (node.operator === '&&') return left ? evaluateNode(node.right, scopes, state) : left;
+            if (node.operator === '||') return left ? left : evaluateNode(node.right, scopes, state);
+            return left !== null && left !== undefined ? left : evaluateNode(node.right, scopes, state);
+        }
+        case 'conditional':
+            return evaluateNode(node.test, scopes, state)
+                ? evaluateNode(node.consequent, scopes, state)
+                : evaluateNode(node.alternate, scopes, state);
+        case 'call': {
+            const args = node.args.map((arg) => evaluateNode(arg, scopes, state));
+            return checkSize(FUNCTIONS[node.name].fn(...args), state);
+        }
+        case 'method': {
+            const target = evaluateNode(node.object, scopes, state);
+            const args = node.args.map((arg) => evaluateNode(arg, scopes, state));
+            return callMethod(target, node.name, args, state);
+        }
+        case 'array':
+            return checkSize(node.elements.map((element) => evaluateNode(element, scopes, state)), state);
+        case 'object': {
+            const object = {};
+            node.properties.forEach(({ key, value }) => {
+                object[key] = evaluateNode(value, scopes, state);
+            });
+            return object;
+        }
+        default:
+            throw new ExpressionError(`Unsupported expression node "${node.type}"`, state.source);
+    }
+}
+
+// A text made of a single placeholder keeps the type of its value.
+function renderParts(parts, scopes, state, keepSingleValue) {
+    if (keepSingleValue && parts.length === 1 && typeof parts[0] !== 'string') {
+        return evaluateNode(parts[0], scopes, state);
+    }
+    let text = '';
+    for (const part of parts) {
+        text += typeof part === 'string' ? part : stringify(evaluateNode(part, scopes, state));
+        checkSize(text, state);
+    }
+    return text;
+}
+
+/**
+ * Evaluates a compiled expression or template.
+ * @param {Object|string} compiled - Result of compile(), compileTemplate() or compileValue(),
+ *   or the source of an expression.
+ * @param {Object|Array<Object>} [scope] - Variables; with several scopes the first one
+ *   defining a name wins. Only own properties are visible.
+ * @returns {*} The value; a promise when the expression is an async call (`bcrypt(…)`).
+ * @throws {ExpressionError} When a limit is exceeded or a method does not apply.
+ */
+function evaluate(compiled, scope = {}) {
+    const expression = typeof compiled === 'string' ? compile(compiled) : compiled;
+    const state = createState(expression.source);
+    const scopes = Array.isArray(scope) ? scope : [scope];
+    return expression.kind === 'template'
+        ? renderParts(expression.parts, scopes, state, true)
+        : evaluateNode(expression.ast, scopes, state);
+}
+
+/**
+ * Renders a template as a parameterized statement: every placeholder becomes `?` and its
+ * value is returned in `values`, so values are never spliced into SQL.
+ * @param {Object} template - Result of compileTemplate().
+ * @param {Object|Array<Object>} [scope] - Variables, as for evaluate().
+ * @returns {{text: string, values: Array}}
+ */
+function parameterize(template, scope = {}) {
+    const state = createState(template.source);
+    const scopes = Array.isArray(scope) ? scope : [scope];
+    const values = [];
+    const text = template.parts.map((part) => {
+        if (typeof part === 'string') return part;
+        values.push(evaluateNode(part, scopes, state));
+        return '?';
+    }).join('');
+    return { text, values };
+}
+
+module.exports = {
+    ExpressionError,
+    ExpressionSyntaxError,
+    FUNCTIONS,
+    registerFunction,
+    compile,
+    compileTemplate,
+    compileValue,
+    evaluate,
+    parameterize,
+};
@@ -0,0 +1,177 @@
+// ruleTestRunner.js
+//
+// Dry runs of the business rules and regression tests for businessRules.dsl.
+//
+// A fixture file next to the DSL (businessRules.test.json by default) lists cases:
+//
+//   [
+//     {
+//       "name": "premium orders get a discount",
+//       "event": "POST",
+//       "entity": "orders",
+//       "data": { "total": 120, "tier": "gold" },
+//       "expect": {
+//         "data": { "discount": 12 },
+//         "matched": ["IF POST orders WHEN tier"],
+//         "notMatched": ["IF POST orders WHEN total > 1000"],
+//         "actions": ["sendEmail"]
+//       }
+//     }
+//   ]
+//
+// `matched` / `notMatched` name rules by (part of) their IF line, `actions` lists the
+// actions expected to run, `data` the fields expected on the record after the rules.
+// Rules run in dry-run mode: custom actions are recorded, never executed.
+//
+//   node src/modules/ruleTestRunner.js config/businessRules.dsl [fixtures.json]
+
+const fs = require('fs');
+const RuleEngine = require('./ruleEngine');
+
+/**
+ * Splits a DSL event into the processEvent event type and direction (GETIN / GETOUT).
+ */
+function parseEvent(event) {
+  const name = String(event || '').toUpperCase();
+  if (name === 'GETIN') return { eventType: 'GET', direction: 'in' };
+  if (name === 'GETOUT') return { eventType: 'GET', direction: 'out' };
+  return { eventType: name, direction: null };
+}
+
+/**
+ * Runs the rules of an engine against a record in dry-run trace mode.
+ * The record is copied, the engine and its response are left untouched.
+ * @param {RuleEngine} engine - Engine holding the rules.
+ * @param {string} event - Event type (NEW, POST, GETIN...).
+ * @param {string} entity - Entity or route of the rules.
+ * @param {object|Array} data - Record(s) the event is fired for.
+ * @param {object} [context] - Global context (actions, resources).
+ * @returns {Promise<{data: (object|Array), response: object, trace: Array}>}
+ */
+async function traceRuleEvent(engine, event, entity, data, context = {}) {
+  const { eventType, direction } = parseEvent(event);
+  const scratch = new RuleEngine(engine.getRules(), engine.globalContext);
+  scratch.groupOverrides = new Map(engine.groupOverrides || []);
+  const record = JSON.parse(JSON.stringify(data === undefined ? {} : data));
+  const trace = [];
+  const response = await scratch.processEvent(eventType, entity, record, {
+    ...context,
+    direction,
+    dryRun: true,
+    trace
+  });
+  return { data: record, response, trace };
+}
+
+function matchesRule(entry, name) {
+  return entry.rule.toLowerCase().includes(String(name).toLowerCase());
+}
+
+/**
+ * Checks one fixture case against the result of its dry run.
+ * @returns {Array<string>} Failure messages, empty when the case passes.
+ */
+function checkExpectations(expect, result) {
+  const failures = [];
+  const matched = result.trace.filter((entry) => entry.matched);
+
+  for (const [field, expected] of Object.entries(expect.data || {})) {
+    const actual = result.data[field];
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      failures.push(`data.${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  }
+  for (const name of expect.matched || []) {
+    if (!matched.some((entry) => matchesRule(entry, name))) {
+      failures.push(`rule "${name}" did not match`);
+    }
+  }
+  for (const name of expect.notMatched || []) {
+    if (matched.some((entry) => matchesRule(entry, name))) {
+      failures.push(`rule "${name}" matched`);
+    }
+  }
+  const ran = matched.flatMap((entry) => entry.actions.map((action) => action.action));
+  for (const action of expect.actions || []) {
+    if (!ran.includes(action)) {
+      failures.push(`action "${action}" did not run`);
+    }
+  }
+  if (expect.status !== undefined && result.response.status !== expect.status) {
+    failures.push(`status: expected ${expect.status}, got ${result.response.status}`);
+  }
+  for (const entry of matched) {
+    for (const action of entry.actions.filter((step) => step.error)) {
+      failures.push(`action "${action.action}" of "${entry.rule}" failed: ${action.error}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Runs fixture cases against the rules of an engine.
+ * @param {RuleEngine} engine - Engine holding the rules.
+ * @param {Array<object>} cases - Fixture cases ({ name, event, entity, data, expect }).
+ * @param {object} [context] - Global context (actions, resources).
+ * @returns {Promise<Array<{name: string, passed: boolean, failures: Array<string>, trace: Array}>>}
+ */
+async function runRuleTests(engine, cases, context = {}) {
+  const results = [];
+  for (const [index, testCase] of cases.entries()) {
+    const name = testCase.name || `case ${index + 1}`;
+    try {
+      const result = await traceRuleEvent(engine, testCase.event, testCase.entity, testCase.data, context);
+      const failures = checkExpectations(testCase.expect || {}, result);
+      results.push({ name, passed: failures.length === 0, failures, trace: result.trace });
+    } catch (err) {
+      results.push({ name, passed: false, failures: [err.message], trace: [] });
+    }
+  }
+  return results;
+}
+
+/**
+ * Context accepting every resource and action, so a DSL file can be tested without
+ * the plugins that register them. Actions are never called in dry-run mode.
+ */
+function permissiveContext() {
+  const any = (value) => new Proxy({}, { get: (target, key) => (typeof key === 'string' ? value : undefined) });
+  return { resources: any({}), actions: any(() => {}) };
+}
+
+/**
+ * Loads a DSL file and runs the fixture file next to it.
+ * @param {string} dslPath - Path of the DSL file.
+ * @param {string} [fixturePath] - Fixture file; defaults to <dsl name>.test.json.
+ * @returns {Promise<{results: Array<object>, warnings: Array<string>}>} Case results and rule conflict warnings.
+ */
+async function runRuleTestFile(dslPath, fixturePath = dslPath.replace(/\.dsl$/i, '') + '.test.json') {
+  const context = permissiveContext();
+  const engine = RuleEngine.fromDSL(fs.readFileSync(dslPath, 'utf-8'), context);
+  const cases = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  const results = await runRuleTests(engine, cases, context);
+  return { results, warnings: engine.warnings };
+}
+
+if (require.main === module) {
+  const [dslPath, fixturePath] = process.argv.slice(2);
+  if (!dslPath) {
+    console.error('Usage: node ruleTestRunner.js <path-to-dsl-file> [fixtures.json]');
+    process.exit(1);
+  }
+  runRuleTestFile(dslPath, fixturePath).then(({ results, warnings }) => {
+    for (const result of results) {
+      process.stdout.write(`${result.passed ? 'PASS' : 'FAIL'} ${result.name}\n`);
+      result.failures.forEach((failure) => process.stdout.write(`     ${failure}\n`));
+    }
+    warnings.forEach((warning) => process.stdout.write(`WARN ${warning}\n`));
+    const failed = results.filter((result) => !result.passed).length;
+    process.stdout.write(`\n${results.length - failed} passed, ${failed} failed\n`);
+    process.exit(failed > 0 ? 1 : 0);
+  }).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseEvent, traceRuleEvent, runRuleTests, runRuleTestFile };
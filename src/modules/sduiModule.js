@@ -1,10 +1,24 @@
 // sduiModule.js
-const { read, create, exists, createTable } = require('./db');
+const { read, create, update, query, exists, createTable } = require('./db');
 const express = require('express');
 const { aarMiddleware } = require('../middleware/aarMiddleware');
+const { authenticateMiddleware, aclMiddleware, optionalAuthentication } = require('../middleware/authenticationMiddleware');
 const { v4: uuidv4 } = require('uuid');
 const bodyParser = require('body-parser');
 const moment = require('moment');
+const {
+  SDUIError,
+  STATUSES,
+  parseVersion,
+  compareVersions,
+  resolveScreen,
+  validateTargeting,
+  validateLayout,
+  createPreviewToken,
+  verifyPreviewToken,
+  createDeviceId,
+  verifyDeviceId,
+} = require('./sduiScreens');
 
 const SDUI_TABLE = 'sdui_screens';
 
@@ -14,9 +28,22 @@ const schemaDefinition = {
   platform: 'varchar(50)',
   version: 'varchar(20)',
   layout: 'json',
+  status: 'varchar(20)',
+  publishAt: 'timestamp NULL',
+  minAppVersion: 'varchar(20)',
+  maxAppVersion: 'varchar(20)',
+  targeting: 'json',
   createdAt: 'timestamp',
   updatedAt: 'timestamp'
 };
+const FIELDS = Object.keys(schemaDefinition);
+
+// Fields of a published screen that can still change; its layout and versions cannot
+const LIVE_FIELDS = ['status', 'publishAt', 'maxAppVersion', 'targeting'];
+// Query parameters of GET /sdui/:screenId that are not targeting attributes
+const RESERVED_PARAMS = ['platform', 'version', 'appVersion'];
+// Identity of the caller: taken from the token or a signed device id, never from the query
+const IDENTITY_PARAMS = ['user', 'userId', 'deviceId'];
 
 class SDUIModule {
   constructor(config, redisClient, app) {
@@ -35,21 +62,28 @@ class SDUIModule {
       // Register the table in the API config first
       const { getApiConfig } = require('./apiConfig');
       const apiConfig = getApiConfig();
-      
+
       // Check if table definition already exists in API config
-      if (!apiConfig.find(config => config.dbTable === SDUI_TABLE)) {
+      const definition = apiConfig.find(config => config.dbTable === SDUI_TABLE);
+      if (!definition) {
         // Add definition to API config
         apiConfig.push({
           routeType: 'def',
           dbTable: SDUI_TABLE,
           keys: ['id'],
-          allowRead: ['id', 'screenId', 'platform', 'version', 'layout', 'createdAt', 'updatedAt'],
-          allowWrite: ['id', 'screenId', 'platform', 'version', 'layout', 'createdAt', 'updatedAt']
+          allowRead: [...FIELDS],
+          allowWrite: [...FIELDS]
+        });
+      } else {
+        // Definitions written before screens had statuses and targeting
+        ['allowRead', 'allowWrite'].forEach(key => {
+          definition[key] = [...new Set([...(definition[key] || []), ...FIELDS])];
         });
       }
-      
+
       console.log('[SDUI] Creating or checking table schema...');
       await createTable(this.config, SDUI_TABLE, schemaDefinition);
+      await this.migrateSchema();
       console.log('[SDUI] Table schema created/verified successfully');
     } catch (error) {
       console.error('[SDUI] Error initializing schema:', error.message);
@@ -57,63 +91,213 @@ class SDUIModule {
     }
   }
 
-  async getScreen(screenId, platform, version) {
-    const cacheKey = `sdui:${screenId}:${platform || 'any'}:${version || 'latest'}`;
+  // Add the columns a table created by an earlier version lacks
+  async migrateSchema() {
+    const columns = await query(this.config, `
+      SELECT column_name AS name
+      FROM information_schema.columns
+      WHERE table_schema = DATABASE() AND table_name = ?
+    `, [SDUI_TABLE]);
+    const existing = (columns || []).map(column => String(column.name || column.COLUMN_NAME || '').toLowerCase());
+    if (!existing.length) return;
+    for (const field of FIELDS.filter(name => !existing.includes(name.toLowerCase()))) {
+      await query(this.config, `ALTER TABLE ${SDUI_TABLE} ADD COLUMN ${field} ${schemaDefinition[field]}`);
+      console.log(`[SDUI] Added column ${SDUI_TABLE}.${field}`);
+    }
+  }
+
+  // read() reports failures as { error } instead of throwing
+  async readRows(where) {
+    const rows = await read(this.config, SDUI_TABLE, where, { skipResponse: true });
+    if (!Array.isArray(rows)) throw new Error((rows && rows.error) || 'Could not read screens');
+    return rows;
+  }
+
+  cacheKey(screenId, platform) {
+    return `sdui:rows:${screenId}:${platform || 'any'}`;
+  }
+
+  async invalidate(screen) {
+    await this.redis.del(this.cacheKey(screen.screenId, screen.platform), this.cacheKey(screen.screenId));
+  }
+
+  /**
+   * Published and scheduled rows of a screen, cached; drafts and archived rows are never served.
+   */
+  async loadScreens(screenId, platform) {
+    const cacheKey = this.cacheKey(screenId, platform);
     const cached = await this.redis.get(cacheKey);
     if (cached) return JSON.parse(cached);
 
-    const query = { screenId };
-    if (platform) query.platform = platform;
-    if (version) query.version = version;
+    const where = { screenId };
+    if (platform) where.platform = platform;
+    const rows = (await this.readRows(where))
+      .filter(row => !['draft', 'archived'].includes(row.status));
 
-    let screens = await read(this.config, SDUI_TABLE, query);
+    await this.redis.set(cacheKey, JSON.stringify(rows), "EX", this.cacheTTL);
+    return rows;
+  }
 
-    // Fallback logic if no exact version found
-    if (!screens.length && version) {
-      delete query.version;
-      screens = await read(this.config, SDUI_TABLE, query);
-    }
+  /**
+   * The screen a client gets: the exact `version` when asked for and published, else the
+   * highest published version compatible with the app version whose targeting matches.
+   * @param {string} screenId
+   * @param {string} [platform]
+   * @param {string} [version]
+   * @param {Object} [client] - { appVersion, attributes, userKey }, see sduiScreens.resolveScreen.
+   */
+  async getScreen(screenId, platform, version, client = {}) {
+    const rows = await this.loadScreens(screenId, platform);
+    const screen = resolveScreen(rows, { version, ...client });
+    return screen ? this.publicScreen(screen) : null;
+  }
 
-    const screen = screens.length ? screens[0] : null;
-    if (screen) {
-      
-      await this.redis.set(cacheKey,  JSON.stringify(screen), "EX", this.cacheTTL);
+  // Targeting rules stay on the server
+  publicScreen(screen) {
+    const { targeting, ...rest } = screen;
+    if (typeof rest.layout === 'string') {
+      try {
+        rest.layout = JSON.parse(rest.layout);
+      } catch (error) {
+        // served as stored
+      }
     }
+    return rest;
+  }
+
+  async getRow(id) {
+    const rows = await this.readRows({ id });
+    if (!rows.length) throw new SDUIError('Screen version not found', 404);
+    return rows[0];
+  }
 
-    return screen;
+  /**
+   * All the versions of a screen, in any status, the highest first.
+   */
+  async listVersions(screenId) {
+    const rows = await this.readRows({ screenId });
+    return rows.sort((a, b) => compareVersions(b.version, a.version) || String(a.platform).localeCompare(String(b.platform)));
   }
 
   validateScreenData(data) {
     if (!data.screenId || typeof data.screenId !== 'string') {
-      throw new Error('Invalid screenId');
+      throw new SDUIError('Invalid screenId');
     }
     if (!data.platform || typeof data.platform !== 'string') {
-      throw new Error('Invalid platform');
+      throw new SDUIError('Invalid platform');
     }
-    if (!data.version || typeof data.version !== 'string') {
-      throw new Error('Invalid version');
+    if (!data.version || typeof data.version !== 'string' || !parseVersion(data.version)) {
+      throw new SDUIError('Invalid version: expected a semantic version such as 1.2.0');
     }
     if (!data.layout || typeof data.layout !== 'object') {
-      throw new Error('Invalid layout');
+      throw new SDUIError('Invalid layout');
+    }
+    if (data.status !== undefined && data.status !== null && !STATUSES.includes(data.status)) {
+      throw new SDUIError(`Invalid status: expected one of ${STATUSES.join(', ')}`);
+    }
+    if (data.status === 'scheduled' && !data.publishAt) {
+      throw new SDUIError('A scheduled screen needs publishAt');
+    }
+    if (data.publishAt && !moment.utc(data.publishAt).isValid()) {
+      throw new SDUIError('Invalid publishAt');
+    }
+    ['minAppVersion', 'maxAppVersion'].forEach(field => {
+      if (data[field] && !parseVersion(data[field])) throw new SDUIError(`Invalid ${field}`);
+    });
+    if (data.minAppVersion && data.maxAppVersion && compareVersions(data.minAppVersion, data.maxAppVersion) > 0) {
+      throw new SDUIError('minAppVersion is above maxAppVersion');
+    }
+    validateTargeting(data.targeting);
+
+    const errors = validateLayout(data.layout);
+    if (errors.length) {
+      const error = new SDUIError(`Invalid layout: ${errors.slice(0, 20).join('; ')}`);
+      error.details = errors;
+      throw error;
     }
   }
 
+  // Database values of the fields given
+  toRecord(data) {
+    const record = {};
+    FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+      record[field] = data[field];
+    });
+    if (record.publishAt) record.publishAt = moment.utc(record.publishAt).format('YYYY-MM-DD HH:mm:ss');
+    return record;
+  }
+
+  /**
+   * Creates a screen version; a draft unless `status` says otherwise.
+   */
   async createOrUpdateScreen(screenData) {
+    screenData.status = screenData.status || 'draft';
     this.validateScreenData(screenData);
     screenData.id = screenData.id || uuidv4();
     const now =  moment().utc().format('YYYY-MM-DD HH:mm:ss');
     screenData.createdAt = now;
     screenData.updatedAt = now;
 
-    const result = await create(this.config, SDUI_TABLE, screenData);
+    const result = await create(this.config, SDUI_TABLE, this.toRecord(screenData));
 
     // Invalidate cache
-    const cacheKey = `sdui:${screenData.screenId}:${screenData.platform}:${screenData.version}`;
-    await this.redis.del(cacheKey);
+    await this.invalidate(screenData);
 
     return result;
   }
 
+  /**
+   * Changes a screen version. Drafts can change freely; published, scheduled and archived
+   * versions only their status, publishAt, maxAppVersion and targeting (to widen a rollout).
+   */
+  async updateScreen(id, changes) {
+    const row = await this.getRow(id);
+    const status = row.status || 'published';
+    if (status !== 'draft') {
+      const locked = Object.keys(changes).filter(field => FIELDS.includes(field) && !LIVE_FIELDS.includes(field));
+      if (locked.length) {
+        throw new SDUIError(`${locked.join(', ')} of a ${status} screen cannot change; create a new version`, 409);
+      }
+    }
+    const merged = { ...row, ...changes, id: row.id, createdAt: row.createdAt };
+    if (typeof merged.layout === 'string') merged.layout = JSON.parse(merged.layout);
+    if (typeof merged.targeting === 'string') merged.targeting = JSON.parse(merged.targeting);
+    this.validateScreenData(merged);
+
+    const record = this.toRecord({ ...changes, updatedAt: moment().utc().format('YYYY-MM-DD HH:mm:ss') });
+    delete record.id;
+    delete record.createdAt;
+    await update(this.config, SDUI_TABLE, { id }, record);
+    await this.invalidate(row);
+    if (merged.screenId !== row.screenId || merged.platform !== row.platform) await this.invalidate(merged);
+    return { ...merged, ...record };
+  }
+
+  /**
+   * Publishes a screen version now, or schedules it for publishAt.
+   */
+  async publishScreen(id, publishAt) {
+    const when = publishAt ? moment.utc(publishAt) : moment.utc();
+    if (!when.isValid()) throw new SDUIError('Invalid publishAt');
+    const scheduled = when.isAfter(moment.utc());
+    return this.updateScreen(id, { status: scheduled ? 'scheduled' : 'published', publishAt: when.toISOString() });
+  }
+
+  /**
+   * Signed link to a screen version in any status, for reviewing drafts on a device.
+   */
+  async createPreviewLink(id, baseUrl) {
+    await this.getRow(id);
+    const { token, expiresAt } = createPreviewToken(id);
+    return { url: `${baseUrl}/sdui/preview/${encodeURIComponent(id)}?token=${token}`, token, expiresAt };
+  }
+
+  async getPreview(id, token) {
+    verifyPreviewToken(id, token);
+    return this.publicScreen(await this.getRow(id));
+  }
+
   async bulkImport(screens) {
     const results = [];
     for (const screenData of screens) {
@@ -132,49 +316,116 @@ class SDUIModule {
     return screens;
   }
 
+  // Targeting attributes and rollout key of a request. The user is the authenticated user
+  // only, and the rollout key its id, else the id of a device id signed by createDeviceId.
+  clientOf(req) {
+    const attributes = {};
+    Object.keys(req.query).filter(key => !RESERVED_PARAMS.includes(key) && !IDENTITY_PARAMS.includes(key)).forEach(key => {
+      attributes[key] = req.query[key];
+    });
+    attributes.platform = req.query.platform;
+    attributes.appVersion = req.query.appVersion;
+    if (req.user) attributes.user = req.user;
+    const userKey = (req.user && (req.user.id || req.user.sub)) || verifyDeviceId(req.query.deviceId);
+    return { appVersion: req.query.appVersion, attributes, userKey: userKey ? String(userKey) : null };
+  }
+
+  // Errors of public routes other than SDUIError are logged, not sent: they may hold SQL or internals
+  handleError(res, err, message = null) {
+    if (err instanceof SDUIError) {
+      return res.status(err.statusCode).json({ success: false, error: err.message, details: err.details });
+    }
+    if (message) {
+      console.error(`${message}:`, err);
+      return res.status(500).json({ success: false, error: message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+
   setupRoutes() {
     this.router.use(bodyParser.json());
-    
+    const admin = [
+      authenticateMiddleware(true),
+      aclMiddleware([process.env.SDUI_ADMIN_ACL || 'adminAccess'])
+    ];
+
+    // Preview of a screen version in any status, with a signed link
+    this.router.get('/preview/:id', (req, res) => {
+      this.getPreview(req.params.id, req.query.token)
+        .then(screen => {
+          res.set('Cache-Control', 'no-store');
+          res.json(screen);
+        })
+        .catch(err => this.handleError(res, err, 'Preview could not be loaded'));
+    });
+
+    // Signed device id for apps without a user, the key of partial rollouts
+    this.router.post('/devices', (req, res) => {
+      try {
+        res.json({ deviceId: createDeviceId() });
+      } catch (err) {
+        this.handleError(res, err, 'Device id could not be created');
+      }
+    });
+
     // Fix: Pass a function instead of an array as the route handler
-    this.router.get('/:screenId', (req, res) => {
-      this.getScreen(req.params.screenId, req.query.platform, req.query.version)
+    this.router.get('/:screenId', optionalAuthentication, (req, res) => {
+      this.getScreen(req.params.screenId, req.query.platform, req.query.version, this.clientOf(req))
         .then(screen => {
           if (!screen) return res.status(404).json({ error: 'Screen not found' });
           res.json(screen);
         })
-        .catch(err => {
-          res.status(500).json({ error: err.message });
-        });
+        .catch(err => this.handleError(res, err, 'Screen could not be loaded'));
+    });
+
+    this.router.get('/:screenId/versions', admin, (req, res) => {
+      this.listVersions(req.params.screenId)
+        .then(versions => res.json(versions))
+        .catch(err => this.handleError(res, err));
     });
 
-    this.router.post('/', (req, res) => {
+    this.router.post('/', admin, (req, res) => {
       this.createOrUpdateScreen(req.body)
         .then(result => {
           res.json({ success: true, result });
         })
-        .catch(err => {
-          res.status(400).json({ success: false, error: err.message });
-        });
+        .catch(err => this.handleError(res, err));
+    });
+
+    this.router.patch('/versions/:id', admin, (req, res) => {
+      this.updateScreen(req.params.id, req.body || {})
+        .then(screen => res.json({ success: true, screen }))
+        .catch(err => this.handleError(res, err));
+    });
+
+    // Publish now, or at { publishAt }
+    this.router.post('/versions/:id/publish', admin, (req, res) => {
+      this.publishScreen(req.params.id, req.body && req.body.publishAt)
+        .then(screen => res.json({ success: true, screen }))
+        .catch(err => this.handleError(res, err));
     });
 
-    this.router.post('/import', (req, res) => {
+    this.router.post('/versions/:id/preview-link', admin, (req, res) => {
+      const baseUrl = process.env.SDUI_PREVIEW_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      this.createPreviewLink(req.params.id, baseUrl)
+        .then(link => res.json(link))
+        .catch(err => this.handleError(res, err));
+    });
+
+    this.router.post('/import', admin, (req, res) => {
       this.bulkImport(req.body)
         .then(result => {
           res.json(result);
         })
-        .catch(err => {
-          res.status(500).json({ error: err.message });
-        });
+        .catch(err => this.handleError(res, err, 'Screen could not be loaded'));
     });
 
-    this.router.get('/export/all', (req, res) => {
+    this.router.get('/export/all', admin, (req, res) => {
       this.bulkExport()
         .then(screens => {
           res.json(screens);
         })
-        .catch(err => {
-          res.status(500).json({ error: err.message });
-        });
+        .catch(err => this.handleError(res, err, 'Screen could not be loaded'));
     });
   }
 }
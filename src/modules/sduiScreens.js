@@ -0,0 +1,348 @@
+// sduiScreens.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioning, targeting, layout validation and preview links of server-driven UI screens
+ * (sduiModule). A screen has one row per layout version:
+ *
+ *   - version:        semver of the layout (1.4.0)
+ *   - status:         draft, scheduled (published at publishAt), published or archived;
+ *                     rows without a status, created before statuses existed, are published
+ *   - minAppVersion / maxAppVersion: client app versions able to render the layout
+ *   - targeting:      { rules: [{ attribute, operator, value }], rollout: { percentage, offset, salt } }
+ *
+ * A client gets the highest published version compatible with its app version whose
+ * targeting it matches.
+ */
+class SDUIError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SDUIError';
+    this.statusCode = statusCode;
+  }
+}
+
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const RULE_OPERATORS = ['=', '!=', 'in', 'not in', '>', '>=', '<', '<=', 'exists'];
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version || '').trim());
+  if (!match) return null;
+  return {
+    numbers: [match[1], match[2] || 0, match[3] || 0].map(Number),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+/**
+ * Compares two semver versions ("1.2", "1.2.0" and "v1.2.0" are equal; 1.2.0-beta.1 < 1.2.0).
+ * Invalid versions sort before valid ones.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) return (left ? 1 : 0) - (right ? 1 : 0);
+  for (let i = 0; i < 3; i++) {
+    if (left.numbers[i] !== right.numbers[i]) return left.numbers[i] - right.numbers[i];
+  }
+  if (!left.prerelease.length || !right.prerelease.length) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+    const x = left.prerelease[i];
+    const y = right.prerelease[i];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+    if (numeric) return Number(x) - Number(y);
+    if (/^\d+$/.test(x) || /^\d+$/.test(y)) return /^\d+$/.test(x) ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Published, or scheduled with its publish time reached
+function isLive(row, now = new Date()) {
+  if (!row.status || row.status === 'published') return true;
+  return row.status === 'scheduled' && Boolean(row.publishAt) && new Date(row.publishAt) <= now;
+}
+
+function isCompatible(row, appVersion) {
+  if (!appVersion) return true;
+  if (row.minAppVersion && compareVersions(appVersion, row.minAppVersion) < 0) return false;
+  if (row.maxAppVersion && compareVersions(appVersion, row.maxAppVersion) > 0) return false;
+  return true;
+}
+
+function attributeOf(attributes, name) {
+  return String(name).split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), attributes);
+}
+
+function compare(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual !== '' && expected !== '' && Number.isFinite(a) && Number.isFinite(b)) return a - b;
+  return String(actual) < String(expected) ? -1 : String(actual) > String(expected) ? 1 : 0;
+}
+
+function matchesRule(rule, attributes) {
+  const actual = attributeOf(attributes, rule.attribute);
+  const operator = rule.operator || '=';
+  if (operator === 'exists') return actual !== undefined && actual !== null && actual !== '';
+  if (actual === undefined || actual === null) return operator === '!=' || operator === 'not in';
+  const values = [].concat(rule.values !== undefined ? rule.values : rule.value).map(String);
+  const actuals = [].concat(actual).map(String);
+  switch (operator) {
+    case '=': return actuals.includes(values[0]);
+    case '!=': return !actuals.includes(values[0]);
+    case 'in': return actuals.some((item) => values.includes(item));
+    case 'not in': return !actuals.some((item) => values.includes(item));
+    case '>': return compare(actual, values[0]) > 0;
+    case '>=': return compare(actual, values[0]) >= 0;
+    case '<': return compare(actual, values[0]) < 0;
+    case '<=': return compare(actual, values[0]) <= 0;
+    default: return false;
+  }
+}
+
+/**
+ * Bucket of a user in a rollout, from 0 (included) to 100 (excluded); stable for a salt.
+ */
+function rolloutBucket(salt, userKey) {
+  const hash = crypto.createHash('sha256').update(`${salt}:${userKey}`).digest();
+  return (hash.readUInt32BE(0) % 10000) / 100;
+}
+
+/**
+ * Whether a request matches the targeting of a row: all its rules, and its rollout. A partial
+ * rollout needs a user key (user id or signed device id) so a user keeps seeing the same variant.
+ * @param {Object} row - Screen row, with targeting as an object or JSON.
+ * @param {Object} attributes - Attributes of the request, e.g. { country: 'US', user: { roles: [...] } }.
+ * @param {string} [userKey]
+ */
+function matchesTargeting(row, attributes = {}, userKey = null) {
+  const targeting = parseJson(row.targeting);
+  if (!targeting) return true;
+  if (Array.isArray(targeting.rules) && !targeting.rules.every((rule) => matchesRule(rule, attributes))) return false;
+  const rollout = targeting.rollout;
+  if (rollout && rollout.percentage !== undefined && Number(rollout.percentage) < 100) {
+    if (!userKey) return false;
+    const offset = Number(rollout.offset) || 0;
+    const bucket = rolloutBucket(rollout.salt || row.screenId, userKey);
+    return bucket >= offset && bucket < offset + Number(rollout.percentage);
+  }
+  return true;
+}
+
+function isTargeted(row) {
+  const targeting = parseJson(row.targeting);
+  return Boolean(targeting && ((Array.isArray(targeting.rules) && targeting.rules.length) || targeting.rollout));
+}
+
+/**
+ * Picks the screen a client gets among the rows of a screen.
+ * @param {Array<Object>} rows - Rows of the screen (and platform).
+ * @param {Object} request
+ * @param {string} [request.version] - Exact layout version asked for, served when live.
+ * @param {string} [request.appVersion] - Version of the client app.
+ * @param {Object} [request.attributes] - Targeting attributes.
+ * @param {string} [request.userKey] - Rollout key.
+ * @param {Date} [request.now]
+ * @returns {Object|null} The highest compatible live version whose targeting matches; between
+ *   equal versions targeted rows win, then the most recently updated.
+ */
+function resolveScreen(rows, { version, appVersion, attributes = {}, userKey = null, now = new Date() } = {}) {
+  const eligible = rows.filter((row) => isLive(row, now) && matchesTargeting(row, attributes, userKey));
+  const best = (candidates) => candidates.slice().sort((a, b) => compareVersions(b.version, a.version)
+    || Number(isTargeted(b)) - Number(isTargeted(a))
+    || new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))[0] || null;
+
+  if (version) {
+    const exact = best(eligible.filter((row) => row.version === version || (parseVersion(version) && compareVersions(row.version, version) === 0)));
+    if (exact) return exact;
+  }
+  return best(eligible.filter((row) => isCompatible(row, appVersion)));
+}
+
+/**
+ * Checks the targeting of a row.
+ * @throws {SDUIError}
+ */
+function validateTargeting(targeting) {
+  if (targeting === undefined || targeting === null) return;
+  if (typeof targeting !== 'object' || Array.isArray(targeting)) throw new SDUIError('targeting must be an object');
+  if (targeting.rules !== undefined) {
+    if (!Array.isArray(targeting.rules)) throw new SDUIError('targeting.rules must be an array');
+    targeting.rules.forEach((rule, index) => {
+      if (!rule || typeof rule.attribute !== 'string' || !rule.attribute) throw new SDUIError(`targeting.rules[${index}] needs an attribute`);
+      if (!RULE_OPERATORS.includes(rule.operator || '=')) throw new SDUIError(`targeting.rules[${index}].operator must be one of ${RULE_OPERATORS.join(', ')}`);
+      if ((rule.operator || '=') !== 'exists' && rule.value === undefined && rule.values === undefined) {
+        throw new SDUIError(`targeting.rules[${index}] needs a value`);
+      }
+    });
+  }
+  if (targeting.rollout !== undefined) {
+    const { percentage, offset = 0 } = targeting.rollout || {};
+    if (!(Number(percentage) >= 0 && Number(percentage) <= 100)) throw new SDUIError('targeting.rollout.percentage must be from 0 to 100');
+    if (!(Number(offset) >= 0 && Number(offset) + Number(percentage) <= 100)) throw new SDUIError('targeting.rollout.offset plus percentage must be at most 100');
+  }
+}
+
+// ------------------------------------------------------------ layouts
+
+let componentSchemas = null;
+
+/**
+ * JSON schemas of the props of each component type, from SDUI_COMPONENT_SCHEMAS (default
+ * config/sduiComponents.json): { "Button": { "type": "object", "required": ["label"], ... } }.
+ */
+function loadComponentSchemas(reload = false) {
+  if (componentSchemas && !reload) return componentSchemas;
+  const configDir = process.env.CONFIG_DIR || path.join(process.cwd(), 'config');
+  const file = process.env.SDUI_COMPONENT_SCHEMAS || path.join(configDir, 'sduiComponents.json');
+  componentSchemas = { file, validators: new Map() };
+  if (!fs.existsSync(file)) return componentSchemas;
+  try {
+    const Ajv = require('ajv');
+    const ajv = new Ajv({ allErrors: true });
+    Object.entries(JSON.parse(fs.readFileSync(file, 'utf-8'))).forEach(([type, schema]) => {
+      componentSchemas.validators.set(type, ajv.compile(schema));
+    });
+  } catch (error) {
+    console.error(`[SDUI] Invalid component schemas in ${file}:`, error.message);
+  }
+  return componentSchemas;
+}
+
+/**
+ * Validates the components of a layout. A component is { type, props, children }; the root is
+ * a component, an array of them or { components: [...] }. The props of a component are
+ * validated with the schema of its type; with SDUI_STRICT_COMPONENTS=true types without a
+ * schema are refused.
+ * @returns {Array<string>} Errors, with the path of the component.
+ */
+function validateLayout(layout, schemas = loadComponentSchemas()) {
+  const errors = [];
+  const strict = process.env.SDUI_STRICT_COMPONENTS === 'true';
+  const visit = (node, at) => {
+    if (Array.isArray(node)) return node.forEach((child, index) => visit(child, `${at}/${index}`));
+    if (!node || typeof node !== 'object') return errors.push(`${at}: must be a component`);
+    if (typeof node.type !== 'string' || !node.type) return errors.push(`${at}: component needs a type`);
+    const validate = schemas.validators.get(node.type);
+    if (validate) {
+      if (!validate(node.props || {})) {
+        (validate.errors || []).forEach((error) => errors.push(`${at}/props${error.instancePath || ''}: ${error.message}`));
+      }
+    } else if (strict) {
+      errors.push(`${at}: unknown component type ${node.type}`);
+    }
+    if (node.children !== undefined) {
+      if (!Array.isArray(node.children)) return errors.push(`${at}/children: must be an array`);
+      visit(node.children, `${at}/children`);
+    }
+    return undefined;
+  };
+  if (layout && !Array.isArray(layout) && layout.type === undefined && Array.isArray(layout.components)) {
+    visit(layout.components, '/components');
+  } else {
+    visit(layout, '');
+  }
+  return errors;
+}
+
+// ------------------------------------------------------------ preview links
+
+// Signs preview links and device ids
+function signingSecret() {
+  const secret = process.env.SDUI_PREVIEW_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new SDUIError('Preview links and device ids need SDUI_PREVIEW_SECRET', 500);
+  return secret;
+}
+
+function previewSignature(id, expires) {
+  return crypto.createHmac('sha256', signingSecret()).update(`sdui-preview:${id}:${expires}`).digest('base64url');
+}
+
+function sameSignature(signature, expected) {
+  return Boolean(signature) && signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Token of a preview link to one screen row, valid for SDUI_PREVIEW_TTL seconds (default a day).
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function createPreviewToken(id, now = Date.now()) {
+  const ttl = parseInt(process.env.SDUI_PREVIEW_TTL, 10) || 24 * 60 * 60;
+  const expires = Math.floor(now / 1000) + ttl;
+  return { token: `${expires}.${previewSignature(id, expires)}`, expiresAt: new Date(expires * 1000) };
+}
+
+/**
+ * @throws {SDUIError} 403 when the token is invalid or expired.
+ */
+function verifyPreviewToken(id, token, now = Date.now()) {
+  const [expires, signature] = String(token || '').split('.');
+  const expected = /^\d+$/.test(expires || '') ? previewSignature(id, expires) : '';
+  if (!sameSignature(signature, expected)) throw new SDUIError('Invalid preview link', 403);
+  if (Number(expires) * 1000 < now) throw new SDUIError('Preview link expired', 403);
+}
+
+// ------------------------------------------------------------ device ids
+
+function deviceSignature(id) {
+  return crypto.createHmac('sha256', signingSecret()).update(`sdui-device:${id}`).digest('base64url');
+}
+
+/**
+ * Device id handed out to an app without a user, as the key of partial rollouts. It is random
+ * and signed, so an app cannot choose its rollout bucket.
+ * @returns {string}
+ */
+function createDeviceId() {
+  const id = crypto.randomUUID();
+  return `${id}.${deviceSignature(id)}`;
+}
+
+/**
+ * The id of a device id made by createDeviceId, or null when it is missing or not signed by us.
+ */
+function verifyDeviceId(deviceId) {
+  if (typeof deviceId !== 'string') return null;
+  const [id, signature] = deviceId.split('.');
+  if (!id || !sameSignature(signature, deviceSignature(id))) return null;
+  return id;
+}
+
+module.exports = {
+  SDUIError,
+  STATUSES,
+  RULE_OPERATORS,
+  parseVersion,
+  compareVersions,
+  isLive,
+  isCompatible,
+  matchesTargeting,
+  rolloutBucket,
+  resolveScreen,
+  validateTargeting,
+  loadComponentSchemas,
+  validateLayout,
+  createPreviewToken,
+  verifyPreviewToken,
+  createDeviceId,
+  verifyDeviceId,
+};
@@ -1,5 +1,7 @@
 const net = require("net");
-const jwt = require('jsonwebtoken');
+const { signAccessToken } = require('./tokenService');
+const { getApiKeyService } = require('./apiKeys');
+const { traceRuleEvent } = require('./ruleTestRunner');
 const fs = require('fs');
 const path = require('path');
 
@@ -44,6 +46,7 @@ class SocketCLI {
         this.requestLogger = options.requestLogger;
         this.packageJson = options.packageJson;
         this.initializeRules = options.initializeRules;
+        this.workflowEngine = options.workflowEngine;
         this.socketServer = null;
         this.globalContext = options.globalContext || global.globalContext || this.server.globalContext;
 
@@ -169,7 +172,7 @@ class SocketCLI {
                                 try {
                                     // Generate the JWT
                                     const payload = { username, acl };
-                                    const token = jwt.sign(payload, this.JWT_SECRET, { expiresIn: this.JWT_EXPIRY });
+                                    const token = signAccessToken(payload, { expiresIn: this.JWT_EXPIRY });
 
                                     socket.write(`Generated user token:\n${token}\n`);
                                 } catch (error) {
@@ -187,7 +190,7 @@ class SocketCLI {
                                 try {
                                     // Generate the JWT
                                     const payload = { table, acl, username: table };
-                                    const token = jwt.sign(payload, this.JWT_SECRET, { expiresIn: this.JWT_EXPIRY });
+                                    const token = signAccessToken(payload, { expiresIn: this.JWT_EXPIRY });
 
                                     socket.write(`Generated app token:\n${token}\n`);
                                 } catch (error) {
@@ -196,6 +199,52 @@ class SocketCLI {
                                 }
                             }
                             break;  
+                        case "apiKeyCreate":
+                            if (args.length < 2) {
+                                socket.write("Usage: apiKeyCreate <name> <scope1,scope2> [expiresInDays|-] [rateLimitTier|-] [tenant]\n");
+                            } else {
+                                const [name, scopes, expiresInDays, rateLimitTier, tenant] = args;
+                                const created = await getApiKeyService().create({
+                                    name,
+                                    scopes,
+                                    expiresInDays: expiresInDays && expiresInDays !== '-' ? Number(expiresInDays) : undefined,
+                                    rateLimitTier: rateLimitTier && rateLimitTier !== '-' ? rateLimitTier : undefined,
+                                    tenant,
+                                    createdBy: 'socket-cli',
+                                });
+                                socket.write(
+                                    `API key ${created.id} created for ${created.name} (scopes: ${created.scopes.join(',') || 'none'}` +
+                                    `${created.expiresAt ? `, expires ${created.expiresAt.toISOString()}` : ''}` +
+                                    `${created.tenant ? `, tenant ${created.tenant}` : ''}).\n` +
+                                    `Store it now, it will not be shown again:\n${created.key}\n`
+                                );
+                            }
+                            break;
+
+                        case "apiKeyList": {
+                            const keys = await getApiKeyService().list({ includeRevoked: args[0] === '--all' });
+                            if (!keys.length) {
+                                socket.write("No API keys.\n");
+                                break;
+                            }
+                            socket.write(keys.map((key) =>
+                                `${key.id}\t${key.name}\tak_${key.prefix}_...\tscopes=${key.scopes.join(',')}` +
+                                `\ttier=${key.rateLimitTier || '-'}\ttenant=${key.tenant || '-'}\texpires=${key.expiresAt || 'never'}` +
+                                `\tlastUsed=${key.lastUsedAt || 'never'}${key.revokedAt ? `\trevoked=${key.revokedAt}` : ''}`
+                            ).join("\n") + "\n");
+                            break;
+                        }
+
+                        case "apiKeyRevoke":
+                            if (args.length < 1) {
+                                socket.write("Usage: apiKeyRevoke <id>\n");
+                            } else if (await getApiKeyService().revoke(args[0])) {
+                                socket.write(`API key ${args[0]} revoked.\n`);
+                            } else {
+                                socket.write(`No active API key with id ${args[0]}.\n`);
+                            }
+                            break;
+
                         case "showConfig":
                             socket.write(JSON.stringify(this.server.apiConfig, null, 2));
                             break;   
@@ -206,6 +255,91 @@ class SocketCLI {
                                 socket.write("No rules currently loaded.\n");
                             }
                             break;
+                        case "ruleGroups":
+                            if (this.ruleEngine) {
+                                const groups = this.ruleEngine.getGroups();
+                                socket.write(groups.length === 0 ? "No rule groups defined.\n" : groups.map((group) =>
+                                    `${group.name}\t${group.enabled ? "enabled" : "disabled"}\t${group.rules} rule(s)`
+                                ).join("\n") + "\n");
+                            } else {
+                                socket.write("No rules currently loaded.\n");
+                            }
+                            break;
+
+                        case "enableRuleGroup":
+                        case "disableRuleGroup":
+                            if (args.length < 1) {
+                                socket.write(`Usage: ${command} <group>\n`);
+                            } else if (!this.ruleEngine) {
+                                socket.write("No rules currently loaded.\n");
+                            } else if (this.ruleEngine.setGroupEnabled(args[0], command === "enableRuleGroup")) {
+                                socket.write(`Rule group ${args[0]} ${command === "enableRuleGroup" ? "enabled" : "disabled"}.\n`);
+                            } else {
+                                socket.write(`No rule group named ${args[0]}.\n`);
+                            }
+                            break;
+
+                        case "testRule":
+                            if (args.length < 2) {
+                                socket.write("Usage: testRule <entity> <event> <json>\n");
+                            } else if (!this.ruleEngine) {
+                                socket.write("No rules currently loaded.\n");
+                            } else {
+                                // Dry run: custom actions are traced, not executed
+                                const record = args.length > 2 ? JSON.parse(args.slice(2).join(" ")) : {};
+                                const result = await traceRuleEvent(this.ruleEngine, args[1], args[0], record, this.globalContext || {});
+                                socket.write(JSON.stringify(result, null, 2) + "\n");
+                            }
+                            break;
+                        case "workflowRuns":
+                            if (!this.workflowEngine) {
+                                socket.write("No workflows currently loaded.\n");
+                            } else {
+                                const runs = await this.workflowEngine.listRuns({ workflow: args[0], status: args[1] });
+                                socket.write(runs.length === 0 ? "No workflow runs found.\n" : runs.map((run) =>
+                                    `${run.id}\t${run.workflow}\t${run.status}\t${new Date(run.createdAt).toISOString()}${run.error ? `\t${run.error}` : ""}`
+                                ).join("\n") + "\n");
+                            }
+                            break;
+
+                        case "workflowSignal":
+                            if (args.length < 1) {
+                                socket.write("Usage: workflowSignal <event> [json]\n");
+                            } else if (!this.workflowEngine) {
+                                socket.write("No workflows currently loaded.\n");
+                            } else {
+                                const payload = args.length > 1 ? JSON.parse(args.slice(1).join(" ")) : {};
+                                const resumed = await this.workflowEngine.signalEvent(args[0], payload);
+                                socket.write(`${resumed.length} workflow run(s) resumed.\n`);
+                            }
+                            break;
+
+                        case "workflowRun":
+                        case "workflowCancel":
+                        case "workflowResume":
+                        case "workflowRerun":
+                            if (args.length < 1) {
+                                socket.write(`Usage: ${command} <runId>\n`);
+                            } else if (!this.workflowEngine) {
+                                socket.write("No workflows currently loaded.\n");
+                            } else if (command === "workflowRun") {
+                                const run = await this.workflowEngine.getRun(args[0]);
+                                socket.write(run ? JSON.stringify(run, null, 2) + "\n" : `Workflow run ${args[0]} not found.\n`);
+                            } else if (command === "workflowCancel") {
+                                const cancelled = await this.workflowEngine.cancelRun(args[0]);
+                                socket.write(cancelled ? `Workflow run ${args[0]} cancelled.\n` : `Workflow run ${args[0]} is not running, waiting or interrupted.\n`);
+                            } else {
+                                try {
+                                    const run = command === "workflowResume"
+                                        ? await this.workflowEngine.resumeRun(args[0], {}, { wait: false })
+                                        : await this.workflowEngine.rerun(args[0], {}, { wait: false });
+                                    socket.write(`Workflow run ${run.id} started.\n`);
+                                } catch (error) {
+                                    socket.write(`Error: ${error.message}\n`);
+                                }
+                            }
+                            break;
+
                         case "nodeInfo":
                             if (args.length < 2) {
                                 socket.write("Usage: nodeInfo <route|table> <routeType>\n");
@@ -677,10 +811,22 @@ class SocketCLI {
                                 "Available commands:\n" +
                                 "- version: Display server version\n" +
                                 "- showRules: Display loaded business rules\n" +
+                                "- testRule <entity> <event> <json>: Dry-run the rules on a record and show the trace\n" +
+                                "- ruleGroups: List rule groups and whether they are enabled\n" +
+                                "- enableRuleGroup <group> / disableRuleGroup <group>: Switch a rule group on or off until restart\n" +
+                                "- workflowRuns [workflow] [status]: List recent workflow runs\n" +
+                                "- workflowRun <runId>: Show a workflow run with its step history\n" +
+                                "- workflowCancel <runId>: Cancel a running, waiting or interrupted workflow run\n" +
+                                "- workflowResume <runId>: Resume a failed or interrupted run from its last completed step\n" +
+                                "- workflowRerun <runId>: Start a new run with the input of a previous run\n" +
+                                "- workflowSignal <event> [json]: Resume the workflow runs waiting for an event\n" +
                                 "- nodeInfo <route|table> <routeType>: Show config for a specific route/table\n" +
                                 "- showConfig: Show complete API configuration\n" +
                                 "- userGenToken <username> <acl>: Generate JWT for a user\n" +
                                 "- appGenToken <table> <acl>: Generate JWT for an application\n" +
+                                "- apiKeyCreate <name> <scopes> [expiresInDays|-] [rateLimitTier|-] [tenant]: Issue an API key\n" +
+                                "- apiKeyList [--all]: List API keys (--all includes revoked keys)\n" +
+                                "- apiKeyRevoke <id>: Revoke an API key\n" +
                                 "- load <pluginName>: Load a plugin\n" +
                                 "- unload <pluginName>: Unload a plugin\n" +
                                 "- reload <pluginName>: Reload a specific plugin\n" +
@@ -0,0 +1,44 @@
+/**
+ * Helpers for endpoints configured with `softDelete: { column: "deleted_at", acl: [...] }`.
+ *
+ * Soft-deleted rows keep their data and get a timestamp in `column`; every read path
+ * excludes them unless a user holding one of the `acl` roles asks for `includeDeleted=true`.
+ */
+
+/**
+ * Column holding the deletion timestamp, or null when soft delete is disabled.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @returns {string|null}
+ */
+function getSoftDeleteColumn(endpoint) {
+    return (endpoint && endpoint.softDelete && endpoint.softDelete.column) || null;
+}
+
+/**
+ * SQL condition matching rows that are not soft-deleted, or '' when soft delete is disabled.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {string|null} [dbTable] - Table used to qualify the column; defaults to endpoint.dbTable.
+ * @returns {string}
+ */
+function activeRowsCondition(endpoint, dbTable = endpoint.dbTable) {
+    const column = getSoftDeleteColumn(endpoint);
+    if (!column) return '';
+    return dbTable ? `${dbTable}.${column} IS NULL` : `${column} IS NULL`;
+}
+
+/**
+ * Whether the user holds one of the roles allowed to see and restore soft-deleted rows.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object} user - Authenticated user (from the JWT), may be undefined.
+ * @returns {boolean}
+ */
+function canAccessDeleted(endpoint, user) {
+    const allowedRoles = [].concat((endpoint.softDelete && endpoint.softDelete.acl) || []);
+    if (allowedRoles.length === 0 || !user) {
+        return false;
+    }
+    const userRoles = Array.isArray(user.acl) ? user.acl : [user.acl];
+    return allowedRoles.some((role) => userRoles.includes(role));
+}
+
+module.exports = { getSoftDeleteColumn, activeRowsCondition, canAccessDeleted };
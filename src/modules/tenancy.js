@@ -0,0 +1,262 @@
+/**
+ * Multi-tenant row isolation, enabled with TENANCY_ENABLED=true.
+ *
+ * Every database endpoint is then scoped to the tenant of the request through a tenant
+ * column (TENANT_COLUMN, default `tenant_id`): reads, updates and deletes get a
+ * `<table>.<column> = ?` condition and inserts get the column set. An endpoint opts out
+ * with `"tenant": false` (shared tables) or names another column with `"tenantColumn"`.
+ *
+ * The tenant of a request comes from, in order of TENANT_SOURCES (default
+ * `claim,subdomain,header`):
+ *   - claim:     the TENANT_CLAIM claim of the token or API key (default `tenantId`)
+ *   - subdomain: the first label of a host under TENANT_BASE_DOMAIN (`acme.example.com`)
+ *   - header:    the TENANT_HEADER header (default `X-Tenant-Id`)
+ * A claim always wins: a subdomain or header naming another tenant is refused. Users
+ * holding TENANT_SUPER_ROLE (default `superTenant`) may act in any tenant by naming it,
+ * and bypass the scoping explicitly with the header value `*`. Other authenticated
+ * principals (tokens, API keys) without the claim may not name a tenant, and anonymous
+ * requests may only name the tenant of public endpoints (endpoints without `auth`).
+ *
+ * A resolved tenant is `{ id, bypass, anonymous, error }`; it is null when tenancy is disabled.
+ * Resolving never fails, the error is raised by the first scoped access.
+ */
+const { QueryBuilderError } = require('./queryBuilder');
+const { getContext } = require('./context');
+
+const ALL_TENANTS = '*';
+// Placeholder of the tenant in raw SQL (rule engine rawQuery, reports).
+const TENANT_PLACEHOLDER = ':tenantId';
+
+function tenancyEnabled() {
+    return process.env.TENANCY_ENABLED === 'true';
+}
+
+// Claim of a token or API key principal holding its tenant.
+function tenantClaim() {
+    return process.env.TENANT_CLAIM || 'tenantId';
+}
+
+function settings() {
+    return {
+        column: process.env.TENANT_COLUMN || 'tenant_id',
+        claim: tenantClaim(),
+        header: (process.env.TENANT_HEADER || 'x-tenant-id').toLowerCase(),
+        baseDomain: (process.env.TENANT_BASE_DOMAIN || '').toLowerCase(),
+        superRole: process.env.TENANT_SUPER_ROLE || 'superTenant',
+        sources: (process.env.TENANT_SOURCES || 'claim,subdomain,header')
+            .split(',')
+            .map((source) => source.trim().toLowerCase())
+            .filter(Boolean),
+    };
+}
+
+function subdomainOf(req, baseDomain) {
+    if (!baseDomain || !req || !req.headers || !req.headers.host) return null;
+    const host = String(req.headers.host).toLowerCase().split(':')[0];
+    if (!host.endsWith(`.${baseDomain}`)) return null;
+    const label = host.slice(0, -(baseDomain.length + 1));
+    return label && !label.includes('.') ? label : null;
+}
+
+// Tenant named by the request itself (subdomain or header), in the order of TENANT_SOURCES.
+function requestedTenant(req, config, header) {
+    for (const source of config.sources) {
+        if (source === 'subdomain') {
+            const subdomain = subdomainOf(req, config.baseDomain);
+            if (subdomain) return subdomain;
+        } else if (source === 'header') {
+            const value = header !== undefined ? header : req && req.headers && req.headers[config.header];
+            if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolves the tenant of a request.
+ * @param {Object} [req] - Request, or anything with `headers` (e.g. a WebSocket upgrade request).
+ * @param {Object} [user] - Authenticated user.
+ * @param {string} [header] - Tenant to use instead of the tenant header (e.g. from WebSocket connection params).
+ * @returns {{id: (string|null), bypass: boolean, anonymous: (boolean|undefined), error: (string|undefined)}|null}
+ *   null when tenancy is disabled; `anonymous` marks a tenant named by a request without a user.
+ */
+function resolveTenant(req, user, header) {
+    if (!tenancyEnabled()) return null;
+    const config = settings();
+    const claim = config.sources.includes('claim') && user && user[config.claim] !== undefined && user[config.claim] !== null
+        ? String(user[config.claim])
+        : null;
+    const requested = requestedTenant(req, config, header);
+    const isSuper = Boolean(user) && [].concat(user.acl || []).includes(config.superRole);
+
+    if (requested === ALL_TENANTS) {
+        return isSuper
+            ? { id: null, bypass: true }
+            : { id: null, bypass: false, error: 'Not allowed to access all tenants' };
+    }
+    if (isSuper && requested) {
+        return { id: requested, bypass: false };
+    }
+    if (claim && requested && requested !== claim) {
+        return { id: null, bypass: false, error: 'Tenant does not match the authenticated tenant' };
+    }
+    if (claim) {
+        return { id: claim, bypass: false };
+    }
+    if (user && requested) {
+        return { id: null, bypass: false, error: 'Not allowed to choose a tenant without a tenant claim' };
+    }
+    return requested
+        ? { id: requested, bypass: false, anonymous: true }
+        : { id: null, bypass: false, error: 'Tenant could not be resolved' };
+}
+
+/**
+ * Tenant of the current request, from the request context.
+ */
+function currentTenant() {
+    return resolveTenant(getContext('req'), getContext('user'));
+}
+
+/**
+ * Tenant column of an endpoint, or null when the endpoint is not scoped.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @returns {string|null}
+ */
+function tenantColumn(endpoint) {
+    if (!tenancyEnabled() || !endpoint || endpoint.tenant === false) return null;
+    return endpoint.tenantColumn || settings().column;
+}
+
+/**
+ * Tenant scope of an endpoint for a request.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object|null} tenant - Result of resolveTenant().
+ * @returns {{column: string, id: (string|null)}|null} null when the endpoint is not scoped;
+ *   `id` is null for a super-tenant bypass.
+ * @throws {QueryBuilderError} 403 when the tenant of the request could not be resolved or was refused,
+ *   or was named by an anonymous request to an endpoint requiring authentication.
+ */
+function tenantScope(endpoint, tenant) {
+    const column = tenantColumn(endpoint);
+    if (!column) return null;
+    if (tenant && tenant.bypass) return { column, id: null };
+    if (!tenant || !tenant.id) {
+        throw new QueryBuilderError((tenant && tenant.error) || 'Tenant could not be resolved', 403);
+    }
+    if (tenant.anonymous && endpoint.auth) {
+        throw new QueryBuilderError('Only public endpoints accept a tenant from anonymous requests', 403);
+    }
+    return { column, id: tenant.id };
+}
+
+/**
+ * Condition restricting the rows of an endpoint to the tenant, or null when none applies.
+ * @param {Object} endpoint - Endpoint configuration.
+ * @param {Object|null} tenant - Result of resolveTenant().
+ * @param {string|null} [dbTable] - Table used to qualify the column; defaults to endpoint.dbTable.
+ * @returns {{clause: string, values: Array}|null}
+ */
+function tenantCondition(endpoint, tenant, dbTable = endpoint.dbTable) {
+    const scope = tenantScope(endpoint, tenant);
+    if (!scope || scope.id === null) return null;
+    return { clause: dbTable ? `${dbTable}.${scope.column} = ?` : `${scope.column} = ?`, values: [scope.id] };
+}
+
+/**
+ * Checks that a written record does not name another tenant and, when `stamp` is set,
+ * sets the tenant column (inserts).
+ * @param {Object} fields - Column values, modified in place.
+ * @param {{column: string, id: (string|null)}|null} scope - Result of tenantScope().
+ * @param {boolean} stamp - Whether to set the tenant column.
+ * @throws {QueryBuilderError} 403 for another tenant, 400 when a bypassing super-tenant inserts without naming a tenant.
+ */
+function applyTenant(fields, scope, stamp) {
+    if (!scope) return;
+    if (scope.id === null) {
+        if (stamp && (fields[scope.column] === undefined || fields[scope.column] === null)) {
+            throw new QueryBuilderError('Name the tenant of new records', 400);
+        }
+        return;
+    }
+    if (fields[scope.column] !== undefined && String(fields[scope.column]) !== scope.id) {
+        throw new QueryBuilderError('Cannot write records of another tenant', 403);
+    }
+    if (stamp) {
+        fields[scope.column] = scope.id;
+    }
+}
+
+/**
+ * Part of a cache key that separates tenants. Empty when none of the endpoints is tenant-scoped.
+ * @param {Array<Object>} endpoints - Endpoints contributing rows to the response.
+ * @param {Object|null} tenant - Result of resolveTenant().
+ * @returns {string}
+ */
+function tenantCacheKey(endpoints, tenant) {
+    if (!tenant || !endpoints.some((endpoint) => tenantColumn(endpoint))) return '';
+    return `:tenant=${tenant.bypass ? ALL_TENANTS : (tenant.id || '')}`;
+}
+
+/**
+ * Scopes a raw SQL statement. Statements reading or writing a tenant table must contain the
+ * :tenantId placeholder, which is bound to the tenant like a `?` parameter.
+ * @param {string} sql - Statement with `?` parameters.
+ * @param {Array} values - Values of the `?` parameters.
+ * @param {Object|null} tenant - Result of resolveTenant().
+ * @param {Array<Object>} endpoints - Endpoint configurations, to find the tenant tables.
+ * @returns {{query: string, values: Array}}
+ * @throws {QueryBuilderError} 403 when a tenant table is used without the placeholder.
+ */
+function scopeRawQuery(sql, values, tenant, endpoints) {
+    const hasPlaceholder = sql.includes(TENANT_PLACEHOLDER);
+    if (!tenant) {
+        if (hasPlaceholder) throw new QueryBuilderError(`${TENANT_PLACEHOLDER} is only available with tenancy enabled`);
+        return { query: sql, values };
+    }
+
+    if (!hasPlaceholder) {
+        const tables = new Set();
+        const tablePattern = /\b(?:from|join|into|update)\s+`?(\w+)`?/gi;
+        let match;
+        while ((match = tablePattern.exec(sql)) !== null) {
+            tables.add(match[1].toLowerCase());
+        }
+        const scoped = endpoints.find((endpoint) =>
+            endpoint.dbTable && tenantColumn(endpoint) && tables.has(String(endpoint.dbTable).toLowerCase()));
+        if (scoped && !tenant.bypass) {
+            throw new QueryBuilderError(`Queries on ${scoped.dbTable} must filter by ${TENANT_PLACEHOLDER}`, 403);
+        }
+        return { query: sql, values };
+    }
+
+    if (!tenant.id) {
+        throw new QueryBuilderError(tenant.error || 'Name the tenant of the query', tenant.error ? 403 : 400);
+    }
+    // Raw queries do not belong to a public endpoint
+    if (tenant.anonymous) {
+        throw new QueryBuilderError('Only public endpoints accept a tenant from anonymous requests', 403);
+    }
+    const bound = [];
+    let index = 0;
+    const query = sql.replace(/\?|:tenantId\b/g, (token) => {
+        bound.push(token === '?' ? values[index++] : tenant.id);
+        return '?';
+    });
+    return { query, values: bound };
+}
+
+module.exports = {
+    ALL_TENANTS,
+    TENANT_PLACEHOLDER,
+    tenancyEnabled,
+    tenantClaim,
+    resolveTenant,
+    currentTenant,
+    tenantColumn,
+    tenantScope,
+    tenantCondition,
+    applyTenant,
+    tenantCacheKey,
+    scopeRawQuery,
+};
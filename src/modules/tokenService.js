@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const consolelog = require('./logger');
+
+const DEFAULT_SECRET = 'IhaveaVeryStrongSecret';
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+// 30 days
+const DEFAULT_REFRESH_TTL = 30 * 24 * 60 * 60;
+
+class TokenError extends Error {
+    constructor(message, statusCode = 401) {
+        super(message);
+        this.name = 'TokenError';
+        this.statusCode = statusCode;
+    }
+}
+
+function readKey(value, file) {
+    if (value) return value.replace(/\\n/g, '\n');
+    if (file) return fs.readFileSync(file, 'utf8');
+    return null;
+}
+
+/**
+ * Builds a verification/signing key from its configuration.
+ * HS256 keys use `secret`; RS256/ES256 keys use PEM `privateKey` (signing) and/or
+ * `publicKey` (verification, derived from the private key when omitted).
+ */
+function createKey({ kid, algorithm = 'HS256', secret, privateKey, privateKeyFile, publicKey, publicKeyFile }) {
+    if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+    }
+
+    if (algorithm === 'HS256') {
+        if (!secret) throw new Error(`Missing secret for JWT key ${kid || '(default)'}`);
+        return { kid, algorithm, signingKey: secret, verifyKey: secret };
+    }
+
+    const signingKey = readKey(privateKey, privateKeyFile);
+    let verifyKey = readKey(publicKey, publicKeyFile);
+    if (!verifyKey && signingKey) {
+        verifyKey = crypto.createPublicKey(signingKey).export({ type: 'spki', format: 'pem' });
+    }
+    if (!verifyKey) throw new Error(`Missing public or private key for JWT key ${kid || '(default)'}`);
+
+    // Default kid: a short fingerprint of the public key, stable across restarts.
+    const keyId = kid || crypto.createHash('sha256')
+        .update(crypto.createPublicKey(verifyKey).export({ type: 'spki', format: 'der' }))
+        .digest('base64url')
+        .slice(0, 16);
+    return { kid: keyId, algorithm, signingKey, verifyKey };
+}
+
+/**
+ * Signing key and the keys still accepted for verification.
+ *
+ * Tokens are signed with the current key and carry its `kid` header. Keys listed as
+ * previous keys only verify tokens, which lets a key be rotated without logging every
+ * user out: tokens signed with the old key stay valid until they expire.
+ */
+class JwtKeyRing {
+    /**
+     * @param {Object} current - Signing key configuration (see createKey).
+     * @param {Array<Object>} [previous] - Keys still accepted for verification.
+     */
+    constructor(current, previous = []) {
+        this.current = createKey(current);
+        if (!this.current.signingKey) {
+            throw new Error('The current JWT key needs a private key to sign tokens');
+        }
+        this.keys = [this.current, ...previous.map(createKey)];
+    }
+
+    /**
+     * Reads the key ring from the environment:
+     * - JWT_ALGORITHM: HS256 (default), RS256 or ES256.
+     * - JWT_SECRET: HS256 secret.
+     * - JWT_PRIVATE_KEY / JWT_PRIVATE_KEY_FILE, JWT_PUBLIC_KEY / JWT_PUBLIC_KEY_FILE: PEM keys for RS256/ES256.
+     * - JWT_KEY_ID: kid of the current key.
+     * - JWT_PREVIOUS_KEYS: JSON array of keys accepted during a rotation, e.g.
+     *   [{"kid":"2024-01","algorithm":"HS256","secret":"old"}] or [{"kid":"k1","algorithm":"RS256","publicKeyFile":"k1.pem"}].
+     */
+    static fromEnv(env = process.env) {
+        let previous = [];
+        if (env.JWT_PREVIOUS_KEYS) {
+            try {
+                previous = JSON.parse(env.JWT_PREVIOUS_KEYS);
+            } catch (error) {
+                throw new Error(`Invalid JWT_PREVIOUS_KEYS: ${error.message}`);
+            }
+        }
+        return new JwtKeyRing({
+            kid: env.JWT_KEY_ID,
+            algorithm: env.JWT_ALGORITHM || 'HS256',
+            secret: env.JWT_SECRET || DEFAULT_SECRET,
+            privateKey: env.JWT_PRIVATE_KEY,
+            privateKeyFile: env.JWT_PRIVATE_KEY_FILE,
+            publicKey: env.JWT_PUBLIC_KEY,
+            publicKeyFile: env.JWT_PUBLIC_KEY_FILE,
+        }, previous);
+    }
+
+    sign(payload, options = {}) {
+        const { kid, algorithm, signingKey } = this.current;
+        return jwt.sign(payload, signingKey, {
+            expiresIn: process.env.JWT_EXPIRY || '1h',
+            ...options,
+            algorithm,
+            ...(kid ? { keyid: kid } : {}),
+        });
+    }
+
+    /**
+     * Verifies a token against the key named by its `kid`, or against every key of its
+     * algorithm for tokens issued before kids were used.
+     * @throws {jwt.JsonWebTokenError} When the token is malformed, expired or not signed by a known key.
+     */
+    verify(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded || !decoded.header) {
+            throw new jwt.JsonWebTokenError('jwt malformed');
+        }
+        const { kid, alg } = decoded.header;
+        const candidates = kid
+            ? this.keys.filter((key) => key.kid === kid)
+            : this.keys.filter((key) => key.algorithm === alg);
+        if (!candidates.length) {
+            throw new jwt.JsonWebTokenError(kid ? `Unknown signing key: ${kid}` : 'No key for the token algorithm');
+        }
+
+        let lastError;
+        for (const key of candidates) {
+            try {
+                return jwt.verify(token, key.verifyKey, { algorithms: [key.algorithm] });
+            } catch (error) {
+                if (error.name !== 'JsonWebTokenError') throw error;
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Public keys of the asymmetric keys, as a JSON Web Key Set. HS256 secrets are never published.
+     */
+    jwks() {
+        return {
+            keys: this.keys
+                .filter((key) => key.algorithm !== 'HS256')
+                .map((key) => ({
+                    ...crypto.createPublicKey(key.verifyKey).export({ format: 'jwk' }),
+                    kid: key.kid,
+                    alg: key.algorithm,
+                    use: 'sig',
+                })),
+        };
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Refresh tokens and revocations, kept in Redis.
+ *
+ * Refresh tokens are opaque random strings stored only as their SHA-256 hash. Each user
+ * has at most one refresh token per device; using it rotates it. Presenting a token that
+ * was already rotated means it leaked, so the session of that device is revoked.
+ *
+ * Keys:
+ * - auth:refresh:<hash>          -> { userId, deviceId }
+ * - auth:refresh-used:<hash>     -> { userId, deviceId }, rotated tokens (reuse detection)
+ * - auth:sessions:<userId>       -> hash of deviceId -> { hash, createdAt, lastUsedAt, userAgent }
+ * - auth:revoked-before:<userId> -> epoch seconds; access tokens issued earlier are rejected
+ */
+class RefreshTokenStore {
+    /**
+     * @param {Object} redis - ioredis client.
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Refresh token lifetime in seconds (REFRESH_TOKEN_TTL, default 30 days).
+     */
+    constructor(redis, { ttl } = {}) {
+        this.redis = redis;
+        this.ttl = Number(ttl || process.env.REFRESH_TOKEN_TTL) || DEFAULT_REFRESH_TTL;
+    }
+
+    /**
+     * Issues the refresh token of a device, replacing the previous one of that device.
+     * @param {string|number} userId - Primary key of the user.
+     * @param {Object} [options]
+     * @param {string} [options.deviceId] - Device identifier; generated when omitted.
+     * @param {string} [options.userAgent] - Shown when listing sessions.
+     * @returns {Promise<{refreshToken: string, deviceId: string, expiresIn: number}>}
+     */
+    async issue(userId, { deviceId, userAgent } = {}) {
+        const device = deviceId || crypto.randomUUID();
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        const hash = hashToken(refreshToken);
+        const sessionsKey = `auth:sessions:${userId}`;
+        const now = new Date().toISOString();
+
+        const stored = await this.redis.hget(sessionsKey, device);
+        const previous = stored ? JSON.parse(stored) : {};
+        const multi = this.redis.multi();
+        if (previous.hash) {
+            multi.del(`auth:refresh:${previous.hash}`);
+        }
+        multi.set(`auth:refresh:${hash}`, JSON.stringify({ userId, deviceId: device }), 'EX', this.ttl);
+        multi.hset(sessionsKey, device, JSON.stringify({
+            hash,
+            createdAt: previous.createdAt || now,
+            lastUsedAt: now,
+            userAgent: userAgent || previous.userAgent,
+        }));
+        multi.expire(sessionsKey, this.ttl);
+        await multi.exec();
+
+        return { refreshToken, deviceId: device, expiresIn: this.ttl };
+    }
+
+    /**
+     * Exchanges a refresh token for a new one of the same device.
+     * @returns {Promise<{userId, deviceId, refreshToken: string, expiresIn: number}>}
+     * @throws {TokenError} When the token is unknown, expired or was already used.
+     */
+    async rotate(refreshToken, { userAgent } = {}) {
+        if (!refreshToken) throw new TokenError('Refresh token is required', 400);
+        const hash = hashToken(refreshToken);
+
+        // GET and DEL in one transaction, so a token can only be exchanged once.
+        const [[, stored]] = await this.redis.multi()
+            .get(`auth:refresh:${hash}`)
+            .del(`auth:refresh:${hash}`)
+            .exec();
+
+        if (!stored) {
+            const used = await this.redis.get(`auth:refresh-used:${hash}`);
+            if (used) {
+                const { userId, deviceId } = JSON.parse(used);
+                consolelog.log(`Refresh token reuse detected for user ${userId}, revoking device ${deviceId}`);
+                await this.revokeDevice(userId, deviceId);
+            }
+            throw new TokenError('Invalid or expired refresh token');
+        }
+
+        const { userId, deviceId } = JSON.parse(stored);
+        await this.redis.set(`auth:refresh-used:${hash}`, stored, 'EX', this.ttl);
+        const issued = await this.issue(userId, { deviceId, userAgent });
+        return { userId, ...issued };
+    }
+
+    /**
+     * Resolves the owner of a refresh token without using it.
+     * @returns {Promise<{userId, deviceId}|null>}
+     */
+    async lookup(refreshToken) {
+        if (!refreshToken) return null;
+        const stored = await this.redis.get(`auth:refresh:${hashToken(refreshToken)}`);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async revokeDevice(userId, deviceId) {
+        const sessionsKey = `auth:sessions:${userId}`;
+        const session = await this.redis.hget(sessionsKey, deviceId);
+        if (!session) return false;
+        await this.redis.multi()
+            .del(`auth:refresh:${JSON.parse(session).hash}`)
+            .hdel(sessionsKey, deviceId)
+            .exec();
+        return true;
+    }
+
+    /**
+     * Revokes every refresh token of the user and every access token issued until now.
+     * @param {number} [accessTokenTtl] - Seconds to remember the revocation; at least the access token lifetime.
+     */
+    async revokeAll(userId, accessTokenTtl = this.ttl) {
+        const sessionsKey = `auth:sessions:${userId}`;
+        const sessions = await this.redis.hgetall(sessionsKey);
+        const multi = this.redis.multi();
+        Object.values(sessions || {}).forEach((session) => multi.del(`auth:refresh:${JSON.parse(session).hash}`));
+        multi.del(sessionsKey);
+        multi.set(`auth:revoked-before:${userId}`, Math.floor(Date.now() / 1000), 'EX', accessTokenTtl);
+        await multi.exec();
+    }
+
+    async listSessions(userId) {
+        const sessions = await this.redis.hgetall(`auth:sessions:${userId}`);
+        return Object.entries(sessions || {}).map(([deviceId, session]) => {
+            const { createdAt, lastUsedAt, userAgent } = JSON.parse(session);
+            return { deviceId, createdAt, lastUsedAt, userAgent };
+        });
+    }
+
+    /**
+     * Whether an access token was revoked by revokeAll. Tokens without `sub` cannot be revoked this way.
+     */
+    async isRevoked(payload) {
+        if (!payload || payload.sub === undefined || !payload.iat) return false;
+        const revokedBefore = await this.redis.get(`auth:revoked-before:${payload.sub}`);
+        return revokedBefore !== null && payload.iat < Number(revokedBefore);
+    }
+}
+
+let keyRing;
+let refreshTokenStore;
+
+/**
+ * Key ring of the process, read from the environment on first use.
+ */
+function getKeyRing() {
+    if (!keyRing) keyRing = JwtKeyRing.fromEnv();
+    return keyRing;
+}
+
+/**
+ * Refresh token store of the process, or null without REDIS_URL.
+ */
+function getRefreshTokenStore() {
+    if (!process.env.REDIS_URL) return null;
+    if (!refreshTokenStore) {
+        const { redisClient } = require('./redisClient');
+        refreshTokenStore = new RefreshTokenStore(redisClient);
+    }
+    return refreshTokenStore;
+}
+
+function signAccessToken(payload, options) {
+    return getKeyRing().sign(payload, options);
+}
+
+function verifyAccessToken(token) {
+    return getKeyRing().verify(token);
+}
+
+module.exports = {
+    TokenError,
+    JwtKeyRing,
+    RefreshTokenStore,
+    getKeyRing,
+    getRefreshTokenStore,
+    signAccessToken,
+    verifyAccessToken,
+};
@@ -0,0 +1,317 @@
+const net = require('net');
+const { affectedRowCount } = require('./db');
+
+/**
+ * Consent and PII controls of the ecommerce tracker (EcommTrackerModule, public/EcommTracker.js).
+ *
+ * Events carry the consent categories granted by the visitor (`consent`: an array, a
+ * comma-separated list or an object such as {analytics: true, marketing: false}); events
+ * without consent get TRACKING_CONSENT_DEFAULT, which grants nothing unless it is set.
+ *   - analytics: the event may be linked to the visitor (user and session ids, IP, user agent).
+ *                Without it the event is dropped or stored anonymized (TRACKING_NO_CONSENT).
+ *   - marketing: advertising click ids (gclid, fbclid, ...) may be kept in URLs and data.
+ *
+ * TrackingPrivacy purges tracked data older than TRACKING_RETENTION_DAYS and exports or
+ * erases the data of one visitor.
+ */
+class PrivacyError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PrivacyError';
+        this.statusCode = statusCode;
+    }
+}
+
+const CONSENT_CATEGORIES = ['analytics', 'marketing'];
+// user_id of anonymized events, which are not linked to anyone
+const ANONYMOUS_USER = 'anonymous';
+const CLICK_IDS = ['gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'li_fat_id', 'yclid'];
+// Tables of the tracker linked to an event by event_id, and to the visitor by user_id
+const EVENT_TABLES = ['pageviews', 'clicks', 'form_submissions', 'product_views', 'cart_actions', 'purchases'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 1000;
+
+function listFromEnv(name, fallback) {
+    const value = process.env[name];
+    return (value === undefined ? fallback : value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Consent policy, from the environment.
+ */
+function consentPolicy() {
+    return {
+        defaultConsent: parseConsent(process.env.TRACKING_CONSENT_DEFAULT || '', []),
+        noConsent: process.env.TRACKING_NO_CONSENT === 'drop' ? 'drop' : 'anonymize',
+        ipMode: ['full', 'none'].includes(process.env.TRACKING_IP_MODE) ? process.env.TRACKING_IP_MODE : 'truncate',
+        piiFields: listFromEnv('TRACKING_PII_FIELDS', 'email,phone,first_name,last_name,firstName,lastName,address,street,zip,postcode,birthdate'),
+    };
+}
+
+/**
+ * Granted categories of a consent value.
+ * @param {Array|string|Object} value - ['analytics'], 'analytics,marketing' or {analytics: true}.
+ * @param {Array<string>} fallback - Categories when the value is missing.
+ * @returns {Array<string>}
+ */
+function parseConsent(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    let granted;
+    if (Array.isArray(value)) granted = value;
+    else if (typeof value === 'string') granted = value.split(',');
+    else if (typeof value === 'object') granted = Object.keys(value).filter((key) => value[key] === true || value[key] === 'granted');
+    else return fallback;
+    granted = granted.map((category) => String(category).trim().toLowerCase());
+    return CONSENT_CATEGORIES.filter((category) => granted.includes(category));
+}
+
+/**
+ * Truncates an IP address: the last octet of an IPv4 address, everything after the first 48
+ * bits of an IPv6 address.
+ */
+function truncateIp(ip) {
+    const text = ip ? String(ip).trim() : '';
+    if (net.isIPv4(text) || (net.isIPv6(text) && /\d+\.\d+\.\d+\.\d+$/.test(text))) {
+        return text.replace(/\.\d+$/, '.0');
+    }
+    if (!net.isIPv6(text)) return null;
+    const [head, tail] = text.split('%')[0].split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined ? headGroups : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    return `${groups.slice(0, 3).map((group) => group.replace(/^0+(?=.)/, '').toLowerCase()).join(':')}::`;
+}
+
+function stripUrl(url, { query, clickIds }) {
+    if (!url || typeof url !== 'string') return url;
+    try {
+        const parsed = new URL(url);
+        if (query) return `${parsed.origin}${parsed.pathname}`;
+        if (!clickIds.some((name) => parsed.searchParams.has(name))) return url;
+        clickIds.forEach((name) => parsed.searchParams.delete(name));
+        return parsed.toString();
+    } catch (error) {
+        return query ? url.split(/[?#]/)[0] : url;
+    }
+}
+
+/**
+ * Applies the consent of an event.
+ * @param {Object} event - Event as received by the tracker (userId, sessionId, url, referrer,
+ *   userAgent, ipAddress, data, queryParams, consent).
+ * @param {Object} [policy] - Result of consentPolicy().
+ * @returns {Object|null} The event to store, with `consent` the granted categories; null to drop it.
+ */
+function applyConsent(event, policy = consentPolicy()) {
+    const consent = parseConsent(event.consent, policy.defaultConsent);
+    const analytics = consent.includes('analytics');
+    if (!analytics && policy.noConsent === 'drop') return null;
+
+    const strip = { query: !analytics, clickIds: consent.includes('marketing') ? [] : CLICK_IDS };
+    const data = event.data && typeof event.data === 'object' && !Array.isArray(event.data) ? { ...event.data } : event.data;
+    const clean = { ...event, consent, url: stripUrl(event.url, strip), referrer: stripUrl(event.referrer, strip), data };
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        if (data.url) data.url = stripUrl(data.url, strip);
+        if (data.referrer) data.referrer = analytics ? stripUrl(data.referrer, strip) : null;
+    }
+    if (event.queryParams && typeof event.queryParams === 'object') {
+        clean.queryParams = { ...event.queryParams };
+        strip.clickIds.forEach((name) => delete clean.queryParams[name]);
+    }
+
+    if (analytics) {
+        clean.ipAddress = { full: event.ipAddress || null, truncate: truncateIp(event.ipAddress), none: null }[policy.ipMode];
+        return clean;
+    }
+
+    // Anonymized: nothing that links the event to the visitor is kept
+    Object.assign(clean, {
+        userId: ANONYMOUS_USER,
+        user_id: undefined,
+        sessionId: null,
+        ipAddress: null,
+        userAgent: null,
+        referrer: null,
+        viewport: null,
+        queryParams: undefined,
+    });
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        policy.piiFields.forEach((field) => delete data[field]);
+    }
+    return clean;
+}
+
+class TrackingPrivacy {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getConnection - Resolves to a connection with execute(sql, params).
+     * @param {Object} [options.analytics] - EcommAnalytics, whose rollups are purged and erased too.
+     */
+    constructor({ getConnection, analytics = null }) {
+        this.getConnection = getConnection;
+        this.analytics = analytics;
+        this.timer = null;
+    }
+
+    async execute(sql, params = []) {
+        const connection = await this.getConnection();
+        if (!connection) {
+            throw new PrivacyError('Database connection for tracking data could not be established', 500);
+        }
+        const [result] = await connection.execute(sql, params);
+        return result;
+    }
+
+    // Tracker tables present in the database; only `events` is always created
+    async existingTables() {
+        const rows = await this.execute(
+            'SELECT table_name AS name FROM information_schema.tables WHERE table_schema = DATABASE()'
+        ) || [];
+        return new Set(rows.map((row) => String(row.name || row.TABLE_NAME || '').toLowerCase()));
+    }
+
+    checkUser(userId) {
+        if (!userId || String(userId).length > 255) throw new PrivacyError('A user id is required');
+        if (userId === ANONYMOUS_USER) throw new PrivacyError('Anonymized events are not linked to a user');
+        return String(userId);
+    }
+
+    /**
+     * Deletes the events matching a condition and the rows linked to them, in batches.
+     * @returns {Promise<Object>} Deleted rows by table.
+     */
+    async deleteEvents(where, params, tables) {
+        const deleted = { events: 0 };
+        const linked = EVENT_TABLES.filter((table) => tables.has(table));
+        linked.forEach((table) => { deleted[table] = 0; });
+        for (;;) {
+            const rows = await this.execute(`SELECT id, event_id FROM events WHERE ${where} ORDER BY id LIMIT ${BATCH_SIZE}`, params) || [];
+            if (!rows.length) break;
+            const eventIds = rows.map((row) => row.event_id).filter((id) => id !== null && id !== undefined);
+            if (eventIds.length) {
+                for (const table of linked) {
+                    const result = await this.execute(
+                        `DELETE FROM ${table} WHERE event_id IN (${eventIds.map(() => '?').join(', ')})`,
+                        eventIds
+                    );
+                    deleted[table] += affectedRowCount(result) || 0;
+                }
+            }
+            const ids = rows.map((row) => row.id);
+            const result = await this.execute(`DELETE FROM events WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+            deleted.events += affectedRowCount(result) || 0;
+            if (rows.length < BATCH_SIZE) break;
+        }
+        return deleted;
+    }
+
+    /**
+     * Rows of the linked tables that no visitor can be found for: stored before user_id was
+     * added, without an event to take it from. Export and erasure by visitor cannot reach them.
+     * @returns {Promise<Object|undefined>} Count by table, when there are any.
+     */
+    async unattributedRows(tables) {
+        const unattributed = {};
+        for (const table of EVENT_TABLES.filter((name) => tables.has(name))) {
+            const [row] = await this.execute(`SELECT COUNT(*) AS count FROM ${table} WHERE user_id IS NULL`) || [];
+            const count = Number(row && row.count) || 0;
+            if (count) unattributed[table] = count;
+        }
+        return Object.keys(unattributed).length ? unattributed : undefined;
+    }
+
+    /**
+     * Everything tracked about a user: profile, sessions, events and the rows linked to them.
+     */
+    async exportUser(userId) {
+        const user = this.checkUser(userId);
+        const tables = await this.existingTables();
+        const data = { userId: user, exportedAt: new Date().toISOString() };
+        if (tables.has('users')) data.profile = (await this.execute('SELECT * FROM users WHERE user_id = ?', [user]) || [])[0] || null;
+        if (tables.has('sessions')) data.sessions = await this.execute('SELECT * FROM sessions WHERE user_id = ? ORDER BY started_at', [user]) || [];
+        data.events = await this.execute('SELECT * FROM events WHERE user_id = ? ORDER BY id', [user]) || [];
+        for (const table of EVENT_TABLES.filter((name) => tables.has(name))) {
+            data[table] = await this.execute(`SELECT * FROM ${table} WHERE user_id = ?`, [user]) || [];
+        }
+        const unattributed = await this.unattributedRows(tables);
+        if (unattributed) data.unattributed = unattributed;
+        return data;
+    }
+
+    /**
+     * Erases everything tracked about a user, rollups included.
+     * @returns {Promise<Object>} Deleted rows by table, and the rows that could not be
+     *   attributed to any visitor (`unattributed`), if any.
+     */
+    async eraseUser(userId) {
+        const user = this.checkUser(userId);
+        const tables = await this.existingTables();
+        const deleted = {};
+        for (const table of EVENT_TABLES.filter((name) => tables.has(name))) {
+            const result = await this.execute(`DELETE FROM ${table} WHERE user_id = ?`, [user]);
+            deleted[table] = affectedRowCount(result) || 0;
+        }
+        // Rows still linked to the events of the user by event_id only are deleted with them
+        const linked = await this.deleteEvents('user_id = ?', [user], tables);
+        Object.keys(linked).forEach((table) => { deleted[table] = (deleted[table] || 0) + linked[table]; });
+        for (const table of ['sessions', 'users'].filter((name) => tables.has(name))) {
+            const result = await this.execute(`DELETE FROM ${table} WHERE user_id = ?`, [user]);
+            deleted[table] = affectedRowCount(result) || 0;
+        }
+        if (this.analytics) Object.assign(deleted, await this.analytics.eraseUser(user));
+        const unattributed = await this.unattributedRows(tables);
+        return unattributed ? { userId: user, deleted, unattributed } : { userId: user, deleted };
+    }
+
+    /**
+     * Deletes tracked data older than TRACKING_RETENTION_DAYS; nothing when it is not set.
+     * @returns {Promise<Object|null>} Deleted rows by table.
+     */
+    async purge(now = new Date()) {
+        const days = parseInt(process.env.TRACKING_RETENTION_DAYS, 10);
+        if (!(days > 0)) return null;
+        const before = new Date(now.getTime() - days * DAY_MS);
+        const tables = await this.existingTables();
+        const deleted = await this.deleteEvents('created_at < ?', [before], tables);
+        if (tables.has('sessions')) {
+            const result = await this.execute('DELETE FROM sessions WHERE started_at < ?', [before]);
+            deleted.sessions = affectedRowCount(result) || 0;
+        }
+        if (tables.has('users')) {
+            const result = await this.execute('DELETE FROM users WHERE last_seen < ?', [before]);
+            deleted.users = affectedRowCount(result) || 0;
+        }
+        if (this.analytics) Object.assign(deleted, await this.analytics.purge(before));
+        return { before: before.toISOString(), deleted };
+    }
+
+    /**
+     * Purges every TRACKING_PURGE_INTERVAL_MS (default 6 hours) when a retention is set.
+     */
+    start() {
+        if (this.timer || !(parseInt(process.env.TRACKING_RETENTION_DAYS, 10) > 0)) return;
+        const run = () => this.purge().catch((error) => {
+            console.error('Tracking data purge failed:', error.message);
+        });
+        run();
+        this.timer = setInterval(run, parseInt(process.env.TRACKING_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000);
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    PrivacyError,
+    TrackingPrivacy,
+    CONSENT_CATEGORIES,
+    ANONYMOUS_USER,
+    EVENT_TABLES,
+    consentPolicy,
+    parseConsent,
+    truncateIp,
+    applyConsent,
+};
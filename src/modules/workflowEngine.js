@@ -1,20 +1,35 @@
 const consolelog = require('./logger');
 const parseCommand = require('./parser');
-const { Worker } = require('worker_threads');
-const path = require('path');
 const db = require('./db');
-const cron = require('node-cron');
+const schedule = require('node-schedule');
+const DSLParser = require('./dslparser');
+const RuleEngine = require('./ruleEngine');
+const { compile, compileTemplate, compileValue, evaluate } = require('./ruleExpression');
+const { RUN_STATUS, WorkflowError, getWorkflowRunStore } = require('./workflowRuns');
 
 class WorkflowDSLParser {
   constructor(globalContext = {}) {
     this.globalContext = globalContext;
+    // IF conditions use the condition grammar of the rules DSL
+    this.conditionParser = new DSLParser(globalContext);
 
     // Keywords specific to workflow DSL
     this.keywords = {
       WORKFLOW: 'WORKFLOW',
       UPDATE: 'UPDATE',
       WITH: 'WITH',
-      DO: 'DO'    
+      DO: 'DO',
+      IF: 'IF',
+      ELSE_IF: 'ELSE IF',
+      ELSE: 'ELSE',
+      END_IF: 'END IF',
+      PARALLEL: 'PARALLEL',
+      BRANCH: 'BRANCH',
+      END_BRANCH: 'END BRANCH',
+      END_PARALLEL: 'END PARALLEL',
+      FOREACH: 'FOREACH',
+      END_FOREACH: 'END FOREACH',
+      WAIT: 'WAIT'
     };
   }
 
@@ -96,23 +111,171 @@ class WorkflowDSLParser {
 
   /**
    * Parse a single workflow block.
+   *
+   * Steps are action lines and blocks:
+   *   IF <conditions> THEN ... [ELSE IF <conditions> THEN ...] [ELSE ...] END IF
+   *   PARALLEL ... END PARALLEL            (each line or BRANCH ... END BRANCH runs concurrently)
+   *   FOREACH <item> IN <expression> ... END FOREACH
+   *   WAIT <n>s|m|h|d  /  WAIT UNTIL <event> [AS <name>]
+   * Control steps are objects with a `control` property; action lines keep the shape
+   * returned by parseCommand / _parseUpdateExpression.
    */
   _parseSingleWorkflow(name, lines) {
     const workflow = { name, actions: [], dbConfig: null };
+    const block = this._parseBlock(lines, 0, [], workflow);
+    workflow.actions = block.steps;
+    return workflow;
+  }
+
+  /**
+   * Parse steps from `start` until one of the `terminators` lines (e.g. END IF).
+   * @returns {{steps: Array, index: number, terminator: (string|null)}} index is the terminator line.
+   */
+  _parseBlock(lines, start, terminators, workflow, inParallel = false) {
+    const steps = [];
+    let i = start;
 
-    for (const line of lines) {
-      // Parse database configuration
-      if (line.toUpperCase().startsWith(this.keywords.WITH)) {
-        const dbConfig = this._parseDbConfig(line);
-        workflow.dbConfig = dbConfig;
+    while (i < lines.length) {
+      const terminator = this._matchKeyword(lines[i], terminators);
+      if (terminator) {
+        return { steps, index: i, terminator };
+      }
+      if (lines[i].toUpperCase().startsWith(this.keywords.WITH)) {
+        // Parse database configuration
+        workflow.dbConfig = this._parseDbConfig(lines[i]);
+        i++;
+        continue;
+      }
+      const step = this._parseStep(lines, i, workflow, inParallel);
+      steps.push(step.node);
+      i = step.index;
+    }
+
+    if (terminators.length > 0) {
+      throw new Error(`Missing ${terminators[terminators.length - 1]} in workflow ${workflow.name}`);
+    }
+    return { steps, index: i, terminator: null };
+  }
+
+  /**
+   * The keyword of `keywords` a line starts with, or null.
+   */
+  _matchKeyword(line, keywords) {
+    const normalized = line.toUpperCase().replace(/\s+/g, ' ');
+    return keywords.find((keyword) => normalized === keyword || normalized.startsWith(`${keyword} `)) || null;
+  }
+
+  /**
+   * Parse the step starting at line `i`.
+   * @returns {{node: Object, index: number}} index is the line after the step.
+   */
+  _parseStep(lines, i, workflow, inParallel) {
+    const line = lines[i];
+    const keyword = this._matchKeyword(line, [this.keywords.IF, this.keywords.PARALLEL, this.keywords.FOREACH, this.keywords.WAIT]);
+
+    switch (keyword) {
+      case this.keywords.IF:
+        return this._parseIfBlock(lines, i, workflow, inParallel);
+      case this.keywords.PARALLEL:
+        return this._parseParallelBlock(lines, i, workflow);
+      case this.keywords.FOREACH:
+        return this._parseForeachBlock(lines, i, workflow, inParallel);
+      case this.keywords.WAIT:
+        if (inParallel) {
+          throw new Error(`WAIT is not allowed inside PARALLEL: ${line}`);
+        }
+        return { node: this._parseWaitLine(line), index: i + 1 };
+      default: {
+        // An action line may name its step for later steps: `charge amount:10 AS payment`
+        const named = line.match(/^(.*\S)\s+AS\s+([A-Za-z_]\w*)$/);
+        const node = this._parseActionLine(named ? named[1] : line);
+        const action = node.action || node.type;
+        const stepName = named ? named[2] : action !== 'update' ? action : null;
+        if (stepName) node.stepName = stepName;
+        return { node, index: i + 1 };
+      }
+    }
+  }
+
+  _parseConditionLine(line, pattern) {
+    const match = line.match(pattern);
+    if (!match) {
+      throw new Error(`Invalid IF syntax: ${line}`);
+    }
+    return this.conditionParser._parseConditionString(match[1]);
+  }
+
+  _parseIfBlock(lines, i, workflow, inParallel) {
+    const node = { control: 'if', branches: [], else: [] };
+    let conditions = this._parseConditionLine(lines[i], /^IF\s+(.+?)\s+THEN$/i);
+    const terminators = [this.keywords.ELSE_IF, this.keywords.ELSE, this.keywords.END_IF];
+
+    for (let index = i + 1; ;) {
+      const block = this._parseBlock(lines, index, terminators, workflow, inParallel);
+      node.branches.push({ conditions, steps: block.steps });
+
+      if (block.terminator === this.keywords.ELSE_IF) {
+        conditions = this._parseConditionLine(lines[block.index], /^ELSE\s+IF\s+(.+?)\s+THEN$/i);
+        index = block.index + 1;
+      } else if (block.terminator === this.keywords.ELSE) {
+        const otherwise = this._parseBlock(lines, block.index + 1, [this.keywords.END_IF], workflow, inParallel);
+        node.else = otherwise.steps;
+        return { node, index: otherwise.index + 1 };
       } else {
-        // Parse individual actions
-        const action = this._parseActionLine(line);
-        workflow.actions.push(action);
+        return { node, index: block.index + 1 };
       }
     }
+  }
 
-    return workflow;
+  _parseParallelBlock(lines, i, workflow) {
+    const node = { control: 'parallel', branches: [] };
+    let index = i + 1;
+
+    for (;;) {
+      if (index >= lines.length) {
+        throw new Error(`Missing ${this.keywords.END_PARALLEL} in workflow ${workflow.name}`);
+      }
+      if (this._matchKeyword(lines[index], [this.keywords.END_PARALLEL])) {
+        return { node, index: index + 1 };
+      }
+      if (this._matchKeyword(lines[index], [this.keywords.BRANCH])) {
+        // Several steps running one after the other, concurrently with the other branches
+        const block = this._parseBlock(lines, index + 1, [this.keywords.END_BRANCH], workflow, true);
+        node.branches.push(block.steps);
+        index = block.index + 1;
+      } else {
+        const step = this._parseStep(lines, index, workflow, true);
+        node.branches.push([step.node]);
+        index = step.index;
+      }
+    }
+  }
+
+  _parseForeachBlock(lines, i, workflow, inParallel) {
+    const match = lines[i].match(/^FOREACH\s+([A-Za-z_]\w*)\s+IN\s+(.+)$/i);
+    if (!match) {
+      throw new Error(`Invalid FOREACH syntax: ${lines[i]}`);
+    }
+    const [, variable, source] = match;
+    compile(source); // Report invalid list expressions when loading
+    const block = this._parseBlock(lines, i + 1, [this.keywords.END_FOREACH], workflow, inParallel);
+    return { node: { control: 'foreach', variable, source, steps: block.steps }, index: block.index + 1 };
+  }
+
+  /**
+   * Parse `WAIT 2h` (ms, s, m, h or d) or `WAIT UNTIL <event> [AS <name>]`.
+   */
+  _parseWaitLine(line) {
+    const event = line.match(/^WAIT\s+UNTIL\s+([\w.:-]+)(?:\s+AS\s+([A-Za-z_]\w*))?$/i);
+    if (event) {
+      return { control: 'wait', event: event[1], stepName: event[2] || event[1] };
+    }
+    const delay = line.match(/^WAIT\s+(\d+)\s*(ms|s|m|h|d)$/i);
+    if (!delay) {
+      throw new Error(`Invalid WAIT syntax: ${line}`);
+    }
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return { control: 'wait', durationMs: parseInt(delay[1], 10) * units[delay[2].toLowerCase()] };
   }
 
   /**
@@ -201,8 +364,45 @@ class WorkflowDSLParser {
 }
 
 
+/**
+ * Runtime settings of workflow runs, from the environment.
+ */
+function runSettings() {
+    const number = (name, fallback) => {
+        const value = parseInt(process.env[name], 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        maxAttempts: Math.max(number('WORKFLOW_STEP_MAX_ATTEMPTS', 3), 1),
+        backoffMs: number('WORKFLOW_STEP_BACKOFF_MS', 1000),
+        maxBackoffMs: number('WORKFLOW_STEP_MAX_BACKOFF_MS', 60000),
+        heartbeatMs: Math.max(number('WORKFLOW_HEARTBEAT_MS', 15000), 100),
+        staleAfterMs: number('WORKFLOW_STALE_AFTER_MS', 120000),
+        pollMs: Math.max(number('WORKFLOW_POLL_INTERVAL_MS', 30000), 100),
+        resumeInterrupted: process.env.WORKFLOW_RESUME_INTERRUPTED !== 'false',
+    };
+}
+
+/**
+ * Thrown by a WAIT step to unwind the steps of a run that waits for a delay or an event.
+ */
+class WorkflowSuspended extends Error {
+    constructor({ wakeAt = null, event = null }) {
+        super(event ? `Waiting for ${event}` : `Waiting until ${wakeAt.toISOString()}`);
+        this.name = 'WorkflowSuspended';
+        this.wakeAt = wakeAt;
+        this.event = event;
+    }
+}
+
 class WorkflowEngine {
-    constructor(parser, globalContext) {
+    /**
+     * @param {*} parser - Unused, kept for compatibility; the engine uses WorkflowDSLParser.
+     * @param {Object} globalContext - Context holding the registered actions.
+     * @param {Object} [options]
+     * @param {WorkflowRunStore} [options.runStore] - Persistence of runs; defaults to the process store.
+     */
+    constructor(parser, globalContext, options = {}) {
         this.parser = new WorkflowDSLParser(globalContext);
         this.globalContext = globalContext;
         this.workflows = {};
@@ -210,6 +410,17 @@ class WorkflowEngine {
             dbType: 'mysql',
             dbConnection: 'MYSQL_1'
         };
+        this.runStore = options.runStore || null;
+        // Runs executing in this process: id -> { cancelled, wake }
+        this.activeRuns = new Map();
+        this.timers = [];
+    }
+
+    store() {
+        if (!this.runStore) {
+            this.runStore = getWorkflowRunStore();
+        }
+        return this.runStore;
     }
 
     loadWorkflows(dslText) {
@@ -247,40 +458,543 @@ class WorkflowEngine {
     }
 
     /**
-     * Execute a workflow
+     * Execute a workflow as a new persisted run.
+     * Resolves with { success, runId, status, output } when the run completes, is cancelled
+     * or waits on a WAIT step (status `waiting`); rejects when a step fails after its retries
+     * (the error carries `runId`).
+     * @param {string} name - Workflow name.
+     * @param {Object} [data] - Input of the run.
+     * @param {Object} [context] - Extra context passed to the actions.
+     * @param {Object} [options]
+     * @param {number} [options.scheduleId] - workflow_schedules row that started the run.
+     * @param {string} [options.parentRunId] - Run this one re-runs.
      */
-    async executeWorkflow(name, data = {}, context = {}) {
+    async executeWorkflow(name, data = {}, context = {}, options = {}) {
+        const { done } = await this._start(name, data, context, options);
+        return done;
+    }
+
+    /**
+     * Starts a workflow run without waiting for it; resolves with the run once it is recorded.
+     * Same parameters as executeWorkflow().
+     */
+    async startWorkflow(name, data = {}, context = {}, options = {}) {
+        const { run, done } = await this._start(name, data, context, options);
+        done.catch((error) => console.error(`Workflow ${name} run ${run.id} failed:`, error.message));
+        return run;
+    }
+
+    async _start(name, data, context, options) {
         const workflow = this.workflows[name];
-        if (!workflow) throw new Error(`Workflow ${name} not found.`);
-
-        // Create a new worker thread to execute the workflow
-        return new Promise((resolve, reject) => {
-            const worker = new Worker(path.join(__dirname, 'workflow_worker.js'), {
-                workerData: {
-                    workflow,
-                    data,
-                    context: {
-                        ...context,
-                        actions: this.globalContext.actions
-                    }
-                }
-            });
+        if (!workflow) throw new WorkflowError(`Workflow ${name} not found.`, 404);
+
+        const run = await this.store().createRun({
+            workflow: name,
+            input: data,
+            scheduleId: options.scheduleId,
+            parentRunId: options.parentRunId,
+        });
+        return { run, done: this._runSteps({ ...run, steps: [] }, workflow, context) };
+    }
 
-            worker.on('message', (result) => {
-                if (result.success) {
-                    resolve(result);
-                } else {
-                    reject(new Error(result.error));
+    /**
+     * Runs the steps of a run that have not completed yet, from the data saved after the
+     * last completed step. Outputs of completed steps, the branches IF blocks took and the
+     * lists FOREACH blocks iterate are read back from the step history.
+     * A WAIT step suspends the run: it is saved as `waiting` and the promise resolves.
+     * @param {Object} run - Run with its steps.
+     * @param {Object} workflow - Parsed workflow.
+     * @param {Object} [context] - Extra context passed to the actions.
+     * @param {Object} [signal] - Event the run is resumed for: { event, payload }.
+     */
+    async _runSteps(run, workflow, context = {}, signal = null) {
+        const settings = runSettings();
+        const store = this.store();
+        const active = { cancelled: false, wake: null };
+        this.activeRuns.set(run.id, active);
+
+        // The heartbeat tells other nodes the run is alive, and notices a cancellation from any node
+        const beat = async () => {
+            if (!(await store.heartbeat(run.id))) {
+                active.cancelled = true;
+                if (active.wake) active.wake();
+            }
+        };
+        const heartbeat = setInterval(() => {
+            beat().catch((error) => consolelog.log(`Heartbeat of workflow run ${run.id} failed:`, error.message));
+        }, settings.heartbeatMs);
+        if (heartbeat.unref) heartbeat.unref();
+
+        const state = run.state || run.input || {};
+        const execution = {
+            run,
+            state,
+            active,
+            settings,
+            beat,
+            signal,
+            previous: new Map((run.steps || []).map((step) => [step.key, step])),
+            context: { ...context, runId: run.id, workflow: workflow.name },
+        };
+        const cancelled = { success: false, runId: run.id, status: RUN_STATUS.CANCELLED, message: `Workflow ${workflow.name} was cancelled` };
+
+        try {
+            await this._runBlock(workflow.actions, '', { data: state, steps: {} }, execution);
+
+            await store.updateRun(run.id, { status: RUN_STATUS.COMPLETED, output: state, finishedAt: new Date() }, RUN_STATUS.RUNNING);
+            consolelog.log(`Workflow ${workflow.name} run ${run.id} completed`);
+            return { success: true, runId: run.id, status: RUN_STATUS.COMPLETED, output: state, message: `Workflow ${workflow.name} completed successfully` };
+        } catch (error) {
+            if (active.cancelled) {
+                return cancelled;
+            }
+            if (error instanceof WorkflowSuspended) {
+                const waiting = await store.updateRun(
+                    run.id,
+                    { status: RUN_STATUS.WAITING, state, wakeAt: error.wakeAt, waitEvent: error.event, heartbeatAt: new Date() },
+                    RUN_STATUS.RUNNING
+                );
+                if (!waiting) return cancelled;
+                consolelog.log(`Workflow ${workflow.name} run ${run.id} is waiting ${error.event ? `for ${error.event}` : `until ${error.wakeAt.toISOString()}`}`);
+                return { success: true, runId: run.id, status: RUN_STATUS.WAITING, message: `Workflow ${workflow.name} is waiting` };
+            }
+            await store.updateRun(run.id, { status: RUN_STATUS.FAILED, error: error.message, finishedAt: new Date() }, RUN_STATUS.RUNNING);
+            error.runId = run.id;
+            throw error;
+        } finally {
+            clearInterval(heartbeat);
+            this.activeRuns.delete(run.id);
+        }
+    }
+
+    /**
+     * Runs a list of steps in order. Step keys are positions: `2` at the top level,
+     * `2.0.1` inside a block (`<block>.<branch or iteration>.<position>`).
+     * @param {Array} steps - Parsed steps.
+     * @param {string} prefix - Key of the enclosing branch or iteration, '' at the top level.
+     * @param {Object} locals - Variables of the steps: data, steps and FOREACH items.
+     * @param {Object} execution - State of the run, see _runSteps().
+     */
+    async _runBlock(steps, prefix, locals, execution) {
+        for (const [index, node] of steps.entries()) {
+            const key = prefix ? `${prefix}.${index}` : String(index);
+            switch (node.control) {
+                case 'if':
+                    await this._runIf(node, key, locals, execution);
+                    break;
+                case 'parallel':
+                    await this._runParallel(node, key, locals, execution);
+                    break;
+                case 'foreach':
+                    await this._runForeach(node, key, locals, execution);
+                    break;
+                case 'wait':
+                    await this._runWait(node, key, locals, execution);
+                    break;
+                default:
+                    await this._runAction(node, key, locals, execution);
+            }
+        }
+    }
+
+    /**
+     * Records a completed control step (IF branch, FOREACH list, WAIT).
+     */
+    _saveControlStep(key, action, output, execution, startedAt = new Date()) {
+        return this.store().saveStep(execution.run.id, {
+            key,
+            action,
+            status: 'completed',
+            output,
+            attempts: 1,
+            startedAt,
+            finishedAt: new Date(),
+        });
+    }
+
+    _completedStep(key, execution) {
+        const step = execution.previous.get(key);
+        return step && step.status === 'completed' ? step : null;
+    }
+
+    async _runAction(node, key, locals, execution) {
+        const completed = this._completedStep(key, execution);
+        if (completed) {
+            if (node.stepName) locals.steps[node.stepName] = { result: completed.output };
+            return;
+        }
+
+        await execution.beat();
+        if (execution.active.cancelled) {
+            throw new Error('Workflow run was cancelled');
+        }
+        const previous = execution.previous.get(key);
+        const output = await this._runStep(key, node, locals, execution, previous ? previous.attempts : 0);
+        if (node.stepName) locals.steps[node.stepName] = { result: output };
+        await this.store().updateRun(execution.run.id, { state: execution.state, heartbeatAt: new Date() }, RUN_STATUS.RUNNING);
+    }
+
+    /**
+     * Runs the steps of the first branch whose conditions hold. The branch taken is
+     * recorded, so a resumed run continues in the same branch.
+     */
+    async _runIf(node, key, locals, execution) {
+        const completed = this._completedStep(key, execution);
+        let branch = completed ? completed.output.branch : null;
+        if (!completed) {
+            const record = { ...execution.state, ...locals };
+            const index = node.branches.findIndex((candidate) => RuleEngine.evaluateConditions(candidate.conditions, record));
+            branch = index === -1 ? 'else' : index;
+            await this._saveControlStep(key, 'if', { branch }, execution);
+        }
+        const steps = branch === 'else' ? node.else : node.branches[branch].steps;
+        await this._runBlock(steps, `${key}.${branch}`, locals, execution);
+    }
+
+    /**
+     * Runs the branches concurrently and continues once all of them finished (join).
+     * The block fails when a branch fails, after the other branches finished.
+     */
+    async _runParallel(node, key, locals, execution) {
+        const results = await Promise.allSettled(
+            node.branches.map((steps, index) => this._runBlock(steps, `${key}.${index}`, locals, execution))
+        );
+        const failed = results.find((result) => result.status === 'rejected');
+        if (failed) {
+            throw failed.reason;
+        }
+    }
+
+    /**
+     * Runs the steps once per item of the list, in order. The list is recorded when the
+     * loop starts, so a resumed run iterates the same items.
+     */
+    async _runForeach(node, key, locals, execution) {
+        const completed = this._completedStep(key, execution);
+        let items = completed ? completed.output || [] : null;
+        if (!completed) {
+            const value = await evaluate(compile(node.source), [locals, execution.state]);
+            if (value !== null && value !== undefined && !Array.isArray(value)) {
+                throw new Error(`FOREACH ${node.variable} IN ${node.source}: ${node.source} is not a list`);
+            }
+            items = value || [];
+            await this._saveControlStep(key, 'foreach', items, execution);
+        }
+        for (const [index, item] of items.entries()) {
+            await this._runBlock(node.steps, `${key}.${index}`, { ...locals, [node.variable]: item }, execution);
+        }
+    }
+
+    /**
+     * Suspends the run until the delay is over or the event is signalled. The step stays
+     * `waiting` meanwhile; the payload of the event is the output of the step.
+     */
+    async _runWait(node, key, locals, execution) {
+        const completed = this._completedStep(key, execution);
+        if (completed) {
+            if (node.stepName) locals.steps[node.stepName] = { result: completed.output };
+            return;
+        }
+
+        const now = new Date();
+        const previous = execution.previous.get(key);
+        if (previous && previous.status === 'waiting') {
+            if (node.event && execution.signal && execution.signal.event === node.event) {
+                const payload = execution.signal.payload === undefined ? null : execution.signal.payload;
+                execution.signal = null;
+                await this._saveControlStep(key, 'wait', payload, execution, previous.startedAt);
+                if (node.stepName) locals.steps[node.stepName] = { result: payload };
+                return;
+            }
+            if (!node.event && new Date(previous.output.wakeAt) <= now) {
+                await this._saveControlStep(key, 'wait', previous.output, execution, previous.startedAt);
+                return;
+            }
+            throw new WorkflowSuspended(node.event ? { event: node.event } : { wakeAt: new Date(previous.output.wakeAt) });
+        }
+
+        const wait = node.event ? { event: node.event } : { wakeAt: new Date(now.getTime() + node.durationMs) };
+        await this.store().saveStep(execution.run.id, { key, action: 'wait', status: 'waiting', input: node, output: wait, attempts: 1, startedAt: now });
+        throw new WorkflowSuspended(wait);
+    }
+
+    /**
+     * Runs one action step, retrying it with exponential backoff. Every attempt is recorded.
+     * An action may set its own `retry:<attempts>` and `backoff:<ms>`.
+     */
+    async _runStep(key, action, locals, execution, previousAttempts = 0) {
+        const { run, state, active, settings } = execution;
+        const store = this.store();
+        const maxAttempts = Math.max(parseInt(action.retry, 10) || settings.maxAttempts, 1);
+        const backoffMs = action.backoff !== undefined ? parseInt(action.backoff, 10) || 0 : settings.backoffMs;
+        const step = {
+            key,
+            action: action.action || action.type,
+            input: action,
+            attempts: previousAttempts,
+            startedAt: new Date(),
+        };
+
+        for (let attempt = 1; ; attempt++) {
+            step.attempts += 1;
+            step.status = 'running';
+            step.error = null;
+            try {
+                // ${...} placeholders see the data, outputs of earlier steps and FOREACH items
+                const resolved = step.action === 'update' ? action : this._resolvePlaceholders(action, [locals, state]);
+                step.input = resolved;
+                await store.saveStep(run.id, step);
+                step.output = await this._executeAction(resolved, state, execution.context, locals);
+                step.status = 'completed';
+                step.finishedAt = new Date();
+                await store.saveStep(run.id, step);
+                return step.output;
+            } catch (error) {
+                step.error = error.message;
+                const retry = attempt < maxAttempts && !active.cancelled;
+                step.status = retry ? 'retrying' : 'failed';
+                step.finishedAt = retry ? null : new Date();
+                await store.saveStep(run.id, step);
+                if (!retry) {
+                    throw new Error(`Step ${key} (${step.action}) failed after ${attempt} attempt(s): ${error.message}`);
                 }
-            });
+                const delay = Math.min(backoffMs * 2 ** (attempt - 1), settings.maxBackoffMs);
+                consolelog.log(`Workflow run ${run.id} step ${key} failed, retrying in ${delay} ms:`, error.message);
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, delay);
+                    active.wake = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                active.wake = null;
+                if (active.cancelled) {
+                    throw new Error('Workflow run was cancelled');
+                }
+            }
+        }
+    }
+
+    /**
+     * Replaces ${...} placeholders in the string values of an action.
+     */
+    _resolvePlaceholders(value, scopes) {
+        if (typeof value === 'string') {
+            return value.includes('${') ? evaluate(compileTemplate(value), scopes) : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => this._resolvePlaceholders(item, scopes));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this._resolvePlaceholders(item, scopes)]));
+        }
+        return value;
+    }
+
+    /**
+     * Executes one action against the data of the run. `update` evaluates its expression
+     * in the rule expression sandbox; other actions are looked up in globalContext.actions
+     * and called with (context, action). Returns the output recorded for the step.
+     */
+    async _executeAction(action, state, context, locals = { data: state, steps: {} }) {
+        const name = action.action || action.type;
+        if (name === 'update') {
+            const value = await evaluate(compileValue(action.expression), [locals, state]);
+            state[action.field] = value;
+            return value;
+        }
+        const handler = (this.globalContext.actions || {})[name];
+        if (typeof handler !== 'function') {
+            throw new Error(`Unknown action: ${name}`);
+        }
+        const result = await handler({ ...context, data: state, steps: locals.steps, actions: this.globalContext.actions }, action);
+        return result === undefined ? null : result;
+    }
 
-            worker.on('error', reject);
-            worker.on('exit', (code) => {
-                if (code !== 0) {
-                    reject(new Error(`Worker stopped with exit code ${code}`));
+    /**
+     * Cancels a running, waiting or interrupted run. A running step finishes; no further step starts.
+     * @returns {Promise<boolean>} false when the run is not running, waiting or interrupted.
+     */
+    async cancelRun(id) {
+        const cancelled = await this.store().updateRun(
+            id,
+            { status: RUN_STATUS.CANCELLED, finishedAt: new Date() },
+            [RUN_STATUS.RUNNING, RUN_STATUS.WAITING, RUN_STATUS.INTERRUPTED]
+        );
+        const active = this.activeRuns.get(id);
+        if (cancelled && active) {
+            active.cancelled = true;
+            if (active.wake) active.wake();
+        }
+        return cancelled;
+    }
+
+    /**
+     * Continues a claimed run and updates the schedule that started it, if any, once the
+     * run finished (not while it waits).
+     */
+    _continueRun(run, workflow, context, signal = null) {
+        return this._runSteps({ ...run, status: RUN_STATUS.RUNNING }, workflow, context, signal).then(
+            async (result) => {
+                if (result.status !== RUN_STATUS.WAITING) {
+                    await this._finishSchedule(run.scheduleId, result.status === RUN_STATUS.COMPLETED);
                 }
-            });
-        });
+                return result;
+            },
+            async (error) => {
+                await this._finishSchedule(run.scheduleId, false);
+                throw error;
+            }
+        );
+    }
+
+    /**
+     * Continues a failed or interrupted run from its last completed step. A step that was
+     * running when the run stopped is executed again. The schedule that started the run,
+     * if any, is updated with the outcome.
+     * @param {string} id - Run id.
+     * @param {Object} [context] - Extra context passed to the actions.
+     * @param {Object} [options]
+     * @param {boolean} [options.wait=true] - Wait for the run to finish; otherwise resolve with the run once resumed.
+     */
+    async resumeRun(id, context = {}, { wait = true } = {}) {
+        const run = await this.store().getRun(id);
+        if (!run) throw new WorkflowError(`Workflow run ${id} not found`, 404);
+        if (![RUN_STATUS.FAILED, RUN_STATUS.INTERRUPTED].includes(run.status)) {
+            throw new WorkflowError(`Workflow run ${id} is ${run.status}; only failed or interrupted runs can be resumed`, 409);
+        }
+        const workflow = this.workflows[run.workflow];
+        if (!workflow) throw new WorkflowError(`Workflow ${run.workflow} not found.`, 404);
+        if (!(await this.store().claimRun(id, run.status))) {
+            throw new WorkflowError(`Workflow run ${id} was resumed by another process`, 409);
+        }
+
+        consolelog.log(`Resuming workflow ${run.workflow} run ${id}`);
+        const done = this._continueRun(run, workflow, context);
+        if (wait) {
+            return done;
+        }
+        done.catch((error) => console.error(`Workflow ${run.workflow} run ${id} failed:`, error.message));
+        return { ...run, status: RUN_STATUS.RUNNING };
+    }
+
+    /**
+     * Wakes a waiting run up in the background, for an elapsed WAIT or a signalled event.
+     * @returns {Promise<boolean>} false when another process took the run first.
+     */
+    async _wakeRun(id, signal = null) {
+        const store = this.store();
+        const run = await store.getRun(id);
+        if (!run || run.status !== RUN_STATUS.WAITING) return false;
+        const workflow = this.workflows[run.workflow];
+        if (!workflow) {
+            await store.updateRun(id, { status: RUN_STATUS.FAILED, error: `Workflow ${run.workflow} not found.`, finishedAt: new Date() }, RUN_STATUS.WAITING);
+            return false;
+        }
+        if (!(await store.claimRun(id, RUN_STATUS.WAITING))) return false;
+
+        this._continueRun(run, workflow, {}, signal).catch((error) => console.error(`Workflow ${run.workflow} run ${id} failed:`, error.message));
+        return true;
+    }
+
+    /**
+     * Resumes the runs waiting for an event (WAIT UNTIL <event>); the payload becomes the
+     * output of their WAIT step.
+     * @param {string} event - Event name.
+     * @param {*} [payload] - Data of the event.
+     * @returns {Promise<Array<string>>} Ids of the resumed runs.
+     */
+    async signalEvent(event, payload = null) {
+        const waiting = await this.store().findWaitingRuns(event);
+        const resumed = [];
+        for (const run of waiting) {
+            if (await this._wakeRun(run.id, { event, payload })) {
+                resumed.push(run.id);
+            }
+        }
+        return resumed;
+    }
+
+    /**
+     * Resumes waiting runs whose WAIT delay is over.
+     * @returns {Promise<Array<string>>} Ids of the resumed runs.
+     */
+    async resumeDueRuns() {
+        const due = await this.store().findDueRuns(new Date());
+        const resumed = [];
+        for (const run of due) {
+            if (await this._wakeRun(run.id)) {
+                resumed.push(run.id);
+            }
+        }
+        return resumed;
+    }
+
+    /**
+     * Starts a new run of the workflow of a previous run, with the same input.
+     * Same options as resumeRun().
+     */
+    async rerun(id, context = {}, { wait = true } = {}) {
+        const run = await this.store().getRun(id);
+        if (!run) throw new WorkflowError(`Workflow run ${id} not found`, 404);
+        const options = { parentRunId: id };
+        return wait
+            ? this.executeWorkflow(run.workflow, run.input || {}, context, options)
+            : this.startWorkflow(run.workflow, run.input || {}, context, options);
+    }
+
+    listRuns(filters) {
+        return this.store().listRuns(filters);
+    }
+
+    getRun(id) {
+        return this.store().getRun(id);
+    }
+
+    /**
+     * Marks runs whose node stopped sending heartbeats as interrupted and, unless
+     * WORKFLOW_RESUME_INTERRUPTED=false, resumes them on this node in the background.
+     * @returns {Promise<Array<string>>} Ids of the interrupted runs.
+     */
+    async recoverStaleRuns() {
+        const settings = runSettings();
+        const store = this.store();
+        const before = new Date(Date.now() - settings.staleAfterMs);
+        const stale = await store.findStaleRuns(before);
+        const interrupted = [];
+
+        for (const run of stale) {
+            if (this.activeRuns.has(run.id)) continue;
+            if (!(await store.markInterrupted(run.id, before))) continue;
+            interrupted.push(run.id);
+            consolelog.log(`Workflow ${run.workflow} run ${run.id} of ${run.nodeId} stopped sending heartbeats`);
+
+            if (!settings.resumeInterrupted) continue;
+            this.resumeRun(run.id, {}, { wait: false }).catch((error) => console.error(`Error resuming workflow run ${run.id}:`, error.message));
+        }
+        return interrupted;
+    }
+
+    /**
+     * Recovers stale runs now, then polls due schedules, stale runs and waiting runs whose
+     * WAIT delay is over.
+     */
+    start() {
+        const settings = runSettings();
+        const poll = () => {
+            this.recoverStaleRuns().catch((error) => console.error('Error recovering workflow runs:', error.message));
+            this.resumeDueRuns().catch((error) => console.error('Error resuming waiting workflow runs:', error.message));
+            this.processPendingWorkflows().catch((error) => console.error('Error processing workflow schedules:', error.message));
+        };
+        poll();
+        const timer = setInterval(poll, settings.pollMs);
+        if (timer.unref) timer.unref();
+        this.timers.push(timer);
+    }
+
+    stop() {
+        this.timers.forEach((timer) => clearInterval(timer));
+        this.timers = [];
     }
 
     /**
@@ -302,38 +1016,62 @@ class WorkflowEngine {
                 );
 
                 // Execute the workflow
-                await this.executeWorkflow(
+                const result = await this.executeWorkflow(
                     workflow.workflow_name,
-                    JSON.parse(workflow.data || '{}')
+                    JSON.parse(workflow.data || '{}'),
+                    {},
+                    { scheduleId: workflow.id }
                 );
 
-                // Update status based on schedule type
-                if (workflow.schedule_type === 'once') {
-                    await db.update(this.dbConfig, 'workflow_schedules',
-                        { id: workflow.id },
-                        { status: 'completed' }
-                    );
-                } else {
-                    // For recurring workflows, calculate next run time based on cron expression
-                    const nextRun = this._calculateNextRun(workflow.cron_expression);
-                    await db.update(this.dbConfig, 'workflow_schedules',
-                        { id: workflow.id },
-                        { 
-                            status: 'pending',
-                            next_run: nextRun
-                        }
-                    );
+                // A waiting run updates its schedule when it finishes
+                if (result.status !== RUN_STATUS.WAITING) {
+                    await this._finishSchedule(workflow, result.status === RUN_STATUS.COMPLETED);
                 }
             } catch (error) {
                 console.error(`Error executing workflow ${workflow.workflow_name}:`, error);
-                await db.update(this.dbConfig, 'workflow_schedules',
-                    { id: workflow.id },
-                    { status: 'failed' }
-                );
+                await this._finishSchedule(workflow, false);
             }
         }
     }
 
+    /**
+     * Sets the status of a schedule after its run: completed for one-time schedules,
+     * pending with the next run time for recurring ones, failed when the run failed.
+     * @param {Object|number|null} workflow - Schedule row, or its id.
+     * @param {boolean} success
+     */
+    async _finishSchedule(workflow, success) {
+        if (workflow === null || workflow === undefined) return;
+        if (typeof workflow !== 'object') {
+            const rows = await db.read(this.dbConfig, 'workflow_schedules', { id: workflow });
+            workflow = Array.isArray(rows) ? rows[0] : null;
+            if (!workflow) return;
+        }
+
+        if (!success) {
+            await db.update(this.dbConfig, 'workflow_schedules',
+                { id: workflow.id },
+                { status: 'failed' }
+            );
+        } else if (workflow.schedule_type === 'once') {
+            // Update status based on schedule type
+            await db.update(this.dbConfig, 'workflow_schedules',
+                { id: workflow.id },
+                { status: 'completed' }
+            );
+        } else {
+            // For recurring workflows, calculate next run time based on cron expression
+            const nextRun = this._calculateNextRun(workflow.cron_expression);
+            await db.update(this.dbConfig, 'workflow_schedules',
+                { id: workflow.id },
+                { 
+                    status: 'pending',
+                    next_run: nextRun
+                }
+            );
+        }
+    }
+
     /**
      * Calculate next run time based on cron expression
      */
@@ -346,7 +1084,10 @@ class WorkflowEngine {
         }
 
         try {
-            return cron.schedule(cronExpression).nextDate().toDate();
+            const job = schedule.scheduleJob(cronExpression, () => {});
+            const nextRun = job.nextInvocation();
+            job.cancel();
+            return new Date(nextRun.getTime());
         } catch (error) {
             console.error('Error parsing cron expression:', error);
             // Fallback to 24 hours
@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const os = require('os');
+const { getDbConnection, affectedRowCount } = require('./db');
+
+// Statuses of a run. A run is `interrupted` when its node stopped sending heartbeats, and
+// `waiting` while suspended on a WAIT step until `wake_at` or its `wait_event` is signalled.
+const RUN_STATUS = {
+    RUNNING: 'running',
+    WAITING: 'waiting',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    INTERRUPTED: 'interrupted',
+};
+
+class WorkflowError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.statusCode = statusCode;
+    }
+}
+
+function toJson(value) {
+    return value === undefined ? null : JSON.stringify(value);
+}
+
+function fromJson(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Identifies the server process owning a run, for stale-run recovery across nodes.
+ */
+function nodeId() {
+    return process.env.SERVER_ID || `${os.hostname()}:${process.pid}`;
+}
+
+/**
+ * Persisted workflow runs and their step history, in the `workflow_runs` and
+ * `workflow_run_steps` tables (WORKFLOW_RUNS_TABLE, WORKFLOW_RUN_STEPS_TABLE).
+ *
+ * A run keeps the workflow input, the current data (`state`) after each completed step,
+ * its status and a heartbeat of the node executing it. A step row keeps the action, its
+ * output or error and the number of attempts; its key is the position of the action.
+ *
+ * The tables and upserts are written for MySQL, or PostgreSQL when `dbType` is postgres.
+ */
+class WorkflowRunStore {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getConnection - Resolves to a connection with execute(sql, params).
+     * @param {string} [options.dbType='mysql'] - Database of the connection (mysql or postgres).
+     * @param {string} [options.runsTable='workflow_runs']
+     * @param {string} [options.stepsTable='workflow_run_steps']
+     */
+    constructor({ getConnection, dbType = 'mysql', runsTable = 'workflow_runs', stepsTable = 'workflow_run_steps' }) {
+        this.getConnection = getConnection;
+        this.postgres = ['postgres', 'postgresql'].includes(String(dbType || '').toLowerCase());
+        this.runsTable = runsTable;
+        this.stepsTable = stepsTable;
+        this.tablesReady = null;
+    }
+
+    static toRun(row) {
+        return {
+            id: row.id,
+            workflow: row.workflow_name,
+            status: row.status,
+            input: fromJson(row.input),
+            state: fromJson(row.state),
+            output: fromJson(row.output),
+            error: row.error || null,
+            scheduleId: row.schedule_id || null,
+            parentRunId: row.parent_run_id || null,
+            nodeId: row.node_id || null,
+            createdAt: row.created_at,
+            startedAt: row.started_at || null,
+            finishedAt: row.finished_at || null,
+            heartbeatAt: row.heartbeat_at || null,
+            wakeAt: row.wake_at || null,
+            waitEvent: row.wait_event || null,
+        };
+    }
+
+    static toStep(row) {
+        return {
+            key: row.step_key,
+            action: row.action,
+            status: row.status,
+            input: fromJson(row.input),
+            output: fromJson(row.output),
+            error: row.error || null,
+            attempts: Number(row.attempts) || 0,
+            startedAt: row.started_at || null,
+            finishedAt: row.finished_at || null,
+        };
+    }
+
+    async connection() {
+        const connection = await this.getConnection();
+        if (!connection) {
+            throw new WorkflowError('Database connection for workflow runs could not be established', 500);
+        }
+        return connection;
+    }
+
+    async ensureTables() {
+        if (!this.tablesReady) {
+            const text = this.postgres ? 'TEXT' : 'LONGTEXT';
+            const datetime = this.postgres ? 'TIMESTAMP' : 'DATETIME';
+            const indexes = [
+                `idx_${this.runsTable}_status (status, heartbeat_at)`,
+                `idx_${this.runsTable}_wait (status, wait_event)`,
+            ];
+            this.tablesReady = this.connection().then(async (connection) => {
+                await connection.execute(
+                    `CREATE TABLE IF NOT EXISTS ${this.runsTable} (
+                        id CHAR(36) PRIMARY KEY,
+                        workflow_name VARCHAR(255) NOT NULL,
+                        status VARCHAR(32) NOT NULL,
+                        input ${text},
+                        state ${text},
+                        output ${text},
+                        error TEXT,
+                        schedule_id BIGINT NULL,
+                        parent_run_id CHAR(36) NULL,
+                        node_id VARCHAR(255),
+                        created_at ${datetime} NOT NULL,
+                        started_at ${datetime} NULL,
+                        finished_at ${datetime} NULL,
+                        heartbeat_at ${datetime} NULL,
+                        wake_at ${datetime} NULL,
+                        wait_event VARCHAR(255) NULL${this.postgres ? '' : indexes.map((index) => `, INDEX ${index}`).join('')}
+                    )`
+                );
+                // PostgreSQL has no inline indexes
+                if (this.postgres) {
+                    for (const index of indexes) {
+                        await connection.execute(`CREATE INDEX IF NOT EXISTS ${index.replace(' (', ` ON ${this.runsTable} (`)}`);
+                    }
+                }
+                await connection.execute(
+                    `CREATE TABLE IF NOT EXISTS ${this.stepsTable} (
+                        run_id CHAR(36) NOT NULL,
+                        step_key VARCHAR(255) NOT NULL,
+                        action VARCHAR(255),
+                        status VARCHAR(32) NOT NULL,
+                        input ${text},
+                        output ${text},
+                        error TEXT,
+                        attempts INT NOT NULL DEFAULT 0,
+                        started_at ${datetime} NULL,
+                        finished_at ${datetime} NULL,
+                        PRIMARY KEY (run_id, step_key)
+                    )`
+                );
+            }).catch((error) => {
+                this.tablesReady = null;
+                throw error;
+            });
+        }
+        return this.tablesReady;
+    }
+
+    async execute(sql, params = []) {
+        await this.ensureTables();
+        const connection = await this.connection();
+        const [result] = await connection.execute(sql, params);
+        return result;
+    }
+
+    /**
+     * Records a new run, owned by this node.
+     * @param {Object} options
+     * @param {string} options.workflow - Workflow name.
+     * @param {Object} [options.input] - Data the run starts with.
+     * @param {number} [options.scheduleId] - workflow_schedules row that started the run.
+     * @param {string} [options.parentRunId] - Run this one re-runs.
+     */
+    async createRun({ workflow, input = {}, scheduleId = null, parentRunId = null }) {
+        const now = new Date();
+        const run = {
+            id: crypto.randomUUID(),
+            workflow_name: workflow,
+            status: RUN_STATUS.RUNNING,
+            input: toJson(input),
+            state: toJson(input),
+            schedule_id: scheduleId,
+            parent_run_id: parentRunId,
+            node_id: nodeId(),
+            created_at: now,
+            started_at: now,
+            heartbeat_at: now,
+        };
+        await this.execute(
+            `INSERT INTO ${this.runsTable} (id, workflow_name, status, input, state, schedule_id, parent_run_id, node_id, created_at, started_at, heartbeat_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [run.id, run.workflow_name, run.status, run.input, run.state, run.schedule_id, run.parent_run_id, run.node_id, run.created_at, run.started_at, run.heartbeat_at]
+        );
+        return WorkflowRunStore.toRun(run);
+    }
+
+    /**
+     * A run with its steps, or null.
+     */
+    async getRun(id) {
+        const rows = await this.execute(`SELECT * FROM ${this.runsTable} WHERE id = ?`, [id]);
+        if (!rows || rows.length === 0) return null;
+        const steps = await this.execute(`SELECT * FROM ${this.stepsTable} WHERE run_id = ?`, [id]);
+        return {
+            ...WorkflowRunStore.toRun(rows[0]),
+            steps: (steps || []).map(WorkflowRunStore.toStep).sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true })),
+        };
+    }
+
+    /**
+     * Most recent runs first.
+     * @param {Object} [filters]
+     * @param {string} [filters.workflow]
+     * @param {string} [filters.status]
+     * @param {number} [filters.limit=50]
+     */
+    async listRuns({ workflow, status, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (workflow) {
+            conditions.push('workflow_name = ?');
+            params.push(workflow);
+        }
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        const rows = await this.execute(
+            `SELECT * FROM ${this.runsTable}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY created_at DESC LIMIT ${max}`,
+            params
+        );
+        return (rows || []).map(WorkflowRunStore.toRun);
+    }
+
+    /**
+     * Updates columns of a run. With `expectedStatus`, only a run still in that status is
+     * updated; returns whether a row changed.
+     */
+    async updateRun(id, fields, expectedStatus = null) {
+        const columns = {
+            status: fields.status,
+            state: fields.state !== undefined ? toJson(fields.state) : undefined,
+            output: fields.output !== undefined ? toJson(fields.output) : undefined,
+            error: fields.error,
+            node_id: fields.nodeId,
+            started_at: fields.startedAt,
+            finished_at: fields.finishedAt,
+            heartbeat_at: fields.heartbeatAt,
+            wake_at: fields.wakeAt,
+            wait_event: fields.waitEvent,
+        };
+        const names = Object.keys(columns).filter((name) => columns[name] !== undefined);
+        if (names.length === 0) return false;
+        const params = names.map((name) => columns[name]);
+        params.push(id);
+        let sql = `UPDATE ${this.runsTable} SET ${names.map((name) => `${name} = ?`).join(', ')} WHERE id = ?`;
+        if (expectedStatus) {
+            const statuses = [].concat(expectedStatus);
+            sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
+        }
+        const result = await this.execute(sql, params);
+        return Boolean(affectedRowCount(result));
+    }
+
+    /**
+     * Takes over a run for this node, when it is still in one of `fromStatuses`.
+     * Only one node wins when several recover the same run.
+     */
+    claimRun(id, fromStatuses) {
+        const now = new Date();
+        return this.updateRun(id, { status: RUN_STATUS.RUNNING, nodeId: nodeId(), heartbeatAt: now, finishedAt: null, error: null }, fromStatuses);
+    }
+
+    heartbeat(id) {
+        return this.updateRun(id, { heartbeatAt: new Date() }, RUN_STATUS.RUNNING);
+    }
+
+    /**
+     * Records the state of a step (inserted on its first attempt).
+     * @param {string} runId
+     * @param {Object} step - { key, action, status, input, output, error, attempts, startedAt, finishedAt }
+     */
+    async saveStep(runId, step) {
+        const values = [
+            runId,
+            String(step.key),
+            step.action || null,
+            step.status,
+            toJson(step.input),
+            toJson(step.output),
+            step.error || null,
+            step.attempts || 0,
+            step.startedAt || null,
+            step.finishedAt || null,
+        ];
+        const updated = ['status', 'output', 'error', 'attempts', 'started_at', 'finished_at'];
+        const upsert = this.postgres
+            ? `ON CONFLICT (run_id, step_key) DO UPDATE SET ${updated.map((column) => `${column} = EXCLUDED.${column}`).join(', ')}`
+            : `ON DUPLICATE KEY UPDATE ${updated.map((column) => `${column} = VALUES(${column})`).join(', ')}`;
+        await this.execute(
+            `INSERT INTO ${this.stepsTable} (run_id, step_key, action, status, input, output, error, attempts, started_at, finished_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ${upsert}`,
+            values
+        );
+    }
+
+    /**
+     * Marks a running run as interrupted if its heartbeat is still older than `before`.
+     * @returns {Promise<boolean>} whether this call interrupted it
+     */
+    async markInterrupted(id, before) {
+        const result = await this.execute(
+            `UPDATE ${this.runsTable} SET status = ? WHERE id = ? AND status = ? AND (heartbeat_at IS NULL OR heartbeat_at < ?)`,
+            [RUN_STATUS.INTERRUPTED, id, RUN_STATUS.RUNNING, before]
+        );
+        return Boolean(affectedRowCount(result));
+    }
+
+    /**
+     * Running runs whose node has not sent a heartbeat since `before`.
+     */
+    async findStaleRuns(before) {
+        const rows = await this.execute(
+            `SELECT * FROM ${this.runsTable} WHERE status = ? AND (heartbeat_at IS NULL OR heartbeat_at < ?)`,
+            [RUN_STATUS.RUNNING, before]
+        );
+        return (rows || []).map(WorkflowRunStore.toRun);
+    }
+
+    /**
+     * Waiting runs whose WAIT step is over at `now`.
+     */
+    async findDueRuns(now) {
+        const rows = await this.execute(
+            `SELECT * FROM ${this.runsTable} WHERE status = ? AND wake_at IS NOT NULL AND wake_at <= ?`,
+            [RUN_STATUS.WAITING, now]
+        );
+        return (rows || []).map(WorkflowRunStore.toRun);
+    }
+
+    /**
+     * Runs waiting for an event (WAIT UNTIL <event>).
+     */
+    async findWaitingRuns(event) {
+        const rows = await this.execute(
+            `SELECT * FROM ${this.runsTable} WHERE status = ? AND wait_event = ?`,
+            [RUN_STATUS.WAITING, event]
+        );
+        return (rows || []).map(WorkflowRunStore.toRun);
+    }
+}
+
+let workflowRunStore;
+
+/**
+ * Workflow run store of the process, on the default database connection.
+ */
+function getWorkflowRunStore() {
+    if (!workflowRunStore) {
+        const dbConfig = {
+            dbType: process.env.DEFAULT_DBTYPE,
+            dbConnection: process.env.DEFAULT_DBCONNECTION || 'MYSQL_1',
+        };
+        workflowRunStore = new WorkflowRunStore({
+            getConnection: () => getDbConnection(dbConfig),
+            dbType: dbConfig.dbType,
+            runsTable: process.env.WORKFLOW_RUNS_TABLE || 'workflow_runs',
+            stepsTable: process.env.WORKFLOW_RUN_STEPS_TABLE || 'workflow_run_steps',
+        });
+    }
+    return workflowRunStore;
+}
+
+module.exports = {
+    RUN_STATUS,
+    WorkflowError,
+    WorkflowRunStore,
+    getWorkflowRunStore,
+    nodeId,
+};
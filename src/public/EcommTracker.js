@@ -10,6 +10,7 @@
  * - Query parameter forwarding
  * - Server-to-server (S2S) event relaying
  * - Cookie management for user identification
+ * - Consent categories (analytics, marketing) sent with every event
  * - Throttling and batching of events for performance
  */
 
@@ -31,6 +32,10 @@
     debug: false,
     automaticEvents: true,
     s2sEndpoint: null, // Disabled by default
+    // Consent categories granted by the visitor, e.g. ['analytics'] (null: not managed here,
+    // the server default applies). Usually set with EcommTracker.setConsent() by a consent banner.
+    consent: null,
+    requireConsent: false, // Hold events until setConsent() is called
     // New config options for auto-tracking
     autoTrackProductViews: true,
     autoTrackAddToCart: true,
@@ -56,6 +61,7 @@
   let state = {
     userId: null,
     sessionId: null,
+    consent: null,
     eventQueue: [],
     lastActivity: Date.now(),
     initialized: false,
@@ -86,6 +92,10 @@
       document.cookie = name + "=" + value + ";" + expires + ";path=/;SameSite=Lax";
     },
     
+    deleteCookie: function(name) {
+      document.cookie = name + "=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/;SameSite=Lax";
+    },
+    
     getCookie: function(name) {
       const nameEQ = name + "=";
       const ca = document.cookie.split(';');
@@ -281,6 +291,9 @@
         
         utils.log('Initializing with config', config);
         
+        // Consent given on a previous page, unless the site passes it
+        this.loadConsent();
+        
         // Initialize user identification
         this.identifyUser();
         
@@ -343,18 +356,52 @@
       // If no user ID exists, create one
       if (!userId) {
         userId = utils.generateId();
-        utils.setCookie(config.cookieName, userId, config.cookieExpiry);
       }
       
       // Generate a session ID if needed
       const sessionId = utils.getCookie(config.cookieName + '_session') || utils.generateId();
-      utils.setCookie(config.cookieName + '_session', sessionId, config.sessionTimeout / (24 * 60));
       
       state.userId = userId;
       state.sessionId = sessionId;
+      this.storeIdentity();
       utils.log('User identified', { userId, sessionId });
     },
     
+    // Visitor cookies are only set with analytics consent (or when consent is not managed)
+    canStoreIdentity: function() {
+      if (state.consent === null) return !config.requireConsent;
+      return state.consent.indexOf('analytics') !== -1;
+    },
+    
+    storeIdentity: function() {
+      if (this.canStoreIdentity()) {
+        utils.setCookie(config.cookieName, state.userId, config.cookieExpiry);
+        utils.setCookie(config.cookieName + '_session', state.sessionId, config.sessionTimeout / (24 * 60));
+      } else {
+        utils.deleteCookie(config.cookieName);
+        utils.deleteCookie(config.cookieName + '_session');
+      }
+    },
+    
+    loadConsent: function() {
+      if (Array.isArray(config.consent)) {
+        state.consent = config.consent.slice();
+        return;
+      }
+      const stored = utils.getCookie(config.cookieName + '_consent');
+      if (stored !== null) {
+        state.consent = stored === 'none' ? [] : stored.split('.');
+      }
+    },
+    
+    // Accepts ['analytics', 'marketing'] or { analytics: true, marketing: false }
+    normalizeConsent: function(consent) {
+      const granted = Array.isArray(consent)
+        ? consent
+        : Object.keys(consent || {}).filter(function(category) { return consent[category] === true; });
+      return ['analytics', 'marketing'].filter(function(category) { return granted.indexOf(category) !== -1; });
+    },
+    
     detectAndTrackProductView: function() {
       try {
         // Check URL pattern first
@@ -527,7 +574,7 @@
               if (now - state.lastActivity > config.sessionTimeout * 60 * 1000) {
                 // Session expired, create a new session
                 state.sessionId = utils.generateId();
-                utils.setCookie(config.cookieName + '_session', state.sessionId, config.sessionTimeout / (24 * 60));
+                core.storeIdentity();
                 EcommTracker.track('session_renewed');
               }
               state.lastActivity = now;
@@ -961,6 +1008,9 @@
     processEvents: function(forceAll = false) {
       if (state.eventQueue.length === 0) return;
       
+      // Wait for the visitor's choice
+      if (config.requireConsent && state.consent === null) return;
+      
       const eventsToProcess = forceAll ? state.eventQueue : state.eventQueue.slice(0, config.batchSize);
       
       if (eventsToProcess.length === 0) return;
@@ -980,6 +1030,11 @@
         events: eventsToProcess
       };
       
+      // Events tracked before the visitor chose carry no consent and get this one
+      if (state.consent !== null) {
+        payload.consent = state.consent;
+      }
+      
       // Send the payload to the server
       this.sendPayload(payload).then(function() {
         // Remove processed events from the queue
@@ -1027,6 +1082,13 @@
         return;
       }
       
+      // Relaying to third parties needs marketing consent, when consent is managed
+      if ((state.consent === null && config.requireConsent) ||
+          (state.consent !== null && state.consent.indexOf('marketing') === -1)) {
+        utils.log('No marketing consent, skipping relay for event:', eventName);
+        return;
+      }
+      
       const s2sPayload = {
         source: 'web_tracker',
         siteId: config.siteId,
@@ -1036,7 +1098,8 @@
         data: data,
         queryParams: utils.getQueryParams(),
         timestamp: Date.now(),
-        url: window.location.href
+        url: window.location.href,
+        consent: state.consent !== null ? state.consent : undefined
       };
       
       try {
@@ -1075,6 +1138,9 @@
       data: eventData,
       queryParams: utils.getQueryParams()
     };
+    if (state.consent !== null) {
+      event.consent = state.consent;
+    }
     
     state.eventQueue.push(event);
     utils.log('Event queued', event);
@@ -1089,7 +1155,7 @@
   
   EcommTracker.identify = function(userId, traits = {}) {
     state.userId = userId;
-    utils.setCookie(config.cookieName, userId, config.cookieExpiry);
+    core.storeIdentity();
     
     this.track('identify', traits);
     utils.log('User identified manually', { userId, traits });
@@ -1097,6 +1163,20 @@
     return this;
   };
   
+  // Records the visitor's consent, e.g. from a consent banner: { analytics: true, marketing: false }
+  // or ['analytics']. Withdrawing analytics consent removes the visitor cookies.
+  EcommTracker.setConsent = function(consent) {
+    state.consent = core.normalizeConsent(consent);
+    utils.setCookie(config.cookieName + '_consent', state.consent.length ? state.consent.join('.') : 'none', config.cookieExpiry);
+    core.storeIdentity();
+    utils.log('Consent updated', state.consent);
+    return this;
+  };
+  
+  EcommTracker.getConsent = function() {
+    return state.consent === null ? null : state.consent.slice();
+  };
+  
   EcommTracker.pageview = function(pageData = {}) {
     return this.track('pageview', {
       title: document.title,
@@ -1174,6 +1254,11 @@
       customConfig.debug = true;
     }
     
+    // Hold events until EcommTracker.setConsent() is called
+    if (currentScript.dataset.requireConsent === 'true') {
+      customConfig.requireConsent = true;
+    }
+    
     // Check for S2S endpoint configuration
     if (currentScript.dataset.s2sEndpoint) {
       if (currentScript.dataset.s2sEndpoint === 'disabled') {
@@ -1217,6 +1302,11 @@ EcommTracker.init({
   }
 });
 
+// Consent from a consent banner; without analytics consent events are anonymized (or
+// dropped) by the server and no visitor cookie is kept
+EcommTracker.init({ requireConsent: true });
+EcommTracker.setConsent({ analytics: true, marketing: false });
+
 // Manual tracking is still available
 EcommTracker.track('custom_event', {
   category: 'user_interaction',
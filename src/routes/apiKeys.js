@@ -0,0 +1,69 @@
+const express = require('express');
+const { ApiKeyError } = require('../modules/apiKeys');
+
+class ApiKeyRoutes {
+    constructor(apiKeyService) {
+        this.apiKeyService = apiKeyService;
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    handleError(res, error) {
+        if (error instanceof ApiKeyError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('API key route error:', error.message);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    setupRoutes() {
+        this.router.use(express.json());
+
+        // List the keys; revoked ones with ?includeRevoked=true
+        this.router.get('/', async (req, res) => {
+            try {
+                const data = await this.apiKeyService.list({ includeRevoked: req.query.includeRevoked === 'true' });
+                res.json({ data });
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Issue a key; the response is the only time the key is shown
+        this.router.post('/', async (req, res) => {
+            try {
+                const { name, scopes, expiresInDays, rateLimitTier, tenant } = req.body || {};
+                const created = await this.apiKeyService.create({
+                    name,
+                    scopes,
+                    expiresInDays,
+                    rateLimitTier,
+                    tenant,
+                    createdBy: req.user && (req.user.username || req.user.sub),
+                });
+                res.status(201).json(created);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Revoke a key
+        this.router.delete('/:id', async (req, res) => {
+            try {
+                const revoked = await this.apiKeyService.revoke(req.params.id);
+                if (!revoked) {
+                    return res.status(404).json({ error: 'API key not found' });
+                }
+                res.json({ message: 'API key revoked' });
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = ApiKeyRoutes;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { AnalyticsError } = require('../modules/ecommAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Named funnels, as JSON: {"checkout":["pageview","view_item","add_to_cart","purchase"]}
+function namedFunnels() {
+    try {
+        return JSON.parse(process.env.ECOMM_ANALYTICS_FUNNELS || '{}');
+    } catch (error) {
+        console.error('ECOMM_ANALYTICS_FUNNELS is not valid JSON:', error.message);
+        return {};
+    }
+}
+
+function parseDay(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+        throw new AnalyticsError(`${name} must be a date (YYYY-MM-DD)`);
+    }
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function parseInteger(value, name, fallback, min, max) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new AnalyticsError(`${name} must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Range of a request: ?from=YYYY-MM-DD&to=YYYY-MM-DD, both days included. Defaults to the
+ * last `days` days.
+ */
+function parseRange(query, days = 30) {
+    const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+    const to = query.to ? new Date(parseDay(query.to, 'to').getTime() + DAY_MS) : new Date(today.getTime() + DAY_MS);
+    const from = query.from ? parseDay(query.from, 'from') : new Date(to.getTime() - days * DAY_MS);
+    if (from >= to) throw new AnalyticsError('from must not be after to');
+    if (to - from > 366 * DAY_MS) throw new AnalyticsError('The range is limited to 366 days');
+    return { from, to };
+}
+
+class EcommAnalyticsRoutes {
+    constructor(analytics) {
+        this.analytics = analytics;
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    handleError(res, error) {
+        if (error instanceof AnalyticsError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Ecommerce analytics route error:', error.message);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    setupRoutes() {
+        this.router.use(express.json());
+
+        // Conversion through ?steps=a,b,c (event types) or a named ?funnel=, with drop-off per step
+        this.router.get('/funnel', async (req, res) => {
+            try {
+                let steps = req.query.steps ? String(req.query.steps).split(',').map((step) => step.trim()).filter(Boolean) : null;
+                if (req.query.funnel) {
+                    steps = namedFunnels()[req.query.funnel];
+                    if (!Array.isArray(steps)) throw new AnalyticsError(`Unknown funnel ${req.query.funnel}`, 404);
+                }
+                if (!steps || steps.length < 2 || steps.length > 10) throw new AnalyticsError('steps must name 2 to 10 event types');
+                const windowDays = parseInteger(req.query.windowDays, 'windowDays', 7, 1, 90);
+                res.json(await this.analytics.funnel({ steps, windowDays, ...parseRange(req.query) }));
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Weekly retention of the users first seen in the range
+        this.router.get('/cohorts', async (req, res) => {
+            try {
+                const weeks = parseInteger(req.query.weeks, 'weeks', 8, 1, 52);
+                res.json(await this.analytics.cohorts({ weeks, ...parseRange(req.query, 84) }));
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Conversions and revenue by UTM ?groupBy=source|medium|campaign, ?model=first|last|linear
+        this.router.get('/attribution', async (req, res) => {
+            try {
+                res.json(await this.analytics.attribution({
+                    model: req.query.model || 'last',
+                    dimension: req.query.groupBy || 'source',
+                    lookbackDays: parseInteger(req.query.lookbackDays, 'lookbackDays', 30, 1, 365),
+                    ...parseRange(req.query),
+                }));
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Products bought together, optionally with ?productId=
+        this.router.get('/product-affinity', async (req, res) => {
+            try {
+                res.json(await this.analytics.productAffinity({
+                    productId: req.query.productId ? String(req.query.productId) : null,
+                    minOrders: parseInteger(req.query.minOrders, 'minOrders', 2, 1, 1000000),
+                    limit: parseInteger(req.query.limit, 'limit', 50, 1, 500),
+                    ...parseRange(req.query, 90),
+                }));
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Roll up the events recorded since the last rollup now
+        this.router.post('/rollup', async (req, res) => {
+            try {
+                const result = await this.analytics.rollup();
+                if (!result) {
+                    return res.status(409).json({ error: 'A rollup is already running' });
+                }
+                res.json(result);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = EcommAnalyticsRoutes;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { PrivacyError } = require('../modules/trackingPrivacy');
+
+class TrackingPrivacyRoutes {
+    constructor(privacy) {
+        this.privacy = privacy;
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    handleError(res, error) {
+        if (error instanceof PrivacyError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Tracking privacy route error:', error.message);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    setupRoutes() {
+        this.router.use(express.json());
+
+        // Everything tracked about a visitor, as a JSON download
+        this.router.get('/users/:userId', async (req, res) => {
+            try {
+                const data = await this.privacy.exportUser(req.params.userId);
+                if (req.query.download === 'true') {
+                    res.setHeader('Content-Disposition', 'attachment; filename="tracking-data.json"');
+                }
+                res.json(data);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Erase everything tracked about a visitor
+        this.router.delete('/users/:userId', async (req, res) => {
+            try {
+                res.json(await this.privacy.eraseUser(req.params.userId));
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Purge the data older than TRACKING_RETENTION_DAYS now
+        this.router.post('/purge', async (req, res) => {
+            try {
+                const result = await this.privacy.purge();
+                if (!result) {
+                    return res.status(409).json({ error: 'TRACKING_RETENTION_DAYS is not set' });
+                }
+                res.json(result);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = TrackingPrivacyRoutes;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { WorkflowError } = require('../modules/workflowRuns');
+
+class WorkflowRoutes {
+    constructor(workflowEngine) {
+        this.workflowEngine = workflowEngine;
+        this.router = express.Router();
+        this.setupRoutes();
+    }
+
+    handleError(res, error) {
+        if (error instanceof WorkflowError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Workflow route error:', error.message);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+
+    setupRoutes() {
+        this.router.use(express.json());
+
+        // List runs, most recent first; filter with ?workflow=, ?status= and ?limit=
+        this.router.get('/runs', async (req, res) => {
+            try {
+                const { workflow, status, limit } = req.query;
+                const data = await this.workflowEngine.listRuns({ workflow, status, limit });
+                res.json({ data });
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // A run with its step history
+        this.router.get('/runs/:id', async (req, res) => {
+            try {
+                const run = await this.workflowEngine.getRun(req.params.id);
+                if (!run) {
+                    return res.status(404).json({ error: 'Workflow run not found' });
+                }
+                res.json(run);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Signal an event to the runs waiting for it (WAIT UNTIL <event>); the body is its payload.
+        // Registered before /:name/runs, which would take POST /events/runs for a workflow named "events"
+        this.router.post('/events/:event', async (req, res) => {
+            try {
+                const runs = await this.workflowEngine.signalEvent(req.params.event, req.body || {});
+                res.status(202).json({ runs });
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Start a run of a workflow with the request body as its input
+        this.router.post('/:name/runs', async (req, res) => {
+            try {
+                const run = await this.workflowEngine.startWorkflow(req.params.name, req.body || {});
+                res.status(202).json(run);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Cancel a running, waiting or interrupted run
+        this.router.post('/runs/:id/cancel', async (req, res) => {
+            try {
+                const cancelled = await this.workflowEngine.cancelRun(req.params.id);
+                if (!cancelled) {
+                    return res.status(409).json({ error: 'Only running, waiting or interrupted workflow runs can be cancelled' });
+                }
+                res.json({ message: 'Workflow run cancelled' });
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Continue a failed or interrupted run from its last completed step
+        this.router.post('/runs/:id/resume', async (req, res) => {
+            try {
+                const run = await this.workflowEngine.resumeRun(req.params.id, {}, { wait: false });
+                res.status(202).json(run);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+
+        // Start a new run with the input of a previous one
+        this.router.post('/runs/:id/rerun', async (req, res) => {
+            try {
+                const run = await this.workflowEngine.rerun(req.params.id, {}, { wait: false });
+                res.status(202).json(run);
+            } catch (error) {
+                this.handleError(res, error);
+            }
+        });
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = WorkflowRoutes;
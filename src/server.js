@@ -13,6 +13,10 @@ const APIAnalytics = require('./modules/apiAnalytics');
 const AnalyticsRoutes = require('./routes/analytics');
 const DevTools = require('./modules/devTools.js');
 const DevToolsRoutes = require('./routes/devTools');
+const ApiKeyRoutes = require('./routes/apiKeys');
+const { getApiKeyService } = require('./modules/apiKeys');
+const { WorkflowEngine } = require('./modules/workflowEngine');
+const WorkflowRoutes = require('./routes/workflows');
 const crypto = require('crypto');
 const multer = require('multer');
 const net = require("net");
@@ -20,7 +24,7 @@ const helmet = require('helmet'); // Security middleware
 
 const compression = require('compression'); // Response compression
 require('dotenv').config({ path: __dirname + '/.env' });
-const jwt = require('jsonwebtoken');
+const { signAccessToken, getKeyRing, getRefreshTokenStore, TokenError } = require('./modules/tokenService');
 const axios = require('axios');
 const requestLogger = require('./middleware/requestLoggingMiddleware');
 const { updateValidationRules , createGlobalValidationMiddleware }= require('./middleware/validationMiddleware');
@@ -77,13 +81,25 @@ axios.interceptors.response.use(
 
 // Import other modules with error handling
 const { loadConfig, apiConfig, categorizedConfig, categorizeApiConfig } = require('./modules/apiConfig');
-const { getDbConnection, extendContext } = require(path.join(__dirname, '/modules/db'));
+const { getDbConnection, getTransactionConnection, extendContext, affectedRowCount } = require(path.join(__dirname, '/modules/db'));
 const BusinessRules = require('./modules/business_rules');
 const MLAnalytics = require('./core/ml_analytics2');
 
 const RateLimit = require('./modules/rate_limit');
 const generateGraphQLSchema = require('./modules/generateGraphQLSchema');
+const { createGraphQLContext } = generateGraphQLSchema;
+const { buildFilterClause, buildSortClause, buildCursorQuery, buildCursorPage, QueryBuilderError } = require('./modules/queryBuilder');
+const ResponseCache = require('./modules/responseCache');
+const ChangeFeed = require('./modules/changeFeed');
+const BulkRouteHandler = require('./modules/BulkRouteHandler');
+const { getSoftDeleteColumn, activeRowsCondition, canAccessDeleted } = require('./modules/softDelete');
+const { isETagEnabled, loadRecordVersion, etagMatches, checkWritePrecondition, checkGuardedWrite, versionIncrement } = require('./modules/etag');
+const { DEFAULT_MAX_DEPTH, parseExpand, assertCanExpand, requiredParentFields, expandedEndpoints, expandedTables, expandRecords } = require('./modules/relationshipExpander');
+const { readableFields, permittedReadFields, permittedWriteFields, fieldAclCacheKey } = require('./modules/fieldAcl');
+const { resolveTenant, currentTenant, tenantColumn, tenantScope, tenantCondition, applyTenant, tenantCacheKey } = require('./modules/tenancy');
+const { compileTemplate, evaluate } = require('./modules/ruleExpression');
 const { createHandler } = require('graphql-http/lib/use/express');
+const { useServer: useGraphQLWebSocketServer } = require('graphql-ws/lib/use/ws');
 const moduleGateway = require('./modules/moduleGateway');
 
 // Initialize LLM Module early to ensure it's available for dependent modules
@@ -121,8 +137,9 @@ const { broadcastConfigUpdate, subscribeToConfigUpdates } = require('./modules/c
 const configDir = process.env.CONFIG_DIR || path.join(process.cwd(), 'config');
 const configFile = path.join(configDir, 'apiConfig.json');
 const rulesConfigPath = path.join(configDir, 'businessRules.dsl'); // Path to the rules file
+const workflowsConfigPath = path.join(configDir, 'workflows.dsl');
 const RuleEngineMiddleware = require('./middleware/RuleEngineMiddleware');
-const { authenticateMiddleware, aclMiddleware } = require('./middleware/authenticationMiddleware');
+const { authenticateMiddleware, aclMiddleware, optionalAuthentication, verifyToken, verifyApiKey, API_KEY_HEADER } = require('./middleware/authenticationMiddleware');
 const { aarMiddleware } = require('./middleware/aarMiddleware');
 const Handlebars = require('handlebars');
 const bcrypt = require("bcryptjs");
@@ -233,13 +250,13 @@ redis.on('connect', () => {
 const uuidTools = require('./modules/dynamicUUID')(redis);
 
 const JWT_SECRET = process.env.JWT_SECRET || 'IhaveaVeryStrongSecret';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '1h';
 
 // WebSocket event types
 const WS_EVENTS = {
     DATABASE_CHANGE: 'DATABASE_CHANGE',
     CACHE_INVALIDATED: 'CACHE_INVALIDATED',
     CONFIG_UPDATED: 'CONFIG_UPDATED',
+    WORKFLOW_STEP: 'workflow-step',
     ERROR: 'ERROR'
 };
 
@@ -247,13 +264,27 @@ const WS_EVENTS = {
 const REDIS_CHANNELS = {
     DB_CHANGES: 'db:changes',
     CACHE_UPDATES: 'cache:updates',
-    CONFIG_CHANGES: 'config:changes'
+    CONFIG_CHANGES: 'config:changes',
+    // Record change events; they carry row data and are only handed to GraphQL subscriptions.
+    RECORD_CHANGES: 'db:records',
+    // Agent workflow run events (AgentWorkflowManager), published without their run data; they
+    // only go to authenticated WebSocket clients that subscribed to the channel.
+    AGENT_WORKFLOW_STEPS: 'agent:workflow-steps'
 };
 
 // Create Redis publisher/subscriber instances
 const redisPublisher = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
 const redisSubscriber = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
 
+// Tag-aware cache for `cache: 1` GET endpoints, invalidated cluster-wide on writes
+const responseCache = new ResponseCache(redis, {
+    publisher: redisPublisher,
+    channel: REDIS_CHANNELS.CACHE_UPDATES
+});
+
+// Record change events of the database endpoints, consumed by GraphQL subscriptions
+const changeFeed = new ChangeFeed(redisPublisher, { channel: REDIS_CHANNELS.RECORD_CHANGES });
+
 consolelog.log('Current directory:', __dirname);
 
 const graphqlDbType = process.env.DEFAULT_DBTYPE;
@@ -278,7 +309,7 @@ globalContext.actions.log = (ctx, action) => {
 
         if (action.message) {
             message = action.message;
-            const evaluatedMessage = new Function('data', `with(data) { return \`${message}\`; }`)(ctx.data || {});
+            const evaluatedMessage = evaluate(compileTemplate(message), [ctx.data || {}, { data: ctx.data || {} }]);
             consolelog.log('Evaluated Message:', {
                 message: evaluatedMessage,
                 timestamp: new Date().toISOString()
@@ -387,22 +418,6 @@ globalContext.actions.end = (ctx, params) => {
     return response;
 };
 
-function flattenResolvers(resolvers) {
-    const flatResolvers = {};
-
-    // Add Query resolvers to the top-level
-    if (resolvers.Query) {
-        Object.assign(flatResolvers, resolvers.Query);
-    }
-
-    // Add Mutation resolvers to the top-level (if any)
-    if (resolvers.Mutation) {
-        Object.assign(flatResolvers, resolvers.Mutation);
-    }
-
-    return flatResolvers;
-}
-
 async function clearRedisCache() {
     await redis.flushall();
     console.log("Redis cache cleared!");
@@ -787,15 +802,17 @@ async function preCacheGetEndpoints(endpoints) {
       // Only pre-cache endpoints that:
       // - Allow GET (i.e. allowMethods includes 'GET')
       // - Have caching enabled (cache === 1)
+      // - Are not tenant-scoped (their responses are cached per tenant)
       if (
         endpoint.allowMethods &&
         endpoint.allowMethods.includes("GET") &&
         endpoint.cache === 1 &&
-        endpoint.route
+        endpoint.route &&
+        !tenantColumn(endpoint)
       ) {
         const route = endpoint.route;
-        // Use an empty query object so that JSON.stringify({}) is the cache key
-        const cacheKey = `cache:${route}:${JSON.stringify({})}`;
+        // Use empty params/query objects so the key matches an unfiltered GET request
+        const cacheKey = `cache:${route}:${JSON.stringify({})}:${JSON.stringify({})}`;
         try {
           const connection = await getDbConnection(endpoint);
           if (!connection) {
@@ -826,14 +843,28 @@ async function preCacheGetEndpoints(endpoints) {
           const queryFields = `${fields}${relatedFields}`;
   
           // Since we are pre-caching the default (unfiltered) query,
-          // there is no WHERE clause.
-          const whereClauseString = "";
+          // the only WHERE clause hides soft-deleted rows.
+          const activeCondition = activeRowsCondition(endpoint);
+          const whereClauseString = activeCondition ? `WHERE ${activeCondition}` : "";
+          // Cursor endpoints cache their first page, ordered by primary key.
+          const cursorQuery = endpoint.pagination === "cursor"
+            ? buildCursorQuery({
+                primaryKey: endpoint.keys?.[0] || "id",
+                dbTable: endpoint.dbTable,
+                allowedFields: endpoint.allowRead,
+                limit,
+                sealed: hidesIds(endpoint),
+              })
+            : null;
+          const paginationClause = cursorQuery
+            ? `${cursorQuery.orderByClause} ${cursorQuery.limitClause}`
+            : `LIMIT ${limit} OFFSET ${offset}`;
           const dataQuery = `
             SELECT ${queryFields}
             FROM ${endpoint.dbTable}
             ${joinClause}
             ${whereClauseString}
-            LIMIT ${limit} OFFSET ${offset}
+            ${paginationClause}
           `;
           const countQuery = `
             SELECT COUNT(*) as totalCount
@@ -846,46 +877,66 @@ async function preCacheGetEndpoints(endpoints) {
           // For endpoints without any filter, try to use the approximate count
           // from the table_stats table if it exists. If not, disable count.
           let totalCount = 0;
-          try {
-            const [tables] = await connection.execute(
-              "SELECT TABLE_NAME FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
-              ["table_stats"]
-            );
-            if (tables.length > 0) {
-              // table_stats exists; try to use it.
-              const approxQuery = "SELECT row_count as totalCount FROM table_stats WHERE table_name = ?";
-              try {
-                const [approxResult] = await connection.execute(approxQuery, [endpoint.dbTable]);
-                totalCount = approxResult[0]?.totalCount || 0;
-              } catch (err) {
-                console.error("Error executing approximate count query:", err);
+          // Cursor endpoints do not report a total on their default page.
+          if (!cursorQuery) {
+            try {
+              const [tables] = await connection.execute(
+                "SELECT TABLE_NAME FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
+                ["table_stats"]
+              );
+              if (tables.length > 0) {
+                // table_stats exists; try to use it.
+                const approxQuery = "SELECT row_count as totalCount FROM table_stats WHERE table_name = ?";
+                try {
+                  const [approxResult] = await connection.execute(approxQuery, [endpoint.dbTable]);
+                  totalCount = approxResult[0]?.totalCount || 0;
+                } catch (err) {
+                  console.error("Error executing approximate count query:", err);
+                  totalCount = 0;
+                }
+              } else {
+                console.log(`table_stats table not found; disabling record count for endpoint ${route}.`);
                 totalCount = 0;
               }
-            } else {
-              console.log(`table_stats table not found; disabling record count for endpoint ${route}.`);
+            } catch (err) {
+              console.error("Error checking for table_stats:", err);
               totalCount = 0;
             }
-          } catch (err) {
-            console.error("Error checking for table_stats:", err);
-            totalCount = 0;
           }
   
           // Execute the data query (with no filter parameters)
           const [results] = await connection.execute(dataQuery, []);
   
           // Build the response as in your GET route
-          const responsePayload = {
-            data: results,
-            metadata: {
-              totalRecords: totalCount,
-              limit,
-              offset,
-              totalPages: Math.ceil(totalCount / limit),
-            },
-          };
+          let responsePayload;
+          if (cursorQuery) {
+            const cursorPage = buildCursorPage(results, cursorQuery);
+            responsePayload = {
+              data: cursorPage.rows,
+              metadata: {
+                limit,
+                nextCursor: cursorPage.nextCursor,
+                prevCursor: cursorPage.prevCursor,
+                hasMore: cursorPage.hasMore,
+              },
+            };
+          } else {
+            responsePayload = {
+              data: results,
+              metadata: {
+                totalRecords: totalCount,
+                limit,
+                offset,
+                totalPages: Math.ceil(totalCount / limit),
+              },
+            };
+          }
   
-          // Cache the response using the same TTL as in your route (300 seconds)
-          await redis.set(cacheKey, JSON.stringify(responsePayload), "EX", 300);
+          // Cache the response with the same TTL and tags as the route
+          await responseCache.set(cacheKey, responsePayload, {
+            ttl: responseCache.ttlForEndpoint(endpoint),
+            tags: ResponseCache.tagsForEndpoint(endpoint),
+          });
           console.log(`Pre-cached GET endpoint: ${route} with key: ${cacheKey}`);
         } catch (error) {
           console.error(`Error pre-caching endpoint ${endpoint.route}:`, error);
@@ -896,6 +947,11 @@ async function preCacheGetEndpoints(endpoints) {
   }
   
 
+// Endpoints mapping ids to UUIDs (uuidMapping) encrypt their cursors, which carry the raw keys.
+function hidesIds(endpoint) {
+    return endpoint.uuidMapping === true || (Array.isArray(endpoint.uuidMapping) && endpoint.uuidMapping.length > 0);
+}
+
 function registerRoutes(app, apiConfig) {
     // Connection pool for database connections
     const connectionPool = new Map();
@@ -1001,6 +1057,24 @@ function registerRoutes(app, apiConfig) {
            // Update the authentication route in server.js
             // Replace the existing authentication code with this
 
+            const primaryKey = endpoint.keys?.[0] || 'id';
+            const authMiddleware = authenticateMiddleware(true);
+
+            // Claims of the access token: the readable user fields, without the password.
+            const buildTokenPayload = (user) => {
+                const tokenPayload = {};
+                allowRead.forEach((field) => {
+                    if(field !== authentication) {
+                        tokenPayload[field] = user[field];
+                            if(user['acl']) {
+                                // convert string acl comma delimited to array
+                                tokenPayload['acl'] = user['acl'].split(',').map((item) => item.trim());
+                            }                                                        
+                    }
+                });
+                return tokenPayload;
+            };
+
             app.post(route, cors(corsOptions), async (req, res) => {
                 const username = req.body[auth];
                 const password = req.body[authentication];
@@ -1043,74 +1117,137 @@ function registerRoutes(app, apiConfig) {
                         return res.status(401).json({ error: "Invalid username or password" });
                     }
 
-                    // Generate JWT token
-                    const tokenPayload = {};
-                    allowRead.forEach((field) => {
-                        if(field !== authentication) {
-                            tokenPayload[field] = user[field];
-                                if(user['acl']) {
-                                    // convert string acl comma delimited to array
-                                    tokenPayload['acl'] = user['acl'].split(',').map((item) => item.trim());
-                                }                                                        
-                        }
-                    });
-
-                    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRY });
+                    const tokenPayload = buildTokenPayload(user);
+                    // sub identifies the user for refresh and revocation; it needs the primary key in allowRead.
+                    const token = signAccessToken(userId !== undefined ? { ...tokenPayload, sub: String(userId) } : tokenPayload);
 
-                    res.json({
+                    const response = {
                         message: "Authentication successful",
                         token,
                         user: tokenPayload,
-                    });
+                    };
+
+                    const refreshTokens = getRefreshTokenStore();
+                    if (refreshTokens && userId !== undefined) {
+                        const { refreshToken, deviceId, expiresIn } = await refreshTokens.issue(userId, {
+                            deviceId: req.body.deviceId || req.headers['x-device-id'],
+                            userAgent: req.headers['user-agent'],
+                        });
+                        Object.assign(response, { refreshToken, deviceId, refreshExpiresIn: expiresIn });
+                    }
+
+                    res.json(response);
                 } catch (error) {
                     console.error(`Error in POST ${route}:`, error.message);
                     res.status(500).json({ error: "Internal Server Error" });
                 }
             });
+
+            // Refresh token routes need Redis; without it they answer 501.
+            const requireRefreshTokens = (req, res, next) => {
+                req.refreshTokens = getRefreshTokenStore();
+                if (!req.refreshTokens) {
+                    return res.status(501).json({ error: "Refresh tokens require Redis (REDIS_URL)" });
+                }
+                next();
+            };
+
+            const sendTokenError = (res, error) => {
+                if (error instanceof TokenError) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                console.error(`Error in ${route} token route:`, error.message);
+                res.status(500).json({ error: "Internal Server Error" });
+            };
+
+            // Exchanges a refresh token for a new access token and a new refresh token.
+            // The user is read again, so role changes apply at the next refresh.
+            app.post(`${route}/refresh`, cors(corsOptions), requireRefreshTokens, async (req, res) => {
+                try {
+                    const rotated = await req.refreshTokens.rotate(req.body.refreshToken, {
+                        userAgent: req.headers['user-agent'],
+                    });
+
+                    const connection = await getDbConnection(endpoint);
+                    if (!connection) {
+                        return res.status(500).json({ error: `Database connection failed for ${endpoint.dbConnection}` });
+                    }
+                    const [results] = await connection.execute(
+                        `SELECT ${allowRead.join(", ")} FROM ${dbTable} WHERE ${primaryKey} = ?`,
+                        [rotated.userId]
+                    );
+                    if (results.length === 0) {
+                        await req.refreshTokens.revokeDevice(rotated.userId, rotated.deviceId);
+                        return res.status(401).json({ error: "Invalid or expired refresh token" });
+                    }
+
+                    const tokenPayload = buildTokenPayload(results[0]);
+                    res.json({
+                        token: signAccessToken({ ...tokenPayload, sub: String(rotated.userId) }),
+                        refreshToken: rotated.refreshToken,
+                        deviceId: rotated.deviceId,
+                        refreshExpiresIn: rotated.expiresIn,
+                        user: tokenPayload,
+                    });
+                } catch (error) {
+                    sendTokenError(res, error);
+                }
+            });
+
+            // Logs out one device: its refresh token stops working.
+            app.post(`${route}/logout`, cors(corsOptions), requireRefreshTokens, async (req, res) => {
+                try {
+                    const session = await req.refreshTokens.lookup(req.body.refreshToken);
+                    if (session) {
+                        await req.refreshTokens.revokeDevice(session.userId, session.deviceId);
+                    }
+                    res.json({ message: "Logged out" });
+                } catch (error) {
+                    sendTokenError(res, error);
+                }
+            });
+
+            // Logs out every device: revokes all refresh tokens and the access tokens issued so far.
+            app.post(`${route}/logout-all`, cors(corsOptions), authMiddleware, requireRefreshTokens, async (req, res) => {
+                if (req.user.sub === undefined) {
+                    return res.status(400).json({ error: "Token does not identify a user" });
+                }
+                try {
+                    await req.refreshTokens.revokeAll(req.user.sub);
+                    res.json({ message: "Logged out from all devices" });
+                } catch (error) {
+                    sendTokenError(res, error);
+                }
+            });
+
+            app.get(`${route}/sessions`, cors(corsOptions), authMiddleware, requireRefreshTokens, async (req, res) => {
+                if (req.user.sub === undefined) {
+                    return res.status(400).json({ error: "Token does not identify a user" });
+                }
+                try {
+                    res.json({ data: await req.refreshTokens.listSessions(req.user.sub) });
+                } catch (error) {
+                    sendTokenError(res, error);
+                }
+            });
+
+            app.delete(`${route}/sessions/:deviceId`, cors(corsOptions), authMiddleware, requireRefreshTokens, async (req, res) => {
+                if (req.user.sub === undefined) {
+                    return res.status(400).json({ error: "Token does not identify a user" });
+                }
+                try {
+                    const revoked = await req.refreshTokens.revokeDevice(req.user.sub, req.params.deviceId);
+                    if (!revoked) {
+                        return res.status(404).json({ error: "Session not found" });
+                    }
+                    res.json({ message: "Session revoked" });
+                } catch (error) {
+                    sendTokenError(res, error);
+                }
+            });
         }
 
 
-// A helper function that parses filter parameters and builds SQL clauses.
-function buildFilterClause(filterObj, dbTable) {
-    const whereParts = [];
-    const values = [];
-    for (const [field, filterValue] of Object.entries(filterObj)) {
-      // Expecting filterValue to be of the form "operator:value", e.g., "gte:100"
-      const [operator, ...rest] = filterValue.split(':');
-      const value = rest.join(':'); // in case the value itself contains a colon
-      let sqlOperator;
-      switch (operator.toLowerCase()) {
-        case 'gt':
-          sqlOperator = '>';
-          break;
-        case 'gte':
-          sqlOperator = '>=';
-          break;
-        case 'lt':
-          sqlOperator = '<';
-          break;
-        case 'lte':
-          sqlOperator = '<=';
-          break;
-        case 'ne':
-          sqlOperator = '!=';
-          break;
-        case 'like':
-          sqlOperator = 'LIKE';
-          break;
-        case 'eq':
-        default:
-          sqlOperator = '=';
-      }
-      whereParts.push(`${dbTable}.${field} ${sqlOperator} ?`);
-      values.push(value);
-    }
-    return {
-      clause: whereParts.join(' AND '),
-      values,
-    };
-  }
-  
   const getParamPath = keys && keys.length > 0 ? `/:${keys[0]}?` : "";
 
   app.get(
@@ -1155,6 +1292,9 @@ function buildFilterClause(filterObj, dbTable) {
           return res.status(400).json({ error: "Limit and offset must be non-negative integers" });
         }
   
+        // Fields this user may read, filter and sort on (allowRead narrowed by fieldAcl).
+        const readFields = readableFields(endpoint, getContext("user"));
+
         // Determine if a single record was requested.
         const recordKey = keys && keys.length > 0 ? keys[0] : "id";
         let recordId = req.params[recordKey];
@@ -1177,8 +1317,9 @@ function buildFilterClause(filterObj, dbTable) {
           } else {
           let filterClause = "";
           let filterValues = [];
-          if (sanitizedQuery.filter && typeof sanitizedQuery.filter === "object") {
-            const { clause, values } = buildFilterClause(sanitizedQuery.filter, dbTable);
+          // Use the raw query here: the sanitized copy has flattened nested filter objects to strings.
+          if (req.query.filter && typeof req.query.filter === "object") {
+            const { clause, values } = buildFilterClause(req.query.filter, dbTable, readFields);
             filterClause = clause;
             filterValues = values;
           }
@@ -1190,11 +1331,11 @@ function buildFilterClause(filterObj, dbTable) {
             }
   
                     // Exclude parameters used for pagination and meta-controls
-            const paginationParams = ['limit', 'offset', 'include', 'fields', 'filter', 'uuid'];
+            const paginationParams = ['limit', 'offset', 'include', 'fields', 'filter', 'sort', 'cursor', 'includeTotal', 'includeDeleted', 'expand', 'uuid'];
 
-            const queryKeys = endpoint.keys
+            const queryKeys = permittedReadFields(endpoint, getContext("user"), endpoint.keys
             ? endpoint.keys.filter((key) => sanitizedQuery[key] !== undefined && !paginationParams.includes(key))
-            : Object.keys(sanitizedQuery).filter((key) => !paginationParams.includes(key));
+            : Object.keys(sanitizedQuery).filter((key) => !paginationParams.includes(key)));
 
           const equalityClause = queryKeys.map((key) => `${dbTable}.${key} = ?`).join(" AND ");
           const equalityValues = [];
@@ -1233,43 +1374,137 @@ function buildFilterClause(filterObj, dbTable) {
           whereClause += whereClause ? ` AND ${dbTable}.${endpoint.owner.column} = ?` : `WHERE ${dbTable}.${endpoint.owner.column} = ?`;
           params.push(user[endpoint.owner.tokenField]);
         }
+
+        // Tenant-scoped endpoints only return rows of the request's tenant.
+        const tenant = currentTenant();
+        const tenantScoped = tenantCondition(endpoint, tenant);
+        if (tenantScoped) {
+          whereClause += whereClause ? ` AND ${tenantScoped.clause}` : `WHERE ${tenantScoped.clause}`;
+          params.push(...tenantScoped.values);
+        }
+
+        // Hide soft-deleted rows unless a user with the softDelete ACL asks for them.
+        if (getSoftDeleteColumn(endpoint)) {
+          const includeDeleted = sanitizedQuery.includeDeleted === "true";
+          if (includeDeleted && !canAccessDeleted(endpoint, getContext("user"))) {
+            return res.status(403).json({ error: "Not allowed to include deleted records" });
+          }
+          if (!includeDeleted) {
+            const activeCondition = activeRowsCondition(endpoint, dbTable);
+            whereClause += whereClause ? ` AND ${activeCondition}` : `WHERE ${activeCondition}`;
+          }
+        }
+
+        // Single records carry an ETag; a matching If-None-Match skips the data query.
+        if (recordId && isETagEnabled(endpoint)) {
+          const current = await loadRecordVersion(connection, endpoint, recordKey, recordId, getContext("user"), tenant);
+          if (current) {
+            res.set("ETag", current.etag);
+            if (etagMatches(req.headers["if-none-match"], current.etag)) {
+              return res.status(304).end();
+            }
+          }
+        }
   
         // Validate requested fields.
         // If the user provides "include=col1,col2", use that list;
         // otherwise, fallback to "fields" (if provided) or the default allowed fields.
-        const requestedFields = sanitizedQuery.include
-        ? sanitizedQuery.include.split(",").filter((field) => endpoint.allowRead.includes(field))
-        : sanitizedQuery.fields
-        ? sanitizedQuery.fields.split(",").filter((field) => endpoint.allowRead.includes(field))
-        : endpoint.allowRead;
+        // Explicitly requested fields restricted by fieldAcl are dropped, or refused in "deny" mode.
+        const explicitFields = sanitizedQuery.include || sanitizedQuery.fields;
+        const requestedFields = explicitFields
+        ? permittedReadFields(endpoint, getContext("user"), explicitFields.split(",").filter((field) => endpoint.allowRead.includes(field)))
+        : readFields;
 
         if (!requestedFields.length) {
         console.error("No valid fields requested:", sanitizedQuery.include || sanitizedQuery.fields);
         return res.status(400).json({ error: "No valid fields requested" });
         }
 
-        const fields = requestedFields.map((field) => `${dbTable}.${field}`).join(", ");
+        // Cursor pagination: endpoints opting into `pagination: "cursor"` page by keyset
+        // (sort columns + primary key) and only count rows when asked to.
+        const cursorQuery = endpoint.pagination === "cursor" && !recordId
+          ? buildCursorQuery({
+              sortParam: req.query.sort,
+              cursor: sanitizedQuery.cursor,
+              primaryKey: recordKey,
+              dbTable,
+              allowedFields: readFields,
+              limit,
+              sealed: hidesIds(endpoint),
+            })
+          : null;
+        const includeTotal = !cursorQuery || sanitizedQuery.includeTotal === "true";
+
+        // Relationships named in `expand` are loaded as nested objects after the main query.
+        const expandTree = parseExpand(
+          sanitizedQuery.expand,
+          endpoint,
+          (table) => apiConfig.find((candidate) => candidate.dbTable === table && Array.isArray(candidate.allowRead)),
+          endpoint.maxExpandDepth || DEFAULT_MAX_DEPTH
+        );
+        assertCanExpand(expandTree, getContext("user"));
+
+        // The keyset columns must be selected to build the cursors, and the foreign keys to expand
+        // relationships, even if the client did not ask for them.
+        const cursorOnlyFields = cursorQuery
+          ? cursorQuery.order.map(({ field }) => field).filter((field) => !requestedFields.includes(field))
+          : [];
+        const helperFields = [...new Set([...cursorOnlyFields, ...requiredParentFields(expandTree)])]
+          .filter((field) => !requestedFields.includes(field));
+        const fields = [...requestedFields, ...helperFields].map((field) => `${dbTable}.${field}`).join(", ");
 
   
-        // Process relationships.
+        // Process relationships; expanded ones are not joined flat into the row.
+        // Joined fields follow the fieldAcl and tenant of the related table's endpoint, when it has one.
         let joinClause = "";
+        const joinParams = [];
         let relatedFields = "";
+        const relatedEndpoints = [];
         if (Array.isArray(endpoint.relationships)) {
           endpoint.relationships.forEach((rel) => {
+            if (expandTree.some((node) => node.relationship === rel)) {
+              return;
+            }
             const joinType = rel.joinType || "LEFT JOIN";
             joinClause += ` ${joinType} ${rel.relatedTable} ON ${dbTable}.${rel.foreignKey} = ${rel.relatedTable}.${rel.relatedKey}`;
-            if (Array.isArray(rel.fields) && rel.fields.length > 0) {
-              relatedFields += `, ${rel.fields.map((field) => `${rel.relatedTable}.${field}`).join(", ")}`;
+            const relatedEndpoint = apiConfig.find((candidate) => candidate.dbTable === rel.relatedTable && candidate.routeType === "database");
+            const joinedFields = Array.isArray(rel.fields)
+              ? (relatedEndpoint ? readableFields(relatedEndpoint, getContext("user"), rel.fields) : rel.fields)
+              : [];
+            if (relatedEndpoint) {
+              relatedEndpoints.push(relatedEndpoint);
+              const relatedTenant = tenantCondition(relatedEndpoint, tenant, rel.relatedTable);
+              if (relatedTenant) {
+                joinClause += ` AND ${relatedTenant.clause}`;
+                joinParams.push(...relatedTenant.values);
+              }
+            }
+            if (joinedFields.length > 0) {
+              relatedFields += `, ${joinedFields.map((field) => `${rel.relatedTable}.${field}`).join(", ")}`;
             }
           });
         }
         const queryFields = `${fields}${relatedFields}`;
-        const paginationClause = recordId ? "" : `LIMIT ${limit} OFFSET ${offset}`;
+        // Sorting only applies to collections; fields are validated against the readable fields.
+        let orderByClause = recordId ? "" : buildSortClause(req.query.sort, dbTable, readFields);
+        let paginationClause = recordId ? "" : `LIMIT ${limit} OFFSET ${offset}`;
+        // The cursor predicate only narrows the data query, the count still covers the whole filter.
+        let dataWhereClause = whereClause;
+        let dataParams = params;
+        if (cursorQuery) {
+          orderByClause = cursorQuery.orderByClause;
+          paginationClause = cursorQuery.limitClause;
+          if (cursorQuery.clause) {
+            dataWhereClause = whereClause ? `${whereClause} AND ${cursorQuery.clause}` : `WHERE ${cursorQuery.clause}`;
+            dataParams = [...params, ...cursorQuery.values];
+          }
+        }
         const dataQuery = `
           SELECT ${queryFields} 
           FROM ${dbTable}
           ${joinClause}
-          ${whereClause}
+          ${dataWhereClause}
+          ${orderByClause}
           ${paginationClause}
         `;
         const countQuery = `
@@ -1279,23 +1514,41 @@ function buildFilterClause(filterObj, dbTable) {
           ${whereClause}
         `;
   
-        const cacheKey = `cache:${route}:${JSON.stringify(req.params)}:${JSON.stringify(req.query)}`;
+        // Users who may not read the same fields, or who belong to another tenant, do not share cached responses.
+        const cacheKey = `cache:${route}:${JSON.stringify(req.params)}:${JSON.stringify(req.query)}` +
+          fieldAclCacheKey([endpoint, ...relatedEndpoints, ...expandedEndpoints(expandTree)], getContext("user")) +
+          tenantCacheKey([endpoint, ...relatedEndpoints, ...expandedEndpoints(expandTree)], tenant);
         if (endpoint.cache === 1) {
-          const cachedData = await redis.get(cacheKey);
+          const cachedData = await responseCache.get(cacheKey);
           if (cachedData) {
             console.log("Cache hit for key:", cacheKey);
-            return res.json(JSON.parse(cachedData));
+            return res.json(cachedData);
           }
         }
         console.log("Cache miss or caching disabled. Executing queries.");
   
         let totalCount = 0;
-        if (!recordId) {
-          const [countResult] = await connection.execute(countQuery, params);
+        if (!recordId && includeTotal) {
+          const [countResult] = await connection.execute(countQuery, [...joinParams, ...params]);
           totalCount = countResult[0]?.totalCount || 0;
         }
   
-        const [results] = await connection.execute(dataQuery, params);
+        let [results] = await connection.execute(dataQuery, [...joinParams, ...dataParams]);
+
+        // Cursors are computed from the raw keyset values, before ids are turned into UUIDs.
+        let cursorPage = null;
+        if (cursorQuery) {
+          cursorPage = buildCursorPage(results, cursorQuery);
+          results = cursorPage.rows;
+        }
+
+        // Relationships are expanded from the raw key values too.
+        if (expandTree.length) {
+          await expandRecords(results, expandTree, { getConnection: getDbConnection, user: getContext("user"), tenant, uuidTools, secretSalt: SECRET_SALT });
+        }
+        if (helperFields.length) {
+          results.forEach((record) => helperFields.forEach((field) => delete record[field]));
+        }
   
         // Convert IDs to UUIDs before returning response
         if (endpoint.uuidMapping) {
@@ -1318,6 +1571,17 @@ function buildFilterClause(filterObj, dbTable) {
             return res.status(404).json({ error: "Record not found" });
           }
           response = results[0];
+        } else if (cursorPage) {
+          response = {
+            data: results,
+            metadata: {
+              limit: cursorQuery.limit,
+              nextCursor: cursorPage.nextCursor,
+              prevCursor: cursorPage.prevCursor,
+              hasMore: cursorPage.hasMore,
+              ...(includeTotal ? { totalRecords: totalCount } : {}),
+            },
+          };
         } else {
           response = {
             data: results,
@@ -1332,10 +1596,17 @@ function buildFilterClause(filterObj, dbTable) {
   
         if (endpoint.cache === 1) {
           console.log("Caching response for key:", cacheKey);
-          await redis.set(cacheKey, JSON.stringify(response), "EX", 300);
+          // Writes to an expanded table must clear the responses embedding its rows.
+          await responseCache.set(cacheKey, response, {
+            ttl: responseCache.ttlForEndpoint(endpoint),
+            tags: ResponseCache.tagsForEndpoint(endpoint, expandedTables(expandTree)),
+          });
         }
         res.json(response);
       } catch (error) {
+        if (error instanceof QueryBuilderError) {
+          return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error(`Error in GET ${route}:`, error.stack);
         res.status(500).json({ error: error.message });
       }
@@ -1344,30 +1615,50 @@ function buildFilterClause(filterObj, dbTable) {
   
     
         
+        // Bulk routes go first so `_bulk` is never taken for a primary key.
+        BulkRouteHandler.registerBulkRoutes(app, endpoint, { responseCache, changeFeed, uuidTools });
+
         // POST, PUT, DELETE endpoints (unchanged but dynamically registered based on allowMethods)
         if (allowedMethods.includes("POST")) {
             app.post(route,cors(corsOptions), aarMiddleware(auth, { acl, unauthorized }, app.locals.ruleEngineMiddleware), async (req, res) => {
                 console.log(`Incoming POST request to ${route}:`, req.body);
-                const writableFields = Object.keys(req.body).filter((key) => allowWrite.includes(key));
+                let writableFields;
+                let tenant;
+                const record = {};
+                try {
+                    writableFields = permittedWriteFields(endpoint, getContext('user'), Object.keys(req.body).filter((key) => allowWrite.includes(key)));
+                    writableFields.forEach((key) => { record[key] = req.body[key]; });
+                    // Records of tenant-scoped endpoints belong to the request's tenant.
+                    tenant = currentTenant();
+                    if (writableFields.length > 0) {
+                        applyTenant(record, tenantScope(endpoint, tenant), true);
+                    }
+                } catch (error) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
                 if (writableFields.length === 0) {
                     return res.status(400).json({ error: 'No writable fields provided' });
                 }
 
                 // Properly serialize objects to JSON strings before sending to database
-                const values = writableFields.map((key) => {
-                    const val = req.body[key];
+                const columns = Object.keys(record);
+                const values = columns.map((key) => {
+                    const val = record[key];
                     // Check if value is an object (but not null and not a Date) and convert to JSON string
                     if (val !== null && typeof val === 'object' && !(val instanceof Date)) {
                         return JSON.stringify(val);
                     }
                     return val;
                 });
-                const placeholders = writableFields.map(() => '?').join(', ');
-                const query = `INSERT INTO ${dbTable} (${writableFields.join(', ')}) VALUES (${placeholders})`;
+                const placeholders = columns.map(() => '?').join(', ');
+                const query = `INSERT INTO ${dbTable} (${columns.join(', ')}) VALUES (${placeholders})`;
 
                 try {
                     const connection = await getDbConnection(endpoint);
                     const [result] = await connection.execute(query, values);
+                    await responseCache.invalidateTags([dbTable], `POST ${route}`);
+                    const createdId = keys && keys.length > 0 && writableFields.includes(keys[0]) && req.body[keys[0]] !== undefined ? req.body[keys[0]] : result.insertId;
+                    await changeFeed.publishRecords(connection, endpoint, 'create', [createdId], getContext('user'), tenant);
                     res.status(201).json({ message: 'Record created', id: result.insertId });
                 } catch (error) {
                     console.error(`Error in POST ${route}:`, error);
@@ -1408,7 +1699,17 @@ if (keys && keys.length > 0) {
             return res.status(400).json({ error: 'Record key is missing in URL path' });
             }
     
-            const writableFields = Object.keys(req.body).filter((key) => allowWrite.includes(key));
+            // The version column is maintained by the server; fieldAcl may drop or refuse fields.
+            let writableFields;
+            let tenant;
+            try {
+                writableFields = permittedWriteFields(endpoint, getContext('user'), Object.keys(req.body).filter((key) => allowWrite.includes(key) && key !== endpoint.versionColumn));
+                // Tenant-scoped endpoints only update rows of the request's tenant, and cannot move them to another one.
+                tenant = currentTenant();
+                applyTenant(Object.fromEntries(writableFields.map((key) => [key, req.body[key]])), tenantScope(endpoint, tenant), false);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
             if (writableFields.length === 0) {
             return res.status(400).json({ error: 'No writable fields provided' });
             }
@@ -1422,9 +1723,12 @@ if (keys && keys.length > 0) {
                 }
                 return val;
             });
-            const setClause = writableFields.map((key) => `${key} = ?`).join(', ');
+            const setClause = [...writableFields.map((key) => `${key} = ?`), ...versionIncrement(endpoint)].join(', ');
             let query = `UPDATE ${dbTable} SET ${setClause} WHERE ${primaryKey} = ?`;
             const params = [...values, recordId];
+            if (getSoftDeleteColumn(endpoint)) {
+                query += ` AND ${activeRowsCondition(endpoint)}`;
+            }
     
             if (endpoint.owner) {
                 const user = getContext('user');
@@ -1434,10 +1738,37 @@ if (keys && keys.length > 0) {
                 query += ` AND ${dbTable}.${endpoint.owner.column} = ?`;
                 params.push(user[endpoint.owner.tokenField]);
             }
+            const tenantScoped = tenantCondition(endpoint, tenant);
+            if (tenantScoped) {
+                query += ` AND ${tenantScoped.clause}`;
+                params.push(...tenantScoped.values);
+            }
             console.log(`Executing query: ${query} with params: ${params}`);
             try {
             const connection = await getDbConnection(endpoint);
-            await connection.execute(query, params);
+            const precondition = await checkWritePrecondition(req, connection, endpoint, primaryKey, recordId, getContext('user'), tenant);
+            if (!precondition.ok) {
+                return res.status(precondition.status || 412).json({ error: precondition.error || 'Precondition Failed: the record has been modified' });
+            }
+            if (precondition.guard) {
+                query += ` AND ${precondition.guard.condition}`;
+                params.push(...precondition.guard.values);
+            }
+            const [result] = await connection.execute(query, params);
+            const affected = affectedRowCount(result);
+            // A guarded write matching no row lost a race with a concurrent change.
+            const conflict = await checkGuardedWrite(connection, endpoint, primaryKey, recordId, precondition, affected, getContext('user'), tenant);
+            if (conflict) {
+                return res.status(conflict.status).json({ error: conflict.error });
+            }
+            await responseCache.invalidateTags([dbTable], `PUT ${route}`);
+            if (affected !== 0) {
+                await changeFeed.publishRecords(connection, endpoint, 'update', [recordId], getContext('user'), tenant);
+            }
+            if (isETagEnabled(endpoint)) {
+                const updated = await loadRecordVersion(connection, endpoint, primaryKey, recordId, getContext('user'), tenant);
+                if (updated) res.set('ETag', updated.etag);
+            }
             res.status(200).json({ message: 'Record updated' });
             } catch (error) {
             console.error(`Error in PUT ${route}:`, error);
@@ -1474,7 +1805,17 @@ if (keys && keys.length > 0) {
             return res.status(400).json({ error: 'Record key is missing in URL path' });
             }
     
-            const writableFields = Object.keys(req.body).filter((key) => allowWrite.includes(key));
+            // The version column is maintained by the server; fieldAcl may drop or refuse fields.
+            let writableFields;
+            let tenant;
+            try {
+                writableFields = permittedWriteFields(endpoint, getContext('user'), Object.keys(req.body).filter((key) => allowWrite.includes(key) && key !== endpoint.versionColumn));
+                // Tenant-scoped endpoints only update rows of the request's tenant, and cannot move them to another one.
+                tenant = currentTenant();
+                applyTenant(Object.fromEntries(writableFields.map((key) => [key, req.body[key]])), tenantScope(endpoint, tenant), false);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
             if (writableFields.length === 0) {
             return res.status(400).json({ error: 'No writable fields provided' });
             }
@@ -1488,9 +1829,12 @@ if (keys && keys.length > 0) {
                 }
                 return val;
             });
-            const setClause = writableFields.map((key) => `${key} = ?`).join(', ');
+            const setClause = [...writableFields.map((key) => `${key} = ?`), ...versionIncrement(endpoint)].join(', ');
             let query = `UPDATE ${dbTable} SET ${setClause} WHERE ${primaryKey} = ?`;
             const params = [...values, recordId];
+            if (getSoftDeleteColumn(endpoint)) {
+                query += ` AND ${activeRowsCondition(endpoint)}`;
+            }
     
             if (endpoint.owner) {
             const user = getContext('user');
@@ -1500,10 +1844,37 @@ if (keys && keys.length > 0) {
             query += ` AND ${dbTable}.${endpoint.owner.column} = ?`;
             params.push(user[endpoint.owner.tokenField]);
             }
+            const tenantScoped = tenantCondition(endpoint, tenant);
+            if (tenantScoped) {
+                query += ` AND ${tenantScoped.clause}`;
+                params.push(...tenantScoped.values);
+            }
     
             try {
             const connection = await getDbConnection(endpoint);
-            await connection.execute(query, params);
+            const precondition = await checkWritePrecondition(req, connection, endpoint, primaryKey, recordId, getContext('user'), tenant);
+            if (!precondition.ok) {
+                return res.status(precondition.status || 412).json({ error: precondition.error || 'Precondition Failed: the record has been modified' });
+            }
+            if (precondition.guard) {
+                query += ` AND ${precondition.guard.condition}`;
+                params.push(...precondition.guard.values);
+            }
+            const [result] = await connection.execute(query, params);
+            const affected = affectedRowCount(result);
+            // A guarded write matching no row lost a race with a concurrent change.
+            const conflict = await checkGuardedWrite(connection, endpoint, primaryKey, recordId, precondition, affected, getContext('user'), tenant);
+            if (conflict) {
+                return res.status(conflict.status).json({ error: conflict.error });
+            }
+            await responseCache.invalidateTags([dbTable], `PATCH ${route}`);
+            if (affected !== 0) {
+                await changeFeed.publishRecords(connection, endpoint, 'update', [recordId], getContext('user'), tenant);
+            }
+            if (isETagEnabled(endpoint)) {
+                const updated = await loadRecordVersion(connection, endpoint, primaryKey, recordId, getContext('user'), tenant);
+                if (updated) res.set('ETag', updated.etag);
+            }
             res.status(200).json({ message: 'Record partially updated' });
             } catch (error) {
             console.error(`Error in PATCH ${route}:`, error);
@@ -1540,8 +1911,12 @@ if (keys && keys.length > 0) {
             return res.status(400).json({ error: 'Record key is missing in URL path' });
             }
     
-            let query = `DELETE FROM ${dbTable} WHERE ${primaryKey} = ?`;
-            const params = [recordId];
+            // Soft delete endpoints stamp the deletion column instead of removing the row.
+            const softDeleteColumn = getSoftDeleteColumn(endpoint);
+            let query = softDeleteColumn
+                ? `UPDATE ${dbTable} SET ${softDeleteColumn} = ? WHERE ${primaryKey} = ? AND ${activeRowsCondition(endpoint)}`
+                : `DELETE FROM ${dbTable} WHERE ${primaryKey} = ?`;
+            const params = softDeleteColumn ? [new Date(), recordId] : [recordId];
     
             if (endpoint.owner) {
             const user = getContext('user');
@@ -1551,10 +1926,40 @@ if (keys && keys.length > 0) {
             query += ` AND ${dbTable}.${endpoint.owner.column} = ?`;
             params.push(user[endpoint.owner.tokenField]);
             }
+
+            const tenant = currentTenant();
+            let tenantScoped;
+            try {
+                tenantScoped = tenantCondition(endpoint, tenant);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            if (tenantScoped) {
+                query += ` AND ${tenantScoped.clause}`;
+                params.push(...tenantScoped.values);
+            }
     
             try {
             const connection = await getDbConnection(endpoint);
-            await connection.execute(query, params);
+            const precondition = await checkWritePrecondition(req, connection, endpoint, primaryKey, recordId, getContext('user'), tenant);
+            if (!precondition.ok) {
+                return res.status(precondition.status || 412).json({ error: precondition.error || 'Precondition Failed: the record has been modified' });
+            }
+            if (precondition.guard) {
+                query += ` AND ${precondition.guard.condition}`;
+                params.push(...precondition.guard.values);
+            }
+            const [result] = await connection.execute(query, params);
+            const affected = affectedRowCount(result);
+            // A guarded write matching no row lost a race with a concurrent change.
+            const conflict = await checkGuardedWrite(connection, endpoint, primaryKey, recordId, precondition, affected, getContext('user'), tenant);
+            if (conflict) {
+                return res.status(conflict.status).json({ error: conflict.error });
+            }
+            await responseCache.invalidateTags([dbTable], `DELETE ${route}`);
+            if (affected !== 0) {
+                await changeFeed.publishRecords(connection, endpoint, 'delete', [recordId], getContext('user'), tenant);
+            }
             res.status(200).json({ message: 'Record deleted' });
             } catch (error) {
             console.error(`Error in DELETE ${route}:`, error);
@@ -1563,6 +1968,70 @@ if (keys && keys.length > 0) {
         }
         );
     }
+    // *******************************
+    // RESTORE Endpoint (Soft Delete)
+    // *******************************
+    const softDeleteColumn = getSoftDeleteColumn(endpoint);
+    if (softDeleteColumn && allowedMethods.map(m => m.toUpperCase()).includes("DELETE")) {
+        app.post(
+        `${route}/:${primaryKey}/restore`,
+        aarMiddleware(auth, { acl, unauthorized }, app.locals.ruleEngineMiddleware),
+        async (req, res) => {
+            const user = getContext('user');
+            if (!canAccessDeleted(endpoint, user)) {
+                return res.status(403).json({ error: 'Not allowed to restore deleted records' });
+            }
+
+            let recordId = req.params[primaryKey];
+            if (endpoint.uuidMapping) {
+            if (
+                (typeof endpoint.uuidMapping === 'boolean' && endpoint.uuidMapping === true) ||
+                (Array.isArray(endpoint.uuidMapping) && endpoint.uuidMapping.includes(primaryKey))
+            ) {
+                const decodedId = await uuidTools.getOriginalIdFromUUID(dbTable, primaryKey, recordId);
+                if (!decodedId) {
+                return res.status(400).json({ error: "Invalid UUID provided" });
+                }
+                recordId = decodedId;
+            }
+            }
+
+            let query = `UPDATE ${dbTable} SET ${softDeleteColumn} = NULL WHERE ${primaryKey} = ? AND ${dbTable}.${softDeleteColumn} IS NOT NULL`;
+            const params = [recordId];
+
+            if (endpoint.owner) {
+            query += ` AND ${dbTable}.${endpoint.owner.column} = ?`;
+            params.push(user[endpoint.owner.tokenField]);
+            }
+
+            const tenant = currentTenant();
+            let tenantScoped;
+            try {
+                tenantScoped = tenantCondition(endpoint, tenant);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message });
+            }
+            if (tenantScoped) {
+                query += ` AND ${tenantScoped.clause}`;
+                params.push(...tenantScoped.values);
+            }
+
+            try {
+            const connection = await getDbConnection(endpoint);
+            const [result] = await connection.execute(query, params);
+            if (affectedRowCount(result) === 0) {
+                return res.status(404).json({ error: 'No deleted record found' });
+            }
+            await responseCache.invalidateTags([dbTable], `RESTORE ${route}`);
+            await changeFeed.publishRecords(connection, endpoint, 'update', [recordId], user, tenant);
+            res.status(200).json({ message: 'Record restored' });
+            } catch (error) {
+            console.error(`Error in RESTORE ${route}:`, error);
+            res.status(500).json({ error: 'Internal Server Error' });
+            }
+        }
+        );
+    }
   } else {
     console.log(`Skipping PUT, PATCH, DELETE for ${route} as no keys are defined.`);
   }
@@ -1690,8 +2159,14 @@ class Adaptus2Server {
             }
         });
         
-        // Initialize WebSocket server
-        this.wss = new WebSocket.Server({ server: this.httpServer });
+        // Initialize WebSocket servers; upgrades to /graphql go to the GraphQL subscriptions server
+        this.wss = new WebSocket.Server({ noServer: true });
+        this.graphqlWss = null;
+        this.httpServer.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const target = pathname === '/graphql' && this.graphqlWss ? this.graphqlWss : this.wss;
+            target.handleUpgrade(req, socket, head, (ws) => target.emit('connection', ws, req));
+        });
         this.setupWebSocket();
         this.apiConfig = apiConfig;
         this.categorizedConfig = categorizedConfig;
@@ -2119,22 +2594,27 @@ registerMiddleware() {
         this.categorizedConfig.staticRoutes.forEach((route) => registerStaticRoute(this.app, route));
     }
 
+    // Publishes the public keys of RS256/ES256 tokens, so other services can verify them.
+    registerJwksEndpoint() {
+        const keyRing = getKeyRing();
+        this.app.get('/.well-known/jwks.json', cors(corsOptions), (req, res) => {
+            res.set('Cache-Control', 'public, max-age=300');
+            res.json(keyRing.jwks());
+        });
+    }
+
     async setupGraphQL() {
         if (!graphqlDbType || !graphqlDbConnection) return;
 
-        var { schema, rootResolvers } = generateGraphQLSchema(this.categorizedConfig.databaseRoutes);
-        rootResolvers = flattenResolvers(rootResolvers);
-    
-        const driver = {
-            dbConnection: async () => await getDbConnection({ dbType: graphqlDbType, dbConnection: graphqlDbConnection }),
-        };
+        const { schema } = generateGraphQLSchema(this.categorizedConfig.databaseRoutes);
 
+        // Anonymous requests are allowed through; each operation checks its endpoint's auth/acl.
         this.app.use(
             '/graphql',
             express.json(),
+            optionalAuthentication,
             (req, res, next) => {
                 req.parsedBody = req.body;
-                res.dbConnection = driver.dbConnection;
                 next();
             }
         );
@@ -2143,14 +2623,42 @@ registerMiddleware() {
             '/graphql',
             createHandler({
                 schema,
-                rootValue: rootResolvers,
-                context: async (req, res) => ({
-                    req,
-                    res,
-                    dbConnection: await driver.dbConnection(),
+                context: async (req) => createGraphQLContext({
+                    user: req.raw.user,
+                    tenant: resolveTenant(req.raw, req.raw.user),
+                    responseCache,
+                    changeFeed,
+                    uuidTools,
+                    secretSalt: SECRET_SALT,
                 }),
             })
         );
+
+        // Subscriptions use the graphql-transport-ws protocol on the same path. The token is read
+        // from the connection_init payload ({ authorization: "Bearer ..." }) or the upgrade request,
+        // and so is the tenant ({ tenantId: "..." } or the tenant header / subdomain).
+        this.graphqlWss = new WebSocket.Server({ noServer: true });
+        useGraphQLWebSocketServer({
+            schema,
+            onConnect: async (ctx) => {
+                const params = ctx.connectionParams || {};
+                const apiKey = params.apiKey || ctx.extra.request.headers[API_KEY_HEADER];
+                const header = params.authorization || params.Authorization || ctx.extra.request.headers['authorization'];
+                if (!apiKey && !header) return true;
+                const user = apiKey ? await verifyApiKey(String(apiKey)) : await verifyToken(String(header).split(' ').pop());
+                if (!user) return false;
+                ctx.extra.user = user;
+                return true;
+            },
+            context: (ctx) => createGraphQLContext({
+                user: ctx.extra.user,
+                tenant: resolveTenant(ctx.extra.request, ctx.extra.user, (ctx.connectionParams || {}).tenantId),
+                responseCache,
+                changeFeed,
+                uuidTools,
+                secretSalt: SECRET_SALT,
+            }),
+        }, this.graphqlWss);
     }
 
     // Ensure LLM Module is fully initialized before dependent modules load
@@ -2396,6 +2904,44 @@ MOD_PAGECLONE=false
                 dbConnection: process.env.DEFAULT_DBCONNECTION
             });
             tracker.setupRoutes(app);
+
+            // Funnel, cohort, attribution and product affinity analyses on the tracked events
+            const { EcommAnalytics } = require('./modules/ecommAnalytics');
+            const EcommAnalyticsRoutes = require('./routes/ecommAnalytics');
+            const analyticsDbConfig = {
+                dbType: process.env.DEFAULT_DBTYPE,
+                dbConnection: process.env.DEFAULT_DBCONNECTION
+            };
+            this.ecommAnalytics = new EcommAnalytics({
+                getConnection: () => getDbConnection(analyticsDbConfig),
+                getTransaction: () => getTransactionConnection(analyticsDbConfig)
+            });
+            if (process.env.ECOMM_ROLLUP_ENABLED !== 'false') {
+                this.ecommAnalytics.start();
+            }
+            app.use(
+                '/api/ecomm-analytics',
+                cors(corsOptions),
+                authenticateMiddleware(true),
+                aclMiddleware([process.env.ECOMM_ANALYTICS_ACL || 'adminAccess']),
+                new EcommAnalyticsRoutes(this.ecommAnalytics).getRouter()
+            );
+
+            // Retention purge and per-visitor export / erasure of the tracked data
+            const { TrackingPrivacy } = require('./modules/trackingPrivacy');
+            const TrackingPrivacyRoutes = require('./routes/trackingPrivacy');
+            this.trackingPrivacy = new TrackingPrivacy({
+                getConnection: () => getDbConnection(analyticsDbConfig),
+                analytics: this.ecommAnalytics
+            });
+            this.trackingPrivacy.start();
+            app.use(
+                '/api/tracking-privacy',
+                cors(corsOptions),
+                authenticateMiddleware(true),
+                aclMiddleware([process.env.TRACKING_PRIVACY_ACL || 'adminAccess']),
+                new TrackingPrivacyRoutes(this.trackingPrivacy).getRouter()
+            );
         }
 
         if(process.env.MOD_SDUIADMIN){
@@ -2594,6 +3140,13 @@ MOD_PAGECLONE=false
         this.wss.on('connection', (ws, req) => {
             // Add client to set
             clients.add(ws);
+
+            // The user of the connection, from a bearer token (Authorization header or `token`
+            // query parameter) or an API key; anonymous clients only get the public channels
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            const apiKey = req.headers[API_KEY_HEADER];
+            const bearer = (req.headers['authorization'] || '').split(' ').pop() || query.get('token');
+            ws.authenticated = apiKey ? verifyApiKey(String(apiKey)) : verifyToken(bearer);
             
             // Handle client messages
             ws.on('message', async (message) => {
@@ -2602,6 +3155,14 @@ MOD_PAGECLONE=false
                     // Handle different message types
                     switch (data.type) {
                         case 'subscribe':
+                            if (data.channel === REDIS_CHANNELS.AGENT_WORKFLOW_STEPS && !(await ws.authenticated)) {
+                                ws.send(JSON.stringify({
+                                    type: WS_EVENTS.ERROR,
+                                    channel: data.channel,
+                                    error: 'Authentication required'
+                                }));
+                                break;
+                            }
                             ws.subscribedChannels = ws.subscribedChannels || new Set();
                             ws.subscribedChannels.add(data.channel);
                             break;
@@ -2638,16 +3199,28 @@ MOD_PAGECLONE=false
         redisSubscriber.subscribe(
             REDIS_CHANNELS.DB_CHANGES,
             REDIS_CHANNELS.CACHE_UPDATES,
-            REDIS_CHANNELS.CONFIG_CHANGES
+            REDIS_CHANNELS.CONFIG_CHANGES,
+            REDIS_CHANNELS.RECORD_CHANGES,
+            REDIS_CHANNELS.AGENT_WORKFLOW_STEPS
         );
 
         // Handle Redis messages
         redisSubscriber.on('message', (channel, message) => {
-            // Broadcast to relevant WebSocket clients
             const data = JSON.parse(message);
+            if (channel === REDIS_CHANNELS.CACHE_UPDATES) {
+                responseCache.handleInvalidationMessage(data);
+            }
+            if (channel === REDIS_CHANNELS.RECORD_CHANGES) {
+                // Row data is only delivered through the GraphQL subscriptions, which enforce ACLs.
+                changeFeed.handleMessage(data);
+                return;
+            }
+
+            // Broadcast to relevant WebSocket clients
+            const explicitOnly = channel === REDIS_CHANNELS.AGENT_WORKFLOW_STEPS;
             clients.forEach(client => {
                 if (client.readyState === WebSocket.OPEN &&
-                    (!client.subscribedChannels || client.subscribedChannels.has(channel))) {
+                    (client.subscribedChannels ? client.subscribedChannels.has(channel) : !explicitOnly)) {
                     client.send(JSON.stringify({
                         type: this.getEventTypeForChannel(channel),
                         channel,
@@ -2667,6 +3240,8 @@ MOD_PAGECLONE=false
                 return WS_EVENTS.CACHE_INVALIDATED;
             case REDIS_CHANNELS.CONFIG_CHANGES:
                 return WS_EVENTS.CONFIG_UPDATED;
+            case REDIS_CHANNELS.AGENT_WORKFLOW_STEPS:
+                return WS_EVENTS.WORKFLOW_STEP;
             default:
                 return 'unknown';
         }
@@ -2705,6 +3280,43 @@ MOD_PAGECLONE=false
         this.app.use('/analytics', authenticateMiddleware(true), analyticsRoutes.getRouter());
     }
 
+    // Register API key administration routes, for holders of the API_KEYS_ADMIN_ACL role
+    registerApiKeyRoutes() {
+        const apiKeyRoutes = new ApiKeyRoutes(getApiKeyService());
+        this.app.use(
+            '/admin/api-keys',
+            cors(corsOptions),
+            authenticateMiddleware(true),
+            aclMiddleware([process.env.API_KEYS_ADMIN_ACL || 'adminAccess']),
+            apiKeyRoutes.getRouter()
+        );
+    }
+
+    // Load config/workflows.dsl, start polling schedules and stale runs, and register the
+    // run administration routes for holders of the WORKFLOWS_ADMIN_ACL role
+    registerWorkflowEngine() {
+        if (!fs.existsSync(workflowsConfigPath)) {
+            return;
+        }
+        try {
+            this.workflowEngine = new WorkflowEngine(null, contextModule.globalContext);
+            this.workflowEngine.loadWorkflows(fs.readFileSync(workflowsConfigPath, 'utf-8'));
+            this.workflowEngine.start();
+        } catch (error) {
+            console.error('Failed to initialize workflow engine:', error.message);
+            this.workflowEngine = null;
+            return;
+        }
+        const workflowRoutes = new WorkflowRoutes(this.workflowEngine);
+        this.app.use(
+            '/admin/workflows',
+            cors(corsOptions),
+            authenticateMiddleware(true),
+            aclMiddleware([process.env.WORKFLOWS_ADMIN_ACL || 'adminAccess']),
+            workflowRoutes.getRouter()
+        );
+    }
+
     // Register development tools routes (only in development environment)
     registerDevTools() {
         if (process.env.NODE_ENV === 'development') {
@@ -2806,6 +3418,7 @@ MOD_PAGECLONE=false
            
             this.registerAnalyticsRoutes();
             this.registerDevTools();
+            this.registerApiKeyRoutes();
             setupRag(this.apiConfig);
             
             // Log module status
@@ -2817,6 +3430,7 @@ MOD_PAGECLONE=false
 
             extendContext();
             initializeRules(this.app);
+            this.registerWorkflowEngine();
             this.registerMiddleware();
             updateValidationRules();
  
@@ -2826,6 +3440,7 @@ MOD_PAGECLONE=false
             this.registerDynamicEndpoints();
             this.registerFileUploadEndpoints();
             this.registerStaticEndpoints();
+            this.registerJwksEndpoint();
             
             // Ensure LLM Module is fully initialized before loading dependent modules
             await this.ensureLLMModuleInitialized();
@@ -2835,7 +3450,7 @@ MOD_PAGECLONE=false
 
     
             const preCache = process.env.DBPRECACHE === 'true' || false ;
-            if(preCache === 'true') {
+            if(preCache) {
                 await preCacheGetEndpoints(this.categorizedConfig.databaseRoutes);
             }
             await this.setupGraphQL();
@@ -2857,6 +3472,7 @@ MOD_PAGECLONE=false
                     requestLogger: requestLogger,  // Make sure this is accessible
                     packageJson: packageJson,  // Make sure this is accessible
                     initializeRules: initializeRules,  // Make sure this function is accessible
+                    workflowEngine: this.workflowEngine,
                     // Pass globalContext directly from contextModule
                     globalContext: contextModule.globalContext  // Use the imported context module
                 });
@@ -2893,6 +3509,20 @@ MOD_PAGECLONE=false
         try {
             consolelog.log('Initiating graceful shutdown...');
 
+            // Stop polling workflow schedules; runs left unfinished are recovered by another node or on restart
+            if (this.workflowEngine) {
+                this.workflowEngine.stop();
+            }
+            if (this.reportingModule) {
+                this.reportingModule.stopSubscriptions();
+            }
+            if (this.ecommAnalytics) {
+                this.ecommAnalytics.stop();
+            }
+            if (this.trackingPrivacy) {
+                this.trackingPrivacy.stop();
+            }
+
             // First, close HTTP server to stop accepting new connections
             if (this.httpServer) {
                 await new Promise((resolve) => {
@@ -2912,6 +3542,14 @@ MOD_PAGECLONE=false
                     });
                 });
             }
+            if (this.graphqlWss) {
+                await new Promise((resolve) => {
+                    this.graphqlWss.close(() => {
+                        consolelog.log('GraphQL subscriptions server closed');
+                        resolve();
+                    });
+                });
+            }
 
             // Close signaling server if it exists
             if (this.signalServer) {
@@ -31,25 +31,28 @@ class EmailService {
         }
     }
 
-    async send({ to, subject, template, data, attachments = [] }) {
-        if (!to || !subject || !template) {
+    async send({ to, subject, template, html: body, data, attachments = [] }) {
+        if (!to || !subject || (!template && !body)) {
             throw new Error('Missing required email parameters');
         }
 
         try {
-            // Validate email address
-            if (!this.validateEmail(to)) {
+            // Validate email address (or a comma-separated list)
+            if (!String(to).split(',').every((address) => this.validateEmail(address.trim()))) {
                 throw new Error('Invalid email address');
             }
 
-            // Get and compile template
-            const templateContent = this.templates[template];
-            if (!templateContent) {
-                throw new Error(`Template '${template}' not found`);
-            }
+            // Get and compile template, unless the body is given
+            let html = body;
+            if (template) {
+                const templateContent = this.templates[template];
+                if (!templateContent) {
+                    throw new Error(`Template '${template}' not found`);
+                }
 
-            const compiledTemplate = handlebars.compile(templateContent);
-            const html = compiledTemplate(data);
+                const compiledTemplate = handlebars.compile(templateContent);
+                html = compiledTemplate(data);
+            }
 
             const mailOptions = {
                 from: process.env.EMAIL_FROM,
@@ -0,0 +1,211 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn(), read: jest.fn() }));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+jest.mock('../modules/llmModule', () => ({
+    buildPersonaPrompt: jest.fn((agent) => `You are ${agent.name}`),
+    processMessage: jest.fn(),
+}));
+
+const { read } = require('../modules/db');
+const llmModule = require('../modules/llmModule');
+const toolRegistry = require('../modules/GlobalToolRegistry');
+const AgentWorkflowManager = require('../modules/agentWorkflowManager');
+const { buildGraph, WORKFLOW_STEP_CHANNEL, STEP_PAYLOAD_FIELDS } = AgentWorkflowManager;
+
+function memoryStore() {
+    const runs = new Map();
+    const steps = new Map();
+    return {
+        runs,
+        steps,
+        async createRun({ workflow, input }) {
+            const run = { id: `run-${runs.size + 1}`, workflow, status: 'running', input };
+            runs.set(run.id, run);
+            return { ...run };
+        },
+        async saveStep(runId, step) {
+            steps.set(`${runId}:${step.key}`, { ...step });
+        },
+        async updateRun(id, fields) {
+            Object.assign(runs.get(id), fields);
+            return true;
+        },
+        async getRun(id) {
+            return runs.get(id) || null;
+        },
+    };
+}
+
+const agents = { summarizer: { id: 'summarizer', name: 'Summarizer' }, triage: { id: 'triage', name: 'Triage' } };
+
+function manager(workflow) {
+    read.mockImplementation(async (config, table, { id }) => (table === 'agents' ? [agents[id]] : [id === workflow.id && workflow]).filter(Boolean));
+    const redis = { get: jest.fn(async () => null), set: jest.fn(async () => 'OK'), publish: jest.fn(async () => 1) };
+    const store = memoryStore();
+    const instance = new AgentWorkflowManager({}, redis, { actions: {} }, { runStore: store });
+    const events = [];
+    instance.on('workflow-step', (event) => events.push(event));
+    return { instance, redis, store, events };
+}
+
+describe('agent workflow graph executor', () => {
+    let log;
+
+    beforeAll(() => {
+        toolRegistry.registerTool({
+            name: 'lookupOrder',
+            execute: async (params) => {
+                await new Promise((resolve) => setTimeout(resolve, 10));
+                return { order: params.orderId, total: 42 };
+            },
+        }, 'test', 'agentWorkflowTest');
+    });
+
+    beforeEach(() => {
+        log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        llmModule.processMessage.mockReset();
+    });
+
+    afterEach(() => log.mockRestore());
+
+    test('should fan out, run branches concurrently and merge their outputs', async () => {
+        llmModule.processMessage.mockImplementation(async ({ message }) => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            const payload = JSON.parse(message);
+            return { message: `${payload.prompt}: ${JSON.stringify(payload.inputData)}` };
+        });
+        const { instance, redis, store, events } = manager({
+            id: 'wf-1',
+            name: 'support',
+            elements: JSON.stringify([
+                { id: 'start' },
+                { id: 'summary', agentId: 'summarizer' },
+                { id: 'order', type: 'tool' },
+                { id: 'join', type: 'merge' },
+            ]),
+            connections: JSON.stringify([
+                { from: 'start', to: 'summary' },
+                { from: 'start', to: 'order' },
+                { from: 'summary', to: 'join' },
+                { from: 'order', to: 'join' },
+            ]),
+            mcpAttachments: { order: { tool: 'lookupOrder', parameters: { orderId: 7 } } },
+        });
+
+        const result = await instance.executeWorkflow('wf-1', { text: 'Where is my order?' });
+
+        expect(result.status).toBe('completed');
+        expect(result.output).toEqual({
+            join: {
+                summary: 'You are Summarizer: {"text":"Where is my order?"}',
+                order: { order: 7, total: 42 },
+            },
+        });
+        expect(store.runs.get(result.runId).status).toBe('completed');
+        expect(store.steps.get(`${result.runId}:order`)).toMatchObject({ action: 'tool', status: 'completed', attempts: 1 });
+
+        // The tool and the agent ran side by side
+        const started = events.filter((event) => event.type === 'node-started').map((event) => event.nodeId);
+        expect(started.slice(1, 3).sort()).toEqual(['order', 'summary']);
+        expect(events.findIndex((event) => event.type === 'node-started' && event.nodeId === 'order'))
+            .toBeLessThan(events.findIndex((event) => event.type === 'node-completed' && event.nodeId === 'summary'));
+        expect(events.map((event) => event.seq)).toEqual(events.map((event, index) => index + 1));
+        expect(redis.publish).toHaveBeenCalledWith(WORKFLOW_STEP_CHANNEL, expect.stringContaining('"type":"run-completed"'));
+    });
+
+    test('should follow conditional edges and skip the branches not taken', async () => {
+        llmModule.processMessage.mockResolvedValue({ message: 'refund requested' });
+        const escalate = jest.fn(async () => 'escalated');
+        toolRegistry.registerTool({ name: 'escalate', execute: escalate }, 'test', 'agentWorkflowTest');
+        const { instance, events } = manager({
+            id: 'wf-2',
+            name: 'triage',
+            elements: [
+                { id: 'classify', agentId: 'triage' },
+                { id: 'refund' },
+                { id: 'other', tool: 'escalate' },
+                { id: 'followUp' },
+            ],
+            connections: [
+                { from: 'classify', to: 'refund', condition: 'output CONTAINS "refund"' },
+                { from: 'classify', to: 'other', condition: 'output CONTAINS "complaint"' },
+                { from: 'other', to: 'followUp' },
+            ],
+            mcpAttachments: {},
+        });
+
+        const result = await instance.executeWorkflow('wf-2', 'I want my money back');
+
+        expect(result.nodes).toEqual({ classify: 'completed', refund: 'completed', other: 'skipped', followUp: 'skipped' });
+        expect(result.output).toEqual({ refund: 'refund requested' });
+        expect(escalate).not.toHaveBeenCalled();
+        expect(events.find((event) => event.type === 'node-completed' && event.nodeId === 'classify').to).toEqual(['refund']);
+    });
+
+    test('should fail the run when a node keeps failing and reject cyclic graphs', async () => {
+        llmModule.processMessage.mockRejectedValue(new Error('model unavailable'));
+        const { instance, store, events } = manager({
+            id: 'wf-3',
+            name: 'broken',
+            elements: [{ id: 'a', agentId: 'summarizer' }, { id: 'b' }],
+            connections: [{ from: 'a', to: 'b' }],
+            settings: { retryCount: 1, retryDelay: 5 },
+        });
+
+        const error = await instance.executeWorkflow('wf-3', {}).catch((err) => err);
+        expect(error.message).toBe('Node a failed after 2 attempt(s): model unavailable');
+        expect(store.runs.get(error.runId)).toMatchObject({ status: 'failed', error: error.message });
+        expect(events.map((event) => event.type)).toEqual(['run-started', 'node-started', 'node-failed', 'run-failed']);
+
+        expect(() => buildGraph({
+            name: 'loop',
+            elements: [{ id: 'a' }, { id: 'b' }],
+            connections: [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }],
+        })).toThrow('Workflow loop has a cycle through a, b');
+        await expect(instance.executeWorkflow('missing', {})).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('should back off between retries and abort the attempts that time out', async () => {
+        const calls = [];
+        toolRegistry.registerTool({
+            name: 'slowLookup',
+            execute: (params, options) => {
+                calls.push({ at: Date.now(), signal: options.signal });
+                return new Promise((resolve) => setTimeout(() => resolve('late'), 100));
+            },
+        }, 'test', 'agentWorkflowTest');
+        const { instance } = manager({
+            id: 'wf-4',
+            name: 'slow',
+            elements: [{ id: 'lookup', tool: 'slowLookup' }],
+            connections: [],
+            settings: { retryCount: 2, retryDelay: 20, timeout: 10 },
+        });
+
+        const error = await instance.executeWorkflow('wf-4', {}).catch((err) => err);
+
+        expect(error.message).toBe('Node lookup failed after 3 attempt(s): Node lookup timed out after 10 ms');
+        expect(calls).toHaveLength(3);
+        expect(calls.every((call) => call.signal.aborted)).toBe(true);
+        // timeout + 20 ms, then timeout + 40 ms
+        expect(calls[1].at - calls[0].at).toBeGreaterThanOrEqual(29);
+        expect(calls[2].at - calls[1].at).toBeGreaterThanOrEqual(49);
+    });
+
+    test('should publish steps without their run data', async () => {
+        llmModule.processMessage.mockResolvedValue({ message: 'secret summary' });
+        const { instance, redis, events } = manager({
+            id: 'wf-5',
+            name: 'private',
+            elements: [{ id: 'summary', agentId: 'summarizer' }],
+            connections: [],
+        });
+
+        await instance.executeWorkflow('wf-5', { card: '4111' });
+
+        const published = redis.publish.mock.calls.map(([, message]) => JSON.parse(message));
+        expect(published.map((event) => event.type)).toEqual(events.map((event) => event.type));
+        expect(published.every((event) => STEP_PAYLOAD_FIELDS.every((field) => !(field in event)))).toBe(true);
+        expect(published.find((event) => event.type === 'node-completed')).toMatchObject({ nodeId: 'summary', to: [], attempts: 1 });
+        expect(events[0].input).toEqual({ card: '4111' });
+    });
+});
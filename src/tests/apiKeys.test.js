@@ -0,0 +1,158 @@
+jest.mock('adaptus2-orm', () => ({ getDbConnection: jest.fn(), query: jest.fn() }), { virtual: true });
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+jest.mock('../modules/db', () => ({ ...jest.requireActual('../modules/db'), getDbConnection: jest.fn() }));
+
+const { getDbConnection } = require('../modules/db');
+const { ApiKeyService, authMethods, acceptsPrincipal, getApiKeyService } = require('../modules/apiKeys');
+const { authenticateMiddleware } = require('../middleware/authenticationMiddleware');
+const RateLimit = require('../modules/rate_limit');
+
+// Connection storing the rows of the api_keys table in memory. Writes resolve to [[meta]],
+// like the wrapper of db.getDbConnection.
+function createConnection(rows = []) {
+    return {
+        rows,
+        execute: jest.fn(async (sql, params) => {
+            if (sql.startsWith('CREATE TABLE')) return [[], []];
+            if (sql.startsWith('SHOW COLUMNS')) return [[{ Field: 'tenant_id' }], []];
+            if (sql.startsWith('INSERT')) {
+                const [name, key_prefix, key_hash, scopes, rate_limit_tier, tenant_id, created_by, created_at, expires_at] = params;
+                rows.push({ id: rows.length + 1, name, key_prefix, key_hash, scopes, rate_limit_tier, tenant_id, created_by, created_at, expires_at });
+                return [[{ insertId: rows.length, affectedRows: 1 }], []];
+            }
+            if (sql.includes('WHERE key_hash = ?')) return [rows.filter((row) => row.key_hash === params[0]), []];
+            if (sql.startsWith('UPDATE') && sql.includes('revoked_at = ?')) {
+                const row = rows.find((r) => String(r.id) === String(params[1]) && !r.revoked_at);
+                if (row) row.revoked_at = params[0];
+                return [[{ affectedRows: row ? 1 : 0 }], []];
+            }
+            return [[{ affectedRows: 1 }], []];
+        }),
+    };
+}
+
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('API keys', () => {
+    test('should store only the hash and resolve the key to its scopes', async () => {
+        const connection = createConnection();
+        const service = new ApiKeyService({ getConnection: async () => connection });
+
+        const created = await service.create({ name: 'partner', scopes: 'partnerAccess, ordersRead', rateLimitTier: 'gold' });
+
+        expect(created.key).toMatch(/^ak_[0-9a-f]{8}_/);
+        expect(JSON.stringify(connection.rows)).not.toContain(created.key);
+        expect(connection.rows[0].key_hash).toBe(ApiKeyService.hash(created.key));
+        expect(await service.verify(created.key)).toEqual({
+            sub: 'apikey:1',
+            username: 'partner',
+            acl: ['partnerAccess', 'ordersRead'],
+            apiKeyId: 1,
+            rateLimitTier: 'gold',
+            authType: 'apikey',
+        });
+        expect(await service.verify('ak_00000000_unknown')).toBeNull();
+    });
+
+    test('should expose the tenant of a key as the tenant claim', async () => {
+        const connection = createConnection();
+        const service = new ApiKeyService({ getConnection: async () => connection });
+
+        const created = await service.create({ name: 'acme-sync', scopes: 'ordersRead', tenant: 'acme' });
+
+        expect(created.tenant).toBe('acme');
+        expect(await service.verify(created.key)).toEqual(expect.objectContaining({ tenantId: 'acme' }));
+        expect((await service.create({ name: 'shared' })).tenant).toBeNull();
+    });
+
+    test('should add the tenant column to tables created before keys had a tenant', async () => {
+        const connection = createConnection();
+        const execute = connection.execute.getMockImplementation();
+        connection.execute.mockImplementation(async (sql, params) =>
+            (sql.startsWith('SHOW COLUMNS') ? [[], []] : execute(sql, params)));
+        const service = new ApiKeyService({ getConnection: async () => connection });
+
+        await service.ensureTable();
+
+        expect(connection.execute).toHaveBeenCalledWith('ALTER TABLE api_keys ADD COLUMN tenant_id VARCHAR(255) NULL', []);
+    });
+
+    test('should reject expired and revoked keys', async () => {
+        const connection = createConnection();
+        const service = new ApiKeyService({ getConnection: async () => connection });
+        const expiring = await service.create({ name: 'trial', scopes: ['publicAccess'], expiresInDays: 1 });
+        const revoked = await service.create({ name: 'old', scopes: ['publicAccess'] });
+
+        expect(await service.verify(expiring.key, Date.now() + 2 * 86400000)).toBeNull();
+        expect(await service.verify(revoked.key)).not.toBeNull();
+        expect(await service.revoke(revoked.id)).toBe(true);
+        expect(await service.verify(revoked.key)).toBeNull();
+        expect(await service.revoke(revoked.id)).toBe(false);
+        await expect(service.create({ name: 'bad', expiresInDays: -1 })).rejects.toThrow('expiresInDays');
+    });
+
+    test('should tell which authentication methods an endpoint accepts', () => {
+        expect(authMethods('token')).toEqual({ token: true, apiKey: false });
+        expect(authMethods('apikey')).toEqual({ token: false, apiKey: true });
+        expect(authMethods(['token', 'apikey'])).toEqual({ token: true, apiKey: true });
+        expect(authMethods(undefined)).toEqual({ token: false, apiKey: false });
+        expect(acceptsPrincipal('token', { authType: 'apikey' })).toBe(false);
+        expect(acceptsPrincipal(['token', 'apikey'], { authType: 'apikey' })).toBe(true);
+        expect(acceptsPrincipal('apikey', { username: 'ann' })).toBe(false);
+    });
+
+    test('should apply the rate limit tier of the key before role tiers', () => {
+        const config = { limit: 10, tiers: { partnerAccess: { limit: 100 }, gold: { limit: 1000 } } };
+        expect(RateLimit.resolvePolicy(config, { acl: ['partnerAccess'], rateLimitTier: 'gold' }).tier).toBe('gold');
+        expect(RateLimit.resolvePolicy(config, { acl: ['partnerAccess'], rateLimitTier: 'missing' }).tier).toBe('partnerAccess');
+    });
+});
+
+describe('authenticateMiddleware with API keys', () => {
+    let key;
+
+    beforeAll(async () => {
+        const connection = createConnection();
+        getDbConnection.mockResolvedValue(connection);
+        ({ key } = await getApiKeyService().create({ name: 'partner', scopes: 'partnerAccess' }));
+    });
+
+    test('should authenticate "apikey" endpoints with the X-API-Key header', async () => {
+        const middleware = authenticateMiddleware('apikey');
+        const req = { headers: { 'x-api-key': key } };
+        const next = jest.fn();
+
+        await middleware(req, mockResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.user).toMatchObject({ username: 'partner', acl: ['partnerAccess'], authType: 'apikey' });
+
+        const res = mockResponse();
+        await middleware({ headers: { authorization: 'Bearer abc' } }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should accept either method on ["token", "apikey"] endpoints', async () => {
+        const middleware = authenticateMiddleware(['token', 'apikey']);
+        const req = { headers: { 'x-api-key': key } };
+        const next = jest.fn();
+
+        await middleware(req, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+
+        const res = mockResponse();
+        await middleware({ headers: { 'x-api-key': 'ak_00000000_wrong' } }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired API key' });
+
+        const tokenRes = mockResponse();
+        await middleware({ headers: {} }, tokenRes, jest.fn());
+        expect(tokenRes.status).toHaveBeenCalledWith(401);
+        expect(tokenRes.json).toHaveBeenCalledWith({ error: 'Unauthorized' });
+    });
+});
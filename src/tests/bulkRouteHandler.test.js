@@ -0,0 +1,110 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: jest.fn(() => []) }));
+
+const BulkRouteHandler = require('../modules/BulkRouteHandler');
+
+const { BulkOperationError, BulkItemError } = BulkRouteHandler;
+const owner = { column: 'user_id', tokenField: 'id' };
+const user = { id: 7 };
+
+describe('Bulk Route Handler - options and items', () => {
+    test('should be disabled unless the endpoint opts in', () => {
+        expect(BulkRouteHandler.getBulkOptions({})).toBeNull();
+        expect(BulkRouteHandler.getBulkOptions({ bulk: true })).toEqual({ maxItems: 1000 });
+        expect(BulkRouteHandler.getBulkOptions({ bulk: { maxItems: 50 } })).toEqual({ maxItems: 50 });
+    });
+
+    test('should accept an array or an items wrapper', () => {
+        expect(BulkRouteHandler.parseItems([{ a: 1 }], 10)).toHaveLength(1);
+        expect(BulkRouteHandler.parseItems({ items: [{ a: 1 }, { a: 2 }] }, 10)).toHaveLength(2);
+        expect(() => BulkRouteHandler.parseItems({}, 10)).toThrow(BulkOperationError);
+        expect(() => BulkRouteHandler.parseItems([{}, {}, {}], 2)).toThrow(BulkOperationError);
+    });
+});
+
+describe('Bulk Route Handler - statements', () => {
+    test('should insert only writable fields and stamp the owner', () => {
+        const { query, values } = BulkRouteHandler.buildInsert(
+            { name: 'Pen', price: 2, id: 99, meta: { color: 'red' } },
+            { dbTable: 'products', allowWrite: ['name', 'price', 'meta'], owner, user }
+        );
+        expect(query).toBe('INSERT INTO products (name, price, meta, user_id) VALUES (?, ?, ?, ?)');
+        expect(values).toEqual(['Pen', 2, '{"color":"red"}', 7]);
+    });
+
+    test('should reject records owned by another user', () => {
+        expect(() => BulkRouteHandler.buildInsert(
+            { name: 'Pen', user_id: 8 },
+            { dbTable: 'products', allowWrite: ['name', 'user_id'], owner, user }
+        )).toThrow(BulkItemError);
+    });
+
+    test('should reject records without writable fields', () => {
+        expect(() => BulkRouteHandler.buildInsert({ id: 1 }, { dbTable: 'products', allowWrite: ['name'] }))
+            .toThrow('No writable fields provided');
+    });
+
+    test('should scope updates and deletes to the owner', () => {
+        const options = { dbTable: 'products', primaryKey: 'id', allowWrite: ['price'], owner, user };
+        expect(BulkRouteHandler.buildUpdate(3, { price: 5, name: 'x' }, options)).toEqual({
+            query: 'UPDATE products SET price = ? WHERE id = ? AND products.user_id = ?',
+            values: [5, 3, 7],
+        });
+        expect(BulkRouteHandler.buildDelete(3, options)).toEqual({
+            query: 'DELETE FROM products WHERE id = ? AND products.user_id = ?',
+            values: [3, 7],
+        });
+    });
+});
+
+describe('Bulk Route Handler - soft delete', () => {
+    const options = { dbTable: 'customers', primaryKey: 'id', allowWrite: ['name'], softDeleteColumn: 'deleted_at' };
+
+    test('should stamp the deletion column instead of deleting', () => {
+        const { query, values } = BulkRouteHandler.buildDelete(3, options);
+        expect(query).toBe('UPDATE customers SET deleted_at = ? WHERE id = ? AND customers.deleted_at IS NULL');
+        expect(values[0]).toBeInstanceOf(Date);
+        expect(values[1]).toBe(3);
+    });
+
+    test('should leave soft-deleted rows out of updates and selections', () => {
+        expect(BulkRouteHandler.buildUpdate(3, { name: 'x' }, options).query)
+            .toBe('UPDATE customers SET name = ? WHERE id = ? AND customers.deleted_at IS NULL');
+        expect(BulkRouteHandler.buildSelection({ ids: [3] }, { ...options, allowRead: ['id'], maxItems: 10 }).query)
+            .toBe('SELECT customers.id FROM customers WHERE customers.id IN (?) AND customers.deleted_at IS NULL LIMIT 11');
+    });
+});
+
+describe('Bulk Route Handler - selection', () => {
+    const options = { dbTable: 'products', primaryKey: 'id', allowRead: ['id', 'status'], owner, user, maxItems: 100 };
+
+    test('should select by id list', () => {
+        expect(BulkRouteHandler.buildSelection({ ids: [1, 2] }, options)).toEqual({
+            query: 'SELECT products.id FROM products WHERE products.id IN (?, ?) AND products.user_id = ? LIMIT 101',
+            values: [1, 2, 7],
+        });
+    });
+
+    test('should select by filter', () => {
+        const { query, values } = BulkRouteHandler.buildSelection({ filter: { status: 'in:draft,void' } }, { ...options, owner: null });
+        expect(query).toBe('SELECT products.id FROM products WHERE products.status IN (?, ?) LIMIT 101');
+        expect(values).toEqual(['draft', 'void']);
+    });
+
+    test('should refuse an empty selection', () => {
+        expect(() => BulkRouteHandler.buildSelection({}, options)).toThrow(BulkOperationError);
+        expect(() => BulkRouteHandler.buildSelection({ filter: {} }, options)).toThrow(BulkOperationError);
+    });
+});
+
+describe('Bulk Route Handler - report', () => {
+    test('should summarize per-item results', () => {
+        const results = [{ index: 0, status: 'failed', error: 'No writable fields provided' }, { index: 1, status: 'skipped' }];
+        expect(BulkRouteHandler.buildReport(results, false)).toEqual({
+            success: false,
+            committed: false,
+            summary: { total: 2, succeeded: 0, failed: 1 },
+            results,
+        });
+    });
+});
@@ -0,0 +1,155 @@
+jest.mock('adaptus2-orm', () => ({ getDbConnection: jest.fn(), query: jest.fn() }), { virtual: true });
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: jest.fn(() => []) }));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+
+const ORM = require('adaptus2-orm');
+const BulkRouteHandler = require('../modules/BulkRouteHandler');
+
+/**
+ * mysql2-like pool over one table: writes of a connection are kept aside
+ * until commit, and dropped on rollback.
+ */
+function transactionalPool(table) {
+    const connections = [];
+    return {
+        connections,
+        getConnection: jest.fn(async () => {
+            let pending = null;
+            const connection = {
+                beginTransaction: jest.fn(async () => { pending = []; }),
+                execute: jest.fn(async (sql, values) => {
+                    if (!pending) throw new Error('No transaction');
+                    if (values.includes(null)) throw new Error("Column 'name' cannot be null");
+                    pending.push(values);
+                    return [{ affectedRows: 1, insertId: table.length + pending.length }, []];
+                }),
+                commit: jest.fn(async () => { table.push(...pending); pending = null; }),
+                rollback: jest.fn(async () => { pending = null; }),
+                release: jest.fn(),
+            };
+            connections.push(connection);
+            return connection;
+        }),
+    };
+}
+
+function register(dbConnection) {
+    const app = { locals: {}, post: jest.fn() };
+    BulkRouteHandler.registerBulkRoutes(app, {
+        route: '/api/products',
+        dbTable: 'products',
+        dbType: 'mysql',
+        dbConnection,
+        allowRead: ['id', 'name'],
+        allowWrite: ['name'],
+        keys: ['id'],
+        allowMethods: ['POST'],
+        bulk: true,
+    }, {});
+    return app.post.mock.calls[0][2];
+}
+
+function response() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('Bulk Route Handler - transactions', () => {
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should commit every record on one dedicated connection', async () => {
+        const table = [];
+        const pool = transactionalPool(table);
+        ORM.getDbConnection.mockResolvedValueOnce(pool);
+        const res = response();
+
+        await register('MYSQL_BULK_OK')({ body: [{ name: 'Pen' }, { name: 'Ink' }] }, res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(table).toEqual([['Pen'], ['Ink']]);
+        expect(pool.connections).toHaveLength(1);
+        expect(pool.connections[0].execute).toHaveBeenCalledTimes(2);
+        expect(pool.connections[0].release).toHaveBeenCalled();
+        expect(ORM.query).not.toHaveBeenCalled();
+    });
+
+    test('should roll back the first record when the second fails', async () => {
+        const table = [];
+        const pool = transactionalPool(table);
+        ORM.getDbConnection.mockResolvedValueOnce(pool);
+        const res = response();
+
+        await register('MYSQL_BULK_FAIL')({ body: [{ name: 'Pen' }, { name: null }] }, res);
+
+        const [connection] = pool.connections;
+        expect(connection.execute).toHaveBeenCalledTimes(2);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.release).toHaveBeenCalled();
+        expect(table).toEqual([]);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].results.map((result) => result.status)).toEqual(['rolled_back', 'failed']);
+    });
+
+    test('should refuse bulk writes when the database has no transactions', async () => {
+        ORM.getDbConnection.mockResolvedValueOnce({});
+        const res = response();
+
+        await register('MYSQL_BULK_NONE')({ body: [{ name: 'Pen' }] }, res);
+
+        expect(res.status).toHaveBeenCalledWith(501);
+        expect(ORM.query).not.toHaveBeenCalled();
+    });
+
+    test('should fail and roll back a batch when a selected record is gone when it is written', async () => {
+        const writes = [];
+        const connection = {
+            beginTransaction: jest.fn(async () => {}),
+            execute: jest.fn(async (sql, values) => {
+                if (sql.startsWith('SELECT')) return [[], []];
+                writes.push(values);
+                return [{ affectedRows: values[0] === 2 ? 0 : 1 }, []];
+            }),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+        };
+        ORM.getDbConnection.mockResolvedValueOnce({ getConnection: jest.fn(async () => connection) });
+        ORM.query.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]);
+        const changeFeed = { publishRecords: jest.fn() };
+        const app = { locals: {}, delete: jest.fn() };
+        BulkRouteHandler.registerBulkRoutes(app, {
+            route: '/api/products',
+            dbTable: 'products',
+            dbType: 'mysql',
+            dbConnection: 'MYSQL_BULK_GONE',
+            allowRead: ['id', 'name'],
+            keys: ['id'],
+            allowMethods: ['DELETE'],
+            bulk: true,
+        }, { changeFeed });
+        const res = response();
+
+        await app.delete.mock.calls[0][2]({ body: { ids: [1, 2] } }, res);
+
+        expect(writes).toEqual([[1], [2]]);
+        expect(connection.execute).toHaveBeenLastCalledWith(expect.stringMatching(/^SELECT/), [2]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(changeFeed.publishRecords).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json.mock.calls[0][0].results).toEqual([
+            { index: 0, id: 1, status: 'rolled_back' },
+            { index: 1, id: 2, status: 'failed', error: 'Record not found' },
+        ]);
+    });
+});
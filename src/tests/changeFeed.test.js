@@ -0,0 +1,54 @@
+const ChangeFeed = require('../modules/changeFeed');
+
+const orders = {
+    dbTable: 'orders',
+    keys: ['id'],
+    allowRead: ['id', 'total'],
+    owner: { column: 'user_id', tokenField: 'id' },
+};
+
+describe('Change Feed - publishing', () => {
+    test('should read the written records back and publish them with their owner', async () => {
+        const publisher = { publish: jest.fn().mockResolvedValue(1) };
+        const feed = new ChangeFeed(publisher);
+        const execute = jest.fn().mockResolvedValue([[{ id: 4, total: 10, user_id: 7 }], []]);
+
+        await feed.publishRecords({ execute }, orders, 'update', [4], { id: 7 });
+
+        expect(execute).toHaveBeenCalledWith('SELECT orders.id, orders.total, orders.user_id FROM orders WHERE orders.id IN (?)', [4]);
+        const [channel, message] = publisher.publish.mock.calls[0];
+        expect(channel).toBe('db:records');
+        expect(JSON.parse(message)).toMatchObject({ table: 'orders', operation: 'update', data: { id: 4, total: 10 }, owner: 7 });
+        expect(JSON.parse(message).data.user_id).toBeUndefined();
+    });
+
+    test('should publish the primary key of hard deleted records', async () => {
+        const publisher = { publish: jest.fn().mockResolvedValue(1) };
+        const execute = jest.fn();
+
+        await new ChangeFeed(publisher).publishRecords({ execute }, orders, 'delete', [4], { id: 7 });
+
+        expect(execute).not.toHaveBeenCalled();
+        expect(JSON.parse(publisher.publish.mock.calls[0][1])).toMatchObject({ operation: 'delete', data: { id: 4 }, owner: 7 });
+    });
+});
+
+describe('Change Feed - subscribing', () => {
+    test('should deliver matching events in order until returned', async () => {
+        const feed = new ChangeFeed({ publish: jest.fn() });
+        const iterator = feed.subscribe('orders', 'create', (event) => event.data.total > 5);
+
+        feed.handleMessage({ table: 'orders', operation: 'create', data: { id: 1, total: 3 } });
+        feed.handleMessage({ table: 'orders', operation: 'update', data: { id: 2, total: 9 } });
+        feed.handleMessage({ table: 'orders', operation: 'create', data: { id: 3, total: 9 } });
+        const pending = iterator.next();
+        feed.handleMessage({ table: 'orders', operation: 'create', data: { id: 4, total: 8 } });
+
+        expect((await pending).value.data.id).toBe(3);
+        expect((await iterator.next()).value.data.id).toBe(4);
+
+        await iterator.return();
+        expect(feed.listeners.size).toBe(0);
+        expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    });
+});
@@ -0,0 +1,244 @@
+jest.mock('adaptus2-orm', () => ({ getDbConnection: jest.fn(), query: jest.fn() }), { virtual: true });
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+
+const {
+    EcommAnalytics,
+    aggregateEvents,
+    computeFunnel,
+    computeCohorts,
+    attribute,
+    computeAffinity,
+} = require('../modules/ecommAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function event(id, userId, type, at, extra = {}) {
+    return { id, user_id: userId, event_type: type, created_at: new Date(at), page_url: null, event_data: null, ...extra };
+}
+
+describe('aggregateEvents', () => {
+    test('rolls events up per user and day, with touches, conversions and products', () => {
+        const rolled = aggregateEvents([
+            event(1, 'u1', 'pageview', '2024-05-01T10:00:00Z', { page_url: 'https://shop.test/?utm_source=google&utm_campaign=spring' }),
+            event(2, 'u1', 'pageview', '2024-05-01T12:00:00Z'),
+            event(3, 'u1', 'purchase', '2024-05-02T09:00:00Z', {
+                event_data: JSON.stringify({ transaction_id: 'T1', value: 30, items: [{ item_id: 'b' }, { item_id: 'a' }, { item_id: 'b' }] }),
+            }),
+            event(4, 'u1', 'purchase', '2024-05-02T09:01:00Z', { event_data: { transaction_id: 'T1', value: 30 } }),
+            event(5, null, 'pageview', '2024-05-02T09:00:00Z'),
+        ]);
+
+        expect(rolled.users).toEqual([{ userId: 'u1', firstSeen: '2024-05-01', lastSeen: '2024-05-02' }]);
+        const pageviews = rolled.userDays.find((row) => row.eventType === 'pageview');
+        expect(pageviews).toMatchObject({ day: '2024-05-01', events: 2 });
+        expect(pageviews.lastAt.toISOString()).toBe('2024-05-01T12:00:00.000Z');
+        expect(rolled.touches).toEqual([expect.objectContaining({ source: 'google', medium: '', campaign: 'spring' })]);
+        expect(rolled.conversions).toEqual([expect.objectContaining({ transactionId: 'T1', revenue: 30, products: ['a', 'b'] })]);
+    });
+});
+
+describe('analyses', () => {
+    const from = new Date('2024-05-01T00:00:00Z');
+    const to = new Date('2024-05-08T00:00:00Z');
+    const row = (userId, type, firstAt, lastAt = firstAt) => ({ user_id: userId, event_type: type, first_at: firstAt, last_at: lastAt });
+
+    test('funnel counts users through ordered steps within the window', () => {
+        const steps = computeFunnel([
+            row('u1', 'pageview', '2024-05-01T10:00:00Z'),
+            row('u1', 'add_to_cart', '2024-05-01T11:00:00Z'),
+            row('u1', 'purchase', '2024-05-03T10:00:00Z'),
+            row('u2', 'pageview', '2024-05-02T10:00:00Z'),
+            row('u2', 'add_to_cart', '2024-05-20T10:00:00Z'), // outside the window
+            row('u3', 'add_to_cart', '2024-05-02T09:00:00Z'), // before entering
+            row('u3', 'pageview', '2024-05-02T10:00:00Z'),
+            row('u4', 'pageview', '2024-04-20T10:00:00Z'), // entered before the range
+        ], ['pageview', 'add_to_cart', 'purchase'], { from, to, windowMs: 7 * DAY_MS });
+
+        expect(steps.map((step) => step.users)).toEqual([3, 1, 1]);
+        expect(steps[1]).toMatchObject({ dropOff: 2, conversionRate: 33.33, stepConversionRate: 33.33 });
+        expect(steps[2]).toMatchObject({ dropOff: 0, stepConversionRate: 100 });
+    });
+
+    test('cohorts build a weekly retention matrix', () => {
+        const [cohort] = computeCohorts([
+            { cohort: '2024-04-29', week: '2024-04-29', users: 4 },
+            { cohort: '2024-04-29', week: '2024-05-06', users: 2 },
+            { cohort: '2024-04-29', week: '2024-05-20', users: 1 },
+        ], 3);
+        expect(cohort).toEqual({ cohort: '2024-04-29', users: 4, active: [4, 2, 0, 1], retention: [100, 50, 0, 25] });
+    });
+
+    test('attribution credits first, last or all touches within the lookback', () => {
+        const conversions = [
+            { user_id: 'u1', converted_at: '2024-05-05T10:00:00Z', revenue: 90 },
+            { user_id: 'u2', converted_at: '2024-05-05T10:00:00Z', revenue: 10 },
+        ];
+        const touches = [
+            { user_id: 'u1', first_at: '2024-05-01T10:00:00Z', source: 'google' },
+            { user_id: 'u1', first_at: '2024-05-03T10:00:00Z', source: 'newsletter' },
+            { user_id: 'u1', first_at: '2024-05-06T10:00:00Z', source: 'facebook' }, // after the conversion
+            { user_id: 'u2', first_at: '2024-01-01T10:00:00Z', source: 'google' }, // beyond the lookback
+        ];
+        const options = { dimension: 'source', lookbackMs: 30 * DAY_MS };
+
+        expect(attribute(conversions, touches, { ...options, model: 'first' })).toEqual([
+            { source: 'google', conversions: 1, revenue: 90 },
+            { source: '(direct)', conversions: 1, revenue: 10 },
+        ]);
+        expect(attribute(conversions, touches, { ...options, model: 'last' })[0]).toEqual({ source: 'newsletter', conversions: 1, revenue: 90 });
+        expect(attribute(conversions, touches, { ...options, model: 'linear' })).toEqual(expect.arrayContaining([
+            { source: 'google', conversions: 0.5, revenue: 45 },
+            { source: 'newsletter', conversions: 0.5, revenue: 45 },
+        ]));
+    });
+
+    test('product affinity reports support, confidence and lift', () => {
+        const [pair] = computeAffinity([{ product_a: 'a', product_b: 'b', orders: 2 }], new Map([['a', 4], ['b', 2]]), 10);
+        expect(pair).toEqual({ productA: 'a', productB: 'b', orders: 2, support: 0.2, confidenceAtoB: 0.5, confidenceBtoA: 1, lift: 2.5 });
+    });
+});
+
+describe('EcommAnalytics.rollup', () => {
+    // Connection over a list of events, recording the statements it runs. Writes answer
+    // [[meta]] like the connections of db.js; statements of a transaction are only recorded,
+    // and the watermark only moves, on commit.
+    function connection(events) {
+        const state = { last_event_id: 0, locked_by: null, locked_until: null };
+        const statements = [];
+        const transactions = [];
+        const db = {
+            statements,
+            state,
+            events,
+            transactions,
+            execute: jest.fn(async (sql, values = []) => {
+                statements.push({ sql, values });
+                if (/^UPDATE \S+rollup_state SET locked_by/.test(sql)) {
+                    if (state.locked_until && state.locked_until > values[3]) return [[{ affectedRows: 0 }]];
+                    state.locked_by = values[0];
+                    state.locked_until = values[1];
+                    return [[{ affectedRows: 1 }]];
+                }
+                if (/^UPDATE \S+rollup_state SET locked_until = NULL/.test(sql)) {
+                    if (state.locked_by === values[1]) state.locked_until = null;
+                }
+                if (/^SELECT last_event_id/.test(sql)) return [[{ last_event_id: state.last_event_id }]];
+                if (/FROM events WHERE id > \?/.test(sql)) {
+                    const limit = Number(/LIMIT (\d+)/.exec(sql)[1]);
+                    return [events.filter((row) => row.id > values[0]).sort((a, b) => a.id - b.id).slice(0, limit)];
+                }
+                return [[]];
+            }),
+            getTransaction: jest.fn(async () => {
+                const pending = [];
+                let watermark = null;
+                const transaction = {
+                    execute: jest.fn(async (sql, values = []) => {
+                        pending.push({ sql, values });
+                        if (/^UPDATE \S+rollup_state SET last_event_id/.test(sql)) {
+                            if (state.locked_by !== values[4]) return [{ affectedRows: 0 }];
+                            watermark = values[0];
+                            return [{ affectedRows: 1 }];
+                        }
+                        return [[]];
+                    }),
+                    commit: jest.fn(async () => {
+                        statements.push(...pending);
+                        if (watermark !== null) state.last_event_id = watermark;
+                    }),
+                    rollback: jest.fn(async () => {}),
+                    release: jest.fn(),
+                };
+                transactions.push(transaction);
+                return transaction;
+            }),
+        };
+        return db;
+    }
+
+    function analyticsOf(db, options = {}) {
+        return new EcommAnalytics({ getConnection: async () => db, getTransaction: db.getTransaction, ...options });
+    }
+
+    afterEach(() => {
+        delete process.env.ECOMM_ROLLUP_BATCH_SIZE;
+    });
+
+    test('reads new events in batches and advances the watermark', async () => {
+        process.env.ECOMM_ROLLUP_BATCH_SIZE = '2';
+        const db = connection([
+            event(1, 'u1', 'pageview', '2024-05-01T10:00:00Z'),
+            event(2, 'u1', 'pageview', '2024-05-01T11:00:00Z'),
+            event(3, 'u2', 'purchase', '2024-05-01T12:00:00Z', { event_data: { transaction_id: 'T1', value: 5, items: [{ id: 'a' }, { id: 'b' }] } }),
+        ]);
+        const analytics = analyticsOf(db, { prefix: 'analytics_' });
+
+        await expect(analytics.rollup()).resolves.toEqual({ events: 3, lastEventId: 3 });
+        expect(db.state).toMatchObject({ last_event_id: 3, locked_until: null });
+        const sums = db.statements.find(({ sql }) => /INSERT INTO analytics_user_days/.test(sql));
+        expect(sums.sql).toMatch(/events = events \+ VALUES\(events\)/);
+        expect(db.statements.some(({ sql, values }) => /INSERT INTO analytics_product_pairs/.test(sql) && values.join() === '2024-05-01,a,b,1')).toBe(true);
+        // One transaction per batch, with the watermark
+        expect(db.transactions).toHaveLength(2);
+        expect(db.transactions.every((transaction) => transaction.commit.mock.calls.length === 1 && transaction.release.mock.calls.length === 1)).toBe(true);
+        expect(db.transactions[0].execute.mock.calls.some(([sql]) => /SET last_event_id/.test(sql))).toBe(true);
+
+        // Nothing new: the events are not read again
+        await expect(analytics.rollup()).resolves.toEqual({ events: 0, lastEventId: 3 });
+    });
+
+    test('waits for event ids that are not committed yet', async () => {
+        const db = connection([
+            event(1, 'u1', 'pageview', '2024-05-01T10:00:00Z'),
+            event(2, 'u1', 'pageview', '2024-05-01T10:01:00Z'),
+            event(4, 'u2', 'pageview', '2024-05-01T10:02:00Z'),
+        ]);
+        const analytics = analyticsOf(db);
+
+        await expect(analytics.rollup()).resolves.toEqual({ events: 2, lastEventId: 2 });
+
+        // Event 3 commits late and is rolled up with 4
+        db.events.push(event(3, 'u3', 'pageview', '2024-05-01T10:01:30Z'));
+        await expect(analytics.rollup()).resolves.toEqual({ events: 2, lastEventId: 4 });
+
+        // An id that never appears (a rolled back insert) is skipped after ECOMM_ROLLUP_LAG_MS
+        db.events.push(event(6, 'u1', 'pageview', '2024-05-01T10:03:00Z'));
+        await expect(analytics.rollup()).resolves.toEqual({ events: 0, lastEventId: 4 });
+        analytics.gaps.set(5, Date.now() - 60001);
+        await expect(analytics.rollup()).resolves.toEqual({ events: 1, lastEventId: 6 });
+        expect(analytics.gaps.size).toBe(0);
+    });
+
+    test('rolls the batch back when another server took the lock over', async () => {
+        const db = connection([event(1, 'u1', 'pageview', '2024-05-01T10:00:00Z')]);
+        const analytics = analyticsOf(db);
+        const begin = db.getTransaction.getMockImplementation();
+        db.getTransaction.mockImplementation(async () => {
+            db.state.locked_by = 'other-server';
+            return begin();
+        });
+
+        await expect(analytics.rollup()).rejects.toMatchObject({ statusCode: 409 });
+        expect(db.state.last_event_id).toBe(0);
+        expect(db.statements.some(({ sql }) => /INSERT INTO/.test(sql))).toBe(false);
+        expect(db.transactions[0].rollback).toHaveBeenCalled();
+        expect(db.transactions[0].release).toHaveBeenCalled();
+    });
+
+    test('refuses to roll up without transactions', async () => {
+        const db = connection([event(1, 'u1', 'pageview', '2024-05-01T10:00:00Z')]);
+        const analytics = new EcommAnalytics({ getConnection: async () => db });
+
+        await expect(analytics.rollup()).rejects.toMatchObject({ statusCode: 501 });
+        expect(db.state.last_event_id).toBe(0);
+    });
+
+    test('does not roll up while another server holds the lock', async () => {
+        const db = connection([event(1, 'u1', 'pageview', '2024-05-01T10:00:00Z')]);
+        db.state.locked_until = new Date(Date.now() + 60000);
+        const analytics = analyticsOf(db);
+
+        await expect(analytics.rollup()).resolves.toBeNull();
+        expect(db.statements.some(({ sql }) => /FROM events/.test(sql))).toBe(false);
+    });
+});
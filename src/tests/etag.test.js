@@ -0,0 +1,102 @@
+jest.mock('adaptus2-orm', () => ({}), { virtual: true });
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+
+const { computeETag, buildVersionQuery, etagMatches, checkWritePrecondition, checkGuardedWrite, versionIncrement } = require('../modules/etag');
+const { affectedRowCount } = require('../modules/db');
+
+describe('ETag', () => {
+    const hashed = { dbTable: 'articles', allowRead: ['id', 'title'], etag: true };
+    const versioned = { dbTable: 'articles', allowRead: ['id', 'title'], versionColumn: 'version' };
+
+    test('should derive the tag from the version column', () => {
+        expect(computeETag(versioned, { version: 4 })).toBe('"v4"');
+    });
+
+    test('should hash the readable columns otherwise', () => {
+        const tag = computeETag(hashed, { id: 1, title: 'Hello' });
+        expect(tag).toMatch(/^"[\w-]+"$/);
+        expect(computeETag(hashed, { id: 1, title: 'Hello', extra: 'ignored' })).toBe(tag);
+        expect(computeETag(hashed, { id: 1, title: 'Hello!' })).not.toBe(tag);
+    });
+
+    test('should read versions with the owner and soft delete scopes', () => {
+        const endpoint = { ...versioned, owner: { column: 'user_id', tokenField: 'id' }, softDelete: { column: 'deleted_at' } };
+        expect(buildVersionQuery(endpoint, 'id', 3, { id: 9 })).toEqual({
+            query: 'SELECT articles.version FROM articles WHERE articles.id = ? AND articles.deleted_at IS NULL AND articles.user_id = ?',
+            values: [3, 9],
+        });
+    });
+
+    test('should match tag lists, weak tags and wildcards', () => {
+        expect(etagMatches('"a", "v4"', '"v4"')).toBe(true);
+        expect(etagMatches('W/"v4"', '"v4"')).toBe(true);
+        expect(etagMatches('*', '"v4"')).toBe(true);
+        expect(etagMatches('"v3"', '"v4"')).toBe(false);
+        expect(etagMatches('*', null)).toBe(false);
+    });
+
+    test('should guard versioned writes and reject stale ones', async () => {
+        const connection = { execute: jest.fn().mockResolvedValue([[{ version: 4 }], []]) };
+        const req = (ifMatch) => ({ headers: ifMatch ? { 'if-match': ifMatch } : {} });
+
+        await expect(checkWritePrecondition(req(), connection, versioned, 'id', 3)).resolves.toEqual({ ok: true, guard: null });
+        expect(connection.execute).not.toHaveBeenCalled();
+
+        await expect(checkWritePrecondition(req('"v3"'), connection, versioned, 'id', 3)).resolves.toEqual({ ok: false, guard: null });
+        await expect(checkWritePrecondition(req('"v4"'), connection, versioned, 'id', 3)).resolves.toEqual({
+            ok: true,
+            guard: { condition: 'articles.version = ?', values: [4] },
+        });
+    });
+
+    test('should refuse If-Match writes on endpoints without a versionColumn', async () => {
+        const connection = { execute: jest.fn() };
+        const req = (ifMatch) => ({ headers: ifMatch ? { 'if-match': ifMatch } : {} });
+
+        await expect(checkWritePrecondition(req(), connection, hashed, 'id', 3)).resolves.toEqual({ ok: true, guard: null });
+        await expect(checkWritePrecondition(req('"abc"'), connection, hashed, 'id', 3)).resolves.toEqual({
+            ok: false,
+            guard: null,
+            status: 501,
+            error: 'If-Match requires a versionColumn on this endpoint',
+        });
+        expect(connection.execute).not.toHaveBeenCalled();
+    });
+
+    test('should fail a guarded write that lost a race with a concurrent change', async () => {
+        const req = { headers: { 'if-match': '"v4"' } };
+        const connection = { execute: jest.fn().mockResolvedValueOnce([[{ version: 4 }], []]) };
+        const precondition = await checkWritePrecondition(req, connection, versioned, 'id', 3);
+        expect(precondition.ok).toBe(true);
+
+        // Another request updated the record to v5 between the check and the guarded UPDATE.
+        connection.execute.mockResolvedValueOnce([[{ version: 5 }], []]);
+        const affected = affectedRowCount([{ affectedRows: 0 }]);
+        await expect(checkGuardedWrite(connection, versioned, 'id', 3, precondition, affected)).resolves.toEqual({
+            status: 412,
+            error: 'Precondition Failed: the record has been modified',
+        });
+
+        // Or deleted it.
+        connection.execute.mockResolvedValueOnce([[], []]);
+        await expect(checkGuardedWrite(connection, versioned, 'id', 3, precondition, affected)).resolves
+            .toMatchObject({ status: 404 });
+
+        await expect(checkGuardedWrite(connection, versioned, 'id', 3, precondition, 1)).resolves.toBeNull();
+        await expect(checkGuardedWrite(connection, versioned, 'id', 3, { ok: true, guard: null }, 0)).resolves.toBeNull();
+        expect(connection.execute).toHaveBeenCalledTimes(3);
+    });
+
+    test('should read affected rows from wrapped and direct write results', () => {
+        expect(affectedRowCount([{ affectedRows: 0 }])).toBe(0);
+        expect(affectedRowCount({ affectedRows: 2, insertId: 0 })).toBe(2);
+        expect(affectedRowCount([{ rowCount: 1 }])).toBe(1);
+        expect(affectedRowCount([{ id: 3, version: 4 }])).toBeNull();
+        expect(affectedRowCount([])).toBeNull();
+    });
+
+    test('should bump the version column on update', () => {
+        expect(versionIncrement(versioned)).toEqual(['version = COALESCE(version, 0) + 1']);
+        expect(versionIncrement(hashed)).toEqual([]);
+    });
+});
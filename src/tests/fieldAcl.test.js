@@ -0,0 +1,86 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: jest.fn(() => []) }));
+
+const { graphql } = require('graphql');
+const {
+    readableFields,
+    writableFields,
+    permittedReadFields,
+    permittedWriteFields,
+    redactRecords,
+    fieldAclCacheKey,
+} = require('../modules/fieldAcl');
+const generateGraphQLSchema = require('../modules/generateGraphQLSchema');
+
+const employees = {
+    routeType: 'database',
+    dbTable: 'employees',
+    keys: ['id'],
+    allowRead: ['id', 'name', 'salary', 'ssn'],
+    allowWrite: ['name', 'salary'],
+    fieldAcl: {
+        salary: { read: ['hr', 'hr_admin'], write: ['hr_admin'] },
+        ssn: { read: ['hr_admin'] },
+    },
+};
+const hr = { id: 1, acl: ['hr'] };
+const staff = { id: 2, acl: ['staff'] };
+
+describe('fieldAcl', () => {
+    test('should narrow readable and writable fields by role', () => {
+        expect(readableFields(employees, hr)).toEqual(['id', 'name', 'salary']);
+        expect(readableFields(employees, staff)).toEqual(['id', 'name']);
+        expect(readableFields(employees, { acl: ['hr_admin'] })).toEqual(['id', 'name', 'salary', 'ssn']);
+        expect(writableFields(employees, hr)).toEqual(['name']);
+        expect(writableFields(employees, { acl: 'hr_admin' })).toEqual(['name', 'salary']);
+        expect(readableFields(employees, undefined)).toEqual(['id', 'name']);
+    });
+
+    test('should drop restricted fields, or refuse them in deny mode', () => {
+        expect(permittedReadFields(employees, staff, ['name', 'salary'])).toEqual(['name']);
+        expect(permittedWriteFields(employees, hr, ['name', 'salary'])).toEqual(['name']);
+
+        const strict = { ...employees, fieldAclMode: 'deny' };
+        expect(() => permittedReadFields(strict, staff, ['name', 'salary'])).toThrow(expect.objectContaining({
+            message: 'Not allowed to read field: salary',
+            statusCode: 403,
+        }));
+        expect(() => permittedWriteFields(strict, hr, ['salary'])).toThrow('Not allowed to write field: salary');
+        expect(permittedReadFields(strict, hr, ['name', 'salary'])).toEqual(['name', 'salary']);
+    });
+
+    test('should redact records and separate cache keys by visible fields', () => {
+        const records = [{ id: 1, name: 'Ann', salary: 100, ssn: 'x' }];
+        expect(redactRecords(employees, records, hr)).toEqual([{ id: 1, name: 'Ann', salary: 100 }]);
+
+        expect(fieldAclCacheKey([employees], staff)).toBe(':hidden=employees.salary,employees.ssn');
+        expect(fieldAclCacheKey([employees], hr)).toBe(':hidden=employees.ssn');
+        expect(fieldAclCacheKey([employees], { acl: ['hr_admin'] })).toBe('');
+        expect(fieldAclCacheKey([{ dbTable: 'public' }], staff)).toBe('');
+    });
+});
+
+describe('fieldAcl in GraphQL', () => {
+    function run(endpoint, source, user) {
+        const { schema } = generateGraphQLSchema([endpoint]);
+        const execute = jest.fn(async () => [[{ id: 1, name: 'Ann', salary: 100, ssn: 'x' }], []]);
+        const contextValue = generateGraphQLSchema.createGraphQLContext({ user, getConnection: async () => ({ execute }) });
+        return graphql({ schema, source, contextValue });
+    }
+
+    test('should resolve restricted fields to null', async () => {
+        const result = await run(employees, '{ getAllEmployees { name salary ssn } }', hr);
+        expect(result.errors).toBeUndefined();
+        expect(result.data.getAllEmployees).toEqual([{ name: 'Ann', salary: '100', ssn: null }]);
+    });
+
+    test('should refuse restricted fields and filters in deny mode', async () => {
+        const strict = { ...employees, fieldAclMode: 'deny' };
+        const selected = await run(strict, '{ getAllEmployees { name ssn } }', hr);
+        expect(selected.errors[0].message).toBe('Not allowed to read field: ssn');
+        expect(selected.errors[0].extensions.code).toBe('FORBIDDEN');
+
+        const filtered = await run(strict, '{ getAllEmployees(where: { ssn: { eq: "x" } }) { name } }', hr);
+        expect(filtered.errors[0].message).toMatch(/ssn/);
+    });
+});
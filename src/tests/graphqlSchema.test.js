@@ -0,0 +1,244 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: jest.fn(() => []) }));
+
+const { graphql, subscribe, parse } = require('graphql');
+const generateGraphQLSchema = require('../modules/generateGraphQLSchema');
+const ChangeFeed = require('../modules/changeFeed');
+
+const { createGraphQLContext, scalarNameForColumn } = generateGraphQLSchema;
+
+const customers = {
+    routeType: 'database',
+    dbTable: 'customers',
+    keys: ['id'],
+    allowRead: ['id', 'name', 'vip', 'created_at'],
+    allowWrite: ['name'],
+    auth: 'token',
+    columnDefinitions: { id: 'INT AUTO_INCREMENT PRIMARY KEY', name: 'VARCHAR(80)', vip: 'TINYINT(1)', created_at: 'TIMESTAMP' },
+    relationships: [{ type: 'one-to-many', name: 'orders', relatedTable: 'orders', foreignKey: 'id', relatedKey: 'customer_id' }],
+};
+const orders = {
+    routeType: 'database',
+    dbTable: 'orders',
+    keys: ['id'],
+    allowRead: ['id', 'total', 'meta'],
+    acl: ['salesAccess'],
+    owner: { column: 'user_id', tokenField: 'id' },
+    columnDefinitions: { id: 'INT', total: 'DECIMAL(10,2)', meta: 'JSON' },
+};
+
+const { schema } = generateGraphQLSchema([customers, orders]);
+const sales = { id: 7, acl: ['salesAccess'] };
+
+function run(source, { user = sales, execute } = {}) {
+    const contextValue = createGraphQLContext({ user, getConnection: async () => ({ execute }) });
+    return graphql({ schema, source, contextValue });
+}
+
+describe('GraphQL Schema - types', () => {
+    test('should map column definitions to scalars', () => {
+        expect(scalarNameForColumn('INT UNSIGNED')).toBe('Int');
+        expect(scalarNameForColumn('BIGINT')).toBe('String');
+        expect(scalarNameForColumn({ type: 'decimal(10,2)' })).toBe('Float');
+        expect(scalarNameForColumn('BOOLEAN DEFAULT TRUE')).toBe('Boolean');
+        expect(scalarNameForColumn('JSON')).toBe('JSON');
+        expect(scalarNameForColumn('DATETIME')).toBe('DateTime');
+        expect(scalarNameForColumn(undefined)).toBe('String');
+    });
+
+    test('should type the fields of each endpoint', () => {
+        const fields = schema.getType('Customers').getFields();
+        expect(String(fields.id.type)).toBe('Int');
+        expect(String(fields.vip.type)).toBe('Boolean');
+        expect(String(fields.created_at.type)).toBe('DateTime');
+        expect(String(fields.orders.type)).toBe('[Orders]');
+        expect(String(schema.getType('Orders').getFields().total.type)).toBe('Float');
+    });
+});
+
+describe('GraphQL Schema - queries', () => {
+    test('should translate where, orderBy and first into one parameterized query', async () => {
+        const execute = jest.fn().mockResolvedValue([[
+            { id: 1, name: 'Ada', vip: 1 },
+            { id: 2, name: 'Bob', vip: 0 },
+            { id: 3, name: 'Cy', vip: 0 },
+        ], []]);
+
+        const result = await run(`{
+            listCustomers(where: { vip: { eq: true }, OR: [{ name: { like: "A%" } }, { id: { in: [1, 2] } }] },
+                          orderBy: [{ field: name, direction: DESC }], first: 2) {
+                nodes { id name vip }
+                pageInfo { hasNextPage endCursor }
+            }
+        }`, { execute });
+
+        expect(result.errors).toBeUndefined();
+        expect(execute).toHaveBeenCalledWith(
+            'SELECT customers.id, customers.name, customers.vip, customers.created_at FROM customers'
+            + ' WHERE (((customers.name LIKE ?) OR (customers.id IN (?, ?))) AND customers.vip = ?)'
+            + ' ORDER BY customers.name IS NULL DESC, customers.name DESC, customers.id ASC LIMIT 3',
+            ['A%', 1, 2, true]
+        );
+        expect(result.data.listCustomers.nodes).toEqual([{ id: 1, name: 'Ada', vip: true }, { id: 2, name: 'Bob', vip: false }]);
+        expect(result.data.listCustomers.pageInfo.hasNextPage).toBe(true);
+        expect(result.data.listCustomers.pageInfo.endCursor).toEqual(expect.any(String));
+    });
+
+    test('should batch relationship fields and apply the related owner scope', async () => {
+        const execute = jest.fn()
+            .mockResolvedValueOnce([[{ id: 1, name: 'Ada' }, { id: 2, name: 'Bob' }], []])
+            .mockResolvedValueOnce([[{ id: 10, total: '12.50', meta: '{"gift":true}', customer_id: 1 }], []]);
+
+        const result = await run('{ getAllCustomers { name orders { total meta } } }', { execute });
+
+        expect(result.errors).toBeUndefined();
+        expect(execute).toHaveBeenCalledTimes(2);
+        expect(execute.mock.calls[1]).toEqual([
+            'SELECT orders.id, orders.total, orders.meta, orders.customer_id FROM orders WHERE orders.customer_id IN (?, ?) AND orders.user_id = ?',
+            [1, 2, 7],
+        ]);
+        expect(result.data.getAllCustomers).toEqual([
+            { name: 'Ada', orders: [{ total: 12.5, meta: { gift: true } }] },
+            { name: 'Bob', orders: [] },
+        ]);
+    });
+
+    test('should enforce authentication and ACLs', async () => {
+        const execute = jest.fn().mockResolvedValue([[{ id: 1, name: 'Ada' }], []]);
+
+        const anonymous = await run('{ getCustomers(id: 1) { name } }', { user: null, execute });
+        expect(anonymous.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+        const denied = await run('{ getAllCustomers { name orders { total } } }', { user: { id: 8, acl: ['publicAccess'] }, execute });
+        expect(denied.errors[0].message).toBe('Not allowed to read "orders"');
+        expect(denied.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+
+    test('should reject fields that are not part of the type', async () => {
+        const result = await run('{ getAllCustomers(where: { password: { eq: "x" } }) { name } }', { execute: jest.fn() });
+        expect(result.errors[0].message).toMatch(/password/);
+    });
+});
+
+describe('GraphQL Schema - uuidMapping', () => {
+    const tickets = {
+        routeType: 'database',
+        dbTable: 'tickets',
+        keys: ['id'],
+        allowRead: ['id', 'subject'],
+        uuidMapping: true,
+        columnDefinitions: { id: 'INT', subject: 'VARCHAR(80)' },
+    };
+    const { schema: ticketSchema } = generateGraphQLSchema([tickets]);
+
+    function runTickets(source, execute) {
+        const store = new Map();
+        const redis = { set: jest.fn(async (key, value) => store.set(key, value)), get: jest.fn(async (key) => store.get(key)) };
+        const uuidTools = require('../modules/dynamicUUID')(redis);
+        const contextValue = createGraphQLContext({ user: sales, getConnection: async () => ({ execute }), uuidTools, secretSalt: 'salt' });
+        return { uuidTools, result: graphql({ schema: ticketSchema, source, contextValue }) };
+    }
+
+    beforeEach(() => { process.env.CURSOR_SECRET = 'graphql-test-secret'; });
+    afterEach(() => { delete process.env.CURSOR_SECRET; });
+
+    test('should expose mapped ids as UUIDs, not filterable, with sealed cursors', async () => {
+        const execute = jest.fn().mockResolvedValue([[{ id: 41, subject: 'Login' }, { id: 42, subject: 'Billing' }], []]);
+        const { uuidTools, result } = runTickets('{ listTickets(first: 1) { nodes { id subject } pageInfo { endCursor } } }', execute);
+        const { data, errors } = await result;
+
+        expect(errors).toBeUndefined();
+        const [node] = data.listTickets.nodes;
+        expect(node).toEqual({ id: uuidTools.generateDeterministicUUID('tickets', 'id', 41, 'salt'), subject: 'Login' });
+        expect(await uuidTools.getOriginalIdFromUUID('tickets', 'id', node.id)).toBe(41);
+        expect(Buffer.from(data.listTickets.pageInfo.endCursor, 'base64url').toString()).not.toContain('41');
+        expect(String(ticketSchema.getType('Tickets').getFields().id.type)).toBe('ID');
+        expect(ticketSchema.getType('TicketsWhere').getFields().id).toBeUndefined();
+    });
+
+    test('should take the UUID of a record in get', async () => {
+        const execute = jest.fn().mockResolvedValue([[{ id: 41, subject: 'Login' }], []]);
+        const listed = runTickets('{ getAllTickets { id } }', execute);
+        const uuid = (await listed.result).data.getAllTickets[0].id;
+
+        const { uuidTools } = listed;
+        const contextValue = createGraphQLContext({ user: sales, getConnection: async () => ({ execute }), uuidTools, secretSalt: 'salt' });
+        const found = await graphql({ schema: ticketSchema, source: `{ getTickets(id: "${uuid}") { id subject } }`, contextValue });
+        expect(found.errors).toBeUndefined();
+        expect(found.data.getTickets).toEqual({ id: uuid, subject: 'Login' });
+        expect(execute).toHaveBeenLastCalledWith('SELECT tickets.id, tickets.subject FROM tickets WHERE tickets.id = ?', [41]);
+
+        const invalid = await graphql({ schema: ticketSchema, source: '{ getTickets(id: "41") { id } }', contextValue });
+        expect(invalid.errors[0].message).toBe('Invalid UUID provided');
+    });
+
+    test('should expose the ids of related rows as UUIDs', async () => {
+        const requesters = {
+            routeType: 'database',
+            dbTable: 'requesters',
+            keys: ['id'],
+            allowRead: ['id', 'name'],
+            columnDefinitions: { id: 'INT' },
+            relationships: [{ type: 'one-to-many', name: 'tickets', relatedTable: 'tickets', foreignKey: 'id', relatedKey: 'requester_id' }],
+        };
+        const { schema: requesterSchema } = generateGraphQLSchema([requesters, tickets]);
+        const execute = jest.fn()
+            .mockResolvedValueOnce([[{ id: 1, name: 'Ada' }], []])
+            .mockResolvedValueOnce([[{ id: 41, subject: 'Login', requester_id: 1 }], []]);
+        const uuidTools = require('../modules/dynamicUUID')({ set: jest.fn(async () => 'OK'), get: jest.fn() });
+        const contextValue = createGraphQLContext({ user: sales, getConnection: async () => ({ execute }), uuidTools, secretSalt: 'salt' });
+
+        const result = await graphql({ schema: requesterSchema, source: '{ getAllRequesters { id tickets { id subject } } }', contextValue });
+
+        expect(result.errors).toBeUndefined();
+        expect(execute.mock.calls[1][1]).toEqual([1]);
+        expect(result.data.getAllRequesters).toEqual([
+            { id: 1, tickets: [{ id: uuidTools.generateDeterministicUUID('tickets', 'id', 41, 'salt'), subject: 'Login' }] },
+        ]);
+    });
+});
+
+describe('GraphQL Schema - mutations', () => {
+    test('should insert writable fields only and return the stored record', async () => {
+        const execute = jest.fn()
+            .mockResolvedValueOnce([{ insertId: 5 }, []])
+            .mockResolvedValueOnce([[{ id: 5, name: 'Dee', vip: 0 }], []]);
+        const responseCache = { invalidateTags: jest.fn() };
+        const contextValue = createGraphQLContext({ user: sales, responseCache, getConnection: async () => ({ execute }) });
+
+        const result = await graphql({ schema, source: 'mutation { createCustomers(input: { name: "Dee" }) { id name } }', contextValue });
+
+        expect(result.errors).toBeUndefined();
+        expect(execute.mock.calls[0]).toEqual(['INSERT INTO customers (name) VALUES (?)', ['Dee']]);
+        expect(result.data.createCustomers).toEqual({ id: 5, name: 'Dee' });
+        expect(responseCache.invalidateTags).toHaveBeenCalledWith(['customers'], 'GraphQL createCustomers');
+    });
+});
+
+describe('GraphQL Schema - subscriptions', () => {
+    test('should deliver the changes the user may see and that match the filter', async () => {
+        const changeFeed = new ChangeFeed({ publish: jest.fn() });
+        const contextValue = createGraphQLContext({ user: sales, changeFeed, getConnection: async () => ({ execute: jest.fn() }) });
+
+        const iterator = await subscribe({
+            schema,
+            document: parse('subscription { ordersCreated(where: { total: { gt: 10 } }) { id total } }'),
+            contextValue,
+        });
+
+        changeFeed.handleMessage({ table: 'orders', operation: 'create', data: { id: 1, total: 50 }, owner: 8 });
+        changeFeed.handleMessage({ table: 'orders', operation: 'create', data: { id: 2, total: 5 }, owner: 7 });
+        changeFeed.handleMessage({ table: 'orders', operation: 'create', data: { id: 3, total: '20.5' }, owner: 7 });
+
+        expect((await iterator.next()).value).toEqual({ data: { ordersCreated: { id: 3, total: 20.5 } } });
+        await iterator.return();
+    });
+
+    test('should refuse subscriptions the user may not read', async () => {
+        const contextValue = createGraphQLContext({ user: { id: 8, acl: ['publicAccess'] }, changeFeed: new ChangeFeed({ publish: jest.fn() }) });
+
+        const result = await subscribe({ schema, document: parse('subscription { ordersDeleted { id } }'), contextValue });
+
+        expect(result.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+});
@@ -0,0 +1,214 @@
+const {
+    buildFilterClause,
+    buildWhereInput,
+    matchesWhereInput,
+    buildSortClause,
+    buildCursorQuery,
+    buildCursorPage,
+    QueryBuilderError,
+} = require('../modules/queryBuilder');
+
+const allowRead = ['id', 'status', 'total', 'created_at', 'deleted_at', 'name'];
+
+describe('Query Builder - filters', () => {
+    test('should keep the simple comparison operators', () => {
+        const { clause, values } = buildFilterClause({ total: 'gte:100', status: 'ne:void' }, 'orders', allowRead);
+        expect(clause).toBe('orders.total >= ? AND orders.status != ?');
+        expect(values).toEqual(['100', 'void']);
+    });
+
+    test('should treat values without an operator as equality', () => {
+        const { clause, values } = buildFilterClause({ status: 'paid' }, 'orders', allowRead);
+        expect(clause).toBe('orders.status = ?');
+        expect(values).toEqual(['paid']);
+    });
+
+    test('should keep colons that are part of the value', () => {
+        const { values } = buildFilterClause({ created_at: 'gt:2024-01-01 10:00:00' }, 'orders', allowRead);
+        expect(values).toEqual(['2024-01-01 10:00:00']);
+    });
+
+    test('should support in, nin and between', () => {
+        const { clause, values } = buildFilterClause({
+            status: 'in:paid,refunded',
+            id: 'nin:1,2',
+            total: 'between:10,20',
+        }, 'orders', allowRead);
+        expect(clause).toBe('orders.status IN (?, ?) AND orders.id NOT IN (?, ?) AND orders.total BETWEEN ? AND ?');
+        expect(values).toEqual(['paid', 'refunded', '1', '2', '10', '20']);
+    });
+
+    test('should support isnull and notnull without values', () => {
+        const { clause, values } = buildFilterClause({ deleted_at: 'isnull', name: 'notnull' }, 'orders', allowRead);
+        expect(clause).toBe('orders.deleted_at IS NULL AND orders.name IS NOT NULL');
+        expect(values).toEqual([]);
+    });
+
+    test('should group OR conditions', () => {
+        const filter = {
+            total: 'gt:0',
+            or: [{ status: 'eq:paid' }, { status: 'eq:refunded', total: 'lt:50' }],
+        };
+        const { clause, values } = buildFilterClause(filter, 'orders', allowRead);
+        expect(clause).toBe('orders.total > ? AND ((orders.status = ?) OR (orders.status = ? AND orders.total < ?))');
+        expect(values).toEqual(['0', 'paid', 'refunded', '50']);
+    });
+
+    test('should accept OR groups parsed as objects', () => {
+        const { clause } = buildFilterClause({ or: { 0: { status: 'paid' }, 25: { status: 'void' } } }, 'orders', allowRead);
+        expect(clause).toBe('((orders.status = ?) OR (orders.status = ?))');
+    });
+
+    test('should reject fields outside allowRead', () => {
+        expect(() => buildFilterClause({ password: 'eq:x' }, 'users', allowRead)).toThrow(QueryBuilderError);
+    });
+
+    test('should reject malformed between ranges', () => {
+        expect(() => buildFilterClause({ total: 'between:10' }, 'orders', allowRead)).toThrow(QueryBuilderError);
+    });
+});
+
+describe('Query Builder - sorting', () => {
+    test('should build a multi column ORDER BY', () => {
+        expect(buildSortClause('-created_at,name', 'orders', allowRead))
+            .toBe('ORDER BY orders.created_at DESC, orders.name ASC');
+    });
+
+    test('should return an empty clause when no sort is requested', () => {
+        expect(buildSortClause(undefined, 'orders', allowRead)).toBe('');
+    });
+
+    test('should reject unknown sort fields', () => {
+        expect(() => buildSortClause('name;DROP TABLE orders', 'orders', allowRead)).toThrow(QueryBuilderError);
+        expect(() => buildSortClause('-password', 'orders', allowRead)).toThrow(QueryBuilderError);
+    });
+});
+
+describe('Query Builder - cursor pagination', () => {
+    const rows = [
+        { id: 1, created_at: '2024-01-03' },
+        { id: 2, created_at: '2024-01-02' },
+        { id: 3, created_at: '2024-01-02' },
+    ];
+    const options = { sortParam: '-created_at', primaryKey: 'id', dbTable: 'orders', allowedFields: allowRead, limit: 2 };
+
+    test('should order by the sort column and the primary key tie-breaker', () => {
+        const query = buildCursorQuery(options);
+        expect(query.orderByClause).toBe('ORDER BY orders.created_at IS NULL DESC, orders.created_at DESC, orders.id ASC');
+        expect(query.limitClause).toBe('LIMIT 3');
+        expect(query.clause).toBe('');
+    });
+
+    test('should return a next cursor only when more rows exist', () => {
+        const page = buildCursorPage(rows, buildCursorQuery(options));
+        expect(page.rows).toEqual(rows.slice(0, 2));
+        expect(page.hasMore).toBe(true);
+        expect(page.prevCursor).toBeNull();
+        expect(typeof page.nextCursor).toBe('string');
+    });
+
+    test('should build a keyset predicate from the next cursor', () => {
+        const { nextCursor } = buildCursorPage(rows, buildCursorQuery(options));
+        const query = buildCursorQuery({ ...options, cursor: nextCursor });
+        expect(query.clause).toBe('(orders.created_at < ? OR (orders.created_at = ? AND orders.id > ?))');
+        expect(query.values).toEqual(['2024-01-02', '2024-01-02', 2]);
+
+        const page = buildCursorPage([rows[2]], query);
+        expect(page.rows).toEqual([rows[2]]);
+        expect(page.nextCursor).toBeNull();
+        expect(typeof page.prevCursor).toBe('string');
+    });
+
+    test('should walk backwards from a prev cursor and restore the order', () => {
+        const { prevCursor } = buildCursorPage([rows[2]], buildCursorQuery({ ...options, cursor: buildCursorPage(rows, buildCursorQuery(options)).nextCursor }));
+        const query = buildCursorQuery({ ...options, cursor: prevCursor });
+        expect(query.orderByClause).toBe('ORDER BY orders.created_at IS NULL ASC, orders.created_at ASC, orders.id DESC');
+        expect(query.clause).toBe('((orders.created_at > ? OR orders.created_at IS NULL) OR (orders.created_at = ? AND orders.id < ?))');
+
+        // The database returns the rows closest to the cursor first.
+        const page = buildCursorPage([rows[1], rows[0]], query);
+        expect(page.rows).toEqual([rows[0], rows[1]]);
+        expect(page.prevCursor).toBeNull();
+        expect(typeof page.nextCursor).toBe('string');
+    });
+
+    test('should clamp the page size', () => {
+        expect(buildCursorQuery({ ...options, limit: '1000000' }).limitClause).toBe('LIMIT 101');
+        expect(buildCursorQuery({ ...options, limit: '-5' }).limit).toBe(1);
+        expect(buildCursorQuery({ ...options, limit: 'abc' }).limit).toBe(20);
+        expect(buildCursorQuery({ ...options, limit: undefined }).limit).toBe(20);
+    });
+
+    test('should page through NULL sort values', () => {
+        const ascending = { ...options, sortParam: 'created_at', limit: 1 };
+        // NULLs come last ascending: after a value, the NULLs still follow
+        const { nextCursor } = buildCursorPage([{ id: 1, created_at: '2024-01-02' }, { id: 2, created_at: null }], buildCursorQuery(ascending));
+        let query = buildCursorQuery({ ...ascending, cursor: nextCursor });
+        expect(query.clause).toBe('((orders.created_at > ? OR orders.created_at IS NULL) OR (orders.created_at = ? AND orders.id > ?))');
+
+        // After a NULL, only the NULLs with a higher id
+        const fromNull = buildCursorPage([{ id: 2, created_at: null }, { id: 3, created_at: null }], query).nextCursor;
+        query = buildCursorQuery({ ...ascending, cursor: fromNull });
+        expect(query.clause).toBe('((orders.created_at IS NULL AND orders.id > ?))');
+        expect(query.values).toEqual([2]);
+
+        // NULLs come first descending: after a NULL, every value follows
+        const descending = { ...options, limit: 1 };
+        const { nextCursor: descendingCursor } = buildCursorPage([{ id: 4, created_at: null }, { id: 1, created_at: '2024-01-03' }], buildCursorQuery(descending));
+        query = buildCursorQuery({ ...descending, cursor: descendingCursor });
+        expect(query.clause).toBe('(orders.created_at IS NOT NULL OR (orders.created_at IS NULL AND orders.id > ?))');
+        expect(query.values).toEqual([4]);
+    });
+
+    test('should encrypt the cursors of endpoints hiding their ids', () => {
+        process.env.CURSOR_SECRET = 'cursor-secret';
+        try {
+            const sealed = { ...options, sealed: true };
+            const { nextCursor } = buildCursorPage(rows, buildCursorQuery(sealed));
+            expect(Buffer.from(nextCursor, 'base64url').toString('utf8')).not.toContain('2024-01-02');
+            expect(buildCursorQuery({ ...sealed, cursor: nextCursor }).values).toEqual(['2024-01-02', '2024-01-02', 2]);
+
+            // Neither a forged plain cursor nor a cursor sealed with another secret is accepted
+            const plain = buildCursorPage(rows, buildCursorQuery(options)).nextCursor;
+            expect(() => buildCursorQuery({ ...sealed, cursor: plain })).toThrow('Invalid cursor');
+            process.env.CURSOR_SECRET = 'another-secret';
+            expect(() => buildCursorQuery({ ...sealed, cursor: nextCursor })).toThrow('Invalid cursor');
+        } finally {
+            delete process.env.CURSOR_SECRET;
+        }
+    });
+
+    test('should preserve dates inside cursors', () => {
+        const date = new Date('2024-01-02T10:00:00.000Z');
+        const query = buildCursorQuery({ ...options, limit: 1 });
+        const { nextCursor } = buildCursorPage([{ id: 1, created_at: date }, { id: 2, created_at: date }], query);
+        expect(buildCursorQuery({ ...options, cursor: nextCursor }).values[0]).toEqual(date);
+    });
+
+    test('should reject tampered cursors and cursors from another sort', () => {
+        const { nextCursor } = buildCursorPage(rows, buildCursorQuery(options));
+        expect(() => buildCursorQuery({ ...options, cursor: 'not-a-cursor' })).toThrow(QueryBuilderError);
+        expect(() => buildCursorQuery({ ...options, sortParam: 'name', cursor: nextCursor })).toThrow(QueryBuilderError);
+    });
+});
+
+describe('Query Builder - structured filters', () => {
+    const where = { total: { gte: 100 }, OR: [{ status: { in: ['paid', 'refunded'] } }, { name: { like: 'Ad%' } }] };
+
+    test('should match records in memory like the SQL it builds', () => {
+        expect(buildWhereInput(where, 'orders', allowRead)).toEqual({
+            clause: 'orders.total >= ? AND ((orders.status IN (?, ?)) OR (orders.name LIKE ?))',
+            values: [100, 'paid', 'refunded', 'Ad%'],
+        });
+        expect(matchesWhereInput({ total: '150.00', status: 'open', name: 'ada' }, where)).toBe(true);
+        expect(matchesWhereInput({ total: 150, status: 'open', name: 'Bob' }, where)).toBe(false);
+        expect(matchesWhereInput({ total: 50, status: 'paid' }, where)).toBe(false);
+    });
+
+    test('should compare dates and nulls like SQL', () => {
+        const since = { created_at: { gt: new Date('2024-01-01T00:00:00Z') }, deleted_at: { isNull: true } };
+        expect(matchesWhereInput({ created_at: '2024-02-01T00:00:00.000Z', deleted_at: null }, since)).toBe(true);
+        expect(matchesWhereInput({ created_at: null }, since)).toBe(false);
+        expect(matchesWhereInput({ status: null }, { status: { ne: 'paid' } })).toBe(false);
+    });
+});
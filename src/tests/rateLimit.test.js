@@ -0,0 +1,109 @@
+const RateLimit = require('../modules/rate_limit');
+
+const partnerApi = {
+    route: '/api/orders',
+    rateLimit: {
+        strategy: 'sliding-window',
+        limit: 100,
+        window: 60,
+        key: ['claim:tenant_id', 'header:X-Tenant-Id', 'ip'],
+        quota: { daily: 1000 },
+        tiers: { partnerAccess: { limit: 500, quota: { monthly: 20000 } } },
+    },
+};
+const legacy = { route: '/api/products/:category', rateLimit: { requestsPerMinute: 20 } };
+const apiConfig = [partnerApi, legacy, { route: '/api/users' }];
+
+function mockResponse() {
+    const res = { headers: {} };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('Rate Limit - configuration', () => {
+    const limiter = new RateLimit(apiConfig, null, { redis: {} });
+
+    test('should find the endpoint of record, bulk and parameterized paths', () => {
+        expect(limiter.findEndpoint('/api/orders')).toBe(partnerApi);
+        expect(limiter.findEndpoint('/api/orders/42/restore')).toBe(partnerApi);
+        expect(limiter.findEndpoint('/api/products/books')).toBe(legacy);
+        expect(limiter.findEndpoint('/api/ordersx')).toBeUndefined();
+        expect(limiter.findEndpoint('/api/users')).toBeUndefined();
+    });
+
+    test('should keep the legacy settings as fixed windows', () => {
+        expect(RateLimit.resolvePolicy(legacy.rateLimit).limiters).toEqual([
+            { id: 'minute', strategy: 'fixed-window', limit: 20, window: 60 },
+        ]);
+    });
+
+    test('should apply the tier of the user role and merge quotas', () => {
+        const policy = RateLimit.resolvePolicy(partnerApi.rateLimit, { acl: ['partnerAccess'] });
+        expect(policy.tier).toBe('partnerAccess');
+        expect(policy.limiters[0]).toMatchObject({ strategy: 'sliding-window', limit: 500 });
+        expect(policy.quotas).toEqual([{ period: 'daily', limit: 1000 }, { period: 'monthly', limit: 20000 }]);
+        expect(() => RateLimit.resolvePolicy({ limit: 1, strategy: 'leaky' })).toThrow('Unknown rate limit strategy');
+    });
+
+    test('should identify clients by the first available key', () => {
+        const policy = RateLimit.resolvePolicy(partnerApi.rateLimit);
+        const req = { ip: '10.0.0.1', headers: { 'x-tenant-id': 'acme' } };
+        expect(RateLimit.resolveIdentity(req, policy, { tenant_id: 't-9' })).toBe('claim:tenant_id:t-9');
+        expect(RateLimit.resolveIdentity(req, policy, null)).toBe('header:X-Tenant-Id:acme');
+        expect(RateLimit.resolveIdentity({ ip: '10.0.0.1', headers: {} }, policy, null)).toBe('ip:10.0.0.1');
+
+        const apiKeyPolicy = RateLimit.resolvePolicy({ limit: 5, key: 'apiKey' });
+        const keyRequest = { ip: '1.1.1.1', headers: { 'x-api-key': 'secret' } };
+        expect(RateLimit.resolveIdentity(keyRequest, apiKeyPolicy, { sub: 'apikey:12', apiKeyId: 12 })).toBe('apiKey:12');
+        // Unverified keys are not identities: a new random key per request must not get a new bucket.
+        expect(RateLimit.resolveIdentity(keyRequest, apiKeyPolicy, null)).toBe('ip:1.1.1.1');
+        expect(RateLimit.resolveIdentity({ ip: '1.1.1.1', headers: { 'x-api-key': 'other' } }, apiKeyPolicy, null)).toBe('ip:1.1.1.1');
+    });
+});
+
+describe('Rate Limit - middleware', () => {
+    test('should count requests and send the RateLimit headers', async () => {
+        const redis = { eval: jest.fn().mockResolvedValueOnce([1, 40]).mockResolvedValueOnce([3, 1000]) };
+        const limiter = new RateLimit(apiConfig, null, { redis });
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await limiter.middleware()({ path: '/api/orders/7', ip: '10.0.0.1', headers: { 'x-tenant-id': 'acme' } }, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(redis.eval.mock.calls[0][2]).toMatch(/^rate-limit:\/api\/orders:sliding-window:header:X-Tenant-Id:acme:\d+$/);
+        expect(redis.eval.mock.calls[1][2]).toMatch(/^rate-quota:\/api\/orders:daily:\d{4}-\d{2}-\d{2}:header:X-Tenant-Id:acme$/);
+        expect(res.headers['RateLimit-Limit']).toBe('100');
+        expect(res.headers['RateLimit-Remaining']).toBe('60');
+        expect(res.headers['RateLimit-Policy']).toBe('100;w=60, 1000;w=86400');
+        expect(res.headers['Retry-After']).toBeUndefined();
+    });
+
+    test('should answer 429 with Retry-After once the limit is reached', async () => {
+        const redis = { eval: jest.fn().mockResolvedValue([21, 12000]) };
+        const limiter = new RateLimit(apiConfig, null, { redis });
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await limiter.middleware()({ path: '/api/products/books', ip: '10.0.0.1', headers: {} }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Too Many Requests' });
+        expect(res.headers['Retry-After']).toBe('12');
+        expect(res.headers['RateLimit-Remaining']).toBe('0');
+    });
+
+    test('should not count the quota of requests refused by the window', async () => {
+        const redis = { eval: jest.fn().mockResolvedValue([0, 100]) };
+        const limiter = new RateLimit(apiConfig, null, { redis });
+        const res = mockResponse();
+
+        await limiter.middleware()({ path: '/api/orders', ip: '10.0.0.1', headers: {} }, res, jest.fn());
+
+        expect(redis.eval).toHaveBeenCalledTimes(1);
+        expect(res.status).toHaveBeenCalledWith(429);
+    });
+});
@@ -0,0 +1,96 @@
+const { parseExpand, assertCanExpand, requiredParentFields, expandedTables, expandRecords, expandPathsFromSelection } = require('../modules/relationshipExpander');
+const { QueryBuilderError } = require('../modules/queryBuilder');
+const { parse } = require('graphql');
+
+const customers = {
+    dbTable: 'customers',
+    allowRead: ['id', 'name'],
+    relationships: [{ type: 'one-to-many', name: 'orders', relatedTable: 'orders', foreignKey: 'id', relatedKey: 'customer_id' }],
+};
+const orders = {
+    dbTable: 'orders',
+    allowRead: ['id', 'total'],
+    acl: ['salesAccess'],
+    relationships: [{ type: 'one-to-many', name: 'items', relatedTable: 'order_items', foreignKey: 'id', relatedKey: 'order_id', fields: ['sku'] }],
+};
+const resolveEndpoint = (table) => ({ customers, orders })[table];
+
+describe('Relationship Expander - parsing', () => {
+    test('should build a tree of nested relationships', () => {
+        const tree = parseExpand('orders,orders.items', customers, resolveEndpoint);
+        expect(tree).toHaveLength(1);
+        expect(tree[0]).toMatchObject({ name: 'orders', many: true, fields: ['id', 'total'] });
+        expect(tree[0].children[0]).toMatchObject({ name: 'items', endpoint: null, fields: ['sku'], connectionConfig: orders });
+        expect(requiredParentFields(tree)).toEqual(['id']);
+        expect(expandedTables(tree)).toEqual(['orders', 'order_items']);
+    });
+
+    test('should reject unknown relationships and paths deeper than allowed', () => {
+        expect(() => parseExpand('invoices', customers, resolveEndpoint)).toThrow(QueryBuilderError);
+        expect(() => parseExpand('orders.items', customers, resolveEndpoint, 1)).toThrow('maximum depth is 1');
+    });
+
+    test('should enforce the related endpoint ACL', () => {
+        const tree = parseExpand('orders', customers, resolveEndpoint);
+        expect(() => assertCanExpand(tree, { acl: ['publicAccess'] })).toThrow(QueryBuilderError);
+        expect(() => assertCanExpand(tree, { acl: ['salesAccess'] })).not.toThrow();
+    });
+
+    test('should derive expand paths from a GraphQL selection', () => {
+        const query = parse('{ getAllCustomers { name orders { total items { sku } } } }');
+        const selectionSet = query.definitions[0].selectionSet.selections[0].selectionSet;
+        expect(expandPathsFromSelection(selectionSet, customers, resolveEndpoint)).toEqual(['orders', 'orders.items']);
+    });
+});
+
+describe('Relationship Expander - loading', () => {
+    test('should load each level with one batched query and nest the rows', async () => {
+        const execute = jest.fn()
+            .mockResolvedValueOnce([[
+                { id: 10, total: 5, customer_id: 1 },
+                { id: 11, total: 7, customer_id: 1 },
+            ], []])
+            .mockResolvedValueOnce([[{ sku: 'PEN', order_id: 10 }], []]);
+        const rows = [{ id: 1, name: 'Ada' }, { id: 2, name: 'Bob' }];
+
+        await expandRecords(rows, parseExpand('orders.items', customers, resolveEndpoint), {
+            getConnection: async () => ({ execute }),
+        });
+
+        expect(execute).toHaveBeenCalledTimes(2);
+        expect(execute.mock.calls[0]).toEqual([
+            'SELECT orders.id, orders.total, orders.customer_id FROM orders WHERE orders.customer_id IN (?, ?)',
+            [1, 2],
+        ]);
+        expect(rows).toEqual([
+            { id: 1, name: 'Ada', orders: [{ id: 10, total: 5, items: [{ sku: 'PEN' }] }, { id: 11, total: 7, items: [] }] },
+            { id: 2, name: 'Bob', orders: [] },
+        ]);
+    });
+
+    test('should map the ids of related endpoints with uuidMapping after nesting the rows', async () => {
+        const mappedOrders = { ...orders, allowRead: ['id', 'total', 'customer_id'], uuidMapping: ['id', 'customer_id'] };
+        const execute = jest.fn()
+            .mockResolvedValueOnce([[{ id: 10, total: 5, customer_id: 1 }], []])
+            .mockResolvedValueOnce([[{ sku: 'PEN', order_id: 10 }], []]);
+        const uuidTools = require('../modules/dynamicUUID')({ set: jest.fn(async () => 'OK'), get: jest.fn() });
+        const rows = [{ id: 1, name: 'Ada' }];
+
+        await expandRecords(rows, parseExpand('orders.items', customers, (table) => ({ customers, orders: mappedOrders })[table]), {
+            getConnection: async () => ({ execute }),
+            uuidTools,
+            secretSalt: 'salt',
+        });
+
+        expect(rows[0].id).toBe(1);
+        expect(rows[0].orders).toEqual([{
+            id: uuidTools.generateDeterministicUUID('orders', 'id', 10, 'salt'),
+            total: 5,
+            customer_id: uuidTools.generateDeterministicUUID('orders', 'customer_id', 1, 'salt'),
+            items: [{ sku: 'PEN' }],
+        }]);
+        await expect(expandRecords([{ id: 1 }], parseExpand('orders', customers, () => mappedOrders), {
+            getConnection: async () => ({ execute: jest.fn().mockResolvedValue([[{ id: 10, customer_id: 1 }], []]) }),
+        })).rejects.toThrow('No uuidTools');
+    });
+});
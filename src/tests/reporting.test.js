@@ -0,0 +1,371 @@
+jest.mock('node-schedule', () => ({ scheduleJob: jest.fn(() => ({ cancel: jest.fn() })) }), { virtual: true });
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: () => [] }));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+jest.mock('../modules/logger', () => ({ log: jest.fn() }));
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn(), affectedRowCount: jest.fn() }));
+jest.mock('../services/notification/emailService', () => ({ send: jest.fn(async () => ({})) }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const schedule = require('node-schedule');
+const { getApiConfig } = require('../modules/apiConfig');
+const { getDbConnection } = require('../modules/db');
+const emailService = require('../services/notification/emailService');
+const { deliverReport } = require('../modules/reportSubscriptions');
+const ReportingModule = require('../modules/reportingModule');
+const { toCsv, toPdf, toXlsx } = require('../modules/reportExport');
+const { normalizeParameters, resolveParameters, buildReportQuery } = require('../modules/reportParameters');
+
+const orders = Array.from({ length: 5 }, (unused, index) => ({ id: index + 1, customer: `Customer ${index + 1}`, total: (index + 1) * 10 }));
+
+// Connection serving the `sales` and `top` reports over `orders`, honouring the bound LIMIT/OFFSET
+// of exports. Like a database, it returns unordered rows in any order: here, a different one on every query.
+function connection() {
+    let queries = 0;
+    return {
+        execute: jest.fn(async (sql, values = []) => {
+            if (/SHOW TABLES/.test(sql)) return [[{ table: 'adaptus2_reports' }]];
+            if (/SHOW COLUMNS/.test(sql)) return [[{ Field: 'cacheTtl' }]];
+            if (/FROM adaptus2_reports WHERE id/.test(sql)) {
+                const reports = {
+                    sales: { sqlQuery: 'SELECT id, customer, total FROM orders', acl: ['finance'], filters: ['customer'] },
+                    top: { sqlQuery: 'SELECT id, customer, total FROM orders WHERE total > 0 ORDER BY total DESC', acl: ['finance'], filters: [] },
+                };
+                return [reports[values[0]] ? [reports[values[0]]] : []];
+            }
+            const paged = /LIMIT \? OFFSET \?$/.test(sql);
+            const filters = paged ? values.slice(0, -2) : values;
+            let rows = filters.length ? orders.filter((order) => order.customer === filters[0]) : [...orders];
+            queries += 1;
+            if (/ORDER BY 1, 2, 3 LIMIT/.test(sql)) rows.sort((a, b) => a.id - b.id);
+            else if (/ORDER BY total DESC/.test(sql)) rows.reverse();
+            else rows = [...rows.slice(queries % rows.length), ...rows.slice(0, queries % rows.length)];
+            if (paged) rows = rows.slice(values[values.length - 1], values[values.length - 1] + values[values.length - 2]);
+            return [rows];
+        }),
+    };
+}
+
+function memorySubscriptions() {
+    const subscriptions = new Map();
+    return {
+        subscriptions,
+        runs: [],
+        async list() {
+            return [...subscriptions.values()];
+        },
+        async get(id) {
+            return subscriptions.get(id) || null;
+        },
+        async create(fields) {
+            const subscription = { id: `sub-${subscriptions.size + 1}`, enabled: true, ...fields };
+            subscriptions.set(subscription.id, subscription);
+            return subscription;
+        },
+        async remove(id) {
+            return subscriptions.delete(id);
+        },
+        async recordRun(id, status, error = null) {
+            this.runs.push({ id, status, error });
+        },
+    };
+}
+
+function reporting() {
+    const db = connection();
+    const store = memorySubscriptions();
+    const app = { get: jest.fn(), post: jest.fn(), delete: jest.fn(), locals: {} };
+    const redis = { get: jest.fn(async () => null), set: jest.fn(async () => 'OK') };
+    const module = new ReportingModule({ actions: {} }, async () => db, redis, app, { subscriptionStore: store });
+    return { module, db, store, redis };
+}
+
+// Response stand-in collecting what is written
+function response() {
+    const res = new EventEmitter();
+    res.headers = {};
+    res.body = '';
+    res.set = (name, value) => { res.headers[name] = value; };
+    res.attachment = (filename) => { res.headers['Content-Disposition'] = `attachment; filename="${filename}"`; };
+    res.write = (chunk) => { res.body += chunk; return true; };
+    res.end = jest.fn();
+    return res;
+}
+
+const finance = { user: { id: 7, acl: ['finance'] }, tenant: null };
+
+describe('report exports and subscriptions', () => {
+    let previousBatchSize;
+
+    beforeEach(() => {
+        previousBatchSize = process.env.REPORT_EXPORT_BATCH_SIZE;
+        process.env.REPORT_SUBSCRIPTIONS_ENABLED = 'false';
+    });
+
+    afterEach(() => {
+        if (previousBatchSize === undefined) delete process.env.REPORT_EXPORT_BATCH_SIZE;
+        else process.env.REPORT_EXPORT_BATCH_SIZE = previousBatchSize;
+        delete process.env.REPORT_SUBSCRIPTIONS_ENABLED;
+        if (process.env.REPORT_EXPORT_DIR) fs.rmSync(process.env.REPORT_EXPORT_DIR, { recursive: true, force: true });
+        delete process.env.REPORT_EXPORT_DIR;
+    });
+
+    test('should stream CSV in batches and encode XLSX and PDF', async () => {
+        process.env.REPORT_EXPORT_BATCH_SIZE = '2';
+        const { module, db } = reporting();
+
+        const res = response();
+        expect(await module.streamReportCsv(finance, { reportName: 'sales' }, res)).toBe(5);
+        expect(res.body.split('\r\n')).toEqual(['id,customer,total', ...orders.map((order) => `${order.id},${order.customer},${order.total}`), '']);
+        expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+        expect(res.headers['Content-Disposition']).toBe('attachment; filename="sales.csv"');
+        const pages = db.execute.mock.calls.filter(([sql]) => /ORDER BY 1, 2, 3 LIMIT \? OFFSET \?$/.test(sql));
+        expect(pages.map(([, values]) => values)).toEqual([[2, 0], [2, 2], [2, 4]]);
+        expect(res.end).toHaveBeenCalled();
+
+        // Reports with their own ORDER BY are wrapped, not appended to
+        const top = response();
+        expect(await module.streamReportCsv(finance, { reportName: 'top' }, top)).toBe(5);
+        expect(db.execute).toHaveBeenLastCalledWith(
+            'SELECT * FROM (SELECT id, customer, total FROM orders WHERE total > 0 ORDER BY total DESC) AS r ORDER BY 1, 2, 3 LIMIT ? OFFSET ?',
+            [2, 4]
+        );
+
+        const xlsx = await module.exportReport(finance, { reportName: 'sales', customer: 'Customer 2' }, 'xlsx');
+        expect(xlsx.filename).toBe('sales.xlsx');
+        expect(xlsx.content.readUInt32LE(0)).toBe(0x04034b50);
+        // The sheet is the last entry of the archive
+        const sheetName = Buffer.from('xl/worksheets/sheet1.xml');
+        const nameAt = xlsx.content.lastIndexOf(sheetName, xlsx.content.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])));
+        const size = xlsx.content.readUInt32LE(nameAt - 30 + 18);
+        const sheet = zlib.inflateRawSync(xlsx.content.subarray(nameAt + sheetName.length, nameAt + sheetName.length + size)).toString();
+        expect(sheet).toContain('<row r="2"><c r="A2"><v>2</v></c><c r="B2" t="inlineStr"><is><t xml:space="preserve">Customer 2</t></is></c><c r="C2"><v>20</v></c></row>');
+        expect(sheet).not.toContain('Customer 3');
+
+        const pdf = await module.exportReport(finance, { reportName: 'sales' }, 'pdf');
+        const text = pdf.content.toString('latin1');
+        expect(text.startsWith('%PDF-1.4')).toBe(true);
+        expect(text).toContain('(Customer 5) Tj');
+        expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+        await expect(module.exportReport(finance, { reportName: 'sales' }, 'docx')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(module.exportReport({ user: { acl: ['sales'] } }, { reportName: 'sales' }, 'csv')).rejects.toThrow('Access denied');
+    });
+
+    test('should stop streaming when the client goes away while the response is full', async () => {
+        process.env.REPORT_EXPORT_BATCH_SIZE = '2';
+        const { module, db } = reporting();
+        const res = response();
+        res.write = jest.fn(() => {
+            setImmediate(() => res.emit('close'));
+            return false;
+        });
+
+        expect(await module.streamReportCsv(finance, { reportName: 'sales' }, res)).toBe(2);
+        expect(res.write).toHaveBeenCalledTimes(1);
+        expect(res.end).not.toHaveBeenCalled();
+        expect(db.execute.mock.calls.filter(([sql]) => /ORDER BY 1, 2, 3/.test(sql))).toHaveLength(1);
+        expect(res.listenerCount('drain')).toBe(0);
+    });
+
+    test('should encode awkward values', () => {
+        expect(toCsv([{ note: 'a, "b"\nc', empty: null }])).toBe('note,empty\r\n"a, ""b""\nc",\r\n');
+        expect(toCsv([{ a: '=HYPERLINK("x")', b: '+1', c: '-cmd', d: '@SUM(A1)', e: '\tx', f: -5, g: 'ok' }]))
+            .toBe(`a,b,c,d,e,f,g\r\n"'=HYPERLINK(""x"")",'+1,'-cmd,'@SUM(A1),'\tx,-5,ok\r\n`);
+        expect(toCsv([{ note: '\r=1' }])).toBe(`note\r\n"'\r=1"\r\n`);
+        expect(toXlsx([]).length).toBeGreaterThan(0);
+        const pages = toPdf(Array.from({ length: 100 }, (unused, index) => ({ index, note: 'x(y)' }))).toString('latin1');
+        expect(pages).toContain('/Count 3');
+        expect(pages).toContain('(x\\(y\\)) Tj');
+    });
+
+    test('should schedule subscriptions and deliver them with the stored filters', async () => {
+        process.env.REPORT_EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+        const { module, store, redis } = reporting();
+        // The owner is read again from the user table at every delivery
+        const users = [{ id: 7, username: 'cfo', acl: 'finance, staff' }];
+        const userDb = { execute: jest.fn(async (sql, [id]) => [users.filter((user) => user.id === id)]) };
+        getApiConfig.mockReturnValue([{ routeType: 'database', dbTable: 'users', dbConnection: 'MYSQL_1', keys: ['id'], auth: 'username', authentication: 'password' }]);
+        getDbConnection.mockResolvedValue(userDb);
+
+        await expect(module.createSubscription({ user: finance.user }, { reportName: 'sales', cron: 'weekly', destination: 'cfo@example.com' }))
+            .rejects.toThrow('cron must be a cron expression');
+        await expect(module.createSubscription({ user: finance.user }, { reportName: 'sales', cron: '0 7 * * 1', delivery: 'file', destination: '../../etc' }))
+            .rejects.toThrow('destination must stay within REPORT_EXPORT_DIR');
+        await expect(module.createSubscription({ user: { id: 8, acl: ['sales'] } }, { reportName: 'sales', cron: '0 7 * * 1', destination: 'cfo@example.com' }))
+            .rejects.toThrow('Access denied');
+
+        const subscription = await module.createSubscription({ user: finance.user }, {
+            reportName: 'sales',
+            cron: '0 7 * * 1',
+            format: 'csv',
+            delivery: 'file',
+            destination: 'weekly',
+            filters: { customer: 'Customer 4' },
+        });
+        expect(schedule.scheduleJob).toHaveBeenCalledWith('0 7 * * 1', expect.any(Function));
+        expect(subscription.owner).toEqual({ id: 7, username: null, acl: ['finance'] });
+
+        // A scheduled firing delivers once, even when several servers fire it
+        const fireDate = new Date('2026-03-02T07:00:00Z');
+        const fire = schedule.scheduleJob.mock.calls[schedule.scheduleJob.mock.calls.length - 1][1];
+        const delivery = await module.runSubscription(subscription.id, fireDate);
+        expect(delivery).toMatchObject({ filename: 'sales-20260302-0700.csv', delivery: 'file' });
+        expect(fs.readFileSync(delivery.location, 'utf8')).toBe('id,customer,total\r\n4,Customer 4,40\r\n');
+        expect(store.runs).toEqual([{ id: subscription.id, status: 'delivered', error: null }]);
+
+        redis.set.mockResolvedValueOnce(null);
+        fire(fireDate);
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(store.runs).toHaveLength(1);
+
+        expect(userDb.execute).toHaveBeenCalledWith('SELECT * FROM users WHERE id = ?', [7]);
+
+        // A revoked role or a removed owner stops the deliveries
+        users[0].acl = 'staff';
+        await expect(module.runSubscription(subscription.id)).rejects.toThrow('Access denied');
+        users.length = 0;
+        await expect(module.runSubscription(subscription.id)).rejects.toMatchObject({ statusCode: 403 });
+        expect(store.runs.map((run) => run.status)).toEqual(['delivered', 'failed', 'failed']);
+        getApiConfig.mockReturnValue([]);
+
+        expect(module.canManageSubscription({ id: 8, acl: ['finance'] }, subscription)).toBe(false);
+        expect(module.canManageSubscription({ id: 8, acl: ['adminAccess'] }, subscription)).toBe(true);
+        await store.remove(subscription.id);
+        await module.syncSubscriptions();
+        expect(module.jobs.size).toBe(0);
+    });
+
+    test('should escape the subject in the email body', async () => {
+        const file = { filename: 'sales.csv', content: Buffer.from(''), contentType: 'text/csv' };
+        await deliverReport({ delivery: 'email', destination: 'cfo@example.com', reportName: 'sales', subject: '<img src=x onerror="alert(1)">' }, file);
+        expect(emailService.send.mock.calls[0][0].html).toBe('<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;: see the attached sales.csv.</p>');
+        expect(emailService.send.mock.calls[0][0].subject).toBe('<img src=x onerror="alert(1)">');
+    });
+});
+
+describe('typed report parameters', () => {
+    const invoices = {
+        sqlQuery: "SELECT id, status, total FROM invoices WHERE status IN (:statuses) AND note <> ':statuses'",
+        acl: ['finance'],
+        cacheTtl: 120,
+        filters: JSON.stringify([
+            { name: 'period', type: 'daterange', column: 'issued_at', required: true, label: 'Issued' },
+            { name: 'statuses', type: 'multiselect', values: ['paid', 'open', 'void'], default: ['paid', 'open'] },
+            { name: 'minTotal', type: 'number', column: 'total', operator: '>=', min: 0 },
+            { name: 'customer', operator: 'like' },
+            { name: 'currency', type: 'enum', values: ['EUR', 'USD'] },
+        ]),
+    };
+
+    function invoiceReporting() {
+        const cache = new Map();
+        const db = {
+            execute: jest.fn(async (sql, values) => {
+                if (/SHOW TABLES/.test(sql)) return [[{ table: 'adaptus2_reports' }]];
+                if (/SHOW COLUMNS/.test(sql)) return [[{ Field: 'cacheTtl' }]];
+                if (/FROM adaptus2_reports WHERE id/.test(sql)) return [values[0] === 'invoices' ? [{ reportName: 'Invoices', ...invoices }] : []];
+                return [[{ id: 1, status: 'paid', total: 20 }]];
+            }),
+        };
+        const redis = {
+            get: jest.fn(async (key) => cache.get(key) || null),
+            set: jest.fn(async (key, value) => cache.set(key, value)),
+        };
+        const app = { get: jest.fn(), post: jest.fn(), delete: jest.fn(), locals: {} };
+        const module = new ReportingModule({ actions: {} }, async () => db, redis, app, { subscriptionStore: memorySubscriptions() });
+        const queries = () => db.execute.mock.calls.filter(([sql]) => /FROM invoices/.test(sql));
+        return { module, redis, queries };
+    }
+
+    beforeEach(() => {
+        process.env.REPORT_SUBSCRIPTIONS_ENABLED = 'false';
+    });
+
+    afterEach(() => {
+        delete process.env.REPORT_SUBSCRIPTIONS_ENABLED;
+    });
+
+    test('should bind placeholders, append typed conditions and validate values', async () => {
+        const { module, queries } = invoiceReporting();
+
+        await module.runReport(finance, { reportName: 'invoices', period: '2026-01-01,2026-01-31', minTotal: '10', customer: '50%', ignored: 'x' });
+        expect(queries()[0]).toEqual([
+            "SELECT id, status, total FROM invoices WHERE status IN (?, ?) AND note <> ':statuses' AND issued_at >= ? AND issued_at < ? AND total >= ? AND customer LIKE ?",
+            ['paid', 'open', '2026-01-01', '2026-02-01', 10, '%50\\%%'],
+        ]);
+
+        const run = (params) => module.runReport(finance, { reportName: 'invoices', period: '2026-01-01,2026-01-31', ...params });
+        await expect(module.runReport(finance, { reportName: 'invoices' })).rejects.toMatchObject({ statusCode: 400, message: 'Parameter period is required' });
+        await expect(run({ period: '2026-13-45,' })).rejects.toThrow('Parameter period must be a date');
+        await expect(run({ minTotal: 'ten' })).rejects.toThrow('Parameter minTotal must be a number');
+        await expect(run({ minTotal: '-1' })).rejects.toThrow('Parameter minTotal must be at least 0');
+        await expect(run({ currency: 'GBP' })).rejects.toThrow('Parameter currency must be one of EUR, USD');
+        await expect(run({ statuses: 'paid,deleted' })).rejects.toThrow('not deleted');
+        expect(queries()).toHaveLength(1);
+
+        // A list of nothing takes the default
+        await run({ statuses: ',' });
+        expect(queries()[1][1].slice(0, 2)).toEqual(['paid', 'open']);
+    });
+
+    test('should leave out a multiselect condition listing nothing', () => {
+        const parameters = normalizeParameters([{ name: 'status', type: 'multiselect' }]);
+        const resolved = resolveParameters(parameters, { status: ' , ' });
+        expect(resolved).toEqual({});
+        expect(buildReportQuery('SELECT * FROM invoices WHERE 1=1', parameters, resolved))
+            .toEqual({ query: 'SELECT * FROM invoices WHERE 1=1', values: [] });
+        expect(() => resolveParameters(normalizeParameters([{ name: 'status', type: 'multiselect', required: true }]), { status: ',' }))
+            .toThrow('Parameter status is required');
+    });
+
+    test('should cache results under deterministic keys with the report TTL', async () => {
+        const { module, redis, queries } = invoiceReporting();
+        const params = { reportName: 'invoices', period: '2026-01-01,2026-01-31', statuses: 'paid' };
+
+        await module.runReport(finance, params);
+        await module.runReport(finance, { ...params, statuses: ['paid'] });
+        expect(queries()).toHaveLength(1);
+        expect(redis.set).toHaveBeenCalledWith(expect.stringMatching(/^report:invoices:[0-9a-f]{64}$/), expect.any(String), 'EX', 120);
+
+        await module.runReport(finance, { ...params, statuses: 'open' });
+        expect(queries()).toHaveLength(2);
+
+        invoices.cacheTtl = 0;
+        try {
+            await module.runReport(finance, params);
+            expect(queries()).toHaveLength(3);
+        } finally {
+            invoices.cacheTtl = 120;
+        }
+    });
+
+    test('should not share cached results between tenants', async () => {
+        const { module, redis, queries } = invoiceReporting();
+        const params = { reportName: 'invoices', period: '2026-01-01,2026-01-31' };
+
+        await module.runReport({ ...finance, tenant: { id: 'acme', bypass: false } }, params);
+        await module.runReport({ ...finance, tenant: { id: 'acme', bypass: false } }, params);
+        await module.runReport({ ...finance, tenant: { id: 'globex', bypass: false } }, params);
+        await module.runReport({ ...finance, tenant: { id: 'globex', bypass: true } }, params);
+        expect(queries()).toHaveLength(3);
+        expect(new Set(redis.set.mock.calls.map(([key]) => key)).size).toBe(3);
+    });
+
+    test('should describe the parameters of a report', async () => {
+        const { module } = invoiceReporting();
+        const schema = await module.getReportSchema(finance, 'invoices');
+        expect(schema).toMatchObject({ id: 'invoices', reportName: 'Invoices', formats: ['csv', 'xlsx', 'pdf'], cacheTtl: 120 });
+        expect(schema.parameters).toEqual([
+            { name: 'period', label: 'Issued', type: 'daterange', operator: 'between', required: true },
+            { name: 'statuses', label: 'statuses', type: 'multiselect', operator: 'in', required: false, default: ['paid', 'open'], values: ['paid', 'open', 'void'] },
+            { name: 'minTotal', label: 'minTotal', type: 'number', operator: '>=', required: false, min: 0 },
+            { name: 'customer', label: 'customer', type: 'string', operator: 'like', required: false },
+            { name: 'currency', label: 'currency', type: 'enum', operator: '=', required: false, values: ['EUR', 'USD'] },
+        ]);
+        await expect(module.getReportSchema({ user: { acl: ['sales'] } }, 'invoices')).rejects.toThrow('Access denied');
+    });
+});
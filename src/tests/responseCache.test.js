@@ -0,0 +1,123 @@
+const ResponseCache = require('../modules/responseCache');
+
+// Minimal in-memory stand-in for the ioredis commands used by the cache.
+function createFakeRedis() {
+    const strings = new Map();
+    const sets = new Map();
+    const ttls = new Map();
+    const redis = {
+        strings,
+        sets,
+        ttls,
+        async get(key) { return strings.has(key) ? strings.get(key) : null; },
+        // The tag purging script of the cache, atomic like a Lua script
+        async eval(script, keyCount, tagKey) {
+            let deleted = 0;
+            (sets.get(tagKey) || new Set()).forEach((key) => {
+                if (strings.delete(key)) deleted += 1;
+            });
+            sets.delete(tagKey);
+            return deleted;
+        },
+        multi() {
+            const ops = [];
+            const pipeline = {
+                set(key, value, mode, ttl) {
+                    ops.push(() => {
+                        strings.set(key, value);
+                        ttls.set(key, ttl);
+                    });
+                    return pipeline;
+                },
+                sadd(key, member) {
+                    ops.push(() => {
+                        if (!sets.has(key)) sets.set(key, new Set());
+                        sets.get(key).add(member);
+                    });
+                    return pipeline;
+                },
+                // The TTL-extending script of the cache
+                eval(script, keyCount, key, ttl) {
+                    ops.push(() => {
+                        if (!ttls.has(key) || ttls.get(key) < ttl) ttls.set(key, ttl);
+                    });
+                    return pipeline;
+                },
+                async exec() { ops.forEach((op) => op()); },
+            };
+            return pipeline;
+        },
+    };
+    return redis;
+}
+
+describe('Response Cache', () => {
+    const endpoint = {
+        dbTable: 'customers',
+        relationships: [{ relatedTable: 'orders' }, { relatedTable: 'orders' }],
+    };
+
+    test('should tag entries with the table and its related tables', () => {
+        expect(ResponseCache.tagsForEndpoint(endpoint)).toEqual(['customers', 'orders']);
+        expect(ResponseCache.tagsForEndpoint(endpoint, ['orders', 'order_items'])).toEqual(['customers', 'orders', 'order_items']);
+    });
+
+    test('should use the endpoint TTL when configured', () => {
+        const cache = new ResponseCache(createFakeRedis());
+        expect(cache.ttlForEndpoint(endpoint)).toBe(300);
+        expect(cache.ttlForEndpoint({ ...endpoint, cacheTTL: 60 })).toBe(60);
+    });
+
+    test('should purge entries tagged with a written table and broadcast it', async () => {
+        const redis = createFakeRedis();
+        const publisher = { publish: jest.fn().mockResolvedValue(1) };
+        const cache = new ResponseCache(redis, { publisher, channel: 'cache:updates' });
+
+        await cache.set('cache:/api/customers', { data: [1] }, { ttl: 60, tags: ['customers', 'orders'] });
+        await cache.set('cache:/api/products', { data: [2] }, { ttl: 60, tags: ['products'] });
+
+        await cache.invalidateTags(['orders'], 'POST /api/orders');
+
+        expect(await cache.get('cache:/api/customers')).toBeNull();
+        expect(await cache.get('cache:/api/products')).toEqual({ data: [2] });
+        expect(redis.sets.has('cache:tag:orders')).toBe(false);
+        expect(redis.sets.get('cache:tag:customers')).toEqual(new Set(['cache:/api/customers']));
+        expect(publisher.publish).toHaveBeenCalledWith('cache:updates', expect.any(String));
+        const message = JSON.parse(publisher.publish.mock.calls[0][1]);
+        expect(message).toMatchObject({ tags: ['orders'], reason: 'POST /api/orders', nodeId: cache.nodeId });
+    });
+
+    test('should only extend the expiry of a tag', async () => {
+        const redis = createFakeRedis();
+        const cache = new ResponseCache(redis);
+
+        await cache.set('cache:/api/customers', { data: [] }, { ttl: 600, tags: ['customers'] });
+        await cache.set('cache:/api/customers?limit=1', { data: [] }, { ttl: 30, tags: ['customers'] });
+        expect(redis.ttls.get('cache:tag:customers')).toBe(600);
+
+        await cache.set('cache:/api/customers?limit=2', { data: [] }, { ttl: 900, tags: ['customers'] });
+        expect(redis.ttls.get('cache:tag:customers')).toBe(900);
+    });
+
+    test('should apply remote invalidations and ignore its own', async () => {
+        const redis = createFakeRedis();
+        const cache = new ResponseCache(redis);
+        await cache.set('cache:/api/orders', { data: [] }, { tags: ['orders'] });
+
+        await cache.handleInvalidationMessage({ tags: ['orders'], nodeId: cache.nodeId });
+        expect(await cache.get('cache:/api/orders')).toEqual({ data: [] });
+
+        await cache.handleInvalidationMessage({ tags: ['orders'], nodeId: 'another-node' });
+        expect(await cache.get('cache:/api/orders')).toBeNull();
+    });
+
+    test('should not throw when Redis fails during invalidation', async () => {
+        const redis = createFakeRedis();
+        redis.eval = jest.fn().mockRejectedValue(new Error('connection lost'));
+        const cache = new ResponseCache(redis);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(cache.invalidateTags(['orders'], 'DELETE /api/orders')).resolves.toBeUndefined();
+        console.error.mockRestore();
+    });
+});
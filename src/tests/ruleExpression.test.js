@@ -0,0 +1,162 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+jest.mock('../services/notification', () => ({}));
+jest.mock('node-fetch', () => jest.fn(), { virtual: true });
+
+const { getDbConnection } = require('../modules/db');
+const {
+    ExpressionError,
+    ExpressionSyntaxError,
+    compile,
+    compileTemplate,
+    compileValue,
+    evaluate,
+} = require('../modules/ruleExpression');
+const RuleEngine = require('../modules/ruleEngine');
+const BusinessRules = require('../modules/business_rules');
+const NotificationAndUtilityActions = require('../modules/NotificationAndUtilityActions');
+
+const order = { id: 7, total: 120, email: 'Ann@Example.com', created_at: '2024-01-01T00:00:00Z', items: [{ sku: 'A1' }] };
+const scope = [order, { data: order }];
+
+describe('ruleExpression', () => {
+    afterEach(() => {
+        delete process.env.RULE_EXPRESSION_MAX_STEPS;
+    });
+
+    test('should evaluate arithmetic, text, functions and methods against the data', () => {
+        expect(evaluate(compile('data.total * 0.9'), scope)).toBe(108);
+        expect(evaluate(compile('${data.total} - 20'), scope)).toBe(100);
+        expect(evaluate(compile('total > 100 ? "big" : "small"'), scope)).toBe('big');
+        expect(evaluate(compile('"Order ${data.id} for ${lower(email)}"'), scope)).toBe('Order 7 for ann@example.com');
+        expect(evaluate(compile('data.items[0].sku.toLowerCase() + "-" + formatDate(addDays(created_at, 31), "DD/MM")'), scope)).toBe('a1-01/02');
+        expect(evaluate(compile('{ to: email, amount: round(total / 7, 2), missing: data.customer?.name }'), scope))
+            .toEqual({ to: 'Ann@Example.com', amount: 17.14, missing: undefined });
+        expect(evaluate(compileTemplate('/orders/${data.id}?t=${total}'), scope)).toBe('/orders/7?t=120');
+        expect(evaluate(compileTemplate('${data.id}'), scope)).toBe(7);
+    });
+
+    test('should not give access to the server process', () => {
+        expect(() => compile('require("fs")')).toThrow(ExpressionSyntaxError);
+        expect(() => compile('process.exit()')).toThrow('Unknown method "exit"');
+        expect(() => compile('email.constructor')).toThrow('Property "constructor" is not allowed');
+        expect(() => compile('(x => 1)')).toThrow(ExpressionSyntaxError);
+        expect(evaluate(compile('data["__proto__"]'), scope)).toBeUndefined();
+        expect(evaluate(compile('globalThis'), scope)).toBeUndefined();
+        expect(evaluate(compile('data.toString'), scope)).toBeUndefined();
+    });
+
+    test('should report syntax errors with their position', () => {
+        expect(() => compile('data.total * (1 + ')).toThrow('Unexpected end of expression at position 18');
+        expect(() => compileTemplate('/orders/${data.id')).toThrow('Unterminated ${ placeholder');
+        expect(() => compile('1 + bcrypt(data.password)')).toThrow('bcrypt() must be the whole expression');
+    });
+
+    test('should stop expressions exceeding their step or size budget', () => {
+        expect(() => evaluate(compile('"x".padStart(100000000)'), scope)).toThrow(ExpressionError);
+        expect(() => evaluate(compile('replace(json(items), "", email)'), scope)).not.toThrow();
+
+        process.env.RULE_EXPRESSION_MAX_STEPS = '5';
+        expect(() => evaluate(compile('1 + 2 + 3 + 4 + 5 + 6'), scope)).toThrow('Expression exceeded 5 evaluation steps');
+    });
+
+    test('should read update values as text, templates or expressions', () => {
+        expect(evaluate(compileValue('video'), scope)).toBe('video');
+        expect(evaluate(compileValue('null'), scope)).toBeNull();
+        expect(evaluate(compileValue('http://cdn.example.com/${data.id}.png'), scope)).toBe('http://cdn.example.com/7.png');
+        expect(evaluate(compileValue('"Free"'), scope)).toBe('Free');
+        expect(evaluate(compileValue('${data.total} * 2'), scope)).toBe(240);
+        expect(() => compileValue('round(data.total')).toThrow(ExpressionSyntaxError);
+    });
+});
+
+describe('rule expressions at load time', () => {
+    const globalContext = { resources: { orders: {} }, actions: { log: () => {} } };
+
+    test('should refuse a DSL file with an invalid expression', () => {
+        const dsl = [
+            'WITH MYSQL main DO',
+            'IF NEW orders THEN',
+            '    update discount = data.total * (0.1',
+        ].join('\n');
+        expect(() => RuleEngine.fromDSL(dsl, globalContext)).toThrow(/IF NEW orders: Expected "\)" before the end/);
+
+        const valid = RuleEngine.fromDSL(dsl.replace('(0.1', '0.1'), globalContext);
+        expect(valid.getRules()).toHaveLength(1);
+    });
+
+    test('should refuse business rules with invalid expressions', () => {
+        const rules = new BusinessRules();
+        expect(() => rules.validateRules([{ endpoint: '/api/orders', rules: ['tax = price * * 0.067'] }]))
+            .toThrow('Invalid rule at endpoint /api/orders, rule index 0');
+        expect(() => rules.validateRules([{ endpoint: '/api/orders', rules: ['IF price > 20 THEN process.exit(1)'] }]))
+            .toThrow('Unsupported action');
+    });
+
+    test('should run business rules in the sandbox and bind query placeholders', async () => {
+        const rules = new BusinessRules();
+        const row = { price: 30, discount: 0 };
+        await rules.executeRule('IF price > 20 THEN discount = price * 0.1', row, {}, {});
+        await rules.executeRule('tax = round(price * 0.067, 2)', row, {}, {});
+        expect(row).toEqual({ price: 30, discount: 3, tax: 2.01 });
+
+        const execute = jest.fn(async () => [[{ distance: 12 }], []]);
+        getDbConnection.mockResolvedValue({ execute });
+        const req = { customer: { zipcode: "10001' OR '1'='1" } };
+        await rules.executeRule(
+            'distance = QUERY:mysql:main:distances:WHERE zipcode = ${customer.zipcode}:SELECT distance', row, req, {});
+        expect(execute).toHaveBeenCalledWith('SELECT distance FROM distances WHERE zipcode = ? LIMIT 1', ["10001' OR '1'='1"]);
+        expect(row.distance).toBe(12);
+    });
+});
+
+describe('DSL data actions', () => {
+    const actions = new NotificationAndUtilityActions({ actions: {} });
+
+    beforeEach(() => {
+        jest.spyOn(actions, '_log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should calculate and transform data in the sandbox', async () => {
+        const ctx = { data: { price: 10, quantity: 3, name: 'pen', tags: ['blue', 'gel'] } };
+        await actions.calculate(ctx, { expression: 'price * quantity + data.price', resultKey: 'total' });
+        await actions.transformData(ctx, {
+            input: ctx.data,
+            transformation: '{ name: upper(data.name), tags: data.tags.join(", ") }',
+            outputKey: 'summary',
+        });
+        expect(ctx.data.total).toBe(40);
+        expect(ctx.data.summary).toEqual({ name: 'PEN', tags: 'blue, gel' });
+    });
+
+    test('should refuse code in calculate and transform_data', async () => {
+        const payloads = [
+            'constructor.constructor("return process")()',
+            'data.constructor.constructor("return process")().exit(1)',
+            'data.tags.slice.constructor("return this")()',
+            'data["constructor"]["constructor"]("return process")()',
+        ];
+        for (const payload of payloads) {
+            const ctx = { data: { price: 10, tags: [] } };
+            const logError = jest.spyOn(actions, '_logError');
+            await actions.calculate(ctx, { expression: payload, resultKey: 'calculated' });
+            await actions.transformData(ctx, { input: ctx.data, transformation: payload, outputKey: 'transformed' });
+            expect(ctx.data).not.toHaveProperty('calculated');
+            expect(ctx.data).not.toHaveProperty('transformed');
+            expect(logError).toHaveBeenCalledTimes(2);
+            logError.mockRestore();
+        }
+    });
+
+    test('should not see globals of the server process', async () => {
+        const ctx = { data: { price: 10 } };
+        await actions.calculate(ctx, { expression: 'this ?? process ?? globalThis ?? require', resultKey: 'calculated' });
+        await actions.transformData(ctx, { input: ctx.data, transformation: 'process?.env ?? data.process', outputKey: 'transformed' });
+        expect(ctx.data.calculated).toBeUndefined();
+        expect(ctx.data.transformed).toBeUndefined();
+    });
+});
@@ -0,0 +1,92 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+
+const RuleEngine = require('../modules/ruleEngine');
+
+const globalContext = { resources: { orders: {}, products: {} }, actions: {} };
+const load = (lines) => RuleEngine.fromDSL(['WITH MYSQL main DO', ...lines].join('\n'), globalContext);
+
+describe('rule priorities, STOP and groups', () => {
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => warn.mockRestore());
+
+    test('should run rules by priority and stop at STOP', async () => {
+        const engine = load([
+            'IF POST orders WHEN total > 100 THEN',
+            '    update discount = total * 0.1',
+            '    update tags = "bulk"',
+            'IF POST orders WHEN total > 1000 PRIORITY 10 THEN',
+            '    update discount = total * 0.2',
+            '    STOP',
+            '    update tags = "never"',
+        ]);
+        expect(engine.getRules().map((rule) => rule.priority)).toEqual([10, 0]);
+        expect(engine.warnings).toEqual([]);
+
+        const large = { total: 2000 };
+        const trace = [];
+        await engine.processEvent('POST', 'orders', large, { trace });
+        expect(large).toEqual({ total: 2000, discount: 400 });
+        expect(trace).toHaveLength(1);
+        expect(trace[0].stopped).toBe(true);
+
+        const plain = { total: 200 };
+        await engine.processEvent('POST', 'orders', plain, {});
+        expect(plain).toEqual({ total: 200, discount: 20, tags: 'bulk' });
+    });
+
+    test('should switch rule groups on and off', async () => {
+        const engine = load([
+            'GROUP black-friday DISABLED',
+            'IF GET products THEN',
+            '    update price = price * 0.7',
+            'END GROUP',
+            'IF GET products THEN',
+            '    update currency = "EUR"',
+        ]);
+        expect(engine.getGroups()).toEqual([{ name: 'black-friday', enabled: false, rules: 1 }]);
+
+        const before = { price: 100 };
+        await engine.processEvent('GET', 'products', before, {});
+        expect(before).toEqual({ price: 100, currency: 'EUR' });
+
+        expect(engine.setGroupEnabled('black-friday', true)).toBe(true);
+        expect(engine.setGroupEnabled('missing', true)).toBe(false);
+        const after = { price: 100 };
+        await engine.processEvent('GET', 'products', after, {});
+        expect(after).toEqual({ price: 70, currency: 'EUR' });
+
+        engine.reloadRules(engine.getRules());
+        expect(engine.isGroupEnabled('black-friday')).toBe(true);
+    });
+
+    test('should warn about rules writing the same field without explicit ordering', () => {
+        const engine = load([
+            'IF POST orders THEN',
+            '    update status = "new"',
+            'IF POST orders WHEN total > 100 THEN',
+            '    update status = "review"',
+            'IF GETIN orders THEN',
+            '    update status = "in"',
+            'IF GETOUT orders THEN',
+            '    update status = "out"',
+        ]);
+        expect(engine.warnings).toEqual([
+            '"IF POST orders THEN" and "IF POST orders WHEN total > 100 THEN" both update status without explicit ordering; give them different PRIORITY values',
+        ]);
+        expect(warn).toHaveBeenCalledWith(`Rule conflict: ${engine.warnings[0]}`);
+
+        const ordered = load([
+            'IF POST orders PRIORITY 1 THEN',
+            '    update status = "new"',
+            'IF POST orders WHEN total > 100 THEN',
+            '    update status = "review"',
+        ]);
+        expect(ordered.warnings).toEqual([]);
+    });
+});
@@ -0,0 +1,97 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RuleEngine = require('../modules/ruleEngine');
+const { traceRuleEvent, runRuleTests, runRuleTestFile } = require('../modules/ruleTestRunner');
+
+const dsl = [
+    'WITH MYSQL main DO',
+    'IF POST orders WHEN tier = "gold" THEN',
+    '    update discount = total * 0.1',
+    '    notify to entity:customers with data: {"email": "${email}"}',
+    'IF POST orders WHEN total > 1000 THEN',
+    '    update review = true',
+    'IF DELETE orders THEN',
+    '    update deleted = true',
+].join('\n');
+
+describe('rule trace', () => {
+    const notify = jest.fn();
+    const globalContext = { resources: { orders: {} }, actions: { notify } };
+    const engine = RuleEngine.fromDSL(dsl, globalContext);
+
+    beforeEach(() => notify.mockClear());
+
+    test('should record conditions, actions and timings of the rules of the event', async () => {
+        const trace = [];
+        const record = { total: 120, tier: 'gold', email: 'ann@example.com' };
+        await engine.processEvent('POST', 'orders', record, { trace });
+
+        expect(record.discount).toBe(12);
+        expect(notify).toHaveBeenCalledTimes(1);
+        expect(trace).toHaveLength(2);
+
+        const [premium, review] = trace;
+        expect(premium).toMatchObject({
+            rule: 'IF POST orders WHEN tier = "gold" THEN',
+            matched: true,
+            branch: 'then',
+            conditions: [{ field: 'tier', op: '=', expected: 'gold', actual: 'gold', result: true }],
+        });
+        expect(premium.actions[0]).toMatchObject({ action: 'update', field: 'discount', input: undefined, output: 12 });
+        expect(premium.actions[1]).toMatchObject({ action: 'notify' });
+        expect(premium.actions.every((action) => typeof action.durationMs === 'number')).toBe(true);
+        expect(review).toMatchObject({ matched: false, reason: 'conditions', actions: [] });
+        expect(review.conditions[0]).toMatchObject({ field: 'total', op: '>', actual: 120, result: false });
+    });
+
+    test('should not run custom actions in a dry run', async () => {
+        const result = await traceRuleEvent(engine, 'POST', 'orders', { total: 120, tier: 'gold', email: 'ann@example.com' });
+
+        expect(notify).not.toHaveBeenCalled();
+        expect(result.data.discount).toBe(12);
+        expect(result.trace[0].actions[1]).toEqual(expect.objectContaining({
+            action: 'notify',
+            skipped: true,
+            input: { email: 'ann@example.com' },
+        }));
+    });
+
+    test('should report failing fixture cases', async () => {
+        const results = await runRuleTests(engine, [
+            {
+                name: 'premium discount',
+                event: 'POST',
+                entity: 'orders',
+                data: { total: 120, tier: 'gold' },
+                expect: { data: { discount: 12 }, matched: ['tier'], notMatched: ['total > 1000'], actions: ['notify'] },
+            },
+            {
+                name: 'wrong expectation',
+                event: 'POST',
+                entity: 'orders',
+                data: { total: 50, tier: 'silver' },
+                expect: { data: { discount: 5 }, matched: ['tier'] },
+            },
+        ]);
+
+        expect(results.map((result) => result.passed)).toEqual([true, false]);
+        expect(results[1].failures).toEqual(['data.discount: expected 5, got undefined', 'rule "tier" did not match']);
+    });
+
+    test('should run the fixture file next to a DSL file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+        fs.writeFileSync(path.join(dir, 'businessRules.dsl'), dsl);
+        fs.writeFileSync(path.join(dir, 'businessRules.test.json'), JSON.stringify([
+            { event: 'DELETE', entity: 'orders', data: { id: 1 }, expect: { data: { deleted: true } } },
+        ]));
+
+        const { results } = await runRuleTestFile(path.join(dir, 'businessRules.dsl'));
+        fs.rmSync(dir, { recursive: true, force: true });
+
+        expect(results).toEqual([expect.objectContaining({ name: 'case 1', passed: true })]);
+    });
+});
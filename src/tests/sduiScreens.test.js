@@ -0,0 +1,202 @@
+// Stand-in for ajv: checks the required props of a schema
+jest.mock('ajv', () => class Ajv {
+    compile(schema) {
+        const validate = (data) => {
+            validate.errors = (schema.required || [])
+                .filter((key) => data[key] === undefined)
+                .map((key) => ({ instancePath: '', message: `must have required property '${key}'` }));
+            return validate.errors.length === 0;
+        };
+        return validate;
+    }
+}, { virtual: true });
+jest.mock('../modules/db', () => ({}));
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: jest.fn(() => []) }));
+jest.mock('../middleware/authenticationMiddleware', () => ({
+    authenticateMiddleware: jest.fn(() => (req, res, next) => next()),
+    aclMiddleware: jest.fn(() => (req, res, next) => next()),
+    optionalAuthentication: (req, res, next) => next(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    compareVersions,
+    resolveScreen,
+    matchesTargeting,
+    rolloutBucket,
+    validateTargeting,
+    loadComponentSchemas,
+    validateLayout,
+    createPreviewToken,
+    verifyPreviewToken,
+    createDeviceId,
+    verifyDeviceId,
+    SDUIError,
+} = require('../modules/sduiScreens');
+const SDUIModule = require('../modules/sduiModule');
+
+describe('versions', () => {
+    test('compares semantic versions', () => {
+        expect(compareVersions('1.10.0', '1.9.3')).toBeGreaterThan(0);
+        expect(compareVersions('v1.2', '1.2.0')).toBe(0);
+        expect(compareVersions('2.0.0-beta.2', '2.0.0-beta.10')).toBeLessThan(0);
+        expect(compareVersions('2.0.0-rc.1', '2.0.0')).toBeLessThan(0);
+        expect(compareVersions('latest', '0.0.1')).toBeLessThan(0);
+    });
+
+    const row = (id, version, extra = {}) => ({ id, screenId: 'home', version, status: 'published', ...extra });
+    const now = new Date('2024-06-01T12:00:00Z');
+
+    test('serves the highest live version compatible with the app', () => {
+        const rows = [
+            row('a', '1.0.0'),
+            row('b', '1.4.0', { minAppVersion: '3.0.0' }),
+            row('c', '2.0.0', { minAppVersion: '4.0.0' }),
+            row('d', '3.0.0', { status: 'scheduled', publishAt: '2024-07-01T00:00:00Z' }),
+            row('e', '1.2.0', { status: null }),
+        ];
+        expect(resolveScreen(rows, { appVersion: '3.5.1', now }).id).toBe('b');
+        expect(resolveScreen(rows, { appVersion: '2.9.0', now }).id).toBe('e');
+        expect(resolveScreen(rows, { appVersion: '4.1.0', now }).id).toBe('c');
+        expect(resolveScreen(rows, { appVersion: '4.1.0', now: new Date('2024-07-02') }).id).toBe('d');
+        expect(resolveScreen(rows, { version: '1.0', appVersion: '4.1.0', now }).id).toBe('a');
+    });
+
+    test('prefers a targeted variant of the same version', () => {
+        const rows = [
+            row('default', '2.0.0'),
+            row('us', '2.0.0', { targeting: JSON.stringify({ rules: [{ attribute: 'country', operator: 'in', values: ['US', 'CA'] }] }) }),
+            row('beta', '2.0.0', { targeting: { rules: [{ attribute: 'user.roles', value: 'beta' }] } }),
+        ];
+        expect(resolveScreen(rows, { attributes: { country: 'US' }, now }).id).toBe('us');
+        expect(resolveScreen(rows, { attributes: { country: 'FR' }, now }).id).toBe('default');
+        expect(resolveScreen(rows, { attributes: { user: { roles: ['staff', 'beta'] } }, now }).id).toBe('beta');
+    });
+});
+
+describe('targeting', () => {
+    test('rolls out to a stable share of users', () => {
+        const half = { screenId: 'home', targeting: { rollout: { percentage: 50, salt: 'exp-1' } } };
+        const other = { screenId: 'home', targeting: { rollout: { percentage: 50, offset: 50, salt: 'exp-1' } } };
+        const users = Array.from({ length: 400 }, (unused, index) => `user-${index}`);
+        const inHalf = users.filter((user) => matchesTargeting(half, {}, user));
+
+        expect(inHalf.length).toBeGreaterThan(150);
+        expect(inHalf.length).toBeLessThan(250);
+        expect(users.every((user) => matchesTargeting(half, {}, user) !== matchesTargeting(other, {}, user))).toBe(true);
+        expect(rolloutBucket('exp-1', 'user-1')).toBe(rolloutBucket('exp-1', 'user-1'));
+        expect(matchesTargeting(half, {}, null)).toBe(false);
+    });
+
+    test('validates targeting', () => {
+        expect(() => validateTargeting({ rules: [{ attribute: 'country', operator: '~', value: 'US' }] })).toThrow(SDUIError);
+        expect(() => validateTargeting({ rollout: { percentage: 60, offset: 50 } })).toThrow(/at most 100/);
+        expect(() => validateTargeting({ rules: [{ attribute: 'beta', operator: 'exists' }], rollout: { percentage: 10 } })).not.toThrow();
+    });
+});
+
+describe('layouts', () => {
+    const file = path.join(os.tmpdir(), `sdui-components-${process.pid}.json`);
+
+    beforeAll(() => {
+        fs.writeFileSync(file, JSON.stringify({ Button: { type: 'object', required: ['label', 'action'] }, Column: { type: 'object' } }));
+        process.env.SDUI_COMPONENT_SCHEMAS = file;
+        loadComponentSchemas(true);
+    });
+
+    afterAll(() => {
+        fs.unlinkSync(file);
+        delete process.env.SDUI_COMPONENT_SCHEMAS;
+        delete process.env.SDUI_STRICT_COMPONENTS;
+    });
+
+    test('validates the props of each component', () => {
+        const layout = {
+            type: 'Column',
+            children: [
+                { type: 'Button', props: { label: 'Buy', action: { type: 'navigate', url: '/cart' } } },
+                { type: 'Button', props: { label: 'Later' } },
+                { type: 'Banner' },
+            ],
+        };
+        expect(validateLayout(layout)).toEqual(["/children/1/props: must have required property 'action'"]);
+
+        process.env.SDUI_STRICT_COMPONENTS = 'true';
+        expect(validateLayout({ components: [layout] })).toEqual([
+            "/components/0/children/1/props: must have required property 'action'",
+            '/components/0/children/2: unknown component type Banner',
+        ]);
+    });
+});
+
+describe('preview links', () => {
+    beforeAll(() => {
+        process.env.SDUI_PREVIEW_SECRET = 'preview-secret';
+    });
+
+    afterAll(() => {
+        delete process.env.SDUI_PREVIEW_SECRET;
+    });
+
+    test('accepts its own token until it expires', () => {
+        const { token, expiresAt } = createPreviewToken('screen-1');
+        expect(() => verifyPreviewToken('screen-1', token)).not.toThrow();
+        expect(() => verifyPreviewToken('screen-2', token)).toThrow('Invalid preview link');
+        expect(() => verifyPreviewToken('screen-1', `${token}x`)).toThrow('Invalid preview link');
+        expect(() => verifyPreviewToken('screen-1', token, expiresAt.getTime() + 1000)).toThrow('Preview link expired');
+        expect(() => verifyPreviewToken('screen-1', undefined)).toThrow(SDUIError);
+    });
+});
+
+describe('callers', () => {
+    beforeAll(() => {
+        process.env.SDUI_PREVIEW_SECRET = 'preview-secret';
+    });
+
+    afterAll(() => {
+        delete process.env.SDUI_PREVIEW_SECRET;
+    });
+
+    const clientOf = (req) => SDUIModule.prototype.clientOf.call(null, { query: {}, ...req });
+
+    test('accepts only the device ids it signed', () => {
+        const deviceId = createDeviceId();
+        const [id] = deviceId.split('.');
+        expect(verifyDeviceId(deviceId)).toBe(id);
+        expect(verifyDeviceId(id)).toBeNull();
+        expect(verifyDeviceId(`${id}.forged`)).toBeNull();
+        expect(verifyDeviceId(['a', 'b'])).toBeNull();
+    });
+
+    test('takes the user and the rollout key from the token or a signed device id only', () => {
+        const spoofed = clientOf({ query: { country: 'US', userId: '42', user: { roles: 'beta' }, deviceId: 'chosen-device' } });
+        expect(spoofed.attributes).toEqual({ country: 'US', platform: undefined, appVersion: undefined });
+        expect(spoofed.userKey).toBeNull();
+
+        const deviceId = createDeviceId();
+        expect(clientOf({ query: { deviceId } }).userKey).toBe(deviceId.split('.')[0]);
+
+        const user = { id: 7, roles: ['beta'] };
+        const signedIn = clientOf({ query: { userId: '42', deviceId }, user });
+        expect(signedIn.attributes.user).toBe(user);
+        expect(signedIn.userKey).toBe('7');
+    });
+
+    test('does not send unexpected errors of public routes', () => {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            SDUIModule.prototype.handleError(res, new Error("Table 'sdui_screens' doesn't exist"), 'Screen could not be loaded');
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Screen could not be loaded' });
+
+            SDUIModule.prototype.handleError(res, new SDUIError('Invalid preview link', 403), 'Preview could not be loaded');
+            expect(res.status).toHaveBeenLastCalledWith(403);
+            expect(res.json.mock.calls[1][0]).toMatchObject({ error: 'Invalid preview link' });
+        } finally {
+            error.mockRestore();
+        }
+    });
+});
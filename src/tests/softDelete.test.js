@@ -0,0 +1,22 @@
+const { getSoftDeleteColumn, activeRowsCondition, canAccessDeleted } = require('../modules/softDelete');
+
+describe('Soft Delete', () => {
+    const endpoint = { dbTable: 'customers', softDelete: { column: 'deleted_at', acl: ['adminAccess'] } };
+
+    test('should be disabled without a softDelete column', () => {
+        expect(getSoftDeleteColumn({ dbTable: 'customers' })).toBeNull();
+        expect(activeRowsCondition({ dbTable: 'customers' })).toBe('');
+    });
+
+    test('should build the active rows condition', () => {
+        expect(activeRowsCondition(endpoint)).toBe('customers.deleted_at IS NULL');
+        expect(activeRowsCondition(endpoint, null)).toBe('deleted_at IS NULL');
+    });
+
+    test('should only let the configured roles access deleted rows', () => {
+        expect(canAccessDeleted(endpoint, { acl: ['adminAccess', 'publicAccess'] })).toBe(true);
+        expect(canAccessDeleted(endpoint, { acl: 'publicAccess' })).toBe(false);
+        expect(canAccessDeleted(endpoint, undefined)).toBe(false);
+        expect(canAccessDeleted({ ...endpoint, softDelete: { column: 'deleted_at' } }, { acl: 'adminAccess' })).toBe(false);
+    });
+});
@@ -0,0 +1,125 @@
+jest.mock('../modules/db', () => ({ getDbConnection: jest.fn() }));
+jest.mock('../middleware/aarMiddleware', () => ({ aarMiddleware: jest.fn(() => []) }));
+
+const { graphql } = require('graphql');
+const {
+    resolveTenant,
+    tenantScope,
+    tenantCondition,
+    applyTenant,
+    tenantCacheKey,
+    scopeRawQuery,
+} = require('../modules/tenancy');
+const BulkRouteHandler = require('../modules/BulkRouteHandler');
+const generateGraphQLSchema = require('../modules/generateGraphQLSchema');
+
+const invoices = { routeType: 'database', dbTable: 'invoices', keys: ['id'], allowRead: ['id', 'total'], allowWrite: ['total'] };
+const countries = { routeType: 'database', dbTable: 'countries', keys: ['code'], allowRead: ['code', 'name'], tenant: false };
+
+const request = (headers = {}) => ({ headers });
+
+describe('tenancy', () => {
+    beforeEach(() => {
+        process.env.TENANCY_ENABLED = 'true';
+        process.env.TENANT_BASE_DOMAIN = 'example.com';
+    });
+
+    afterEach(() => {
+        delete process.env.TENANCY_ENABLED;
+        delete process.env.TENANT_BASE_DOMAIN;
+    });
+
+    test('should resolve the tenant from the claim, the subdomain or the header', () => {
+        expect(resolveTenant(request(), { tenantId: 'acme' })).toEqual({ id: 'acme', bypass: false });
+        expect(resolveTenant(request({ host: 'globex.example.com:3000' }), null)).toEqual({ id: 'globex', bypass: false, anonymous: true });
+        expect(resolveTenant(request({ 'x-tenant-id': 'initech' }), null)).toEqual({ id: 'initech', bypass: false, anonymous: true });
+        expect(resolveTenant(request(), null).error).toBe('Tenant could not be resolved');
+
+        delete process.env.TENANCY_ENABLED;
+        expect(resolveTenant(request({ 'x-tenant-id': 'initech' }), null)).toBeNull();
+    });
+
+    test('should refuse a request naming another tenant than its claim, unless the user is a super-tenant', () => {
+        const mismatch = resolveTenant(request({ 'x-tenant-id': 'globex' }), { tenantId: 'acme' });
+        expect(mismatch.error).toBe('Tenant does not match the authenticated tenant');
+        expect(() => tenantScope(invoices, mismatch)).toThrow(expect.objectContaining({ statusCode: 403 }));
+
+        const admin = { tenantId: 'acme', acl: ['superTenant'] };
+        expect(resolveTenant(request({ 'x-tenant-id': 'globex' }), admin)).toEqual({ id: 'globex', bypass: false });
+        expect(resolveTenant(request({ 'x-tenant-id': '*' }), admin)).toEqual({ id: null, bypass: true });
+        expect(resolveTenant(request({ 'x-tenant-id': '*' }), { tenantId: 'acme' }).error).toBe('Not allowed to access all tenants');
+    });
+
+    test('should refuse tenants named by authenticated principals without a claim', () => {
+        const partnerKey = { sub: 'apikey:1', acl: ['partnerAccess'], authType: 'apikey' };
+        const refused = resolveTenant(request({ 'x-tenant-id': 'globex' }), partnerKey);
+        expect(refused.error).toBe('Not allowed to choose a tenant without a tenant claim');
+        expect(() => tenantScope(invoices, refused)).toThrow(expect.objectContaining({ statusCode: 403 }));
+        expect(resolveTenant(request({ host: 'globex.example.com' }), partnerKey).error)
+            .toBe('Not allowed to choose a tenant without a tenant claim');
+        expect(resolveTenant(request({ 'x-tenant-id': 'acme' }), { ...partnerKey, tenantId: 'acme' })).toEqual({ id: 'acme', bypass: false });
+    });
+
+    test('should only accept tenants named by anonymous requests on public endpoints', () => {
+        const anonymous = resolveTenant(request({ 'x-tenant-id': 'globex' }), null);
+        expect(tenantScope(invoices, anonymous)).toEqual({ column: 'tenant_id', id: 'globex' });
+        expect(() => tenantScope({ ...invoices, auth: 'token' }, anonymous))
+            .toThrow('Only public endpoints accept a tenant from anonymous requests');
+        expect(() => scopeRawQuery('SELECT * FROM invoices WHERE tenant_id = :tenantId', [], anonymous, [invoices]))
+            .toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    test('should scope conditions, inserts and cache keys of tenant tables only', () => {
+        const acme = { id: 'acme', bypass: false };
+        expect(tenantCondition(invoices, acme)).toEqual({ clause: 'invoices.tenant_id = ?', values: ['acme'] });
+        expect(tenantCondition(countries, acme)).toBeNull();
+        expect(tenantCondition({ ...invoices, tenantColumn: 'org_id' }, acme, null)).toEqual({ clause: 'org_id = ?', values: ['acme'] });
+        expect(tenantCondition(invoices, { id: null, bypass: true })).toBeNull();
+
+        const record = { total: 10 };
+        applyTenant(record, tenantScope(invoices, acme), true);
+        expect(record).toEqual({ total: 10, tenant_id: 'acme' });
+        expect(() => applyTenant({ tenant_id: 'globex' }, tenantScope(invoices, acme), false)).toThrow('Cannot write records of another tenant');
+        expect(() => applyTenant({ total: 1 }, tenantScope(invoices, { id: null, bypass: true }), true)).toThrow('Name the tenant of new records');
+
+        expect(tenantCacheKey([invoices], acme)).toBe(':tenant=acme');
+        expect(tenantCacheKey([invoices], { id: null, bypass: true })).toBe(':tenant=*');
+        expect(tenantCacheKey([countries], acme)).toBe('');
+    });
+
+    test('should require and bind :tenantId in raw queries on tenant tables', () => {
+        const acme = { id: 'acme', bypass: false };
+        expect(scopeRawQuery('SELECT * FROM invoices i WHERE i.total > ? AND i.tenant_id = :tenantId AND i.id = ?', [5, 7], acme, [invoices]))
+            .toEqual({ query: 'SELECT * FROM invoices i WHERE i.total > ? AND i.tenant_id = ? AND i.id = ?', values: [5, 'acme', 7] });
+        expect(() => scopeRawQuery('SELECT * FROM invoices', [], acme, [invoices])).toThrow('Queries on invoices must filter by :tenantId');
+        expect(scopeRawQuery('SELECT * FROM countries', [], acme, [invoices, countries])).toEqual({ query: 'SELECT * FROM countries', values: [] });
+        expect(scopeRawQuery('SELECT * FROM invoices', [], { id: null, bypass: true }, [invoices]).query).toBe('SELECT * FROM invoices');
+    });
+
+    test('should scope bulk statements to the tenant', () => {
+        const tenant = tenantScope(invoices, { id: 'acme', bypass: false });
+        expect(BulkRouteHandler.buildDelete(3, { dbTable: 'invoices', primaryKey: 'id', tenant })).toEqual({
+            query: 'DELETE FROM invoices WHERE id = ? AND invoices.tenant_id = ?',
+            values: [3, 'acme'],
+        });
+        expect(BulkRouteHandler.buildInsert({ total: 4 }, { dbTable: 'invoices', allowWrite: ['total'], tenant }).values).toEqual([4, 'acme']);
+    });
+
+    test('should scope GraphQL queries to the tenant of the context', async () => {
+        const { schema } = generateGraphQLSchema([invoices]);
+        const execute = jest.fn(async () => [[{ id: 1, total: 9 }], []]);
+        const run = (tenant) => graphql({
+            schema,
+            source: '{ getAllInvoices { id } }',
+            contextValue: generateGraphQLSchema.createGraphQLContext({ tenant, getConnection: async () => ({ execute }) }),
+        });
+
+        const result = await run({ id: 'acme', bypass: false });
+        expect(result.errors).toBeUndefined();
+        expect(execute.mock.calls[0][0]).toContain('WHERE invoices.tenant_id = ?');
+        expect(execute.mock.calls[0][1]).toEqual(['acme']);
+
+        const unresolved = await run({ id: null, bypass: false, error: 'Tenant could not be resolved' });
+        expect(unresolved.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+});
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JwtKeyRing, RefreshTokenStore, TokenError } = require('../modules/tokenService');
+
+// In-memory stand-in for the ioredis commands used by RefreshTokenStore.
+function createFakeRedis() {
+    const strings = new Map();
+    const hashes = new Map();
+    const redis = {
+        strings,
+        hashes,
+        async get(key) { return strings.has(key) ? strings.get(key) : null; },
+        async set(key, value) { strings.set(key, String(value)); return 'OK'; },
+        async del(key) { return Number(strings.delete(key) || hashes.delete(key)); },
+        async expire() { return 1; },
+        async hget(key, field) { return hashes.get(key)?.[field] ?? null; },
+        async hset(key, field, value) { hashes.set(key, { ...hashes.get(key), [field]: value }); return 1; },
+        async hdel(key, field) { const hash = hashes.get(key); if (hash) delete hash[field]; return 1; },
+        async hgetall(key) { return { ...hashes.get(key) }; },
+        multi() {
+            const commands = [];
+            const chain = new Proxy({}, {
+                get(target, name) {
+                    if (name === 'exec') {
+                        return async () => {
+                            const results = [];
+                            for (const [command, args] of commands) results.push([null, await redis[command](...args)]);
+                            return results;
+                        };
+                    }
+                    return (...args) => { commands.push([name, args]); return chain; };
+                },
+            });
+            return chain;
+        },
+    };
+    return redis;
+}
+
+describe('JwtKeyRing', () => {
+    test('should sign with the current kid and accept previous keys during a rotation', () => {
+        const oldRing = new JwtKeyRing({ kid: '2024-01', secret: 'old-secret' });
+        const legacyToken = jwt.sign({ username: 'ann' }, 'old-secret');
+        const oldToken = oldRing.sign({ username: 'ann' });
+
+        const ring = new JwtKeyRing({ kid: '2024-02', secret: 'new-secret' }, [{ kid: '2024-01', secret: 'old-secret' }]);
+        const token = ring.sign({ username: 'bob' });
+
+        expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'HS256', kid: '2024-02' });
+        expect(ring.verify(token).username).toBe('bob');
+        expect(ring.verify(oldToken).username).toBe('ann');
+        expect(ring.verify(legacyToken).username).toBe('ann');
+        expect(() => new JwtKeyRing({ kid: '2024-02', secret: 'new-secret' }).verify(oldToken)).toThrow('Unknown signing key');
+        expect(() => ring.verify(jwt.sign({ username: 'eve' }, 'guessed'))).toThrow('invalid signature');
+    });
+
+    test('should sign RS256 and ES256 tokens and publish their public keys only', () => {
+        const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const pem = (key) => key.export({ type: 'pkcs8', format: 'pem' });
+
+        const ring = new JwtKeyRing(
+            { algorithm: 'ES256', kid: 'ec-1', privateKey: pem(ec.privateKey) },
+            [
+                { algorithm: 'RS256', kid: 'rsa-1', publicKey: rsa.publicKey.export({ type: 'spki', format: 'pem' }) },
+                { kid: 'hs-1', secret: 'shared' },
+            ]
+        );
+        const rsaToken = jwt.sign({ sub: '1' }, pem(rsa.privateKey), { algorithm: 'RS256', keyid: 'rsa-1' });
+
+        expect(ring.verify(ring.sign({ sub: '2' })).sub).toBe('2');
+        expect(ring.verify(rsaToken).sub).toBe('1');
+
+        const { keys } = ring.jwks();
+        expect(keys.map((key) => [key.kid, key.alg, key.kty])).toEqual([['ec-1', 'ES256', 'EC'], ['rsa-1', 'RS256', 'RSA']]);
+        keys.forEach((key) => expect(key.d).toBeUndefined());
+    });
+});
+
+describe('RefreshTokenStore', () => {
+    test('should store hashes only and rotate the token of a device', async () => {
+        const redis = createFakeRedis();
+        const store = new RefreshTokenStore(redis, { ttl: 3600 });
+
+        const issued = await store.issue(7, { deviceId: 'phone', userAgent: 'app/1.0' });
+        expect([...redis.strings.keys()].join()).not.toContain(issued.refreshToken);
+
+        const rotated = await store.rotate(issued.refreshToken);
+        expect(rotated).toMatchObject({ userId: 7, deviceId: 'phone', expiresIn: 3600 });
+        expect(rotated.refreshToken).not.toBe(issued.refreshToken);
+        expect(await store.lookup(rotated.refreshToken)).toEqual({ userId: 7, deviceId: 'phone' });
+        expect(await store.listSessions(7)).toEqual([
+            expect.objectContaining({ deviceId: 'phone', userAgent: 'app/1.0' }),
+        ]);
+    });
+
+    test('should revoke the device when a rotated token is used again', async () => {
+        const store = new RefreshTokenStore(createFakeRedis());
+        const { refreshToken } = await store.issue(7, { deviceId: 'phone' });
+        const laptop = await store.issue(7, { deviceId: 'laptop' });
+        const rotated = await store.rotate(refreshToken);
+
+        await expect(store.rotate(refreshToken)).rejects.toThrow(TokenError);
+        await expect(store.rotate(rotated.refreshToken)).rejects.toThrow('Invalid or expired refresh token');
+        expect(await store.lookup(laptop.refreshToken)).toEqual({ userId: 7, deviceId: 'laptop' });
+    });
+
+    test('should revoke every session and older access tokens on logout-all', async () => {
+        const store = new RefreshTokenStore(createFakeRedis());
+        const phone = await store.issue(7, { deviceId: 'phone' });
+        await store.issue(7, { deviceId: 'laptop' });
+
+        await store.revokeAll(7);
+
+        expect(await store.lookup(phone.refreshToken)).toBeNull();
+        expect(await store.listSessions(7)).toEqual([]);
+        const now = Math.floor(Date.now() / 1000);
+        expect(await store.isRevoked({ sub: '7', iat: now - 60 })).toBe(true);
+        expect(await store.isRevoked({ sub: '7', iat: now + 1 })).toBe(false);
+        expect(await store.isRevoked({ sub: '8', iat: now - 60 })).toBe(false);
+    });
+});
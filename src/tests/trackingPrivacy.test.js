@@ -0,0 +1,272 @@
+jest.mock('adaptus2-orm', () => ({ getDbConnection: jest.fn(), query: jest.fn() }), { virtual: true });
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+jest.mock('../modules/EventLogger', () => ({ log: jest.fn() }));
+jest.mock('express-rate-limit', () => jest.fn(), { virtual: true });
+jest.mock('ua-parser-js', () => jest.fn(), { virtual: true });
+
+const EcommerceTracker = require('../modules/EcommTrackerModule');
+const {
+    TrackingPrivacy,
+    PrivacyError,
+    ANONYMOUS_USER,
+    applyConsent,
+    consentPolicy,
+    parseConsent,
+    truncateIp,
+} = require('../modules/trackingPrivacy');
+
+const policy = {
+    defaultConsent: ['analytics', 'marketing'],
+    noConsent: 'anonymize',
+    ipMode: 'truncate',
+    piiFields: ['email'],
+};
+
+const event = {
+    name: 'pageview',
+    userId: 'visitor-1',
+    sessionId: 'session-1',
+    url: 'https://shop.test/shoes?utm_source=google&gclid=abc',
+    referrer: 'https://google.com/search?q=shoes',
+    userAgent: 'Mozilla/5.0',
+    ipAddress: '203.0.113.42',
+    data: { url: 'https://shop.test/shoes?gclid=abc', email: 'jane@example.com', title: 'Shoes' },
+};
+
+describe('consent', () => {
+    test('parses arrays, lists and objects', () => {
+        expect(parseConsent(['Marketing', 'ads'], [])).toEqual(['marketing']);
+        expect(parseConsent('analytics, marketing', [])).toEqual(['analytics', 'marketing']);
+        expect(parseConsent({ analytics: true, marketing: false }, [])).toEqual(['analytics']);
+        expect(parseConsent(undefined, ['analytics'])).toEqual(['analytics']);
+    });
+
+    test('truncates IPv4 and IPv6 addresses', () => {
+        expect(truncateIp('203.0.113.42')).toBe('203.0.113.0');
+        expect(truncateIp('::ffff:203.0.113.42')).toBe('::ffff:203.0.113.0');
+        expect(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::');
+        expect(truncateIp('2001:db8::1')).toBe('2001:db8:0::');
+        expect(truncateIp('not an ip')).toBeNull();
+    });
+
+    test('keeps a consented event, with a truncated IP and without click ids', () => {
+        const clean = applyConsent({ ...event, consent: ['analytics'] }, policy);
+        expect(clean).toMatchObject({
+            userId: 'visitor-1',
+            sessionId: 'session-1',
+            consent: ['analytics'],
+            ipAddress: '203.0.113.0',
+            url: 'https://shop.test/shoes?utm_source=google',
+        });
+        expect(clean.data).toMatchObject({ url: 'https://shop.test/shoes', email: 'jane@example.com' });
+        expect(applyConsent({ ...event, consent: 'analytics,marketing' }, policy).url).toBe(event.url);
+    });
+
+    test('grants nothing to events without consent unless a default is set', () => {
+        delete process.env.TRACKING_CONSENT_DEFAULT;
+        expect(consentPolicy().defaultConsent).toEqual([]);
+        expect(applyConsent(event)).toMatchObject({ userId: ANONYMOUS_USER, ipAddress: null, consent: [] });
+
+        process.env.TRACKING_CONSENT_DEFAULT = 'analytics';
+        expect(applyConsent(event)).toMatchObject({ userId: 'visitor-1', ipAddress: '203.0.113.0', consent: ['analytics'] });
+        delete process.env.TRACKING_CONSENT_DEFAULT;
+    });
+
+    test('anonymizes or drops an event without analytics consent', () => {
+        const clean = applyConsent({ ...event, consent: { analytics: false } }, policy);
+        expect(clean).toMatchObject({
+            userId: ANONYMOUS_USER,
+            sessionId: null,
+            ipAddress: null,
+            userAgent: null,
+            referrer: null,
+            consent: [],
+            url: 'https://shop.test/shoes',
+        });
+        expect(clean.data).toEqual({ url: 'https://shop.test/shoes', title: 'Shoes' });
+        expect(event.data.email).toBe('jane@example.com');
+
+        expect(applyConsent({ ...event, consent: [] }, { ...policy, noConsent: 'drop' })).toBeNull();
+        expect(applyConsent(event, { ...policy, defaultConsent: [], noConsent: 'drop' })).toBeNull();
+    });
+});
+
+describe('TrackingPrivacy', () => {
+    function tables() {
+        return {
+            events: [
+                { id: 1, event_id: 'e1', user_id: 'u1', created_at: new Date('2024-01-01') },
+                { id: 2, event_id: 'e2', user_id: 'u1', created_at: new Date('2024-06-01') },
+                { id: 3, event_id: 'e3', user_id: 'u2', created_at: new Date('2024-01-01') },
+            ],
+            purchases: [
+                { event_id: 'e2', user_id: 'u1', transaction_id: 'T1' },
+                { event_id: 'e3', user_id: 'u2', transaction_id: 'T2' },
+            ],
+            sessions: [{ session_id: 's1', user_id: 'u1', started_at: new Date('2024-06-01') }],
+        };
+    }
+
+    // Connection over events and sessions of two users, with a purchases table. Writes answer
+    // [[meta]], as the connections of db.js do.
+    function connection(db = tables()) {
+        const remove = (table, keep) => {
+            const before = db[table].length;
+            db[table] = db[table].filter(keep);
+            return [[{ affectedRows: before - db[table].length }]];
+        };
+        return {
+            db,
+            execute: jest.fn(async (sql, values = []) => {
+                if (/information_schema/.test(sql)) return [[{ name: 'events' }, { name: 'purchases' }, { name: 'sessions' }]];
+                if (/^SELECT id, event_id FROM events WHERE user_id/.test(sql)) return [db.events.filter((row) => row.user_id === values[0])];
+                if (/^SELECT id, event_id FROM events WHERE created_at/.test(sql)) return [db.events.filter((row) => row.created_at < values[0])];
+                if (/^SELECT \* FROM events/.test(sql)) return [db.events.filter((row) => row.user_id === values[0])];
+                if (/^SELECT \* FROM sessions/.test(sql)) return [db.sessions.filter((row) => row.user_id === values[0])];
+                if (/^SELECT \* FROM purchases WHERE user_id/.test(sql)) return [db.purchases.filter((row) => row.user_id === values[0])];
+                if (/^SELECT COUNT\(\*\) AS count FROM purchases WHERE user_id IS NULL/.test(sql)) {
+                    return [[{ count: db.purchases.filter((row) => row.user_id === null).length }]];
+                }
+                if (/^DELETE FROM purchases WHERE user_id/.test(sql)) return remove('purchases', (row) => row.user_id !== values[0]);
+                if (/^DELETE FROM purchases WHERE event_id/.test(sql)) return remove('purchases', (row) => !values.includes(row.event_id));
+                if (/^DELETE FROM events/.test(sql)) return remove('events', (row) => !values.includes(row.id));
+                if (/^DELETE FROM sessions WHERE user_id/.test(sql)) return remove('sessions', (row) => row.user_id !== values[0]);
+                if (/^DELETE FROM sessions WHERE started_at/.test(sql)) return remove('sessions', (row) => row.started_at >= values[0]);
+                throw new Error(`Unexpected query ${sql}`);
+            }),
+        };
+    }
+
+    // The tables before event_id and user_id linked them: purchases.event_id was a BIGINT
+    // holding events.id, and events had no event_id
+    function legacyTables() {
+        return {
+            schema: {
+                events: { id: 'int', user_id: 'varchar', created_at: 'datetime' },
+                purchases: { purchase_id: 'bigint', event_id: 'bigint', transaction_id: 'varchar' },
+            },
+            events: [
+                { id: 1, user_id: 'u1', created_at: new Date('2024-06-01') },
+                { id: 2, user_id: 'u2', created_at: new Date('2024-06-01') },
+            ],
+            purchases: [
+                { purchase_id: 1, event_id: 1, transaction_id: 'T1' },
+                { purchase_id: 2, event_id: 2, transaction_id: 'T2' },
+                { purchase_id: 3, event_id: 99, transaction_id: 'T3' },
+            ],
+            sessions: [],
+        };
+    }
+
+    // The query() of db.js, for the statements of the tracker migration
+    function migrationQuery(db) {
+        let uuid = 0;
+        const ok = { affectedRows: 0 };
+        return jest.fn(async (config, sql, values = []) => {
+            const text = sql.replace(/\s+/g, ' ').trim();
+            if (/information_schema\.columns/.test(text)) {
+                return values.filter((table) => db.schema[table]).flatMap((table) => Object.keys(db.schema[table])
+                    .map((column) => ({ TABLE_NAME: table, COLUMN_NAME: column, DATA_TYPE: db.schema[table][column] })));
+            }
+            let match = /^ALTER TABLE (\w+) ADD COLUMN (\w+) (\w+)/.exec(text);
+            if (match) {
+                db.schema[match[1]][match[2]] = match[3].toLowerCase();
+                db[match[1]].forEach((row) => { row[match[2]] = null; });
+                return ok;
+            }
+            match = /^ALTER TABLE (\w+) MODIFY event_id VARCHAR/.exec(text);
+            if (match) {
+                db.schema[match[1]].event_id = 'varchar';
+                db[match[1]].forEach((row) => { row.event_id = String(row.event_id); });
+                return ok;
+            }
+            if (/^UPDATE events SET event_id = UUID\(\) WHERE event_id IS NULL$/.test(text)) {
+                db.events.filter((row) => row.event_id === null).forEach((row) => { row.event_id = `uuid-${++uuid}`; });
+                return ok;
+            }
+            match = /^UPDATE (\w+) JOIN events ON CAST\(events\.id AS CHAR\) = \1\.event_id SET \1\.event_id = events\.event_id$/.exec(text);
+            if (match) {
+                db[match[1]].forEach((row) => {
+                    const event = db.events.find((candidate) => String(candidate.id) === row.event_id);
+                    if (event) row.event_id = event.event_id;
+                });
+                return ok;
+            }
+            match = /^UPDATE (\w+) JOIN events ON events\.event_id = \1\.event_id SET \1\.user_id = events\.user_id WHERE \1\.user_id IS NULL$/.exec(text);
+            if (match) {
+                db[match[1]].filter((row) => row.user_id === null).forEach((row) => {
+                    const event = db.events.find((candidate) => candidate.event_id === row.event_id);
+                    if (event) row.user_id = event.user_id;
+                });
+                return ok;
+            }
+            if (/^CREATE INDEX/.test(text)) return ok;
+            throw new Error(`Unexpected query ${text}`);
+        });
+    }
+
+    afterEach(() => {
+        delete process.env.TRACKING_RETENTION_DAYS;
+    });
+
+    test('exports the sessions, events and purchases of a user', async () => {
+        const db = connection();
+        const privacy = new TrackingPrivacy({ getConnection: async () => db });
+
+        const data = await privacy.exportUser('u1');
+        expect(data.events.map((row) => row.id)).toEqual([1, 2]);
+        expect(data.sessions).toHaveLength(1);
+        expect(data.purchases).toEqual([{ event_id: 'e2', user_id: 'u1', transaction_id: 'T1' }]);
+        expect(data.clicks).toBeUndefined();
+        expect(data.unattributed).toBeUndefined();
+    });
+
+    test('erases a user, rollups included', async () => {
+        const db = connection();
+        const analytics = { eraseUser: jest.fn(async () => ({ analytics_users: 1 })) };
+        const privacy = new TrackingPrivacy({ getConnection: async () => db, analytics });
+
+        const result = await privacy.eraseUser('u1');
+        expect(result.deleted).toEqual({ events: 2, purchases: 1, sessions: 1, analytics_users: 1 });
+        expect(result.unattributed).toBeUndefined();
+        expect(db.db.events.map((row) => row.user_id)).toEqual(['u2']);
+        expect(db.db.purchases.map((row) => row.transaction_id)).toEqual(['T2']);
+        expect(analytics.eraseUser).toHaveBeenCalledWith('u1');
+        await expect(privacy.eraseUser(ANONYMOUS_USER)).rejects.toBeInstanceOf(PrivacyError);
+    });
+
+    test('links the rows stored before the migration to their visitor', async () => {
+        const db = legacyTables();
+        const tracker = Object.create(EcommerceTracker.prototype);
+        tracker.dbConfig = { dbType: 'mysql', dbConnection: 'MYSQL_1' };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await tracker._migrateEventsTable(migrationQuery(db));
+        console.log.mockRestore();
+
+        expect(db.schema.purchases).toMatchObject({ event_id: 'varchar', user_id: 'varchar' });
+        expect(db.events.map((row) => row.event_id)).toEqual(['uuid-1', 'uuid-2']);
+        expect(db.purchases.map((row) => [row.event_id, row.user_id])).toEqual([['uuid-1', 'u1'], ['uuid-2', 'u2'], ['99', null]]);
+
+        const privacy = new TrackingPrivacy({ getConnection: async () => connection(db) });
+        const data = await privacy.exportUser('u1');
+        expect(data.purchases.map((row) => row.transaction_id)).toEqual(['T1']);
+        expect(data.unattributed).toEqual({ purchases: 1 });
+
+        const result = await privacy.eraseUser('u1');
+        expect(result.deleted).toEqual({ events: 1, purchases: 1, sessions: 0 });
+        expect(result.unattributed).toEqual({ purchases: 1 });
+        expect(db.purchases.map((row) => row.transaction_id)).toEqual(['T2', 'T3']);
+    });
+
+    test('purges data older than the retention', async () => {
+        const db = connection();
+        const privacy = new TrackingPrivacy({ getConnection: async () => db });
+        await expect(privacy.purge()).resolves.toBeNull();
+
+        process.env.TRACKING_RETENTION_DAYS = '90';
+        const result = await privacy.purge(new Date('2024-07-01'));
+        expect(result.deleted).toEqual({ events: 2, purchases: 1, sessions: 0 });
+        expect(db.db.events.map((row) => row.id)).toEqual([2]);
+    });
+});
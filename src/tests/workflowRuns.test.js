@@ -0,0 +1,321 @@
+jest.mock('adaptus2-orm', () => ({ getDbConnection: jest.fn(), query: jest.fn() }), { virtual: true });
+jest.mock('../modules/db', () => ({
+    ...jest.requireActual('../modules/db'),
+    getDbConnection: jest.fn(),
+    read: jest.fn(),
+    update: jest.fn(),
+    create: jest.fn(),
+}));
+jest.mock('../modules/apiConfig', () => ({ getApiConfig: jest.fn(() => []) }));
+jest.mock('node-schedule', () => ({ scheduleJob: jest.fn() }), { virtual: true });
+
+const { WorkflowEngine } = require('../modules/workflowEngine');
+const { RUN_STATUS, WorkflowRunStore } = require('../modules/workflowRuns');
+
+// In-memory stand-in for WorkflowRunStore
+function memoryStore() {
+    const runs = new Map();
+    const steps = new Map();
+    let sequence = 0;
+    const matches = (run, expected) => !expected || [].concat(expected).includes(run.status);
+    return {
+        runs,
+        async createRun({ workflow, input = {}, scheduleId = null, parentRunId = null }) {
+            const run = { id: `run-${++sequence}`, workflow, status: RUN_STATUS.RUNNING, input, state: JSON.parse(JSON.stringify(input)), scheduleId, parentRunId, createdAt: new Date() };
+            runs.set(run.id, run);
+            return { ...run };
+        },
+        async getRun(id) {
+            const run = runs.get(id);
+            if (!run) return null;
+            return { ...JSON.parse(JSON.stringify(run)), steps: [...(steps.get(id) || new Map()).values()].map((step) => ({ ...step })) };
+        },
+        async listRuns() {
+            return [...runs.values()];
+        },
+        async updateRun(id, fields, expectedStatus) {
+            const run = runs.get(id);
+            if (!run || !matches(run, expectedStatus)) return false;
+            Object.entries(fields).forEach(([name, value]) => {
+                if (value !== undefined) run[name] = name === 'state' ? JSON.parse(JSON.stringify(value)) : value;
+            });
+            return true;
+        },
+        claimRun(id, fromStatuses) {
+            return this.updateRun(id, { status: RUN_STATUS.RUNNING, error: null }, fromStatuses);
+        },
+        heartbeat(id) {
+            return this.updateRun(id, { heartbeatAt: new Date() }, RUN_STATUS.RUNNING);
+        },
+        async saveStep(runId, step) {
+            if (!steps.has(runId)) steps.set(runId, new Map());
+            steps.get(runId).set(step.key, { ...step });
+        },
+        async markInterrupted(id) {
+            return this.updateRun(id, { status: RUN_STATUS.INTERRUPTED }, RUN_STATUS.RUNNING);
+        },
+        async findStaleRuns() {
+            return [...runs.values()].filter((run) => run.status === RUN_STATUS.RUNNING);
+        },
+        async findDueRuns(now) {
+            return [...runs.values()].filter((run) => run.status === RUN_STATUS.WAITING && run.wakeAt && run.wakeAt <= now);
+        },
+        async findWaitingRuns(event) {
+            return [...runs.values()].filter((run) => run.status === RUN_STATUS.WAITING && run.waitEvent === event);
+        },
+    };
+}
+
+describe('durable workflow runs', () => {
+    let log;
+
+    beforeEach(() => {
+        process.env.WORKFLOW_STEP_BACKOFF_MS = '0';
+        log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete process.env.WORKFLOW_STEP_BACKOFF_MS;
+        log.mockRestore();
+    });
+
+    const engineWith = (actions, store = memoryStore()) => {
+        const engine = new WorkflowEngine(null, { actions }, { runStore: store });
+        engine.loadWorkflows([
+            'WORKFLOW checkout',
+            'WITH MYSQL MYSQL_1 DO',
+            'reserve sku:A1',
+            'charge retry:2',
+            'update paid = true',
+        ].join('\n'));
+        return { engine, store };
+    };
+
+    test('should retry a failing step and record every attempt', async () => {
+        let calls = 0;
+        const { engine, store } = engineWith({
+            reserve: async () => 'reserved',
+            charge: async () => {
+                calls += 1;
+                if (calls === 1) throw new Error('gateway timeout');
+                return { id: 'ch_1' };
+            },
+        });
+
+        const result = await engine.executeWorkflow('checkout', { orderId: 7 });
+        expect(result.status).toBe(RUN_STATUS.COMPLETED);
+        expect(result.output).toEqual({ orderId: 7, paid: true });
+
+        const run = await store.getRun(result.runId);
+        expect(run.status).toBe(RUN_STATUS.COMPLETED);
+        expect(run.steps.map((step) => [step.key, step.status, step.attempts])).toEqual([
+            ['0', 'completed', 1],
+            ['1', 'completed', 2],
+            ['2', 'completed', 1],
+        ]);
+        expect(run.steps[1].output).toEqual({ id: 'ch_1' });
+    });
+
+    test('should resume a failed run from its last completed step', async () => {
+        const reserve = jest.fn(async () => 'reserved');
+        let failing = true;
+        const { engine, store } = engineWith({
+            reserve,
+            charge: async () => {
+                if (failing) throw new Error('card declined');
+                return 'charged';
+            },
+        });
+
+        const error = await engine.executeWorkflow('checkout', {}).catch((err) => err);
+        expect(error.message).toMatch(/Step 1 \(charge\) failed after 2 attempt\(s\): card declined/);
+        expect((await store.getRun(error.runId)).status).toBe(RUN_STATUS.FAILED);
+
+        failing = false;
+        const result = await engine.resumeRun(error.runId);
+        expect(result.status).toBe(RUN_STATUS.COMPLETED);
+        expect(reserve).toHaveBeenCalledTimes(1);
+        const run = await store.getRun(error.runId);
+        expect(run.steps.find((step) => step.key === '1').attempts).toBe(3);
+        expect(run.output).toEqual({ paid: true });
+
+        await expect(engine.resumeRun(error.runId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should stop a cancelled run before its next step', async () => {
+        let release;
+        const { engine, store } = engineWith({
+            reserve: () => new Promise((resolve) => { release = resolve; }),
+            charge: jest.fn(),
+        });
+
+        const run = await engine.startWorkflow('checkout', {});
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(await engine.cancelRun(run.id)).toBe(true);
+        release('reserved');
+        await new Promise((resolve) => setImmediate(resolve));
+
+        const saved = await store.getRun(run.id);
+        expect(saved.status).toBe(RUN_STATUS.CANCELLED);
+        expect(saved.steps.map((step) => step.key)).toEqual(['0']);
+        expect(engine.activeRuns.size).toBe(0);
+        expect(await engine.cancelRun(run.id)).toBe(false);
+    });
+});
+
+describe('workflow control flow', () => {
+    let log;
+
+    beforeEach(() => {
+        log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => log.mockRestore());
+
+    const engineFor = (lines, actions) => {
+        const store = memoryStore();
+        const engine = new WorkflowEngine(null, { actions }, { runStore: store });
+        engine.loadWorkflows(['WORKFLOW flow', 'WITH MYSQL MYSQL_1 DO', ...lines].join('\n'));
+        return { engine, store };
+    };
+
+    // Waits for a run resumed in the background to leave the running status
+    const settled = async (store, id) => {
+        for (let i = 0; i < 50 && store.runs.get(id).status === RUN_STATUS.RUNNING; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+        return store.getRun(id);
+    };
+
+    test('should branch, loop and pass step outputs to later steps', async () => {
+        const receipt = jest.fn(async () => 'sent');
+        const { engine } = engineFor([
+            'charge amount:${total} AS payment',
+            'IF total > 100 THEN',
+            '    update tier = "large"',
+            'ELSE IF total > 10 THEN',
+            '    update tier = "medium"',
+            'ELSE',
+            '    update tier = "small"',
+            'END IF',
+            'FOREACH line IN data.lines',
+            '    update count = (count || 0) + line.qty',
+            'END FOREACH',
+            'receipt payment:${steps.payment.result.id} tier:${tier}',
+        ], {
+            charge: async (context, action) => ({ id: `ch_${action.amount}` }),
+            receipt,
+        });
+
+        const result = await engine.executeWorkflow('flow', { total: 50, lines: [{ qty: 2 }, { qty: 3 }] });
+        expect(result.output).toMatchObject({ tier: 'medium', count: 5 });
+        expect(receipt).toHaveBeenCalledWith(expect.objectContaining({ steps: { payment: { result: { id: 'ch_50' } }, receipt: { result: 'sent' } } }), expect.objectContaining({ payment: 'ch_50', tier: 'medium' }));
+
+        const run = await engine.getRun(result.runId);
+        expect(run.steps.map((step) => step.key)).toEqual(['0', '1', '1.1.0', '2', '2.0.0', '2.1.0', '3']);
+    });
+
+    test('should join parallel branches and fail when one of them fails', async () => {
+        const calls = [];
+        const { engine } = engineFor([
+            'PARALLEL',
+            '    notify channel:email',
+            '    BRANCH',
+            '        notify channel:sms',
+            '        update texted = true',
+            '    END BRANCH',
+            'END PARALLEL',
+            'update done = true',
+        ], {
+            notify: async (context, action) => {
+                calls.push(action.channel);
+                if (context.data.failSms && action.channel === 'sms') throw new Error('no phone');
+            },
+        });
+
+        const result = await engine.executeWorkflow('flow', {});
+        expect(result.output).toEqual({ texted: true, done: true });
+        expect(calls.sort()).toEqual(['email', 'sms']);
+
+        process.env.WORKFLOW_STEP_MAX_ATTEMPTS = '1';
+        try {
+            await expect(engine.executeWorkflow('flow', { failSms: true })).rejects.toThrow(/Step 0\.1\.0 \(notify\) failed/);
+        } finally {
+            delete process.env.WORKFLOW_STEP_MAX_ATTEMPTS;
+        }
+    });
+
+    test('should suspend on WAIT and resume on the event or once the delay is over', async () => {
+        const ship = jest.fn(async () => 'shipped');
+        const { engine, store } = engineFor([
+            'WAIT UNTIL payment.confirmed AS payment',
+            'WAIT 1ms',
+            'ship reference:${steps.payment.result.reference}',
+        ], { ship });
+
+        const waiting = await engine.executeWorkflow('flow', {});
+        expect(waiting.status).toBe(RUN_STATUS.WAITING);
+        expect(store.runs.get(waiting.runId).waitEvent).toBe('payment.confirmed');
+
+        expect(await engine.signalEvent('other.event', {})).toEqual([]);
+        expect(await engine.signalEvent('payment.confirmed', { reference: 'PAY-1' })).toEqual([waiting.runId]);
+        let run = await settled(store, waiting.runId);
+        expect(run.status).toBe(RUN_STATUS.WAITING);
+        expect(ship).not.toHaveBeenCalled();
+
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        expect(await engine.resumeDueRuns()).toEqual([waiting.runId]);
+        run = await settled(store, waiting.runId);
+        expect(run.status).toBe(RUN_STATUS.COMPLETED);
+        expect(ship).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ reference: 'PAY-1' }));
+        expect(run.steps[0]).toMatchObject({ action: 'wait', status: 'completed', output: { reference: 'PAY-1' } });
+    });
+
+    test('should reject invalid blocks when loading', () => {
+        const actions = { notify: jest.fn() };
+        expect(() => engineFor(['IF total > 1 THEN', 'notify channel:email'], actions)).toThrow('Missing END IF in workflow flow');
+        expect(() => engineFor(['PARALLEL', 'WAIT 1h', 'END PARALLEL'], actions)).toThrow('WAIT is not allowed inside PARALLEL');
+        expect(() => engineFor(['WAIT soon'], actions)).toThrow('Invalid WAIT syntax');
+        expect(() => engineFor(['FOREACH item IN data.items +', 'END FOREACH'], actions)).toThrow();
+    });
+});
+
+describe('WorkflowRunStore', () => {
+    // Connection answering like the wrapper of db.getDbConnection: writes resolve to [[meta]]
+    function connection(affectedRows) {
+        return {
+            execute: jest.fn(async (sql) => (/^\s*UPDATE/.test(sql) ? [[{ affectedRows }]] : [[]])),
+        };
+    }
+
+    test('should tell whether a guarded update changed the run', async () => {
+        const updated = connection(1);
+        const store = new WorkflowRunStore({ getConnection: async () => updated });
+        await expect(store.claimRun('run-1', [RUN_STATUS.INTERRUPTED])).resolves.toBe(true);
+        await expect(store.heartbeat('run-1')).resolves.toBe(true);
+        await expect(store.markInterrupted('run-1', new Date())).resolves.toBe(true);
+
+        const unchanged = connection(0);
+        const other = new WorkflowRunStore({ getConnection: async () => unchanged });
+        await expect(other.claimRun('run-1', [RUN_STATUS.INTERRUPTED])).resolves.toBe(false);
+        await expect(other.updateRun('run-1', { status: RUN_STATUS.CANCELLED }, RUN_STATUS.RUNNING)).resolves.toBe(false);
+        await expect(other.markInterrupted('run-1', new Date())).resolves.toBe(false);
+    });
+
+    test('should write MySQL or PostgreSQL statements', async () => {
+        const mysql = connection(1);
+        await new WorkflowRunStore({ getConnection: async () => mysql }).saveStep('run-1', { key: 0, status: 'completed' });
+        const mysqlStatements = mysql.execute.mock.calls.map(([sql]) => sql);
+        expect(mysqlStatements[0]).toMatch(/input LONGTEXT[\s\S]*INDEX idx_workflow_runs_status \(status, heartbeat_at\)/);
+        expect(mysqlStatements[mysqlStatements.length - 1]).toMatch(/ON DUPLICATE KEY UPDATE status = VALUES\(status\)/);
+
+        const postgres = connection(1);
+        await new WorkflowRunStore({ getConnection: async () => postgres, dbType: 'postgres' }).saveStep('run-1', { key: 0, status: 'completed' });
+        const postgresStatements = postgres.execute.mock.calls.map(([sql]) => sql);
+        expect(postgresStatements[0]).toMatch(/input TEXT[\s\S]*created_at TIMESTAMP NOT NULL/);
+        expect(postgresStatements[0]).not.toMatch(/INDEX/);
+        expect(postgresStatements).toContain('CREATE INDEX IF NOT EXISTS idx_workflow_runs_status ON workflow_runs (status, heartbeat_at)');
+        expect(postgresStatements[postgresStatements.length - 1]).toMatch(/ON CONFLICT \(run_id, step_key\) DO UPDATE SET status = EXCLUDED.status/);
+        expect(postgresStatements.join('\n')).not.toMatch(/ON DUPLICATE KEY|LONGTEXT|DATETIME/);
+    });
+});